@@ -0,0 +1,130 @@
+/**
+ * Callback Codec — short, structured callback_data for inline keyboards.
+ *
+ * Telegram caps callback_data at 64 bytes, and packing parameters into
+ * strings like `date_sightings_last_14_days_US-NY-061` needs fragile parsing
+ * on the way back.  Buttons with parameters carry a short opaque ID instead,
+ * mapped to a structured payload:
+ *
+ *   callbackCodec.encode('date', { type: 'sightings', preset: 'today', regionCode: 'SG' })
+ *     → '~Xb3k9QpL2a'
+ *   callbackCodec.decode('~Xb3k9QpL2a')
+ *     → { action: 'date', type: 'sightings', preset: 'today', regionCode: 'SG' }
+ *
+ * Buttons without parameters keep their plain action name ('done', 'cmd_start').
+ * IDs are a hash of the payload, so re-rendering a keyboard reuses its IDs.
+ * Encoding or pressing a button counts as a use (saved at most daily per ID);
+ * IDs untouched for 30 days are forgotten.  New payloads and uses are
+ * flushed to storage every 30 s and on shutdown, so buttons in old messages
+ * keep working across restarts.
+ */
+const crypto = require('crypto');
+const JsonStore = require('../services/jsonStore');
+const logger = require('../utils/logger');
+
+const ID_PREFIX = '~';
+const ID_LENGTH = 10;                       // base64url chars (60 bits)
+const FLUSH_INTERVAL = 30 * 1000;
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;   // forget buttons untouched for 30 days
+const MAX_PAYLOADS = 20000;
+const TOUCH_INTERVAL = 24 * 60 * 60 * 1000; // save a known ID's usedAt at most daily
+
+class CallbackCodec extends JsonStore {
+  constructor() {
+    super('.callbacks.json');
+    this._pending = new Map(); // id → entry not yet flushed
+    this._timer = null;
+  }
+
+  /**
+   * callback_data for a button.
+   * @param {string} action - Route name handled in handleCallback
+   * @param {Object} [params] - Structured parameters for the route
+   * @returns {string} The bare action, or an opaque ID when there are params
+   */
+  encode(action, params = {}) {
+    if (Object.keys(params).length === 0) return action;
+
+    const payload = { action, ...params };
+    const id = ID_PREFIX + crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64url').slice(0, ID_LENGTH);
+    this._touch(id, this._entry(id) || { payload });
+    return id;
+  }
+
+  /**
+   * Payload behind callback_data.
+   * @returns {Object|null} `{ action, ...params }`, or null for an unknown (expired) ID
+   */
+  decode(data) {
+    if (!String(data).startsWith(ID_PREFIX)) return { action: data };
+    const entry = this._entry(data);
+    if (!entry) return null;
+    // Buttons still being pressed on old messages stay alive
+    this._touch(data, entry);
+    return entry.payload;
+  }
+
+  /**
+   * Persist payloads issued and used since the last flush.
+   */
+  flush() {
+    if (this._pending.size === 0) return;
+    const records = Object.fromEntries(this._pending);
+    this._pending.clear();
+    this._write(records, this._expired(records));
+  }
+
+  /**
+   * An ID's entry, flushed or not.
+   */
+  _entry(id) {
+    return this._pending.get(id) || this.get(id);
+  }
+
+  /**
+   * Mark an entry used now; queued for the next flush when it is new or
+   * its saved usedAt is over a day old.
+   */
+  _touch(id, entry) {
+    const now = Date.now();
+    if (this._pending.has(id) || !entry.usedAt || now - entry.usedAt >= TOUCH_INTERVAL) {
+      this._pending.set(id, { payload: entry.payload, usedAt: now });
+    }
+  }
+
+  startAutoFlush() {
+    this._timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    // Don't prevent the process from exiting
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stopAutoFlush() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * IDs to drop once `records` are saved: those past MAX_AGE, then the
+   * oldest beyond MAX_PAYLOADS.
+   */
+  _expired(records) {
+    const cutoff = Date.now() - MAX_AGE;
+    const expired = [];
+    const live = Object.entries({ ...this._load(), ...records })
+      .filter(([id, { usedAt }]) => {
+        if (usedAt >= cutoff) return true;
+        expired.push(id);
+        return false;
+      })
+      .sort(([, a], [, b]) => a.usedAt - b.usedAt);
+
+    const excess = live.slice(0, Math.max(0, live.length - MAX_PAYLOADS));
+    if (excess.length) logger.debug('Pruned callback payloads', { removed: excess.length });
+    return [...expired, ...excess.map(([id]) => id)];
+  }
+}
+
+// Singleton
+module.exports = new CallbackCodec();
@@ -0,0 +1,60 @@
+/**
+ * Chat Context — who sent the update being handled, and where.
+ *
+ * Handlers only get a chatId, but in a group several members share that
+ * chat.  safe() runs every update inside run(), so anything downstream can
+ * ask for the sender, the forum topic, or the conversation-state key without
+ * threading them through every call.
+ *
+ * State keys: a private chat keeps its chatId; a group member gets
+ * `${chatId}:${userId}` so two members can be mid-flow at once.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const GROUP_TYPES = ['group', 'supergroup'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the context of a message or callback query.
+ * @param {Object} update - A Telegram message or callback_query
+ * @param {Function} fn
+ */
+function run(update, fn) {
+  const msg = update?.chat ? update : update?.message;
+  if (!msg?.chat) return fn();
+
+  return storage.run({
+    chatId: msg.chat.id,
+    userId: update.from?.id || null,
+    isGroup: GROUP_TYPES.includes(msg.chat.type),
+    threadId: msg.is_topic_message ? msg.message_thread_id : null,
+    messageId: update.chat ? msg.message_id : null  // the member's own message (not a button press)
+  }, fn);
+}
+
+/**
+ * The context for chatId, or null outside an update for that chat
+ * (e.g. alert pushes from the scheduler).
+ */
+function current(chatId) {
+  const ctx = storage.getStore();
+  return ctx && ctx.chatId === chatId ? ctx : null;
+}
+
+/**
+ * Key for userStates / lastPrompts.
+ */
+function stateKey(chatId) {
+  const ctx = current(chatId);
+  return ctx?.isGroup && ctx.userId ? `${chatId}:${ctx.userId}` : chatId;
+}
+
+/**
+ * The chat a state key belongs to (keys restored from disk are strings).
+ */
+function chatIdOf(key) {
+  return typeof key === 'string' ? Number(key.split(':')[0]) : key;
+}
+
+module.exports = { run, current, stateKey, chatIdOf, GROUP_TYPES };
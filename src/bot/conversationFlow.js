@@ -0,0 +1,172 @@
+/**
+ * Conversation Flow — every state a chat can be in while the bot waits for it.
+ *
+ * The chat's current state lives in `bot.userStates` (keyed per member in
+ * groups, see chatContext.js) as `{ action, ...data, previous, expiresAt }`.
+ * Each entry below declares:
+ *
+ *   prompt(chatId, state)        (re)sends the question — used on entry, ⬅️ Back and error recovery
+ *   parse(text, state)           optional; returns the parsed input, or `{ error }` to ask again
+ *   onInput(chatId, input, state) handles a typed reply (omitted for button-only states)
+ *   next                         states this one leads to; entering one keeps this state for ⬅️ Back
+ *   back(chatId, state)          optional; where ⬅️ Back goes when there is no previous state
+ *   sticky                       stay in this state after input until the handler moves on
+ *   timeout                      idle ms before the state expires
+ *   command                      what to send to start over (string, or function of the state)
+ *
+ * Functions run with `this` bound to the bot, like the handler mixins.
+ * The engine itself is in handlers/flowHandlers.js.
+ */
+const { toRegionCode } = require('../utils/regionCodes');
+const { parseTimeRange } = require('../utils/dateUtils');
+
+const MINUTE = 60 * 1000;
+const INPUT_TIMEOUT = 15 * MINUTE;   // prompts waiting for typed text
+const PICKER_TIMEOUT = 60 * MINUTE;  // button pickers, which people leave open longer
+
+const byType = (state) => `/${state.type === 'nearbyrare' ? 'nearby' : state.type}`;
+
+const STATES = {
+  awaiting_region_sightings: {
+    command: '/sightings',
+    timeout: INPUT_TIMEOUT,
+    next: ['date_selection', 'hotspot_selection'],
+    prompt(chatId) { return this.promptSightings(chatId); },
+    onInput(chatId, text) { return this.searchLocation(chatId, text, 'sightings'); }
+  },
+
+  awaiting_region_notable: {
+    command: '/notable',
+    timeout: INPUT_TIMEOUT,
+    next: ['date_selection', 'hotspot_selection'],
+    prompt(chatId) { return this.promptNotable(chatId); },
+    onInput(chatId, text) { return this.searchLocation(chatId, text, 'notable'); }
+  },
+
+  hotspot_selection: {
+    command: byType,
+    timeout: PICKER_TIMEOUT,
+    next: ['date_selection'],
+    prompt(chatId, state) { return this.showHotspotSelection(chatId, state.hotspots, state.type, state.regionName); }
+  },
+
+  date_selection: {
+    command: byType,
+    timeout: PICKER_TIMEOUT,
+    next: ['awaiting_custom_date'],
+    prompt(chatId, state) {
+      if (state.type === 'species') {
+        return this.showSpeciesDateSelection(chatId, state.displayName, state.species);
+      }
+      return this.showDateSelection(chatId, state.regionCode, state.displayName, state.type, {
+        isHotspot: state.isHotspot,
+        hotspotData: state.hotspotData
+      });
+    }
+  },
+
+  awaiting_custom_date: {
+    command: byType,
+    timeout: INPUT_TIMEOUT,
+    sticky: true, // a badly formatted date can be retyped
+    prompt(chatId) { return this.promptCustomDate(chatId); },
+    onInput(chatId, text, state) { return this.handleCustomDateInput(chatId, text, state); }
+  },
+
+  awaiting_species_name: {
+    command: '/species',
+    timeout: INPUT_TIMEOUT,
+    next: ['awaiting_species_location', 'date_selection'],
+    prompt(chatId) { return this.promptSpecies(chatId); },
+    onInput(chatId, text) {
+      // "location, species" skips the location step
+      return text.includes(',')
+        ? this.processSpeciesWithLocation(chatId, text)
+        : this.searchSpeciesGlobally(chatId, text);
+    }
+  },
+
+  awaiting_species_location: {
+    command: '/species',
+    timeout: INPUT_TIMEOUT,
+    next: ['date_selection'],
+    prompt(chatId, state) { return this.promptSpeciesLocation(chatId, state.species); },
+    onInput(chatId, text, state) { return this.showSpeciesDateSelection(chatId, text, state.species); }
+  },
+
+  awaiting_region_hotspots: {
+    command: '/hotspots',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptHotspots(chatId); },
+    onInput(chatId, text) { return this.handleHotspots({ chat: { id: chatId } }, [null, ` ${text}`]); }
+  },
+
+  awaiting_nearby_distance: {
+    command: '/nearby',
+    timeout: PICKER_TIMEOUT,
+    prompt(chatId, state) { return this.promptNearbyDistance(chatId, state); }
+  },
+
+  awaiting_jump_page: {
+    command: null, // reached from a results message, not a command
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId, state) { return this.promptJumpPage(chatId, state); },
+    parse(text, state) {
+      const page = parseInt(text, 10);
+      if (isNaN(page) || page < 1 || page > state.totalPages) {
+        return { error: `❌ Invalid page number. Please enter a number between 1 and ${state.totalPages}.` };
+      }
+      return page;
+    },
+    onInput(chatId, page, state) { return this.jumpToPage(chatId, page, state); }
+  },
+
+  awaiting_watch: {
+    command: '/watch',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptWatch(chatId); },
+    onInput(chatId, text) { return this.addWatch(chatId, text); }
+  },
+
+  awaiting_rarealerts: {
+    command: '/rarealerts',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptRareAlerts(chatId); },
+    onInput(chatId, text) { return this.addRarityAlert(chatId, text); }
+  },
+
+  awaiting_region_onthisday: {
+    command: '/onthisday',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptOnThisDay(chatId); },
+    onInput(chatId, text) { return this.resolveOnThisDayInput(chatId, text); }
+  },
+
+  awaiting_region_targets: {
+    command: '/targets',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptTargets(chatId); },
+    onInput(chatId, text) { return this.showTargets(chatId, toRegionCode(text), text); }
+  },
+
+  awaiting_home_region: {
+    command: '/settings',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptHomeRegion(chatId); },
+    back(chatId) { return this.showSettingsMenu(chatId); },
+    onInput(chatId, text) { return this.setHomeRegion(chatId, text); }
+  },
+
+  awaiting_quiet_hours: {
+    command: '/settings',
+    timeout: INPUT_TIMEOUT,
+    prompt(chatId) { return this.promptQuietHours(chatId); },
+    back(chatId) { return this.showSettingsMenu(chatId); },
+    parse(text) {
+      return parseTimeRange(text) || { error: '❌ Please enter a start and end time, e.g. `22:30-06:30`.' };
+    },
+    onInput(chatId, quietHours) { return this.setQuietHours(chatId, quietHours); }
+  }
+};
+
+module.exports = { STATES, INPUT_TIMEOUT, PICKER_TIMEOUT };
@@ -0,0 +1,409 @@
+/**
+ * Alert Handlers — /watch, /rarealerts, /watchlist, /unwatch push subscriptions.
+ * Subscriptions are polled by services/alertScheduler, which calls back into
+ * sendWatchAlert() / sendRarityAlert() here for delivery.  Every push goes
+ * through pushAlert(), which holds it during the chat's quiet hours or over
+ * its hourly limit (services/alertThrottle).
+ */
+const { toRegionCode } = require('../../utils/regionCodes');
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+const subscriptionStore = require('../../services/subscriptionStore');
+const digestStore = require('../../services/digestStore');
+const alertScheduler = require('../../services/alertScheduler');
+const alertThrottle = require('../../services/alertThrottle');
+const callbackCodec = require('../callbackCodec');
+
+const MAX_WATCHES_PER_CHAT = 10;
+const MAX_ALERT_ENTRIES = 5; // observations shown in one alert message
+const MAX_MESSAGE_LENGTH = 3800;
+const MAX_SUMMARY_SPECIES = 5;  // species named in a held rarity alert's summary
+
+/**
+ * Human-readable label for a subscription in lists and confirmations.
+ */
+function describeSubscription(sub) {
+  if (sub.kind === 'notable') return `⭐ Rarities in *${esc(sub.regionName)}*`;
+  return `*${esc(sub.comName)}* in *${esc(sub.regionName)}*`;
+}
+
+module.exports = {
+  async handleWatch(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    if (!userInput) {
+      await this.enterState(chatId, 'awaiting_watch');
+      return;
+    }
+
+    await this.addWatch(chatId, userInput);
+  },
+
+  async promptWatch(chatId) {
+    await this.sendPrompt(chatId, `🔔 *Watch a species in a region*
+
+Enter the species and the region, separated by a comma:
+• \`Oriental Pied Hornbill, Singapore\`
+• \`Snowy Owl, US-NY\`
+
+I'll message you whenever a new eBird report shows up.`);
+  },
+
+  /**
+   * Create a watch subscription from "Species, Region" input.
+   */
+  async addWatch(chatId, input) {
+    const commaIdx = input.lastIndexOf(',');
+    const speciesInput = commaIdx > 0 ? input.slice(0, commaIdx).trim() : '';
+    const regionInput = commaIdx > 0 ? input.slice(commaIdx + 1).trim() : '';
+
+    if (!speciesInput || !regionInput) {
+      await this.sendMessage(chatId,
+        `❌ Please provide both a species and a region.\n\n*Format:* \`species, region\`\n*Example:* \`Oriental Pied Hornbill, Singapore\``
+      );
+      return;
+    }
+
+    if (!(await this._checkWatchLimit(chatId))) return;
+
+    const regionCode = toRegionCode(regionInput);
+
+    try {
+      const matches = await this.ebirdService.searchSpeciesByName(speciesInput);
+      if (!matches || matches.length === 0) {
+        await this.sendMessage(chatId,
+          `❌ Species "*${esc(speciesInput)}*" not found.\n\n💡 Try the exact species name as it appears in eBird.`
+        );
+        return;
+      }
+
+      const species = matches[0];
+
+      if (subscriptionStore.findForChat(chatId, { kind: 'species', speciesCode: species.speciesCode, regionCode })) {
+        await this.sendMessage(chatId, `ℹ️ You're already watching *${esc(species.comName)}* in *${esc(regionInput)}*.`);
+        return;
+      }
+
+      const subscription = {
+        chatId,
+        kind: 'species',
+        speciesCode: species.speciesCode,
+        comName: species.comName,
+        sciName: species.sciName,
+        regionCode,
+        regionName: regionInput
+      };
+
+      // Seed with current reports so only genuinely new sightings trigger alerts
+      const current = await alertScheduler.fetchObservations(this.ebirdService, subscription);
+      subscriptionStore.add({
+        ...subscription,
+        seen: current.map(obs => alertScheduler.sightingKey(obs))
+      });
+
+      let message = `✅ *Now watching ${esc(species.comName)}* in *${esc(regionInput)}*\n\n`;
+      message += `I'll message you when a new report appears.`;
+      if (current.length > 0) {
+        message += `\n\n_${current.length} report(s) from the last ${alertScheduler.LOOKBACK_DAYS} days were already on eBird._`;
+      }
+
+      await this.sendMessage(chatId, message, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '📋 My Watchlist', callback_data: 'cmd_watchlist' }]]
+        }
+      });
+    } catch (error) {
+      logger.error('Watch subscription error', { error: error.message, stack: error.stack });
+      await this.sendMessage(chatId,
+        `❌ Could not set up a watch for *${esc(speciesInput)}* in *${esc(regionInput)}*.\n\nPlease check the region and try again.`
+      );
+    }
+  },
+
+  async handleRareAlerts(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    if (!userInput) {
+      await this.enterState(chatId, 'awaiting_rarealerts');
+      return;
+    }
+
+    await this.addRarityAlert(chatId, userInput);
+  },
+
+  async promptRareAlerts(chatId) {
+    await this.sendPrompt(chatId, `🚨 *Rare bird alerts for a region*
+
+Enter a region to get a message for every new notable sighting:
+• \`Singapore\`
+• \`US-NY\`
+
+Manage your alerts anytime with /watchlist.`);
+  },
+
+  /**
+   * Subscribe a chat to new notable sightings in a region.
+   */
+  async addRarityAlert(chatId, regionInput) {
+    if (!(await this._checkWatchLimit(chatId))) return;
+
+    const regionCode = toRegionCode(regionInput);
+
+    if (subscriptionStore.findForChat(chatId, { kind: 'notable', regionCode })) {
+      await this.sendMessage(chatId, `ℹ️ Rarity alerts for *${esc(regionInput)}* are already on.`);
+      return;
+    }
+
+    const subscription = { chatId, kind: 'notable', regionCode, regionName: regionInput };
+
+    try {
+      // Seed with current reports so only genuinely new rarities trigger alerts
+      const current = await alertScheduler.fetchObservations(this.ebirdService, subscription);
+      subscriptionStore.add({
+        ...subscription,
+        seen: current.map(obs => alertScheduler.sightingKey(obs, 'notable'))
+      });
+
+      let message = `✅ *Rarity alerts on for ${esc(regionInput)}*\n\n`;
+      message += `I'll message you as soon as new notable sightings are reported.`;
+      if (current.length > 0) {
+        message += `\n\n_${current.length} notable report(s) from the last ${alertScheduler.LOOKBACK_DAYS} days were already on eBird — see them with_ \`/notable ${esc(regionInput)}\``;
+      }
+
+      await this.sendMessage(chatId, message, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '📋 My Watchlist', callback_data: 'cmd_watchlist' }]]
+        }
+      });
+    } catch (error) {
+      logger.error('Rarity alert subscription error', { error: error.message, stack: error.stack });
+      await this.sendMessage(chatId,
+        `❌ Could not set up rarity alerts for *${esc(regionInput)}*.\n\nPlease check the region and try again.`
+      );
+    }
+  },
+
+  /**
+   * Enforce the per-chat subscription limit. Returns false (after telling
+   * the user) when the limit is reached.
+   */
+  async _checkWatchLimit(chatId) {
+    if (subscriptionStore.listForChat(chatId).length < MAX_WATCHES_PER_CHAT) return true;
+    await this.sendMessage(chatId,
+      `⚠️ You can have up to ${MAX_WATCHES_PER_CHAT} alerts. Use /unwatch to remove one first.`
+    );
+    return false;
+  },
+
+  async handleWatchlist(msg) {
+    const chatId = msg.chat.id;
+    const subs = subscriptionStore.listForChat(chatId);
+
+    if (subs.length === 0) {
+      await this.sendMessage(chatId,
+        `📋 *Your watchlist is empty.*\n\nStart one with \`/watch Species, Region\` or \`/rarealerts Region\``
+      );
+      return;
+    }
+
+    let message = `📋 *Your Watchlist*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    subs.forEach((sub, index) => {
+      message += `${index + 1}. ${describeSubscription(sub)} (${sub.regionCode})\n`;
+    });
+    message += `\n_Tap a button to stop an alert._`;
+
+    const buttons = subs.map((sub, index) => [{
+      text: `❌ ${index + 1}. ${sub.kind === 'notable' ? `Rarities in ${sub.regionName}` : sub.comName}`.substring(0, 60),
+      callback_data: callbackCodec.encode('unwatch', { id: sub.id })
+    }]);
+
+    await this.sendMessage(chatId, message, {
+      reply_markup: { inline_keyboard: buttons }
+    });
+  },
+
+  async handleUnwatch(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    if (!userInput) {
+      await this.handleWatchlist(msg);
+      return;
+    }
+
+    // Accept either the list number or (part of) the species / region name
+    const subs = subscriptionStore.listForChat(chatId);
+    const index = parseInt(userInput, 10);
+    const query = userInput.toLowerCase();
+    const sub = !isNaN(index)
+      ? subs[index - 1]
+      : subs.find(s => (s.comName || '').toLowerCase().includes(query))
+        || subs.find(s => s.regionName.toLowerCase().includes(query));
+
+    if (!sub) {
+      await this.sendMessage(chatId, `❌ No watch matching "*${esc(userInput)}*". Send /watchlist to see your list.`);
+      return;
+    }
+
+    await this.removeWatch(chatId, sub.id);
+  },
+
+  /**
+   * Delete a subscription (only if it belongs to this chat).
+   */
+  async removeWatch(chatId, id) {
+    const sub = subscriptionStore.get(id);
+    if (!sub || String(sub.chatId) !== String(chatId)) {
+      await this.sendMessage(chatId, '❌ That watch no longer exists.');
+      return;
+    }
+
+    subscriptionStore.remove(id);
+    await this.sendMessage(chatId, `🔕 Stopped alerts for ${describeSubscription(sub)}.`);
+  },
+
+  /**
+   * Drop a chat's watches and personal digests once Telegram says it can't
+   * be messaged any more (blocked, kicked, deleted).  Otherwise every poll
+   * would fetch and fail to send them again.  Called by sendMessage().
+   */
+  dropUnreachableChat(chatId) {
+    const watches = subscriptionStore.listForChat(chatId);
+    const digests = digestStore.listForChat(chatId);
+    watches.forEach(sub => subscriptionStore.remove(sub.id));
+    digests.forEach(digest => digestStore.remove(digest.id));
+    if (watches.length || digests.length) {
+      logger.info('Removed alerts for unreachable chat', { chatId, watches: watches.length, digests: digests.length });
+    }
+  },
+
+  /**
+   * Send a push notification now, or hold it for a catch-up message.
+   * @param {number|string} chatId
+   * @param {Function} send - () => Promise<boolean>, sends the notification
+   * @param {Object} alert - `{ summary, regionCode }`, see alertThrottle.deliver()
+   * @returns {Promise<boolean>} false only when Telegram refused it
+   */
+  async pushAlert(chatId, send, alert) {
+    return alertThrottle.deliver(this, chatId, send, alert);
+  },
+
+  /**
+   * One message with the alerts held back for a chat (called by alertThrottle).
+   * @returns {Promise<boolean>} whether Telegram accepted it
+   */
+  async sendAlertCatchUp(chatId, held) {
+    let message = `📬 *Catch-up — ${held.length} alert${held.length > 1 ? 's' : ''} held back*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+
+    let shown = 0;
+    for (const alert of held) {
+      const line = `${shown + 1}. ${alert.summary}\n`;
+      if (message.length + line.length > MAX_MESSAGE_LENGTH) break;
+      message += line;
+      shown++;
+    }
+    if (shown < held.length) {
+      message += `_...and ${held.length - shown} more_\n`;
+    }
+    message += `\n_Held during your quiet hours or over your hourly alert limit — change them in /settings._`;
+
+    const sent = await this.sendMessage(chatId, message, {
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[{ text: '📋 My Watchlist', callback_data: 'cmd_watchlist' }]]
+      }
+    });
+    return Boolean(sent);
+  },
+
+  /**
+   * Deliver new sightings for a watch subscription (called by alertScheduler).
+   */
+  async sendWatchAlert(sub, observations) {
+    let message = `🔔 *Watchlist Alert*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `*${esc(sub.comName)}* in *${esc(sub.regionName)}*\n`;
+    message += `🆕 ${observations.length} new report(s)\n\n`;
+
+    observations.slice(0, MAX_ALERT_ENTRIES).forEach((obs, index) => {
+      message += `${index + 1}. ${this.ebirdService.formatObservation(obs, sub.regionCode)}\n`;
+    });
+
+    if (observations.length > MAX_ALERT_ENTRIES) {
+      message += `_...and ${observations.length - MAX_ALERT_ENTRIES} more_\n`;
+    }
+
+    const summary = `🔔 *${esc(sub.comName)}* in *${esc(sub.regionName)}* — ${observations.length} new report(s)`;
+    return this.pushAlert(sub.chatId, async () => Boolean(await this.sendMessage(sub.chatId, message, {
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🔕 Stop Watching', callback_data: callbackCodec.encode('unwatch', { id: sub.id }) },
+          { text: '📋 My Watchlist', callback_data: 'cmd_watchlist' }
+        ]]
+      }
+    })), { summary, regionCode: sub.regionCode });
+  },
+
+  /**
+   * Deliver new notable sightings for a region (called by alertScheduler).
+   * Reports are grouped per species; each report reuses formatObservation
+   * for location, observer and checklist link.
+   */
+  async sendRarityAlert(sub, observations) {
+    const bySpecies = new Map();
+    for (const obs of observations) {
+      const key = obs.speciesCode || obs.comName;
+      if (!bySpecies.has(key)) bySpecies.set(key, []);
+      bySpecies.get(key).push(obs);
+    }
+
+    let header = `🚨 *Rare Bird Alert — ${esc(sub.regionName)}*\n`;
+    header += `━━━━━━━━━━━━━━━━━━━━\n`;
+    header += `🆕 ${observations.length} new notable report(s) · ${bySpecies.size} species\n\n`;
+
+    const messages = [];
+    let current = header;
+    let idx = 1;
+    for (const reports of bySpecies.values()) {
+      let section = `*${idx}. ${esc(reports[0].comName)}* (${reports.length} report${reports.length > 1 ? 's' : ''})\n`;
+      for (const obs of reports) {
+        section += `${this.ebirdService.formatObservation(obs, sub.regionCode)}\n`;
+      }
+
+      if (current.length + section.length > MAX_MESSAGE_LENGTH) {
+        messages.push(current);
+        current = '';
+      }
+      current += section;
+      idx++;
+    }
+    messages.push(current);
+
+    const names = [...bySpecies.values()].map(reports => esc(reports[0].comName));
+    let summary = `🚨 Rarities in *${esc(sub.regionName)}* — ${names.slice(0, MAX_SUMMARY_SPECIES).join(', ')}`;
+    if (names.length > MAX_SUMMARY_SPECIES) summary += ` +${names.length - MAX_SUMMARY_SPECIES} more`;
+
+    return this.pushAlert(sub.chatId, async () => {
+      const sent = await this.sendMessages(sub.chatId, messages.map((text, i) => ({
+        text,
+        options: {
+          disable_web_page_preview: true,
+          ...(i === messages.length - 1 && {
+            reply_markup: {
+              inline_keyboard: [[
+                { text: '🔕 Stop Alerts', callback_data: callbackCodec.encode('unwatch', { id: sub.id }) },
+                { text: '📋 My Watchlist', callback_data: 'cmd_watchlist' }
+              ]]
+            }
+          })
+        }
+      })));
+      return sent.every(Boolean);
+    }, { summary, regionCode: sub.regionCode });
+  }
+};
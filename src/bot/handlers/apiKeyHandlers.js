@@ -0,0 +1,85 @@
+/**
+ * API Key Handlers — /setkey and /removekey.
+ * A user's own eBird key lives encrypted in services/userKeyStore; the
+ * safe() wrapper in telegramBot runs each of their requests on it.
+ */
+const logger = require('../../utils/logger');
+const userKeyStore = require('../../services/userKeyStore');
+
+// eBird keys are short alphanumeric tokens
+const API_KEY_PATTERN = /^[A-Za-z0-9]{6,64}$/;
+
+module.exports = {
+  /**
+   * The chat's own eBird API key, or null to use the shared one.
+   */
+  getUserApiKey(chatId) {
+    return userKeyStore.getKey(chatId);
+  },
+
+  async handleSetKey(msg, match) {
+    const chatId = msg.chat.id;
+    const apiKey = match[1]?.trim();
+
+    // Keys must never sit in a group's history
+    if (msg.chat.type && msg.chat.type !== 'private') {
+      await this.deleteMsg(chatId, msg.message_id);
+      await this.sendMessage(chatId, '🔒 Please send /setkey to me in a private chat — never share your API key in a group.');
+      return;
+    }
+
+    if (!apiKey) {
+      await this.sendMessage(chatId, `🔑 *Use your own eBird API key*
+
+Send: \`/setkey YOUR_KEY\`
+
+Get a free key at https://ebird.org/api/keygen. Your searches then run on your own key (with a higher rate limit), and it's stored encrypted. Remove it any time with /removekey.`);
+      return;
+    }
+
+    // Don't leave the key in the chat history
+    await this.deleteMsg(chatId, msg.message_id);
+
+    if (!API_KEY_PATTERN.test(apiKey)) {
+      await this.sendMessage(chatId, '❌ That doesn\'t look like an eBird API key. It should be a short code of letters and numbers.');
+      return;
+    }
+
+    const _keyStatus = await this.sendMessage(chatId, '🔑 Checking your key with eBird...');
+    try {
+      const valid = await this.ebirdService.validateKey(apiKey);
+      await this.deleteMsg(chatId, _keyStatus?.message_id);
+      if (!valid) {
+        await this.sendMessage(chatId, '❌ eBird rejected that key. Please check it and try again.');
+        return;
+      }
+
+      userKeyStore.setKey(chatId, apiKey);
+      logger.info('User API key saved', { chatId });
+      await this.sendMessage(chatId,
+        `✅ *Key saved* (ending in \`${apiKey.slice(-4)}\`)\n\nYour searches now use your own eBird key, and you can make more requests per minute.\n\nUse /removekey to go back to the shared key.`
+      );
+    } catch (error) {
+      logger.error('Set key error', { error: error.message });
+      await this.deleteMsg(chatId, _keyStatus?.message_id);
+      await this.sendMessage(chatId, '❌ Could not reach eBird to check your key. Please try again later.');
+    }
+  },
+
+  /**
+   * Tell a chat that eBird no longer accepts their saved key
+   * (called by the safe() wrapper after a 401/403 on it).
+   */
+  async notifyKeyRejected(chatId) {
+    await this.sendMessage(chatId, '🔑 eBird rejected your saved API key — it may have been revoked or replaced.\n\nSend /setkey with your current key, or /removekey to use the shared key again.');
+  },
+
+  async handleRemoveKey(msg) {
+    const chatId = msg.chat.id;
+    if (userKeyStore.removeKey(chatId)) {
+      await this.sendMessage(chatId, '🗑️ Your eBird API key was removed. Searches use the shared key again.');
+    } else {
+      await this.sendMessage(chatId, 'ℹ️ You haven\'t set an API key. Use /setkey to add one.');
+    }
+  }
+};
@@ -6,70 +6,182 @@ const {
   getDatePreset,
   parseDate,
   daysBackFromToday,
+  daysBetween,
   formatDateDDMMYYYY,
   getDateRangeDescription,
   getStartOfDay,
   getEndOfDay
 } = require('../../utils/dateUtils');
+const { esc } = require('../../utils/markdown');
+const queryRegistry = require('../../services/queryRegistry');
+const callbackCodec = require('../callbackCodec');
+
+/**
+ * Date filters saved across a restart come back with ISO strings for dates.
+ */
+function reviveDateFilter(dateFilter) {
+  if (!dateFilter) return null;
+  const revived = { ...dateFilter };
+  if (revived.startDate) revived.startDate = new Date(revived.startDate);
+  if (revived.endDate) revived.endDate = new Date(revived.endDate);
+  return revived;
+}
 
 module.exports = {
+  /**
+   * Reply when a results button outlived its cache. Evicted results (and
+   * those cached before a restart) leave their search metadata behind in
+   * expiredResults, so the user can re-run the same search in one tap.
+   */
+  async sendResultsGone(chatId, cacheKey) {
+    const meta = this.expiredResults.get(cacheKey);
+    if (!meta) {
+      await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+      return;
+    }
+    await this.sendMessage(chatId, `⌛ Results for *${esc(meta.displayName)}* expired. Tap 🔄 to re-run the search.`, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🔄 Re-run', callback_data: callbackCodec.encode('rerun', { type: meta.type }) },
+          { text: '🔍 New Search', callback_data: 'new_search' }
+        ]]
+      }
+    });
+  },
+
+  /**
+   * Repeat an expired search from its saved metadata.
+   */
+  async rerunResults(chatId, type) {
+    const cacheKey = `${type}_${chatId}`;
+    const meta = this.expiredResults.get(cacheKey);
+    if (!meta) {
+      await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+      return;
+    }
+    this.expiredResults.delete(cacheKey);
+    await this.rerunQuery(chatId, meta);
+  },
+
+  /**
+   * Run a saved search again and show the given page of the fresh results.
+   * @param {Object} query - Search fields (see QUERY_FIELDS in displayHandlers)
+   */
+  async rerunQuery(chatId, query, page = 0) {
+    // Whatever is cached belongs to another search — don't page through it
+    this.observationsCache.delete(`${query.type}_${chatId}`);
+    const dateFilter = reviveDateFilter(query.dateFilter);
+
+    switch (query.type) {
+      case 'sightings':
+        await this.fetchAndSendSightings(chatId, query.regionCode, query.searchName, page, dateFilter, query.isHotspot);
+        break;
+      case 'notable':
+        await this.fetchAndSendNotable(chatId, query.regionCode, query.searchName, page, dateFilter, query.isHotspot);
+        break;
+      case 'species':
+        await this.fetchSpeciesInLocation(chatId, query.locationInput, query.speciesName, query.speciesCode, dateFilter, page);
+        break;
+      case 'nearby':
+      case 'nearbyrare':
+        await this.fetchNearbySightings(chatId, query.origin.lat, query.origin.lng, query.dist, { notableOnly: query.type === 'nearbyrare', page });
+        break;
+      case 'checklist':
+        await this.showChecklist(chatId, query.displayName, page);
+        break;
+    }
+  },
+
   async handleCallback(callbackQuery) {
     const chatId = callbackQuery.message.chat.id;
     const messageId = callbackQuery.message.message_id;
-    const data = callbackQuery.data;
 
     // Acknowledge the callback
     await this.bot.answerCallbackQuery(callbackQuery.id);
 
+    const payload = callbackCodec.decode(callbackQuery.data);
+    if (!payload) {
+      await this.sendMessage(chatId, '⌛ This button has expired. Please run the command again.');
+      return;
+    }
+    const { action, ...params } = payload;
+
     // Handle date selection callbacks
-    if (data.startsWith('date_')) {
-      await this.handleDateCallback(chatId, data, messageId);
+    if (action === 'date') {
+      await this.handleDateCallback(chatId, params, messageId);
       return;
     }
 
     // Handle pagination
-    if (data === 'page_info') {
+    if (action === 'page_info') {
       // Just acknowledge, don't do anything
       return;
     }
 
-    if (data.startsWith('page_')) {
-      const parts = data.split('_');
-      const type = parts[1]; // 'sightings' or 'notable'
-      const page = parseInt(parts[2]);
-      
+    if (action === 'page') {
+      const { type, page, token } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
+      const query = token && cached?.queryToken !== token ? queryRegistry.lookup(token) : null;
       
-      if (cached) {
+      if (query) {
+        // The cache is gone or holds a newer search — fetch this one again
+        await this.rerunQuery(chatId, query, page);
+      } else if (cached) {
         // Edit the existing message in place instead of delete+send
         await this.sendPaginatedObservations(chatId, cached.observations, cached.displayName, type, page, messageId, cached.regionCode);
+      } else if (this.expiredResults.has(cacheKey)) {
+        await this.sendResultsGone(chatId, cacheKey);
       }
       return;
     }
 
+    // Handle re-run of an expired search
+    if (action === 'rerun') {
+      await this.rerunResults(chatId, params.type);
+      return;
+    }
+
+    // Handle nearby sort toolbar
+    if (action === 'sort') {
+      await this.sortNearbyResults(chatId, params.type, params.sortKey, messageId);
+      return;
+    }
+
+    // Handle checklist drill-down
+    if (action === 'checklist') {
+      await this.showChecklist(chatId, params.subId);
+      return;
+    }
+
+    // Handle life list "Needs Only" filter toggle
+    if (action === 'needs') {
+      await this.toggleNeedsFilter(chatId, params.type, messageId);
+      return;
+    }
+
     // Handle jump to page
-    if (data.startsWith('jump_')) {
-      const type = data.split('_')[1];
+    if (action === 'jump') {
+      const { type, token } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
+      const query = token && cached?.queryToken !== token ? queryRegistry.lookup(token) : null;
       
-      if (cached) {
-        const totalPages = Math.ceil(cached.observations.length / this.ITEMS_PER_PAGE);
-        this.userStates.set(chatId, { 
-          action: 'awaiting_jump_page', 
-          type,
-          totalPages,
-          messageId
-        });
-        await this.sendMessage(chatId, `🔢 *Enter a page number (1-${totalPages}):*`);
+      if (query) {
+        await this.rerunQuery(chatId, query);
+      } else if (cached) {
+        const pageSize = cached.pageSize || this.getPageSize(chatId);
+        const totalPages = Math.ceil(cached.observations.length / pageSize);
+        await this.enterState(chatId, 'awaiting_jump_page', { type, totalPages, messageId });
+      } else if (this.expiredResults.has(cacheKey)) {
+        await this.sendResultsGone(chatId, cacheKey);
       }
       return;
     }
 
     // Handle Summary button — species-grouped view
-    if (data.startsWith('specsummary_')) {
-      const type = data.replace('specsummary_', '');
+    if (action === 'specsummary') {
+      const { type } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
 
@@ -78,14 +190,14 @@ module.exports = {
         await this.sendSummaryMessage(chatId, cached.observations, cached.displayName, type, cached.regionCode);
         await this.deleteMsg(chatId, _sumStatus?.message_id);
       } else {
-        await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+        await this.sendResultsGone(chatId, cacheKey);
       }
       return;
     }
 
     // Handle Full List button — every sighting in detail
-    if (data.startsWith('fulllist_')) {
-      const type = data.replace('fulllist_', '');
+    if (action === 'fulllist') {
+      const { type } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
 
@@ -94,16 +206,14 @@ module.exports = {
         await this.sendFullListMessage(chatId, cached.observations, cached.displayName, type, cached.regionCode);
         await this.deleteMsg(chatId, _fullStatus?.message_id);
       } else {
-        await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+        await this.sendResultsGone(chatId, cacheKey);
       }
       return;
     }
 
     // Handle share button - show forward options
-    if (data.startsWith('share_')) {
-      const parts = data.split('_');
-      const type = parts[1];
-      
+    if (action === 'share') {
+      const { type } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
       
@@ -112,7 +222,7 @@ module.exports = {
         const shareMessage = `📤 *Share Bird Sightings*\n\nHow would you like to share?\n\nOnce I send the list, you can:\n• Long-press the message → Forward\n• Or tap the forward icon ↗️`;
         
         const shareButtons = [
-          [{ text: '📋 Generate Shareable List', callback_data: `generate_share_${type}` }],
+          [{ text: '📋 Generate Shareable List', callback_data: callbackCodec.encode('generate_share', { type }) }],
           [{ text: '❌ Cancel', callback_data: 'cancel_share' }]
         ];
         
@@ -126,8 +236,8 @@ module.exports = {
     }
 
     // Handle generate shareable list
-    if (data.startsWith('generate_share_')) {
-      const type = data.replace('generate_share_', '');
+    if (action === 'generate_share') {
+      const { type } = params;
       const cacheKey = `${type}_${chatId}`;
       const cached = this.observationsCache.get(cacheKey);
       
@@ -142,25 +252,21 @@ module.exports = {
     }
 
     // Handle cancel share
-    if (data === 'cancel_share') {
+    if (action === 'cancel_share') {
       await this.sendMessage(chatId, '✅ Share cancelled.');
       return;
     }
 
-    if (data.startsWith('sightings_')) {
-      const regionCode = data.replace('sightings_', '');
-      await this.showDateSelection(chatId, regionCode, regionCode, 'sightings');
-    } else if (data.startsWith('notable_')) {
-      const regionCode = data.replace('notable_', '');
-      await this.showDateSelection(chatId, regionCode, regionCode, 'notable');
-    } else if (data.startsWith('hotspot_')) {
-      // Handle hotspot selection: hotspot_{type}_{locId}
-      const parts = data.split('_');
-      const type = parts[1];
-      const locId = parts.slice(2).join('_');
+    if (action === 'sightings' || action === 'notable') {
+      await this.showDateSelection(chatId, params.regionCode, params.regionCode, action);
+      return;
+    }
+
+    if (action === 'hotspot') {
+      const { type, locId } = params;
       
       // Get hotspot details from stored state
-      const userState = this.userStates.get(chatId);
+      const userState = this.getState(chatId);
       const hotspot = userState?.hotspots?.find(h => h.locId === locId);
       
       if (hotspot) {
@@ -171,167 +277,198 @@ module.exports = {
       } else {
         await this.showDateSelection(chatId, locId, locId, type, { isHotspot: true });
       }
-    } else if (data === 'request_location') {
+      return;
+    }
+
+    if (action === 'request_location') {
       await this.handleNearby({ chat: { id: chatId } });
-    } else if (data === 'help') {
+      return;
+    }
+    if (action === 'help') {
       await this.handleHelp({ chat: { id: chatId } });
+      return;
     }
 
     // Handle nearby distance selection
-    if (data.startsWith('nearby_dist_')) {
-      const dist = parseInt(data.replace('nearby_dist_', ''), 10);
-      const state = this.userStates.get(chatId);
+    if (action === 'nearby_dist') {
+      const state = this.getState(chatId);
       if (state && state.action === 'awaiting_nearby_distance') {
-        const { latitude, longitude } = state;
-        this.userStates.delete(chatId);
-        await this.fetchNearbySightings(chatId, latitude, longitude, dist);
+        const { latitude, longitude, notableOnly } = state;
+        this.clearState(chatId);
+        if (notableOnly) {
+          await this.fetchNearbySightings(chatId, latitude, longitude, params.dist, { notableOnly: true });
+        } else {
+          await this.fetchNearbySightings(chatId, latitude, longitude, params.dist);
+        }
       } else {
         await this.sendMessage(chatId, '⚠️ Please share your location again using /nearby.');
       }
       return;
     }
 
-    // Handle "New Search" button
-    if (data === 'new_search') {
-      this.userStates.delete(chatId);
-      const searchMessage = `🔍 *What would you like to search?*
+    // Handle nearby mode toggle (all species ↔ rarities only)
+    if (action === 'nearby_mode_rare' || action === 'nearby_mode_all') {
+      await this.setNearbyMode(chatId, messageId, action === 'nearby_mode_rare');
+      return;
+    }
 
-Choose a search type:`;
-      const searchButtons = [
-        [
-          { text: '📍 By Location', callback_data: 'cmd_sightings' },
-          { text: '🐦 By Species', callback_data: 'cmd_species' }
-        ],
-        [
-          { text: '⭐ Notable', callback_data: 'cmd_notable' },
-          { text: '📍 Nearby', callback_data: 'cmd_nearby' }
-        ],
-        [
-          { text: '🗺️ Hotspots', callback_data: 'cmd_hotspots' }
-        ]
-      ];
-      await this.sendMessage(chatId, searchMessage, {
-        reply_markup: { inline_keyboard: searchButtons }
-      });
+    // Handle /targets species buttons
+    if (action === 'target') {
+      await this.openTarget(chatId, params.speciesCode, params.regionCode);
+      return;
+    }
+
+    if (action === 'lifelist_remove') {
+      await this.removeLifeList(chatId);
+      return;
+    }
+
+    // Handle /settings menu navigation and preference changes
+    if (action === 'setpref') {
+      await this.setPreference(chatId, params.field, params.value, messageId);
+      return;
+    }
+    if (action.startsWith('settings_')) {
+      await this.handleSettingsCallback(chatId, action, messageId);
+      return;
+    }
+
+    // Handle ⬅️ Back / ✖️ Cancel on prompts
+    if (action === 'flow_back') {
+      await this.goBack(chatId, messageId);
+      return;
+    }
+    if (action === 'flow_cancel') {
+      await this.cancelFlow(chatId, messageId);
+      return;
+    }
+
+    // Handle "New Search" button
+    if (action === 'new_search') {
+      this.clearState(chatId);
+      await this.showSearchMenu(chatId);
       return;
     }
 
     // Handle new search command shortcuts
-    if (data === 'cmd_sightings') {
+    if (action === 'cmd_sightings') {
       await this.handleSightings({ chat: { id: chatId }, from: { first_name: '' } }, [null, '']);
       return;
     }
-    if (data === 'cmd_species') {
+    if (action === 'cmd_species') {
       await this.handleSpecies({ chat: { id: chatId }, from: { first_name: '' } }, [null, '']);
       return;
     }
-    if (data === 'cmd_notable') {
+    if (action === 'cmd_notable') {
       await this.handleNotable({ chat: { id: chatId }, from: { first_name: '' } }, [null, '']);
       return;
     }
-    if (data === 'cmd_nearby') {
+    if (action === 'cmd_nearby') {
       await this.handleNearby({ chat: { id: chatId } });
       return;
     }
-    if (data === 'cmd_hotspots') {
+    if (action === 'cmd_hotspots') {
       await this.handleHotspots({ chat: { id: chatId } }, [null, '']);
       return;
     }
-    if (data === 'cmd_start') {
+    if (action === 'cmd_start') {
       await this.handleStart({ chat: { id: chatId }, from: { first_name: '' } });
       return;
     }
 
+    // Handle watchlist management
+    if (action === 'cmd_watchlist') {
+      await this.handleWatchlist({ chat: { id: chatId } });
+      return;
+    }
+    if (action === 'unwatch') {
+      await this.removeWatch(chatId, params.id);
+      return;
+    }
+    if (action === 'cmd_digests') {
+      await this.handleDigests({ chat: { id: chatId } });
+      return;
+    }
+    if (action === 'undigest') {
+      await this.removeDigest(chatId, params.id);
+      return;
+    }
+
     // Handle "Done" button
-    if (data === 'done') {
+    if (action === 'done') {
       await this.sendMessage(chatId, '✅ Happy birding! Send /start anytime to begin again. 🐦');
-      this.userStates.delete(chatId);
+      this.clearState(chatId);
       return;
     }
   },
 
   /**
-   * Handle date selection callback
+   * "What would you like to search?" menu (🔍 New Search, and ⬅️ Back from a first prompt).
    */
-  async handleDateCallback(chatId, data, messageId) {
-    // Parse the callback data: date_{type}_{preset}_{regionCode}
-    const parts = data.split('_');
-    // Format: date_sightings_today_SG or date_notable_last_week_US-NY
-    const type = parts[1]; // sightings, notable, or species
-    
-    // Find where the preset ends and region code begins
-    // Presets can have underscores: today, yesterday, last_3_days, last_week, last_14_days, last_month, custom
-    let preset, regionCode;
-    
-    if (parts[2] === 'custom') {
-      preset = 'custom';
-      regionCode = parts.slice(3).join('_');
-    } else if (parts[2] === 'last') {
-      // Handles last_3_days, last_week, last_14_days, last_month
-      preset = `${parts[2]}_${parts[3]}`;
-      if (parts[3] === '3' || parts[3] === '14') {
-        preset = `${parts[2]}_${parts[3]}_${parts[4]}`;
-        regionCode = parts.slice(5).join('_');
-      } else {
-        // last_week, last_month
-        regionCode = parts.slice(4).join('_');
-      }
-    } else {
-      // today, yesterday
-      preset = parts[2];
-      regionCode = parts.slice(3).join('_');
+  async showSearchMenu(chatId) {
+    const searchMessage = `🔍 *What would you like to search?*
+
+Choose a search type:`;
+    const searchButtons = [
+      [
+        { text: '📍 By Location', callback_data: 'cmd_sightings' },
+        { text: '🐦 By Species', callback_data: 'cmd_species' }
+      ],
+      [
+        { text: '⭐ Notable', callback_data: 'cmd_notable' },
+        { text: '📍 Nearby', callback_data: 'cmd_nearby' }
+      ],
+      [
+        { text: '🗺️ Hotspots', callback_data: 'cmd_hotspots' }
+      ]
+    ];
+    await this.sendMessage(chatId, searchMessage, {
+      reply_markup: { inline_keyboard: searchButtons }
+    });
+  },
+
+  async promptJumpPage(chatId, { totalPages }) {
+    await this.sendPrompt(chatId, `🔢 *Enter a page number (1-${totalPages}):*`);
+  },
+
+  /**
+   * Show the page typed after "🔢 Jump to Page" (already range-checked by the flow).
+   */
+  async jumpToPage(chatId, page, { type }) {
+    const cacheKey = `${type}_${chatId}`;
+    const cached = this.observationsCache.get(cacheKey);
+    if (cached) {
+      await this.sendPaginatedObservations(chatId, cached.observations, cached.displayName, type, page - 1, null, cached.regionCode);
+    } else if (this.expiredResults.has(cacheKey)) {
+      await this.sendResultsGone(chatId, cacheKey);
     }
+  },
 
+  /**
+   * Handle date selection callback
+   * @param {Object} params - Decoded payload: { type, preset, regionCode }
+   */
+  async handleDateCallback(chatId, { type, preset, regionCode }, messageId) {
     // Get the stored state for display name
-    const userState = this.userStates.get(chatId);
+    const userState = this.getState(chatId);
     const displayName = userState?.displayName || regionCode;
     const isHotspot = userState?.isHotspot || false;
 
-    // Clear the state
-    this.userStates.delete(chatId);
-
     if (preset === 'custom') {
-      // Ask for custom date range
-      this.userStates.set(chatId, {
-        action: 'awaiting_custom_date',
+      // Ask for custom date range (⬅️ Back returns to the date picker)
+      await this.enterState(chatId, 'awaiting_custom_date', {
         regionCode,
         displayName,
         type,
-        isHotspot
+        isHotspot,
+        species: userState?.species
       });
-      
-      const customMessage = `📆 *Enter custom date:*
-
-*Option 1: Single Date*
-Enter a date to see all sightings for that day:
-_(from 00:00 to 23:59 of that date)_
-Format: \`DD/MM/YYYY\` or \`YYYY-MM-DD\`
-
-*Option 2: Multiple Days*
-Enter start and end dates separated by " to ":
-Format: \`DD/MM/YYYY to DD/MM/YYYY\`
-_(from 00:00 of start date to 23:59 of end date)_
-
-*Examples:*
-• \`01/02/2026\` - All sightings on 1 Feb 2026
-• \`01/02/2026 to 07/02/2026\` - Sightings from 1-7 Feb 2026
-
-⚠️ Note: eBird API limits data to the last 30 days.`;
-
-      // Store for error recovery
-      this.lastPrompts.set(chatId, { 
-        message: customMessage, 
-        action: 'awaiting_custom_date',
-        regionCode,
-        displayName,
-        type,
-        isHotspot
-      });
-      
-      await this.sendMessage(chatId, customMessage);
       return;
     }
 
+    // Clear the state
+    this.clearState(chatId);
+
     // Get the date preset
     const dateFilter = getDatePreset(preset, regionCode);
     
@@ -348,6 +485,26 @@ _(from 00:00 of start date to 23:59 of end date)_
     }
   },
 
+  async promptCustomDate(chatId) {
+    await this.sendPrompt(chatId, `📆 *Enter custom date:*
+
+*Option 1: Single Date*
+Enter a date to see all sightings for that day:
+_(from 00:00 to 23:59 of that date)_
+Format: \`DD/MM/YYYY\` or \`YYYY-MM-DD\`
+
+*Option 2: Multiple Days*
+Enter start and end dates separated by " to ":
+Format: \`DD/MM/YYYY to DD/MM/YYYY\`
+_(from 00:00 of start date to 23:59 of end date)_
+
+*Examples:*
+• \`01/02/2026\` - All sightings on 1 Feb 2026
+• \`01/02/2026 to 07/02/2026\` - Sightings from 1-7 Feb 2026
+
+💡 Older dates work too, up to ${this.ebirdService.MAX_HISTORIC_DAYS} days at a time — e.g. the same weekend last year.`);
+  },
+
   /**
    * Handle custom date input from user
    */
@@ -390,19 +547,29 @@ _(from 00:00 of start date to 23:59 of end date)_
       label = formatDateDDMMYYYY(startDate);
     }
     
-    // Check if dates are within eBird's 30-day limit
+    // Dates older than the recent window are fetched day by day from the historic endpoint
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const thirtyDaysAgo = new Date(today);
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    if (startDate < thirtyDaysAgo) {
-      await this.sendMessage(chatId, 
-        `⚠️ eBird API only provides data for the last 30 days.\n\n📅 Available range: ${formatDateDDMMYYYY(thirtyDaysAgo)} to ${formatDateDDMMYYYY(today)}\n\nPlease enter a date within this range.`
-      );
-      return;
+    const windowStart = new Date(today);
+    windowStart.setDate(windowStart.getDate() - this.ebirdService.RECENT_WINDOW_DAYS);
+    const historic = startDate < windowStart;
+
+    if (historic) {
+      const maxDays = this.ebirdService.MAX_HISTORIC_DAYS;
+      if (type === 'notable') {
+        await this.sendMessage(chatId,
+          `⚠️ eBird only flags notable sightings for the last ${this.ebirdService.RECENT_WINDOW_DAYS} days.\n\n📅 Please enter a date after ${formatDateDDMMYYYY(windowStart)}, or use /sightings for older dates.`
+        );
+        return;
+      }
+      if (daysBetween(startDate, endDate) > maxDays) {
+        await this.sendMessage(chatId,
+          `⚠️ Dates older than ${this.ebirdService.RECENT_WINDOW_DAYS} days are limited to ${maxDays} days per search.\n\nPlease enter a shorter range.`
+        );
+        return;
+      }
     }
-    
+
     // Set to full day range (00:00 - 23:59)
     startDate = getStartOfDay(startDate);
     endDate = getEndOfDay(endDate);
@@ -414,11 +581,12 @@ _(from 00:00 of start date to 23:59 of end date)_
       startDate,
       endDate,
       backDays: Math.min(backDays, 30),
-      label
+      label,
+      historic
     };
     
     // Clear the state
-    this.userStates.delete(chatId);
+    this.clearState(chatId);
     
     // Fetch and send based on type
     if (type === 'sightings') {
@@ -0,0 +1,186 @@
+/**
+ * Channel Handlers — /channel, for bot admins to manage channel digests.
+ *
+ *   /channel                                  list configured channels
+ *   /channel set @club 07:00 Singapore, Johor  post daily at 07:00 local time
+ *   /channel format @club compact              'summary' or 'compact'
+ *   /channel post @club                        post today's digest now (no effect on the schedule)
+ *   /channel remove @club                      stop publishing
+ *
+ * Bot admins are the Telegram user IDs in BOT_ADMIN_IDS (comma-separated).
+ * The bot must be an admin of the channel to post there.
+ */
+const { toRegionCode } = require('../../utils/regionCodes');
+const { getRegionDate } = require('../../utils/dateUtils');
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+const channelStore = require('../../services/channelStore');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+const USAGE = `📣 *Channel digests*
+
+\`/channel set @channel 07:00 Singapore, Johor\` - post daily at 07:00 local time
+\`/channel format @channel summary|compact\` - digest layout
+\`/channel post @channel\` - post today's digest now
+\`/channel remove @channel\` - stop publishing
+\`/channel\` - list channels
+
+_Add me to the channel as an admin first._`;
+
+/**
+ * One line per channel for the list.
+ */
+function describeChannel(channel) {
+  const regions = channel.regions.map(r => esc(r.regionName)).join(', ');
+  return `📣 *${esc(channel.title)}* — ${regions} at ${channel.postTime} (${channel.format})`;
+}
+
+module.exports = {
+  /**
+   * Whether a Telegram user may manage channel digests.
+   */
+  isBotAdmin(userId) {
+    const admins = (process.env.BOT_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return admins.includes(String(userId));
+  },
+
+  async handleChannel(msg, match) {
+    const chatId = msg.chat.id;
+    if (!this.isBotAdmin(msg.from?.id)) {
+      await this.sendMessage(chatId, '🔒 /channel is only for the bot\'s admins.');
+      return;
+    }
+
+    const [subcommand = '', channelRef, ...rest] = (match[1] || '').trim().split(/\s+/);
+    switch (subcommand.toLowerCase()) {
+      case '':
+      case 'list':
+        await this.listChannels(chatId);
+        break;
+      case 'set':
+        await this.setChannel(chatId, msg.from.id, channelRef, rest);
+        break;
+      case 'format':
+        await this.setChannelFormat(chatId, channelRef, rest[0]);
+        break;
+      case 'post':
+        await this.postChannelNow(chatId, channelRef);
+        break;
+      case 'remove':
+        await this.removeChannel(chatId, channelRef);
+        break;
+      default:
+        await this.sendMessage(chatId, USAGE);
+    }
+  },
+
+  async listChannels(chatId) {
+    const channels = channelStore.all();
+    if (channels.length === 0) {
+      await this.sendMessage(chatId, `No channels yet.\n\n${USAGE}`);
+      return;
+    }
+    await this.sendMessage(chatId, channels.map(describeChannel).join('\n'));
+  },
+
+  /**
+   * /channel set @channel HH:MM region[, region...]
+   */
+  async setChannel(chatId, adminId, channelRef, args) {
+    const time = args[0]?.match(TIME_PATTERN);
+    const regionNames = args.slice(1).join(' ').split(',').map(r => r.trim()).filter(Boolean);
+    if (!channelRef || !time || regionNames.length === 0) {
+      await this.sendMessage(chatId, USAGE);
+      return;
+    }
+
+    const chat = await this._resolveChannel(chatId, channelRef);
+    if (!chat) return;
+
+    const channel = channelStore.save(String(chat.id), {
+      title: chat.title || channelRef,
+      username: chat.username || null,
+      regions: regionNames.map(name => ({ regionCode: toRegionCode(name), regionName: name })),
+      postTime: `${time[1].padStart(2, '0')}:${time[2]}`,
+      updatedBy: adminId
+    });
+    logger.info('Channel digest configured', { channelId: channel.channelId, regions: channel.regions.length, postTime: channel.postTime });
+    await this.sendMessage(chatId, `✅ ${describeChannel(channel)}\n\n_Each region posts at ${channel.postTime} in its own timezone._`);
+  },
+
+  async setChannelFormat(chatId, channelRef, format) {
+    const channel = this._findChannel(channelRef);
+    if (!channel || !channelStore.FORMATS.includes(format)) {
+      await this.sendMessage(chatId, channel ? `❌ Format must be one of: ${channelStore.FORMATS.join(', ')}` : '❌ No such channel. Send /channel to list them.');
+      return;
+    }
+    await this.sendMessage(chatId, `✅ ${describeChannel(channelStore.save(channel.channelId, { format }))}`);
+  },
+
+  /**
+   * Post today's digests straight away (a preview). The schedule and the
+   * new-species memory are left alone.
+   */
+  async postChannelNow(chatId, channelRef) {
+    const channel = this._findChannel(channelRef);
+    if (!channel) {
+      await this.sendMessage(chatId, '❌ No such channel. Send /channel to list them.');
+      return;
+    }
+
+    for (const region of channel.regions) {
+      const digest = await this.collectDigest(region.regionCode, channel.speciesSeen?.[region.regionCode]);
+      const text = this.formatDigest(digest, {
+        title: `🗞️ *Daily Digest — ${esc(region.regionName)}*`,
+        date: getRegionDate(region.regionCode).iso,
+        regionCode: region.regionCode,
+        format: channel.format
+      });
+      await this.sendMessage(channel.channelId, text, { disable_web_page_preview: true });
+    }
+    await this.sendMessage(chatId, `✅ Posted to *${esc(channel.title)}*.`);
+  },
+
+  async removeChannel(chatId, channelRef) {
+    const channel = this._findChannel(channelRef);
+    if (!channel) {
+      await this.sendMessage(chatId, '❌ No such channel. Send /channel to list them.');
+      return;
+    }
+    channelStore.remove(channel.channelId);
+    logger.info('Channel digest removed', { channelId: channel.channelId });
+    await this.sendMessage(chatId, `🗑️ Stopped publishing to *${esc(channel.title)}*.`);
+  },
+
+  /**
+   * A configured channel by ID or @username.
+   */
+  _findChannel(channelRef) {
+    if (!channelRef) return null;
+    const ref = channelRef.replace(/^@/, '').toLowerCase();
+    return channelStore.get(channelRef) ||
+      channelStore.all().find(channel => channel.username?.toLowerCase() === ref) || null;
+  },
+
+  /**
+   * Look a channel up on Telegram and check the bot may post there.
+   * Explains the problem to the admin and returns null otherwise.
+   */
+  async _resolveChannel(chatId, channelRef) {
+    try {
+      const chat = await this.bot.getChat(channelRef);
+      const member = await this.bot.getChatMember(chat.id, this.botId);
+      if (!ADMIN_STATUSES.includes(member.status)) {
+        await this.sendMessage(chatId, `❌ Make me an admin of ${esc(channelRef)} first, so I can post there.`);
+        return null;
+      }
+      return chat;
+    } catch (error) {
+      logger.warn('Could not resolve channel', { channelRef, error: error.message });
+      await this.sendMessage(chatId, `❌ I can't find ${esc(channelRef)}. Use its @username or ID, and add me as an admin.`);
+      return null;
+    }
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * Checklist Handlers — /checklist and the 🧾 buttons on paginated results.
+ * Shows a full eBird checklist: species with counts plus effort details.
+ */
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+
+const CHECKLIST_PAGE_SIZE = 20; // species lines are short, so more fit on a page
+const MAX_COMMENT_LENGTH = 500;
+const SUB_ID_PATTERN = /^S\d+$/i;
+
+// eBird protocol IDs → display names
+const PROTOCOLS = {
+  P20: 'Incidental',
+  P21: 'Stationary',
+  P22: 'Traveling',
+  P23: 'Area',
+  P62: 'Historical'
+};
+
+/**
+ * Format a checklist duration given in hours, e.g. 1.5 → "1 h 30 min".
+ */
+function formatDuration(hours) {
+  const totalMinutes = Math.round(hours * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  if (h === 0) return `${m} min`;
+  return m === 0 ? `${h} h` : `${h} h ${m} min`;
+}
+
+module.exports = {
+  async handleChecklist(msg, match) {
+    const chatId = msg.chat.id;
+    const subId = match[1]?.trim();
+
+    if (!subId) {
+      await this.sendMessage(chatId,
+        `🧾 *View an eBird checklist*\n\nSend the checklist ID, e.g.:\n\`/checklist S123456789\`\n\n💡 Or tap a 🧾 button under any search result.`
+      );
+      return;
+    }
+
+    if (!SUB_ID_PATTERN.test(subId)) {
+      await this.sendMessage(chatId, `❌ "${esc(subId)}" is not a checklist ID. They look like \`S123456789\`.`);
+      return;
+    }
+
+    await this.showChecklist(chatId, subId.toUpperCase());
+  },
+
+  /**
+   * Fetch a checklist, resolve species names and show the given page (default 1st).
+   */
+  async showChecklist(chatId, subId, page = 0) {
+    const _checklistStatus = await this.sendMessage(chatId, `🧾 Loading checklist *${subId}*...`);
+
+    try {
+      const [checklist, taxonomy] = await Promise.all([
+        this.ebirdService.getChecklist(subId),
+        this.ebirdService.getTaxonomy()
+      ]);
+      await this.deleteMsg(chatId, _checklistStatus?.message_id);
+
+      const names = new Map(taxonomy.map(t => [t.speciesCode, t.comName]));
+      const species = (checklist.obs || []).map(o => ({
+        speciesCode: o.speciesCode,
+        comName: names.get(o.speciesCode) || o.speciesCode,
+        count: o.howManyStr || 'X'
+      }));
+
+      if (species.length === 0) {
+        await this.sendMessage(chatId, `❌ Checklist *${subId}* has no species.`);
+        return;
+      }
+
+      this.observationsCache.set(`checklist_${chatId}`, {
+        observations: species,
+        displayName: subId,
+        type: 'checklist',
+        pageSize: CHECKLIST_PAGE_SIZE,
+        checklist
+      });
+
+      await this.sendChecklistPage(chatId, page);
+    } catch (error) {
+      logger.error('Checklist error', { error: error.message, subId });
+      await this.deleteMsg(chatId, _checklistStatus?.message_id);
+      const notFound = error.response?.status === 400 || error.response?.status === 404;
+      await this.sendMessage(chatId, notFound
+        ? `❌ Checklist *${subId}* was not found. It may be private or deleted.`
+        : '❌ Could not load that checklist. Please try again later.'
+      );
+    }
+  },
+
+  /**
+   * Render one page of the cached checklist with the standard navigation.
+   */
+  async sendChecklistPage(chatId, page = 0, messageId = null) {
+    const cached = this.observationsCache.get(`checklist_${chatId}`);
+    if (!cached) {
+      await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+      return;
+    }
+
+    const { observations: species, checklist, displayName: subId } = cached;
+    const totalPages = Math.ceil(species.length / CHECKLIST_PAGE_SIZE);
+    page = Math.min(page, totalPages - 1);
+    const startIdx = page * CHECKLIST_PAGE_SIZE;
+    const pageSpecies = species.slice(startIdx, startIdx + CHECKLIST_PAGE_SIZE);
+    const dateFormat = this.getProfile(chatId).dateFormat;
+
+    let message = `*🧾 Checklist ${subId}*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `📅 ${this.ebirdService.formatDate(checklist.obsDt, checklist.subnational1Code, dateFormat)}\n`;
+    if (checklist.userDisplayName) message += `👤 ${esc(checklist.userDisplayName)}\n`;
+
+    const protocol = PROTOCOLS[checklist.protocolId] || 'Other';
+    const distance = checklist.effortDistanceKm ? ` · ${checklist.effortDistanceKm} km` : '';
+    message += `📋 ${protocol}${distance}\n`;
+    if (checklist.durationHrs) message += `⏱️ ${formatDuration(checklist.durationHrs)}\n`;
+    if (checklist.numObservers) message += `👥 ${checklist.numObservers} observer${checklist.numObservers === 1 ? '' : 's'}\n`;
+    message += `🐦 ${species.length} species\n`;
+
+    // Comments only on the first page to keep later pages compact
+    if (page === 0 && checklist.comments) {
+      const comments = checklist.comments.length > MAX_COMMENT_LENGTH
+        ? `${checklist.comments.slice(0, MAX_COMMENT_LENGTH)}…`
+        : checklist.comments;
+      message += `💬 _${esc(comments)}_\n`;
+    }
+
+    message += `\n`;
+    pageSpecies.forEach((s, index) => {
+      message += `${startIdx + index + 1}. ${esc(s.comName)} — ${s.count}\n`;
+    });
+
+    const buttons = this._buildPageNavigation('checklist', page, totalPages, this._queryToken(chatId, 'checklist'));
+    buttons.push([{ text: '🔗 Open in eBird', url: `https://ebird.org/checklist/${subId}` }]);
+    buttons.push([
+      { text: '🔍 New Search', callback_data: 'new_search' },
+      { text: '✅ Done', callback_data: 'done' }
+    ]);
+
+    const replyMarkup = { inline_keyboard: buttons };
+
+    // Edit in place when paging, like sendPaginatedObservations
+    if (messageId) {
+      try {
+        await this.editMessage(chatId, messageId, message, {
+          reply_markup: replyMarkup,
+          disable_web_page_preview: true
+        });
+        return;
+      } catch (error) {
+        logger.error('Error editing message', { error: error.message });
+      }
+    }
+
+    await this.sendMessage(chatId, message, {
+      reply_markup: replyMarkup,
+      disable_web_page_preview: true
+    });
+  }
+};
@@ -28,6 +28,13 @@ I can help you discover bird sightings using data from eBird, the world's larges
 ⭐ /notable - Rare and unusual sightings
 📍 /nearby - Birds near your GPS location
 🗺️ /hotspots - Popular birding spots
+🔔 /watch - Alerts for a species in a region
+🚨 /rarealerts - Alerts for new rarities in a region
+📒 /lifelist - Import your eBird life list to spot lifers
+🎯 /targets - Species in a region you still need
+🧾 /checklist - View a full eBird checklist
+📅 /onthisday - Today vs the same date in past years
+⚙️ /settings - Home region and preferences
 
 Type /help for more details. Happy birding! 🐦
     `;
@@ -72,6 +79,40 @@ Examples:
 📍 /nearby - Birds near your GPS
 🗺️ /hotspots - Find location names
 📋 /regions - Region code help
+✖️ /cancel - Stop the current question (or tap ⬅️ Back to change your last answer)
+
+*🔔 Alerts:*
+• \`/watch Oriental Pied Hornbill, Singapore\`
+• \`/rarealerts Singapore\` - New rarities in a region
+• /watchlist - See your alerts
+• /unwatch - Stop an alert
+
+*🗞️ Digests:*
+• \`/digest daily 07:00 Singapore\` - New species, rarities and top hotspots every morning
+• \`/digest weekly sun Malaysia\` - The same for the past week, on Sundays
+• /digests - See and cancel your digests
+
+*📒 Life List:*
+/lifelist - Import MyEBirdData.csv; unseen species show as 🆕 Lifer
+/targets [region] - Recent species you still need, most reported first
+
+*🧾 Checklists:*
+\`/checklist S123456789\` - Species, counts and effort for a checklist
+Or tap a 🧾 number under any result
+
+*📅 On This Day:*
+\`/onthisday Singapore\` - Species seen on today's date in the last 5 years vs today
+
+*⚙️ Preferences:*
+/settings - Home region, default dates, page size, nearby radius, date format, quiet hours and alerts per hour
+/setkey - Use your own eBird API key (send it in a private chat)
+/removekey - Go back to the shared key
+
+*💬 In Any Chat:*
+Type my @username then a bird and a place, e.g. \`kingfisher singapore\` or \`notable US-NY\`, and tap a sighting to send it
+
+*👥 In Groups:*
+Reply to my questions so I see your answer. Group /settings are shared and only admins can change them.
     `;
 
     await this.sendMessage(chatId, helpMessage);
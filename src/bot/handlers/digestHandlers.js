@@ -0,0 +1,342 @@
+/**
+ * Digest Handlers — builds regional digests (new species, rarities and top
+ * hotspots) and delivers them: daily to channels (/channel) and daily or
+ * weekly to users who subscribe with /digest.
+ *
+ *   /digest daily 07:00 Singapore     every day at 07:00 Singapore time
+ *   /digest weekly sun Malaysia       Sundays at the default time
+ *   /digests                          list and cancel digests
+ *
+ * When a digest is due is decided by services/digestScheduler.
+ */
+const { toRegionCode } = require('../../utils/regionCodes');
+const { esc } = require('../../utils/markdown');
+const { getTimezoneAbbr } = require('../../utils/dateUtils');
+const { groupBySpecies, formatLocations } = require('../../utils/speciesSummary');
+const logger = require('../../utils/logger');
+const channelStore = require('../../services/channelStore');
+const digestStore = require('../../services/digestStore');
+const callbackCodec = require('../callbackCodec');
+
+const DIGEST_DAYS = 1;              // "the last 24 hours", in eBird's whole days
+const WEEKLY_DIGEST_DAYS = 7;
+const MAX_REPORTED_RESULTS = 1000;
+const MAX_NOTABLE_RESULTS = 200;
+const MAX_MESSAGE_LENGTH = 3800;
+const MAX_DIGESTS_PER_CHAT = 5;
+const TOP_HOTSPOTS = 3;
+const HOTSPOT_CANDIDATES = 10;      // best-known hotspots checked for the period's activity
+const DEFAULT_POST_TIME = '07:00';
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const USAGE = `🗞️ *Scheduled digests*
+
+New species, rarities and the top hotspots for a region, sent at your chosen local time:
+• \`/digest daily 07:00 Singapore\`
+• \`/digest weekly sun Malaysia\`
+
+The time is optional (default ${DEFAULT_POST_TIME}) and is in the region's own timezone.
+See and cancel your digests with /digests.`;
+
+/**
+ * Parse "daily [HH:MM] region" or "weekly <day> [HH:MM] region".
+ * @returns {{frequency: string, weekday: number|null, postTime: string, regionName: string}|null}
+ */
+function parseDigestRequest(input) {
+  const words = input.trim().split(/\s+/);
+  const frequency = (words.shift() || '').toLowerCase();
+  if (frequency !== 'daily' && frequency !== 'weekly') return null;
+
+  let weekday = null;
+  if (frequency === 'weekly') {
+    weekday = WEEKDAYS.indexOf((words.shift() || '').toLowerCase().slice(0, 3));
+    if (weekday === -1) return null;
+  }
+
+  let postTime = DEFAULT_POST_TIME;
+  const time = words[0]?.match(TIME_PATTERN);
+  if (time) {
+    postTime = `${time[1].padStart(2, '0')}:${time[2]}`;
+    words.shift();
+  }
+
+  const regionName = words.join(' ').replace(/^,\s*/, '').trim();
+  return regionName ? { frequency, weekday, postTime, regionName } : null;
+}
+
+/**
+ * Human-readable schedule, e.g. "*Singapore* daily at 07:00".
+ */
+function describeDigest(digest) {
+  const when = digest.frequency === 'weekly' ? `every ${WEEKDAY_NAMES[digest.weekday]}` : 'daily';
+  return `*${esc(digest.regionName)}* ${when} at ${digest.postTime}`;
+}
+
+module.exports = {
+  /**
+   * Fetch what a region reported over the last day (or days).
+   * @param {string} regionCode
+   * @param {Object|null} speciesSeen - { speciesCode: lastDate } remembered from earlier
+   *   digests; without it new species can't be told apart yet
+   * @param {number} [days=1] - How far back to look
+   * @param {Object} [options]
+   * @param {boolean} [options.hotspots=false] - Also rank the top hotspots (see collectHotspots)
+   * @returns {Promise<{reported: Array, notable: Array, newSpecies: Array|null, speciesCodes: string[], hotspots: Array|null}>}
+   */
+  async collectDigest(regionCode, speciesSeen = null, days = DIGEST_DAYS, { hotspots = false } = {}) {
+    const reported = await this.ebirdService.getRecentObservations(regionCode, days, MAX_REPORTED_RESULTS) || [];
+    const notable = await this.ebirdService.getNotableObservations(regionCode, days, MAX_NOTABLE_RESULTS) || [];
+
+    const hasHistory = speciesSeen && Object.keys(speciesSeen).length > 0;
+    return {
+      reported,
+      notable: this.ebirdService.deduplicateObservations(notable),
+      newSpecies: hasHistory ? reported.filter(obs => !speciesSeen[obs.speciesCode]) : null,
+      speciesCodes: [...new Set(reported.map(obs => obs.speciesCode).filter(Boolean))],
+      hotspots: hotspots ? await this.collectHotspots(regionCode, days) : null
+    };
+  },
+
+  /**
+   * The region's busiest hotspots over the period.  The region feed only
+   * has each species' latest report, so it can't measure a hotspot's
+   * activity; instead its best-known hotspots are each asked what was
+   * reported there, and ranked by species.
+   * @returns {Promise<Array<{locName: string, speciesCount: number}>|null>} null when eBird can't be reached
+   */
+  async collectHotspots(regionCode, days = DIGEST_DAYS) {
+    let candidates;
+    try {
+      candidates = await this.ebirdService.getPopularHotspots(regionCode, HOTSPOT_CANDIDATES);
+    } catch (error) {
+      logger.warn('Digest hotspots unavailable', { regionCode, error: error.message });
+      return null;
+    }
+
+    const ranked = [];
+    // One hotspot at a time to stay gentle on eBird's rate limits
+    for (const hotspot of candidates) {
+      try {
+        const observations = await this.ebirdService.getHotspotObservations(hotspot.locId, days, MAX_REPORTED_RESULTS) || [];
+        const species = new Set(observations.map(obs => obs.speciesCode || obs.comName));
+        if (species.size > 0) ranked.push({ locName: hotspot.locName, speciesCount: species.size });
+      } catch (error) {
+        logger.warn('Digest hotspot skipped', { locId: hotspot.locId, error: error.message });
+      }
+    }
+    return ranked.sort((a, b) => b.speciesCount - a.speciesCount).slice(0, TOP_HOTSPOTS);
+  },
+
+  /**
+   * Digest message text.
+   * @param {Object} digest - from collectDigest()
+   * @param {Object} options
+   * @param {string} options.title - Markdown title line
+   * @param {string} options.date - Local date, YYYY-MM-DD
+   * @param {string} options.regionCode - For the timezone label and date format
+   * @param {string} [options.format='summary'] - 'summary' (locations and times) or 'compact' (one line per species)
+   * @param {number} [options.days=1] - Period the digest covers, for the heading
+   * @param {boolean} [options.hotspots=false] - Add the top hotspots section
+   */
+  formatDigest(digest, { title, date, regionCode, format = 'summary', days = DIGEST_DAYS, hotspots = false }) {
+    const tzAbbr = getTimezoneAbbr(regionCode);
+    const speciesCount = new Set(digest.reported.map(obs => obs.speciesCode || obs.comName)).size;
+    const period = days === 1 ? '24 hours' : `${days} days`;
+
+    let msg = `${title}\n`;
+    msg += `📅 ${this.ebirdService.formatDate(date, regionCode)}\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += `🐦 *${speciesCount}* species reported in the last ${period}\n\n`;
+
+    msg += `🆕 *New species*`;
+    if (digest.newSpecies === null) {
+      msg += `\n_Flagged from the next digest, once the regulars are known._\n\n`;
+    } else {
+      msg += this._digestSection(groupBySpecies(digest.newSpecies), format, tzAbbr);
+    }
+
+    msg += `⭐ *Rarities*`;
+    msg += this._digestSection(groupBySpecies(digest.notable), format, tzAbbr);
+
+    if (hotspots) {
+      msg += `📍 *Top hotspots*\n`;
+      if (!digest.hotspots) {
+        msg += `_Couldn't reach eBird for hotspot activity._\n`;
+      } else if (digest.hotspots.length === 0) {
+        msg += `_None._\n`;
+      } else {
+        digest.hotspots.forEach((spot, idx) => {
+          msg += `${idx + 1}. ${esc(spot.locName)} — ${spot.speciesCount} species\n`;
+        });
+      }
+      msg += `\n`;
+    }
+
+    if (msg.length > MAX_MESSAGE_LENGTH) {
+      msg = `${msg.slice(0, MAX_MESSAGE_LENGTH).replace(/\n[^\n]*$/, '')}\n\n_...digest shortened_\n`;
+    }
+
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += `🤖 _Bird Sighting Bot · data from eBird_`;
+    return msg;
+  },
+
+  /**
+   * One numbered digest section (count in the heading), or "None".
+   */
+  _digestSection(speciesMap, format, tzAbbr) {
+    if (speciesMap.size === 0) return `\n_None._\n\n`;
+
+    let text = ` (${speciesMap.size})\n`;
+    let idx = 1;
+    for (const [, sp] of speciesMap) {
+      if (format === 'compact') {
+        text += `${idx}. *${esc(sp.comName)}* (x${sp.count}) — ${[...sp.locations.keys()].map(esc).join(', ')}\n`;
+      } else {
+        text += `${idx}. *${esc(sp.comName)}* (x${sp.count})\n`;
+        text += formatLocations(sp, tzAbbr);
+      }
+      idx++;
+    }
+    return `${text}\n`;
+  },
+
+  /**
+   * Build and post one region's digest to a channel, then remember its species.
+   * Throws when Telegram doesn't accept the post, so the scheduler retries.
+   */
+  async publishChannelDigest(channel, region, date) {
+    const { regionCode, regionName } = region;
+    const digest = await this.collectDigest(regionCode, channel.speciesSeen?.[regionCode]);
+    const text = this.formatDigest(digest, {
+      title: `🗞️ *Daily Digest — ${esc(regionName)}*`,
+      date,
+      regionCode,
+      format: channel.format
+    });
+
+    const sent = await this.sendMessage(channel.channelId, text, { disable_web_page_preview: true });
+    if (!sent) throw new Error('Telegram did not accept the digest');
+
+    channelStore.recordSpecies(channel.channelId, regionCode, digest.speciesCodes, date);
+  },
+
+  async handleDigest(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    if (!userInput) {
+      await this.sendMessage(chatId, USAGE);
+      return;
+    }
+
+    await this.addDigest(chatId, userInput);
+  },
+
+  /**
+   * Subscribe a chat to a daily or weekly digest from "/digest" input.
+   */
+  async addDigest(chatId, input) {
+    const request = parseDigestRequest(input);
+    if (!request) {
+      await this.sendMessage(chatId, `❌ I didn't understand that schedule.\n\n${USAGE}`);
+      return;
+    }
+
+    if (digestStore.listForChat(chatId).length >= MAX_DIGESTS_PER_CHAT) {
+      await this.sendMessage(chatId,
+        `⚠️ You can have up to ${MAX_DIGESTS_PER_CHAT} digests. Use /digests to cancel one first.`
+      );
+      return;
+    }
+
+    const digest = digestStore.add({ chatId, ...request, regionCode: toRegionCode(request.regionName) });
+    logger.info('Personal digest added', { id: digest.id, chatId, frequency: digest.frequency, regionCode: digest.regionCode });
+
+    await this.sendMessage(chatId,
+      `✅ *Digest scheduled:* ${describeDigest(digest)} (${getTimezoneAbbr(digest.regionCode)})\n\n` +
+      `You'll get new species, rarities and the top hotspots for ${esc(digest.regionName)}.`,
+      { reply_markup: { inline_keyboard: [[{ text: '📋 My Digests', callback_data: 'cmd_digests' }]] } }
+    );
+  },
+
+  async handleDigests(msg) {
+    const chatId = msg.chat.id;
+    const digests = digestStore.listForChat(chatId);
+
+    if (digests.length === 0) {
+      await this.sendMessage(chatId, `🗞️ *You have no digests.*\n\n${USAGE}`);
+      return;
+    }
+
+    let message = `🗞️ *Your Digests*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    digests.forEach((digest, index) => {
+      message += `${index + 1}. ${describeDigest(digest)} (${digest.regionCode})\n`;
+    });
+    message += `\n_Tap a button to cancel a digest._`;
+
+    const buttons = digests.map((digest, index) => [{
+      text: `❌ ${index + 1}. ${digest.regionName} (${digest.frequency})`.substring(0, 60),
+      callback_data: callbackCodec.encode('undigest', { id: digest.id })
+    }]);
+
+    await this.sendMessage(chatId, message, {
+      reply_markup: { inline_keyboard: buttons }
+    });
+  },
+
+  /**
+   * Cancel a digest (only if it belongs to this chat).
+   */
+  async removeDigest(chatId, id) {
+    const digest = digestStore.get(id);
+    if (!digest || String(digest.chatId) !== String(chatId)) {
+      await this.sendMessage(chatId, '❌ That digest no longer exists.');
+      return;
+    }
+
+    digestStore.remove(id);
+    await this.sendMessage(chatId, `🔕 Cancelled the digest for ${describeDigest(digest)}.`);
+  },
+
+  /**
+   * Build and send a personal digest (called by digestScheduler), then
+   * remember its species.  Like alerts it is held during quiet hours
+   * (pushAlert).  Throws when Telegram doesn't accept it, so the scheduler
+   * retries.
+   */
+  async sendPersonalDigest(digest, date) {
+    const weekly = digest.frequency === 'weekly';
+    const days = weekly ? WEEKLY_DIGEST_DAYS : DIGEST_DAYS;
+    const title = `${weekly ? 'Weekly' : 'Daily'} Digest — ${esc(digest.regionName)}`;
+    const collected = await this.collectDigest(digest.regionCode, digest.speciesSeen, days, { hotspots: true });
+    const text = this.formatDigest(collected, {
+      title: `🗞️ *${title}*`,
+      date,
+      regionCode: digest.regionCode,
+      format: 'compact',
+      days,
+      hotspots: true
+    });
+
+    const newCount = collected.newSpecies ? ` · ${groupBySpecies(collected.newSpecies).size} new` : '';
+    const summary = `🗞️ *${title}* — ${collected.speciesCodes.length} species${newCount} · ${groupBySpecies(collected.notable).size} rarities`;
+
+    const sent = await this.pushAlert(digest.chatId, async () => Boolean(await this.sendMessage(digest.chatId, text, {
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🔕 Cancel Digest', callback_data: callbackCodec.encode('undigest', { id: digest.id }) },
+          { text: '📋 My Digests', callback_data: 'cmd_digests' }
+        ]]
+      }
+    })), { summary, regionCode: digest.regionCode });
+    if (!sent) throw new Error('Telegram did not accept the digest');
+
+    digestStore.recordSpecies(digest.id, collected.speciesCodes, date);
+  }
+};
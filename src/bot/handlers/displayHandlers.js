@@ -2,18 +2,53 @@
  * Display Handlers — pagination, summary, full list, and share formatting.
  */
 const { esc } = require('../../utils/markdown');
+const { formatLocalTime, getTimezoneAbbr } = require('../../utils/dateUtils');
+const { groupBySpecies, formatLocations } = require('../../utils/speciesSummary');
 const logger = require('../../utils/logger');
+const queryRegistry = require('../../services/queryRegistry');
+const callbackCodec = require('../callbackCodec');
+
+// Sort toolbar for nearby results (key → button label)
+const SORT_OPTIONS = [
+  ['distance', '📏 Distance'],
+  ['recent', '🕒 Recent'],
+  ['taxon', '🔤 Taxonomic']
+];
+
+const CHECKLIST_BUTTONS_PER_ROW = 5;
+
+// Cache entry fields that identify a search (enough to re-run it)
+const QUERY_FIELDS = [
+  'type', 'displayName', 'searchName', 'regionCode', 'dateFilter', 'isHotspot',
+  'locationInput', 'speciesName', 'speciesCode', 'origin', 'dist'
+];
+// A stored nearby origin is rounded to ~1 km: close enough to re-run the
+// search, without keeping where the user stood
+const ORIGIN_DECIMALS = 2;
+
+function roundCoordinate(value) {
+  return Number(value.toFixed(ORIGIN_DECIMALS));
+}
 
 module.exports = {
   async sendPaginatedObservations(chatId, observations, displayName, type, page = 0, messageId = null, regionCode = null) {
+    // Checklists share the page_/jump_ callbacks but render species rows, not sightings
+    if (type === 'checklist') {
+      await this.sendChecklistPage(chatId, page, messageId);
+      return;
+    }
+
     if (!observations || observations.length === 0) {
       await this.sendMessage(chatId, '❌ No observations found for this location.');
       return;
     }
 
-    const totalPages = Math.ceil(observations.length / this.ITEMS_PER_PAGE);
-    const startIdx = page * this.ITEMS_PER_PAGE;
-    const endIdx = Math.min(startIdx + this.ITEMS_PER_PAGE, observations.length);
+    // Page size is a per-chat preference; clamp in case it changed mid-browse
+    const pageSize = this.getPageSize(chatId);
+    const totalPages = Math.ceil(observations.length / pageSize);
+    page = Math.min(page, totalPages - 1);
+    const startIdx = page * pageSize;
+    const endIdx = Math.min(startIdx + pageSize, observations.length);
     const pageObservations = observations.slice(startIdx, endIdx);
 
     let title;
@@ -21,6 +56,8 @@ module.exports = {
       title = `⭐ Notable Sightings in ${esc(displayName)}`;
     } else if (type === 'nearby') {
       title = `🐦 Birds Near ${esc(displayName)}`;
+    } else if (type === 'nearbyrare') {
+      title = `⭐ Rarities Near ${esc(displayName)}`;
     } else if (type === 'species') {
       title = `🔎 ${esc(displayName)} Sightings`;
     } else {
@@ -32,43 +69,57 @@ module.exports = {
     message += `📊 Showing ${startIdx + 1}-${endIdx} of ${observations.length}\n`;
     message += `📄 Page ${page + 1} of ${totalPages}\n\n`;
 
+    // Nearby results remember the user's location and chosen sort order
+    const cached = this.observationsCache.get(`${type}_${chatId}`);
+    const origin = cached?.origin || null;
+    const formatOptions = this._formatOptions(chatId, origin);
+
+    if (cached?.staleAt) {
+      const time = `${formatLocalTime(new Date(cached.staleAt), regionCode)} ${getTimezoneAbbr(regionCode)}`;
+      message += `⚠️ _Stale data from ${time} — eBird is not responding right now_
+
+`;
+    }
+
     pageObservations.forEach((obs, index) => {
-      message += `${startIdx + index + 1}. ${this.ebirdService.formatObservation(obs, regionCode)}\n`;
+      message += `${startIdx + index + 1}. ${this.ebirdService.formatObservation(obs, regionCode, formatOptions)}\n`;
     });
 
     // Create pagination buttons
     const buttons = [];
-    
-    // First row: First, Previous, Page Info, Next, Last
-    const navRow = [];
-    
-    // First page button (only show if not on first page)
-    if (page > 0) {
-      navRow.push({ text: '⏮️ First', callback_data: `page_${type}_0` });
-      navRow.push({ text: '⬅️ Prev', callback_data: `page_${type}_${page - 1}` });
+
+    // Sort toolbar (only when distances can be computed)
+    if (origin) {
+      const activeSort = cached.sort || 'recent';
+      buttons.push(SORT_OPTIONS.map(([key, label]) => ({
+        text: key === activeSort ? `✅ ${label}` : label,
+        callback_data: callbackCodec.encode('sort', { type, sortKey: key })
+      })));
     }
     
-    navRow.push({ text: `${page + 1}/${totalPages}`, callback_data: 'page_info' });
-    
-    // Next and Last page buttons (only show if not on last page)
-    if (page < totalPages - 1) {
-      navRow.push({ text: 'Next ➡️', callback_data: `page_${type}_${page + 1}` });
-      navRow.push({ text: 'Last ⏭️', callback_data: `page_${type}_${totalPages - 1}` });
+    buttons.push(...this._buildPageNavigation(type, page, totalPages, this._queryToken(chatId, type)));
+
+    // Checklist drill-down for each sighting on this page
+    const checklistButtons = pageObservations
+      .map((obs, index) => obs.subId && { text: `🧾 ${startIdx + index + 1}`, callback_data: callbackCodec.encode('checklist', { subId: obs.subId }) })
+      .filter(Boolean);
+    for (let i = 0; i < checklistButtons.length; i += CHECKLIST_BUTTONS_PER_ROW) {
+      buttons.push(checklistButtons.slice(i, i + CHECKLIST_BUTTONS_PER_ROW));
     }
-    
-    buttons.push(navRow);
-    
-    // Second row: Jump to page (only show if more than 2 pages)
-    if (totalPages > 2) {
-      buttons.push([{ text: '🔢 Jump to Page', callback_data: `jump_${type}` }]);
+
+    // Summary (+ life list filter when a life list was imported)
+    const summaryRow = [{ text: '📊 Summary List', callback_data: callbackCodec.encode('specsummary', { type }) }];
+    if (formatOptions.lifeList) {
+      summaryRow.push({
+        text: cached?.needsOnly ? '📋 Show All' : '🆕 Needs Only',
+        callback_data: callbackCodec.encode('needs', { type })
+      });
     }
-    
-    // Third row: Summary
-    buttons.push([{ text: '📊 Summary List', callback_data: `specsummary_${type}` }]);
+    buttons.push(summaryRow);
 
-    // Fourth row: Share / New Search / Done
+    // Share / New Search / Done
     buttons.push([
-      { text: '📤 Share', callback_data: `share_${type}` },
+      { text: '📤 Share', callback_data: callbackCodec.encode('share', { type }) },
       { text: '🔍 New Search', callback_data: 'new_search' },
       { text: '✅ Done', callback_data: 'done' }
     ]);
@@ -80,10 +131,7 @@ module.exports = {
     // If messageId is provided, edit the existing message instead of sending a new one
     if (messageId) {
       try {
-        await this.bot.editMessageText(message, {
-          chat_id: chatId,
-          message_id: messageId,
-          parse_mode: 'Markdown',
+        await this.editMessage(chatId, messageId, message, {
           reply_markup: replyMarkup,
           disable_web_page_preview: true
         });
@@ -100,12 +148,79 @@ module.exports = {
     });
   },
 
+  /**
+   * Token for the query behind a chat's cached results (see queryRegistry).
+   * Registered on first render and remembered on the cache entry.
+   */
+  _queryToken(chatId, type) {
+    const cached = this.observationsCache.get(`${type}_${chatId}`);
+    if (!cached) return null;
+    if (!cached.queryToken) {
+      const query = {};
+      for (const field of QUERY_FIELDS) {
+        if (cached[field] !== undefined) query[field] = cached[field];
+      }
+      if (query.origin) {
+        query.origin = { lat: roundCoordinate(query.origin.lat), lng: roundCoordinate(query.origin.lng) };
+      }
+      cached.queryToken = queryRegistry.register(query);
+    }
+    return cached.queryToken;
+  },
+
+  /**
+   * Navigation rows shared by every paginated view:
+   * First / Prev / page info / Next / Last, plus Jump to Page for 3+ pages.
+   * With a query token the buttons still work once the cache is gone.
+   */
+  _buildPageNavigation(type, page, totalPages, token = null) {
+    const rows = [];
+    const navRow = [];
+    const pageButton = (text, target) => ({ text, callback_data: callbackCodec.encode('page', { type, page: target, token }) });
+
+    // First page button (only show if not on first page)
+    if (page > 0) {
+      navRow.push(pageButton('⏮️ First', 0));
+      navRow.push(pageButton('⬅️ Prev', page - 1));
+    }
+
+    navRow.push({ text: `${page + 1}/${totalPages}`, callback_data: 'page_info' });
+
+    // Next and Last page buttons (only show if not on last page)
+    if (page < totalPages - 1) {
+      navRow.push(pageButton('Next ➡️', page + 1));
+      navRow.push(pageButton('Last ⏭️', totalPages - 1));
+    }
+
+    rows.push(navRow);
+
+    // Jump to page (only show if more than 2 pages)
+    if (totalPages > 2) {
+      rows.push([{ text: '🔢 Jump to Page', callback_data: callbackCodec.encode('jump', { type, token }) }]);
+    }
+
+    return rows;
+  },
+
+  /**
+   * formatObservation options for a chat: distance origin, preferred date format
+   * and life list (for Lifer markers).
+   */
+  _formatOptions(chatId, origin = null) {
+    return {
+      origin,
+      dateFormat: this.getProfile(chatId).dateFormat,
+      lifeList: this.getLifeList(chatId)
+    };
+  },
+
   /**
    * Build the title string for a sighting type
    */
   _buildTitle(type, displayName) {
     if (type === 'notable') return `⭐ Notable Sightings in ${esc(displayName)}`;
     if (type === 'nearby') return `🐦 Birds Near ${esc(displayName)}`;
+    if (type === 'nearbyrare') return `⭐ Rarities Near ${esc(displayName)}`;
     if (type === 'species') return `🔎 ${esc(displayName)} Sightings`;
     return `🐦 Recent Sightings in ${esc(displayName)}`;
   },
@@ -118,40 +233,10 @@ module.exports = {
     const title = this._buildTitle(type, displayName);
     const { getTimezoneAbbr } = require('../../utils/dateUtils');
     const tzAbbr = getTimezoneAbbr(regionCode);
+    const { dateFormat } = this.getProfile(chatId);
 
     // Group observations by species → location → date → times
-    const speciesMap = new Map();
-    for (const obs of observations) {
-      const key = obs.speciesCode || obs.comName;
-      if (!speciesMap.has(key)) {
-        speciesMap.set(key, { comName: obs.comName, count: 0, locations: new Map() });
-      }
-      const entry = speciesMap.get(key);
-      entry.count += obs.howMany || 1;
-
-      const loc = obs.locName;
-      if (!entry.locations.has(loc)) {
-        entry.locations.set(loc, { count: 0, dates: new Map() });
-      }
-      const locEntry = entry.locations.get(loc);
-      locEntry.count += obs.howMany || 1;
-
-      // Parse date and time from obsDt ("2026-02-15 08:30")
-      if (obs.obsDt) {
-        const parts = obs.obsDt.split(' ');
-        const datePart = parts[0]; // yyyy-mm-dd
-        const timePart = parts[1] || null;
-        const [year, month, day] = datePart.split('-');
-        const dateKey = `${day}/${month}/${year}`;
-
-        if (!locEntry.dates.has(dateKey)) {
-          locEntry.dates.set(dateKey, new Set());
-        }
-        if (timePart) {
-          locEntry.dates.get(dateKey).add(timePart);
-        }
-      }
-    }
+    const speciesMap = groupBySpecies(observations, dateFormat);
 
     let msg = `📊 *Summary*\n`;
     msg += `━━━━━━━━━━━━━━━━━━━━\n`;
@@ -161,21 +246,7 @@ module.exports = {
     let idx = 1;
     for (const [, sp] of speciesMap) {
       msg += `${idx}. *${esc(sp.comName)}* (x${sp.count})\n`;
-
-      for (const [loc, info] of sp.locations) {
-        msg += `    📍 ${esc(loc)} (x${info.count})\n`;
-
-        // Show dates with grouped times
-        for (const [dateKey, times] of info.dates) {
-          const sortedTimes = [...times].sort();
-          if (sortedTimes.length > 0) {
-            msg += `    📅 ${dateKey} ${sortedTimes.join(', ')} ${tzAbbr}\n`;
-          } else {
-            msg += `    📅 ${dateKey} ${tzAbbr}\n`;
-          }
-        }
-      }
-
+      msg += formatLocations(sp, tzAbbr);
       msg += `\n`; // gap between entries
       idx++;
 
@@ -207,8 +278,9 @@ module.exports = {
     header += `*${title}*\n`;
     header += `📊 Total: ${observations.length} sightings\n\n`;
 
+    const formatOptions = this._formatOptions(chatId);
     const allLines = observations.map((obs, index) =>
-      `${index + 1}. ${this.ebirdService.formatObservation(obs, regionCode)}`
+      `${index + 1}. ${this.ebirdService.formatObservation(obs, regionCode, formatOptions)}`
     );
 
     const messages = [];
@@ -229,9 +301,7 @@ module.exports = {
     currentMessage += `🤖 _Bird Sighting Bot_`;
     messages.push(currentMessage);
 
-    for (const msg of messages) {
-      await this.sendMessage(chatId, msg, { disable_web_page_preview: true });
-    }
+    await this.sendMessages(chatId, messages.map(text => ({ text, options: { disable_web_page_preview: true } })));
   },
 
   /**
@@ -246,8 +316,9 @@ module.exports = {
     header += `*${title}*\n`;
     header += `📊 Total: ${observations.length} sightings\n\n`;
 
+    const formatOptions = this._formatOptions(chatId);
     const allLines = observations.map((obs, index) =>
-      `${index + 1}. ${this.ebirdService.formatObservation(obs, regionCode)}`
+      `${index + 1}. ${this.ebirdService.formatObservation(obs, regionCode, formatOptions)}`
     );
 
     const messages = [];
@@ -269,8 +340,6 @@ module.exports = {
     currentMessage += `📱 _Forward this message to share!_`;
     messages.push(currentMessage);
 
-    for (const msg of messages) {
-      await this.sendMessage(chatId, msg, { disable_web_page_preview: true });
-    }
+    await this.sendMessages(chatId, messages.map(text => ({ text, options: { disable_web_page_preview: true } })));
   }
 };
@@ -0,0 +1,182 @@
+/**
+ * Flow Handlers — the engine behind conversationFlow's state table.
+ * Entering states, prompts with ⬅️ Back / ✖️ Cancel, /cancel and timeouts.
+ */
+const { STATES, INPUT_TIMEOUT } = require('../conversationFlow');
+const chatContext = require('../chatContext');
+const logger = require('../../utils/logger');
+
+const FLOW_ROW = [
+  { text: '⬅️ Back', callback_data: 'flow_back' },
+  { text: '✖️ Cancel', callback_data: 'flow_cancel' }
+];
+
+// In a group, answer the member's own message (button presses have none)
+const replyTo = (chatId) => {
+  const ctx = chatContext.current(chatId);
+  return ctx?.isGroup && ctx.messageId
+    ? { reply_to_message_id: ctx.messageId, allow_sending_without_reply: true }
+    : {};
+};
+
+module.exports = {
+  /**
+   * Key for this chat's entry in userStates / lastPrompts — per member in groups.
+   */
+  stateKey(chatId) {
+    return chatContext.stateKey(chatId);
+  },
+
+  getState(chatId) {
+    return this.userStates.get(this.stateKey(chatId));
+  },
+
+  clearState(chatId) {
+    this.userStates.delete(this.stateKey(chatId));
+  },
+
+  /**
+   * Put a chat into a state without prompting.  When the current state
+   * lists `action` in its `next`, it is kept as `previous` for ⬅️ Back;
+   * re-entering the same state (a picker re-rendering) keeps its own.
+   * @returns {Object} The new state
+   */
+  setState(chatId, action, data = {}) {
+    const flow = STATES[action];
+    if (!flow) logger.warn('Unknown conversation state', { chatId, action });
+
+    const current = this.getState(chatId);
+    let previous = null;
+    if (current?.action === action) {
+      previous = current.previous || null;
+    } else if (current && STATES[current.action]?.next?.includes(action)) {
+      previous = current;
+    }
+
+    const state = { action, ...data, previous, expiresAt: Date.now() + (flow?.timeout || INPUT_TIMEOUT) };
+    this.userStates.set(this.stateKey(chatId), state);
+    return state;
+  },
+
+  /**
+   * Put a chat into a state and send its prompt.
+   */
+  async enterState(chatId, action, data = {}) {
+    const state = this.setState(chatId, action, data);
+    await STATES[action]?.prompt.call(this, chatId, state);
+  },
+
+  /**
+   * Send a prompt with the ⬅️ Back / ✖️ Cancel row under any buttons of its own,
+   * and remember it for resendLastPrompt().  In a group it replies to the
+   * member's command, so it's clear whose question it is.
+   */
+  async sendPrompt(chatId, text, options = {}) {
+    const { previous, expiresAt, ...state } = this.getState(chatId) || {};
+    if (state.action) this.lastPrompts.set(this.stateKey(chatId), { message: text, ...state });
+
+    return this.sendMessage(chatId, text, {
+      ...replyTo(chatId),
+      ...options,
+      reply_markup: {
+        ...options.reply_markup,
+        inline_keyboard: this.withFlowButtons(options.reply_markup?.inline_keyboard)
+      }
+    });
+  },
+
+  /**
+   * A prompt keyboard with the ⬅️ Back / ✖️ Cancel row appended.
+   */
+  withFlowButtons(keyboard = []) {
+    return [...keyboard, FLOW_ROW];
+  },
+
+  /**
+   * ⬅️ Back — return to the previous step, the state's own `back`, or the search menu.
+   */
+  async goBack(chatId, messageId = null) {
+    const state = this.getState(chatId);
+    await this.deleteMsg(chatId, messageId);
+
+    if (state?.previous) {
+      const { previous } = state;
+      const restored = { ...previous, expiresAt: Date.now() + (STATES[previous.action]?.timeout || INPUT_TIMEOUT) };
+      this.userStates.set(this.stateKey(chatId), restored);
+      await STATES[previous.action].prompt.call(this, chatId, restored);
+      return;
+    }
+
+    this.clearState(chatId);
+    const back = state && STATES[state.action]?.back;
+    if (back) {
+      await back.call(this, chatId, state);
+    } else {
+      await this.showSearchMenu(chatId);
+    }
+  },
+
+  async handleCancel(msg) {
+    await this.cancelFlow(msg.chat.id);
+  },
+
+  /**
+   * /cancel and ✖️ Cancel — drop whatever the bot is waiting for.
+   */
+  async cancelFlow(chatId, messageId = null) {
+    const state = this.getState(chatId);
+    await this.deleteMsg(chatId, messageId);
+
+    if (!state) {
+      await this.sendMessage(chatId, '👌 Nothing to cancel. Send /start to see what I can do.');
+      return;
+    }
+
+    this.clearState(chatId);
+    this.lastPrompts.delete(this.stateKey(chatId));
+    await this.sendMessage(chatId, '✖️ Cancelled. Send /start to see what I can do.');
+  },
+
+  /**
+   * States saved before timeouts existed have no expiresAt and never expire here;
+   * expireStates() gives them one.
+   */
+  isStateExpired(state) {
+    return Boolean(state.expiresAt) && Date.now() > state.expiresAt;
+  },
+
+  /**
+   * Drop an expired state and tell the chat how to start again.
+   * @param {string|number} [key] - The state's userStates key (defaults to the current sender's)
+   */
+  async expireState(chatId, state, key = this.stateKey(chatId)) {
+    this.userStates.delete(key);
+    this.lastPrompts.delete(key);
+
+    const flow = STATES[state.action];
+    const command = typeof flow?.command === 'function' ? flow.command(state) : flow?.command;
+    const restart = command ? `Send ${command} to start again.` : 'Send /start to see what I can do.';
+    await this.sendMessage(chatId, `⌛ *Timed out waiting for your reply.*\n\n${restart}`);
+  },
+
+  /**
+   * Expire every state past its timeout (called from the memory sweep).
+   * @returns {number} How many states expired
+   */
+  expireStates() {
+    const now = Date.now();
+    let expired = 0;
+    for (const [key, state] of this.userStates) {
+      if (!state.expiresAt) {
+        state.expiresAt = now + (STATES[state.action]?.timeout || INPUT_TIMEOUT);
+      } else if (this.isStateExpired(state)) {
+        expired++;
+        const chatId = chatContext.chatIdOf(key);
+        this.expireState(chatId, state, key).catch((error) => {
+          logger.error('Error sending expiry message', { chatId, error: error.message });
+        });
+      }
+    }
+    return expired;
+  }
+};
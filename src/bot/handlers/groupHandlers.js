@@ -0,0 +1,66 @@
+/**
+ * Group Handlers — group chats: @botname commands and admin-only group settings.
+ * Per-member conversation state and topic threads come from ../chatContext.js.
+ */
+const chatContext = require('../chatContext');
+const logger = require('../../utils/logger');
+
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+// "/sightings@SomeBot ..." → "SomeBot"
+const MENTION_PATTERN = /^\/\w+@(\w+)/;
+
+module.exports = {
+  /**
+   * Remember the bot's own @username (so commands meant for other bots
+   * in the same group can be told apart) and user ID.
+   */
+  async loadBotIdentity() {
+    try {
+      const me = await this.bot.getMe();
+      this.botUsername = me.username;
+      this.botId = me.id;
+    } catch (error) {
+      logger.error('Could not load bot identity', { error: error.message });
+    }
+  },
+
+  /**
+   * False for "/command@OtherBot".  Plain "/command" is always ours.
+   */
+  isAddressedToMe(msg) {
+    const mention = msg?.text?.match(MENTION_PATTERN)?.[1];
+    if (!mention || !this.botUsername) return true;
+    return mention.toLowerCase() === this.botUsername.toLowerCase();
+  },
+
+  isGroupChat(chatId) {
+    return Boolean(chatContext.current(chatId)?.isGroup);
+  },
+
+  /**
+   * Whether the member behind the current update administers the group.
+   */
+  async isGroupAdmin(chatId) {
+    const userId = chatContext.current(chatId)?.userId;
+    if (!userId) return false;
+    try {
+      const member = await this.bot.getChatMember(chatId, userId);
+      return ADMIN_STATUSES.includes(member.status);
+    } catch (error) {
+      logger.error('Error checking group admin', { chatId, userId, error: error.message });
+      return false;
+    }
+  },
+
+  /**
+   * Guard for group-wide changes.  Private chats always pass; in a group
+   * non-admins are told why nothing happened.
+   * @returns {Promise<boolean>}
+   */
+  async requireGroupAdmin(chatId) {
+    if (!this.isGroupChat(chatId) || await this.isGroupAdmin(chatId)) return true;
+    await this.sendMessage(chatId, '🔒 Only group admins can change this group\'s settings.');
+    return false;
+  }
+};
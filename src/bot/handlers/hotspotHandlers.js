@@ -3,6 +3,7 @@
  */
 const { toRegionCode } = require('../../utils/regionCodes');
 const { esc } = require('../../utils/markdown');
+const callbackCodec = require('../callbackCodec');
 
 module.exports = {
   async handleHotspots(msg, match) {
@@ -10,16 +11,7 @@ module.exports = {
     const userInput = match[1]?.trim();
 
     if (!userInput) {
-      this.userStates.set(chatId, { action: 'awaiting_region_hotspots' });
-      await this.sendMessage(chatId,
-        `🗺️ *Enter a region to find birding hotspots:*
-
-You can type the full name or region code:
-• \`Singapore\` or \`SG\`
-• \`California\` or \`US-CA\`
-
-💡 Use /hotspots to discover location names you can search with /sightings`
-      );
+      await this.enterState(chatId, 'awaiting_region_hotspots');
       return;
     }
 
@@ -55,7 +47,7 @@ You can type the full name or region code:
       // Create buttons for top 5 hotspots to view sightings
       const buttons = hotspots.slice(0, 5).map((spot) => [{
         text: `📍 ${spot.locName.substring(0, 35)}${spot.locName.length > 35 ? '...' : ''}`,
-        callback_data: `hotspot_sightings_${spot.locId}`
+        callback_data: callbackCodec.encode('hotspot', { type: 'sightings', locId: spot.locId })
       }]);
 
       await this.sendMessage(chatId, message, {
@@ -66,5 +58,17 @@ You can type the full name or region code:
         `❌ Could not fetch hotspots for *${esc(userInput)}*.`
       );
     }
+  },
+
+  async promptHotspots(chatId) {
+    await this.sendPrompt(chatId,
+      `🗺️ *Enter a region to find birding hotspots:*
+
+You can type the full name or region code:
+• \`Singapore\` or \`SG\`
+• \`California\` or \`US-CA\`
+
+💡 Use /hotspots to discover location names you can search with /sightings`
+    );
   }
 };
@@ -12,6 +12,18 @@ module.exports = {
   hotspotHandlers:   require('./hotspotHandlers'),
   speciesHandlers:   require('./speciesHandlers'),
   displayHandlers:   require('./displayHandlers'),
+  alertHandlers:     require('./alertHandlers'),
+  settingsHandlers:  require('./settingsHandlers'),
+  lifeListHandlers:  require('./lifeListHandlers'),
+  targetsHandlers:   require('./targetsHandlers'),
+  checklistHandlers: require('./checklistHandlers'),
+  onThisDayHandlers: require('./onThisDayHandlers'),
+  apiKeyHandlers: require('./apiKeyHandlers'),
+  flowHandlers:      require('./flowHandlers'),
+  groupHandlers:     require('./groupHandlers'),
+  inlineHandlers:    require('./inlineHandlers'),
+  digestHandlers:    require('./digestHandlers'),
+  channelHandlers:   require('./channelHandlers'),
   callbackHandlers:  require('./callbackHandlers'),
   messageHandler:    require('./messageHandler')
 };
@@ -0,0 +1,140 @@
+/**
+ * Inline Handlers — "@BirdSightingBot kingfisher singapore" from any chat.
+ * Answers inline queries with one sighting card per observation, so a
+ * sighting can be dropped into a conversation without opening the bot.
+ *
+ *   <species> <place>   recent sightings of a species
+ *   notable <place>     recent notable sightings
+ *
+ * Without a place, the user's home region from /settings is used.
+ */
+const { toRegionCode, locationToCode } = require('../../utils/regionCodes');
+const logger = require('../../utils/logger');
+
+const MIN_QUERY_LENGTH = 3;
+const MAX_RESULTS = 10;
+const CACHE_TIME = 300; // seconds Telegram may reuse an answer for the same query
+const HINT_CACHE_TIME = 10; // hints and errors — don't keep showing an outage
+const REGION_CODE = /^[A-Z]{2}(-[A-Z0-9]{2,3})?(-[A-Z0-9]{3})?$/i;
+
+/**
+ * "kingfisher singapore" → { species: 'kingfisher', place: 'singapore' }.
+ * The longest run of trailing words naming a known place or region code is
+ * the place; "species, place" is also accepted.
+ */
+function splitSpeciesAndPlace(text) {
+  if (text.includes(',')) {
+    const at = text.lastIndexOf(',');
+    return { species: text.slice(0, at).trim(), place: text.slice(at + 1).trim() || null };
+  }
+
+  const words = text.split(/\s+/);
+  for (let i = 1; i < words.length; i++) {
+    const place = words.slice(i).join(' ');
+    if (locationToCode[place.toLowerCase()] || REGION_CODE.test(place)) {
+      return { species: words.slice(0, i).join(' '), place };
+    }
+  }
+  return { species: text, place: null };
+}
+
+/**
+ * @returns {{type: 'species'|'notable', species?: string, place: string|null}}
+ */
+function parseInlineQuery(text) {
+  const [first, ...rest] = text.split(/\s+/);
+  if (first.toLowerCase() === 'notable') {
+    return { type: 'notable', place: rest.join(' ') || null };
+  }
+  return { type: 'species', ...splitSpeciesAndPlace(text) };
+}
+
+module.exports = {
+  async handleInlineQuery(query) {
+    const text = query.query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      await this._answerInline(query.id, [], '🐦 Type a bird and a place, e.g. kingfisher singapore');
+      return;
+    }
+
+    const search = parseInlineQuery(text);
+    const { homeRegion, homeRegionName, dateFormat } = this.getProfile(query.from.id);
+    const regionCode = search.place ? toRegionCode(search.place) : homeRegion;
+    const placeName = search.place || homeRegionName || homeRegion;
+    if (!regionCode) {
+      await this._answerInline(query.id, [], '📍 Add a place, e.g. kingfisher singapore');
+      return;
+    }
+
+    let observations;
+    try {
+      if (search.type === 'notable') {
+        observations = await this.ebirdService.getNotableObservations(regionCode, 14, 50);
+      } else {
+        const result = await this.ebirdService.getObservationsBySpeciesName(regionCode, search.species);
+        if (!result.species) {
+          await this._answerInline(query.id, [], `❌ No species matches "${search.species}"`);
+          return;
+        }
+        observations = result.observations;
+      }
+    } catch (error) {
+      logger.error('Error answering inline query', { query: text, error: error.message });
+      await this._answerInline(query.id, [], '⚠️ eBird is not responding. Try again shortly');
+      return;
+    }
+
+    observations = this.ebirdService.deduplicateObservations(observations).slice(0, MAX_RESULTS);
+    if (observations.length === 0) {
+      await this._answerInline(query.id, [], `🔍 No recent sightings in ${placeName}`);
+      return;
+    }
+
+    const results = observations.map((obs, i) => this._inlineArticle(obs, regionCode, i, dateFormat));
+    // Answers built from the home region differ per user
+    await this._answerInline(query.id, results, null, { is_personal: !search.place });
+  },
+
+  /**
+   * Answer for a sender over the rate limit — a hint, no eBird request.
+   */
+  async answerInlineRateLimited(queryId) {
+    await this._answerInline(queryId, [], '⏳ Too many searches — wait a moment');
+  },
+
+  /**
+   * One sighting card.  No Lifer markers — the card is meant for other people.
+   */
+  _inlineArticle(obs, regionCode, index, dateFormat) {
+    const count = obs.howMany ? ` · ${obs.howMany} seen` : '';
+    return {
+      type: 'article',
+      id: `${index}-${obs.subId || obs.speciesCode || 'obs'}`.slice(0, 64),
+      title: `${obs.comName} — ${obs.locName}`,
+      description: `📅 ${this.ebirdService.formatDate(obs.obsDt, regionCode, dateFormat)}${count}`,
+      input_message_content: {
+        message_text: this.ebirdService.formatObservation(obs, regionCode, { dateFormat }),
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }
+    };
+  },
+
+  /**
+   * Answer an inline query.  A hint shows as a button above the results
+   * that opens the bot.  The button goes as JSON: the library form-encodes
+   * options, and a nested object would arrive as `button[text]=…`.
+   */
+  async _answerInline(queryId, results, hint = null, options = {}) {
+    try {
+      await this.bot.answerInlineQuery(queryId, results, {
+        cache_time: hint ? HINT_CACHE_TIME : CACHE_TIME,
+        ...(hint && { button: JSON.stringify({ text: hint, start_parameter: 'inline' }) }),
+        ...options
+      });
+    } catch (error) {
+      // Queries go stale within seconds; a late answer is rejected
+      logger.error('Error answering inline query', { queryId, error: error.message });
+    }
+  }
+};
@@ -0,0 +1,175 @@
+/**
+ * Life List Handlers — /lifelist and MyEBirdData.csv import.
+ * An imported life list marks unseen species as "🆕 Lifer" in results and
+ * powers the "Needs Only" filter on any cached result set.
+ */
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+const { parseMyEBirdData, isNeeded } = require('../../utils/ebirdCsv');
+const lifeListStore = require('../../services/lifeListStore');
+
+const MAX_CSV_BYTES = 20 * 1024 * 1024; // Telegram bots can't download larger files
+const MAX_UNMATCHED_SHOWN = 5;
+
+const IMPORT_HELP = `1. Go to https://ebird.org/downloadMyData
+2. Request your data — eBird emails you a ZIP file
+3. Unzip it and send me *MyEBirdData.csv* as a file`;
+
+function isReplyToBot(msg, botId) {
+  const author = msg.reply_to_message?.from;
+  return Boolean(author) && (botId ? author.id === botId : author.is_bot);
+}
+
+module.exports = {
+  /**
+   * Species codes on the chat's life list, or null if none was imported.
+   */
+  getLifeList(chatId) {
+    return lifeListStore.speciesCodes(chatId);
+  },
+
+  async handleLifeList(msg) {
+    const chatId = msg.chat.id;
+    const record = lifeListStore.get(chatId);
+
+    if (!record) {
+      const inGroup = msg.chat.type && msg.chat.type !== 'private';
+      await this.sendMessage(chatId,
+        `📒 *Import your eBird life list*\n\n${IMPORT_HELP}${inGroup ? ' — as a reply to this message' : ''}\n\nSpecies you haven't seen will then be marked 🆕 *Lifer* in results.`,
+        { disable_web_page_preview: true }
+      );
+      return;
+    }
+
+    const count = Object.keys(record.species).length;
+    const importedOn = record.importedAt.slice(0, 10);
+    let message = `📒 *Your Life List*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `🐦 *${count}* species\n`;
+    message += `📥 Imported ${importedOn}${record.fileName ? ` from ${esc(record.fileName)}` : ''}\n\n`;
+    message += `_Send a newer MyEBirdData.csv at any time to update it._`;
+
+    await this.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [[{ text: '🗑️ Remove Life List', callback_data: 'lifelist_remove' }]]
+      }
+    });
+  },
+
+  /**
+   * Handle an uploaded document — only eBird CSV downloads are accepted.
+   * In groups, files members share with each other are left alone; only
+   * a document sent as a reply to one of the bot's messages is handled.
+   */
+  async handleDocument(msg) {
+    const chatId = msg.chat.id;
+    const document = msg.document;
+
+    if (msg.chat.type && msg.chat.type !== 'private' && !isReplyToBot(msg, this.botId)) return;
+    const fileName = (document?.file_name || '').toLowerCase();
+
+    if (fileName.endsWith('.zip')) {
+      await this.sendMessage(chatId, '📦 Please unzip the eBird download first and send me *MyEBirdData.csv* from inside it.');
+      return;
+    }
+
+    if (!fileName.endsWith('.csv')) {
+      await this.sendMessage(chatId, `📄 I can only import your eBird life list.\n\n${IMPORT_HELP}`, { disable_web_page_preview: true });
+      return;
+    }
+
+    if (document.file_size > MAX_CSV_BYTES) {
+      await this.sendMessage(chatId, '❌ That file is too large for Telegram bots to download (20 MB limit).');
+      return;
+    }
+
+    await this.importLifeList(chatId, document);
+  },
+
+  /**
+   * Download a MyEBirdData.csv, reconcile it against the taxonomy and store it.
+   */
+  async importLifeList(chatId, document) {
+    const _importStatus = await this.sendMessage(chatId, '📥 *Importing your life list...*');
+
+    try {
+      const chunks = [];
+      for await (const chunk of this.bot.getFileStream(document.file_id)) {
+        chunks.push(chunk);
+      }
+      const csvText = Buffer.concat(chunks).toString('utf-8');
+
+      const taxonomy = await this.ebirdService.getTaxonomy();
+      const result = parseMyEBirdData(csvText, taxonomy);
+      await this.deleteMsg(chatId, _importStatus?.message_id);
+
+      if (!result) {
+        await this.sendMessage(chatId, `❌ That doesn't look like an eBird data download.\n\n${IMPORT_HELP}`, { disable_web_page_preview: true });
+        return;
+      }
+
+      const count = Object.keys(result.species).length;
+      if (count === 0) {
+        await this.sendMessage(chatId, '❌ No species found in that file.');
+        return;
+      }
+
+      lifeListStore.replace(chatId, result.species, document.file_name);
+      logger.info('Life list imported', { chatId, species: count, rows: result.rows, unmatched: result.unmatched.length });
+
+      let message = `✅ *Life list imported:* ${count} species from ${result.rows} records.\n\n`;
+      message += `Species you still need are now marked 🆕 *Lifer*, and result lists have a *🆕 Needs Only* filter.`;
+      if (result.unmatched.length > 0) {
+        const shown = result.unmatched.slice(0, MAX_UNMATCHED_SHOWN).map(esc).join(', ');
+        const more = result.unmatched.length > MAX_UNMATCHED_SHOWN ? ` and ${result.unmatched.length - MAX_UNMATCHED_SHOWN} more` : '';
+        message += `\n\n⚠️ _Not matched to the current eBird taxonomy:_ ${shown}${more}`;
+      }
+      await this.sendMessage(chatId, message);
+    } catch (error) {
+      await this.deleteMsg(chatId, _importStatus?.message_id);
+      logger.error('Life list import error', { error: error.message, stack: error.stack });
+      await this.sendMessage(chatId, '❌ Could not import that file. Please try again later.');
+    }
+  },
+
+  async removeLifeList(chatId) {
+    lifeListStore.remove(chatId);
+    await this.sendMessage(chatId, '🗑️ Your life list was removed. Send /lifelist to import it again.');
+  },
+
+  /**
+   * Toggle the "Needs Only" filter on a cached result set and redraw page 1.
+   * The full list is kept on the cache entry so the filter can be undone.
+   */
+  async toggleNeedsFilter(chatId, type, messageId) {
+    const cached = this.observationsCache.get(`${type}_${chatId}`);
+    if (!cached) {
+      await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+      return;
+    }
+
+    if (cached.needsOnly) {
+      cached.observations = cached.allObservations;
+      delete cached.allObservations;
+      cached.needsOnly = false;
+    } else {
+      const lifeList = this.getLifeList(chatId);
+      if (!lifeList) {
+        await this.sendMessage(chatId, '📒 Import your eBird life list first with /lifelist.');
+        return;
+      }
+
+      const needed = cached.observations.filter(obs => isNeeded(obs, lifeList));
+      if (needed.length === 0) {
+        await this.sendMessage(chatId, '🎉 You\'ve already seen every species in these results!');
+        return;
+      }
+
+      cached.allObservations = cached.observations;
+      cached.observations = needed;
+      cached.needsOnly = true;
+    }
+
+    await this.sendPaginatedObservations(chatId, cached.observations, cached.displayName, type, 0, messageId, cached.regionCode);
+  }
+};
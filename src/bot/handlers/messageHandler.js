@@ -1,7 +1,8 @@
 /**
- * Message Handler — routes free-text messages based on conversation state.
+ * Message Handler — hands free-text replies to the chat's conversation state.
+ * What each state does with the text is declared in ../conversationFlow.js.
  */
-const { toRegionCode } = require('../../utils/regionCodes');
+const { STATES } = require('../conversationFlow');
 
 module.exports = {
   async handleMessage(msg) {
@@ -9,69 +10,29 @@ module.exports = {
     if (msg.text?.startsWith('/') || msg.location) return;
 
     const chatId = msg.chat.id;
-    const userState = this.userStates.get(chatId);
+    const userState = this.getState(chatId);
+    const text = msg.text?.trim();
+    if (!userState || !text) return;
 
-    if (!userState) return;
+    if (this.isStateExpired(userState)) {
+      await this.expireState(chatId, userState);
+      return;
+    }
 
-    const text = msg.text?.trim();
-    if (!text) return;
+    const flow = STATES[userState.action];
+    if (!flow?.onInput) return;
+
+    const input = flow.parse ? flow.parse(text, userState) : text;
+    if (input?.error) {
+      await this.sendMessage(chatId, input.error);
+      return;
+    }
 
-    // Convert location name to region code
-    const regionCode = toRegionCode(text);
+    await flow.onInput.call(this, chatId, input, userState);
 
-    switch (userState.action) {
-      case 'awaiting_region_sightings':
-        this.userStates.delete(chatId);
-        // Check if input contains comma (place + region format)
-        if (text.includes(',')) {
-          await this.handlePlaceSearch(chatId, text, 'sightings');
-        } else {
-          await this.showDateSelection(chatId, regionCode, text, 'sightings');
-        }
-        break;
-      case 'awaiting_region_notable':
-        this.userStates.delete(chatId);
-        // Check if input contains comma (place + region format)
-        if (text.includes(',')) {
-          await this.handlePlaceSearch(chatId, text, 'notable');
-        } else {
-          await this.showDateSelection(chatId, regionCode, text, 'notable');
-        }
-        break;
-      case 'awaiting_custom_date':
-        await this.handleCustomDateInput(chatId, text, userState);
-        break;
-      case 'awaiting_region_hotspots':
-        this.userStates.delete(chatId);
-        await this.handleHotspots({ chat: { id: chatId } }, [null, ` ${text}`]);
-        break;
-      case 'awaiting_species_name':
-        this.userStates.delete(chatId);
-        // Check if input contains comma (location, species format)
-        if (text.includes(',')) {
-          await this.processSpeciesWithLocation(chatId, text);
-        } else {
-          await this.searchSpeciesGlobally(chatId, text);
-        }
-        break;
-      case 'awaiting_species_location':
-        // User is entering a location after finding a species - show date selection
-        await this.showSpeciesDateSelection(chatId, text, userState.species);
-        break;
-      case 'awaiting_jump_page':
-        // User is entering a page number for pagination
-        this.userStates.delete(chatId);
-        const pageNum = parseInt(text);
-        if (isNaN(pageNum) || pageNum < 1 || pageNum > userState.totalPages) {
-          await this.sendMessage(chatId, `❌ Invalid page number. Please enter a number between 1 and ${userState.totalPages}.`);
-        } else {
-          const cacheKey = `${userState.type}_${chatId}`;
-          const cached = this.observationsCache.get(cacheKey);
-          if (cached) {
-            await this.sendPaginatedObservations(chatId, cached.observations, cached.displayName, userState.type, pageNum - 1, null, cached.regionCode);
-          }
-        }
-        break;
+    // Input is handled once, unless the state moved on or asks to stay
+    if (!flow.sticky && this.getState(chatId) === userState) {
+      this.clearState(chatId);
     }
   }
 };
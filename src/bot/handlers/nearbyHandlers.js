@@ -1,10 +1,13 @@
 /**
  * Nearby Handlers — GPS-based nearby sightings flow.
- * Handles /nearby, location sharing, distance picker, and fetching nearby results.
+ * Handles /nearby, location sharing, distance picker (all species or rarities only),
+ * fetching nearby results, and re-sorting them by distance, recency or taxonomy.
  */
 const { esc } = require('../../utils/markdown');
+const { distanceKm } = require('../../utils/geo');
 const logger = require('../../utils/logger');
 const sheetsService = require('../../services/sheetsService');
+const callbackCodec = require('../callbackCodec');
 
 module.exports = {
   async handleNearby(msg) {
@@ -29,53 +32,95 @@ module.exports = {
     const chatId = msg.chat.id;
     this.userNames.set(chatId, msg.from?.username || msg.from?.first_name || 'unknown');
     const { latitude, longitude } = msg.location;
-    const mapsLink = `https://maps.google.com/?q=${latitude},${longitude}`;
+
+    // Search straight away with the default radius (and mode) from /settings
+    const { nearbyRadius, nearbyRarities } = this.getProfile(chatId);
+    if (nearbyRadius) {
+      await this.sendMessage(chatId, '📍 Location received!', { reply_markup: { remove_keyboard: true } });
+      await this.fetchNearbySightings(chatId, latitude, longitude, nearbyRadius, { notableOnly: !!nearbyRarities });
+      return;
+    }
 
     // Store location and show distance picker
-    this.userStates.set(chatId, {
-      action: 'awaiting_nearby_distance',
-      latitude,
-      longitude
-    });
+    await this.enterState(chatId, 'awaiting_nearby_distance', { latitude, longitude });
+  },
 
+  async promptNearbyDistance(chatId, { latitude, longitude, notableOnly = false }) {
+    const mapsLink = `https://maps.google.com/?q=${latitude},${longitude}`;
     const distMessage = `📍 Location received!\n\n*Coordinates:* [${latitude.toFixed(4)}, ${longitude.toFixed(4)}](${mapsLink})\n\n📏 *Choose search radius:*`;
 
-    const distButtons = [
+    await this.sendPrompt(chatId, distMessage, {
+      reply_markup: {
+        inline_keyboard: this._buildDistanceKeyboard(notableOnly),
+        remove_keyboard: true
+      }
+    });
+  },
+
+  /**
+   * Radius picker keyboard. The last row toggles between all species
+   * and rarities only (notable observations).
+   */
+  _buildDistanceKeyboard(notableOnly) {
+    return [
       [
-        { text: '5 km', callback_data: 'nearby_dist_5' },
-        { text: '10 km', callback_data: 'nearby_dist_10' }
+        { text: '5 km', callback_data: callbackCodec.encode('nearby_dist', { dist: 5 }) },
+        { text: '10 km', callback_data: callbackCodec.encode('nearby_dist', { dist: 10 }) }
       ],
       [
-        { text: '15 km', callback_data: 'nearby_dist_15' },
-        { text: '20 km', callback_data: 'nearby_dist_20' }
+        { text: '15 km', callback_data: callbackCodec.encode('nearby_dist', { dist: 15 }) },
+        { text: '20 km', callback_data: callbackCodec.encode('nearby_dist', { dist: 20 }) }
       ],
       [
-        { text: '25 km', callback_data: 'nearby_dist_25' }
-      ]
+        { text: '25 km', callback_data: callbackCodec.encode('nearby_dist', { dist: 25 }) }
+      ],
+      notableOnly
+        ? [{ text: '✅ Rarities only — tap for all species', callback_data: 'nearby_mode_all' }]
+        : [{ text: '⭐ Rarities only', callback_data: 'nearby_mode_rare' }]
     ];
+  },
 
-    await this.sendMessage(chatId, distMessage, {
-      reply_markup: {
-        inline_keyboard: distButtons,
-        remove_keyboard: true
-      }
-    });
+  /**
+   * Switch the pending nearby search between all species and rarities only,
+   * updating the radius picker in place.
+   */
+  async setNearbyMode(chatId, messageId, notableOnly) {
+    const state = this.getState(chatId);
+    if (!state || state.action !== 'awaiting_nearby_distance') {
+      await this.sendMessage(chatId, '⚠️ Please share your location again using /nearby.');
+      return;
+    }
+
+    state.notableOnly = notableOnly;
+    try {
+      await this.editReplyMarkup(chatId, messageId, {
+        inline_keyboard: this.withFlowButtons(this._buildDistanceKeyboard(notableOnly))
+      });
+    } catch (error) {
+      logger.error('Error updating distance picker', { error: error.message });
+    }
   },
 
   /**
-   * Fetch and display nearby sightings for a given distance
+   * Fetch and display nearby sightings for a given distance.
+   * With notableOnly, only rarities are fetched and cached under 'nearbyrare'.
    */
-  async fetchNearbySightings(chatId, latitude, longitude, dist) {
-    const _nearbyStatus = await this.sendMessage(chatId, `🔍 Searching for sightings within *${dist} km*...`);
+  async fetchNearbySightings(chatId, latitude, longitude, dist, options = {}) {
+    const { notableOnly = false, page = 0 } = options;
+    const type = notableOnly ? 'nearbyrare' : 'nearby';
+    const what = notableOnly ? 'rarities' : 'sightings';
+    const _nearbyStatus = await this.sendMessage(chatId, `🔍 Searching for ${what} within *${dist} km*...`);
 
     try {
       let observations = [];
       let hotspots = [];
 
       try {
-        observations = await this.ebirdService.getNearbyObservations(latitude, longitude, dist) || [];
+        observations = notableOnly
+          ? await this.ebirdService.getNearbyNotableObservations(latitude, longitude, dist) || []
+          : await this.ebirdService.getNearbyObservations(latitude, longitude, dist) || [];
       } catch (err) {
-        logger.error('Error fetching nearby observations', { error: err.message });
+        logger.error('Error fetching nearby observations', { error: err.message, notableOnly });
       }
 
       try {
@@ -87,15 +132,20 @@ module.exports = {
       await this.deleteMsg(chatId, _nearbyStatus?.message_id);
 
       const nearbyRegion = observations?.[0]?.countryCode || null;
+      const displayName = `Your Location (${dist} km)`;
 
       // Show observations if any
       if (observations.length > 0) {
-        const cacheKey = `nearby_${chatId}`;
+        const cacheKey = `${type}_${chatId}`;
         this.observationsCache.set(cacheKey, {
           observations,
-          displayName: `Your Location (${dist} km)`,
+          displayName,
           regionCode: nearbyRegion,
-          type: 'nearby'
+          type,
+          origin: { lat: latitude, lng: longitude },
+          dist,
+          sort: 'recent', // eBird returns the newest sightings first
+          staleAt: observations.staleAt
         });
 
         // Log each sighting to Google Sheets
@@ -103,12 +153,14 @@ module.exports = {
           command: 'nearby',
           chatId,
           username: this.userNames.get(chatId) || 'unknown',
-          searchQuery: `Nearby (${dist} km)`,
+          searchQuery: notableOnly ? `Nearby rarities (${dist} km)` : `Nearby (${dist} km)`,
           regionCode: nearbyRegion,
           observations
         });
 
-        await this.sendPaginatedObservations(chatId, observations, `Your Location (${dist} km)`, 'nearby', 0, null, nearbyRegion);
+        await this.sendPaginatedObservations(chatId, observations, displayName, type, page, null, nearbyRegion);
+      } else if (notableOnly) {
+        await this.sendMessage(chatId, `❌ No notable sightings found within *${dist} km* of your location.\n\nTry a larger search radius or search all species.`);
       } else {
         await this.sendMessage(chatId, `❌ No bird sightings found within *${dist} km* of your location.\n\nTry a larger search radius or a different location.`);
       }
@@ -130,7 +182,7 @@ module.exports = {
       await this.sendMessage(chatId, '🔍 *What would you like to do next?*', {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📊 Summary List', callback_data: 'specsummary_nearby' }],
+            [{ text: '📊 Summary List', callback_data: callbackCodec.encode('specsummary', { type }) }],
             [
               { text: '🔍 New Search', callback_data: 'new_search' },
               { text: '✅ Done', callback_data: 'done' }
@@ -154,5 +206,56 @@ module.exports = {
         }
       );
     }
+  },
+
+  /**
+   * Re-sort cached nearby results and redraw from the first page in place.
+   * The chosen order is stored on the cache entry so page navigation keeps it.
+   */
+  async sortNearbyResults(chatId, type, sortKey, messageId) {
+    const cached = this.observationsCache.get(`${type}_${chatId}`);
+    if (!cached) {
+      await this.sendMessage(chatId, '❌ No cached results found. Please perform a new search.');
+      return;
+    }
+
+    cached.observations = await this._sortObservations(cached.observations, sortKey, cached.origin);
+    if (cached.allObservations) {
+      // Keep the unfiltered list in the same order for when "Needs Only" is undone
+      cached.allObservations = await this._sortObservations(cached.allObservations, sortKey, cached.origin);
+    }
+    cached.sort = sortKey;
+    await this.sendPaginatedObservations(chatId, cached.observations, cached.displayName, type, 0, messageId, cached.regionCode);
+  },
+
+  /**
+   * Return a sorted copy of the observations.
+   *   distance — closest to the user's location first
+   *   taxon    — eBird taxonomic order (falls back to name if taxonomy is unavailable)
+   *   recent   — newest first
+   */
+  async _sortObservations(observations, sortKey, origin) {
+    const sorted = [...observations];
+    const byName = (a, b) => (a.comName || '').localeCompare(b.comName || '');
+
+    if (sortKey === 'distance' && origin) {
+      const dist = obs => (obs.lat == null || obs.lng == null)
+        ? Infinity
+        : distanceKm(origin.lat, origin.lng, obs.lat, obs.lng);
+      sorted.sort((a, b) => (dist(a) - dist(b)) || byName(a, b));
+    } else if (sortKey === 'taxon') {
+      let taxonOrder = new Map();
+      try {
+        const taxonomy = await this.ebirdService.getTaxonomy();
+        taxonOrder = new Map(taxonomy.map(t => [t.speciesCode, t.taxonOrder]));
+      } catch (error) {
+        logger.warn('Taxonomy unavailable for sorting', { error: error.message });
+      }
+      const rank = obs => taxonOrder.get(obs.speciesCode) ?? Infinity;
+      sorted.sort((a, b) => (rank(a) - rank(b)) || byName(a, b));
+    } else {
+      sorted.sort((a, b) => (b.obsDt || '').localeCompare(a.obsDt || ''));
+    }
+    return sorted;
   }
 };
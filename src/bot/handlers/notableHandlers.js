@@ -2,7 +2,6 @@
  * Notable Handlers — /notable sightings flow.
  * Handles notable/rare bird sighting search and display.
  */
-const { toRegionCode } = require('../../utils/regionCodes');
 const { filterObservationsByDateRange } = require('../../utils/dateUtils');
 const { esc } = require('../../utils/markdown');
 const sheetsService = require('../../services/sheetsService');
@@ -13,29 +12,29 @@ module.exports = {
     this.userNames.set(chatId, msg.from?.username || msg.from?.first_name || 'unknown');
     const userInput = match[1]?.trim();
 
+    // No place given — use the home region from /settings if there is one
+    const { homeRegion, homeRegionName } = this.getProfile(chatId);
+    if (!userInput && homeRegion) {
+      await this.showDateSelection(chatId, homeRegion, homeRegionName || homeRegion, 'notable');
+      return;
+    }
+
     if (!userInput) {
-      this.userStates.set(chatId, { action: 'awaiting_region_notable' });
-      const promptMessage = `⭐ *Enter a location to see notable sightings:*
+      await this.enterState(chatId, 'awaiting_region_notable');
+      return;
+    }
+
+    await this.searchLocation(chatId, userInput, 'notable');
+  },
+
+  async promptNotable(chatId) {
+    await this.sendPrompt(chatId, `⭐ *Enter a location to see notable sightings:*
 
 Notable sightings include rare species and unusual observations.
 
 You can type:
 • Region: \`Singapore\`, \`New York\`, \`US\`
-• Specific place: \`Botanic Gardens, Singapore\``;
-
-      // Store for error recovery
-      this.lastPrompts.set(chatId, { message: promptMessage, action: 'awaiting_region_notable' });
-      await this.sendMessage(chatId, promptMessage);
-      return;
-    }
-
-    // Check if input contains comma (specific place + region format)
-    if (userInput.includes(',')) {
-      await this.handlePlaceSearch(chatId, userInput, 'notable');
-    } else {
-      const regionCode = toRegionCode(userInput);
-      await this.showDateSelection(chatId, regionCode, userInput, 'notable');
-    }
+• Specific place: \`Botanic Gardens, Singapore\``);
   },
 
   async fetchAndSendNotable(chatId, regionCode, originalInput = null, page = 0, dateFilter = null, isHotspot = false) {
@@ -68,6 +67,8 @@ You can type:
         } else {
           observations = await this.ebirdService.getNotableObservations(regionCode, backDays, 100);
         }
+        // Set when eBird is down and the service fell back to an older cached copy
+        const staleAt = observations?.staleAt;
         
         // Apply date range filter if specified
         if (dateFilter?.startDate && dateFilter?.endDate) {
@@ -84,11 +85,13 @@ You can type:
         this.observationsCache.set(cacheKey, {
           observations,
           displayName: fullDisplayName,
+          searchName: displayName,
           regionCode,
           type: 'notable',
           dateLabel,
           dateFilter,
-          isHotspot
+          isHotspot,
+          staleAt
         });
       } catch (error) {
         await this.deleteMsg(chatId, _notableStatus?.message_id);
@@ -0,0 +1,198 @@
+/**
+ * On This Day Handlers — /onthisday: species recorded on today's calendar
+ * date in previous years, side by side with what has been reported today.
+ */
+const { toRegionCode } = require('../../utils/regionCodes');
+const { getDatePreset, getRegionDate } = require('../../utils/dateUtils');
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+
+const ON_THIS_DAY_YEARS = 5;
+const MAX_GRID_ROWS = 30; // keeps the message well under Telegram's 4096 chars
+const MAX_MISSING_NAMES = 40; // most-often-recorded first; the rest are counted
+const GRID_NAME_WIDTH = 18;
+const LOC_ID_PATTERN = /^L\d+$/i;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+module.exports = {
+  async handleOnThisDay(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    // No place given — use the home region from /settings if there is one
+    const { homeRegion, homeRegionName } = this.getProfile(chatId);
+    if (!userInput && homeRegion) {
+      await this.showOnThisDay(chatId, homeRegion, homeRegionName || homeRegion);
+      return;
+    }
+
+    if (!userInput) {
+      await this.enterState(chatId, 'awaiting_region_onthisday');
+      return;
+    }
+
+    await this.resolveOnThisDayInput(chatId, userInput);
+  },
+
+  async promptOnThisDay(chatId) {
+    await this.sendPrompt(chatId, `📅 *On this day — enter a region or hotspot:*
+
+I'll compare today's sightings with the same date in the last ${ON_THIS_DAY_YEARS} years.
+
+You can type:
+• Region: \`Singapore\`, \`US-NY\`
+• Hotspot ID: \`L2313391\`
+• Specific place: \`Botanic Gardens, Singapore\``);
+  },
+
+  /**
+   * Turn free text into a region code or hotspot, then show the comparison.
+   */
+  async resolveOnThisDayInput(chatId, input) {
+    if (LOC_ID_PATTERN.test(input)) {
+      await this.showOnThisDay(chatId, input.toUpperCase(), input.toUpperCase(), { isHotspot: true });
+      return;
+    }
+
+    if (!input.includes(',')) {
+      await this.showOnThisDay(chatId, toRegionCode(input), input);
+      return;
+    }
+
+    // "Place, Region" — use the best matching hotspot
+    const parts = input.split(',').map(p => p.trim());
+    const placeName = parts[0];
+    const regionCode = toRegionCode(parts.slice(1).join(','));
+    try {
+      const hotspots = await this.ebirdService.searchHotspotsByName(regionCode, placeName);
+      if (!Array.isArray(hotspots) || hotspots.length === 0) {
+        await this.sendMessage(chatId, `❌ No hotspot found matching "*${esc(placeName)}*". Try the whole region instead.`);
+        return;
+      }
+      const hotspot = hotspots[0];
+      await this.showOnThisDay(chatId, hotspot.locId, hotspot.locName, { isHotspot: true, timezoneRegion: regionCode });
+    } catch (error) {
+      logger.error('On this day place search error', { error: error.message });
+      await this.sendMessage(chatId, '❌ Error searching for locations. Please try again.');
+    }
+  },
+
+  /**
+   * Fetch today's reports and the same calendar date in previous years, then
+   * send the year-by-year comparison.
+   * @param {Object} [options]
+   * @param {boolean} [options.isHotspot] - regionCode is a hotspot locId
+   * @param {string} [options.timezoneRegion] - region whose timezone defines "today" (defaults to regionCode)
+   */
+  async showOnThisDay(chatId, regionCode, displayName, options = {}) {
+    const { isHotspot = false, timezoneRegion = regionCode } = options;
+    const today = getRegionDate(timezoneRegion);
+    const preset = getDatePreset('today', timezoneRegion);
+    const dateText = `${today.day} ${MONTHS[today.month - 1]}`;
+
+    const _onThisDayStatus = await this.sendMessage(chatId, `📅 Looking back at *${dateText}* in *${esc(displayName)}*...`);
+
+    try {
+      // One extra day so the region's today is covered whatever the server timezone
+      const recent = isHotspot
+        ? await this.ebirdService.getHotspotObservations(regionCode, preset.backDays + 1, 1000)
+        : await this.ebirdService.getRecentObservations(regionCode, preset.backDays + 1, 1000);
+      const todayObs = (recent || []).filter(obs => obs.obsDt?.startsWith(today.iso));
+
+      const years = [];
+      for (let i = 1; i <= ON_THIS_DAY_YEARS; i++) {
+        const year = today.year - i;
+        // 29 Feb falls back to 28 Feb in non-leap years
+        const date = new Date(year, today.month - 1, today.day);
+        if (date.getMonth() !== today.month - 1) date.setDate(0);
+        years.push({ year, observations: await this.ebirdService.getHistoricObservations(regionCode, date) || [] });
+      }
+
+      await this.deleteMsg(chatId, _onThisDayStatus?.message_id);
+
+      const comparison = this._compareOnThisDay(todayObs, years);
+      if (comparison.rows.length === 0) {
+        await this.sendMessage(chatId,
+          `❌ No sightings on record for *${dateText}* in *${esc(displayName)}* in the last ${ON_THIS_DAY_YEARS} years.`
+        );
+        return;
+      }
+
+      await this.sendMessage(chatId, this._formatOnThisDay(comparison, years, displayName, dateText, preset.label));
+    } catch (error) {
+      logger.error('On this day error', { error: error.message, stack: error.stack });
+      await this.deleteMsg(chatId, _onThisDayStatus?.message_id);
+      await this.sendMessage(chatId,
+        `❌ Could not look up *${esc(displayName)}* for this date.\n\nPlease check the location and try again.`
+      );
+    }
+  },
+
+  /**
+   * Build one row per species with the years it was seen, flagging species
+   * from past years that have not been reported today. Rows are ordered
+   * missing-today first, then by number of years seen, then by name.
+   */
+  _compareOnThisDay(todayObs, years) {
+    const species = new Map();
+    const rowFor = (obs) => {
+      if (!species.has(obs.speciesCode)) {
+        species.set(obs.speciesCode, { speciesCode: obs.speciesCode, comName: obs.comName, years: new Set(), today: false });
+      }
+      return species.get(obs.speciesCode);
+    };
+
+    for (const { year, observations } of years) {
+      for (const obs of observations) rowFor(obs).years.add(year);
+    }
+    for (const obs of todayObs) rowFor(obs).today = true;
+
+    const rows = [...species.values()]
+      .map(row => ({ ...row, missing: !row.today && row.years.size > 0 }))
+      .sort((a, b) => b.missing - a.missing || b.years.size - a.years.size || a.comName.localeCompare(b.comName));
+
+    return {
+      rows,
+      todayCount: new Set(todayObs.map(o => o.speciesCode)).size,
+      missing: rows.filter(r => r.missing)
+    };
+  },
+
+  _formatOnThisDay(comparison, years, displayName, dateText, todayLabel) {
+    const { rows, todayCount, missing } = comparison;
+
+    let message = `*📅 On This Day in ${esc(displayName)} — ${dateText}*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `🐦 ${esc(todayLabel)}: *${todayCount}* species\n`;
+    message += years.map(y => `${y.year}: ${new Set(y.observations.map(o => o.speciesCode)).size}`).join(' · ');
+    message += `\n\n`;
+
+    // Side-by-side grid: one column per past year plus today
+    const mark = (seen) => (seen ? ' ✓ ' : ' · ');
+    const columns = [...years.map(y => `'${String(y.year).slice(-2)}`), 'Now'];
+    const header = `${'Species'.padEnd(GRID_NAME_WIDTH)} ${columns.join(' ')}`;
+    const lines = rows.slice(0, MAX_GRID_ROWS).map(row => {
+      const name = row.comName.length > GRID_NAME_WIDTH
+        ? `${row.comName.slice(0, GRID_NAME_WIDTH - 1)}…`
+        : row.comName.padEnd(GRID_NAME_WIDTH);
+      const cells = [...years.map(y => mark(row.years.has(y.year))), mark(row.today)];
+      return `${name} ${cells.join(' ')}${row.missing ? ' ⭐' : ''}`;
+    });
+    message += '```\n' + [header, ...lines].join('\n') + '\n```\n';
+    if (rows.length > MAX_GRID_ROWS) {
+      message += `_…and ${rows.length - MAX_GRID_ROWS} more species_\n`;
+    }
+
+    if (missing.length > 0) {
+      message += `\n⭐ *Not reported yet today (${missing.length}):*\n`;
+      message += missing.slice(0, MAX_MISSING_NAMES).map(r => esc(r.comName)).join(', ');
+      if (missing.length > MAX_MISSING_NAMES) {
+        message += ` _…and ${missing.length - MAX_MISSING_NAMES} more_`;
+      }
+    } else {
+      message += `\n✅ Every species from past years has been reported today!`;
+    }
+
+    return message;
+  }
+};
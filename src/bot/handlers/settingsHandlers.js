@@ -0,0 +1,268 @@
+/**
+ * Settings Handlers — /settings menu and per-chat preferences.
+ * Preferences live in services/profileStore; other handlers read them through
+ * getProfile() / getPageSize() so a chat without a profile behaves as before.
+ */
+const { toRegionCode } = require('../../utils/regionCodes');
+const { esc } = require('../../utils/markdown');
+const { parseTimeRange } = require('../../utils/dateUtils');
+const logger = require('../../utils/logger');
+const profileStore = require('../../services/profileStore');
+const callbackCodec = require('../callbackCodec');
+
+// Choices offered in the sub-menus (value → label)
+const DATE_PRESETS = {
+  today: 'Today',
+  yesterday: 'Yesterday',
+  last_3_days: 'Last 3 Days',
+  last_week: 'Last Week',
+  last_14_days: 'Last 14 Days',
+  last_month: 'Last Month'
+};
+const PAGE_SIZES = [3, 5, 10, 15];
+const NEARBY_RADII = [5, 10, 15, 20, 25];
+const DATE_FORMATS = {
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY'
+};
+const QUIET_HOURS = ['22:00-07:00', '23:00-06:00', '21:00-08:00', '00:00-08:00'];
+const ALERT_LIMITS = [1, 3, 5, 10];
+
+const BACK_ROW = [{ text: '⬅️ Back', callback_data: 'settings_menu' }];
+
+// callback_data for a button that sets one preference
+const pref = (field, value) => callbackCodec.encode('setpref', { field, value });
+
+// '22:00-07:00' → '22:00–07:00'
+const showQuietHours = (quietHours) => quietHours.replace('-', '–');
+
+module.exports = {
+  /**
+   * Current preferences for a chat (defaults filled in).
+   */
+  getProfile(chatId) {
+    return profileStore.getProfile(chatId);
+  },
+
+  /**
+   * Results per page — the chat's preference or the bot default.
+   */
+  getPageSize(chatId) {
+    return this.getProfile(chatId).pageSize || this.ITEMS_PER_PAGE;
+  },
+
+  async handleSettings(msg) {
+    await this.showSettingsMenu(msg.chat.id);
+  },
+
+  /**
+   * Show the settings overview. Edits messageId in place when given.
+   */
+  async showSettingsMenu(chatId, messageId = null) {
+    const profile = this.getProfile(chatId);
+    const notSet = '_ask each time_';
+    const isGroup = this.isGroupChat(chatId);
+
+    let message = isGroup ? `⚙️ *Group Settings*\n` : `⚙️ *Your Settings*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `🏠 Home region: ${profile.homeRegion ? `*${esc(profile.homeRegionName)}* (${profile.homeRegion})` : notSet}\n`;
+    message += `📅 Default dates: ${profile.datePreset ? `*${DATE_PRESETS[profile.datePreset]}*` : notSet}\n`;
+    message += `📄 Results per page: *${this.getPageSize(chatId)}*\n`;
+    message += `📍 Nearby radius: ${profile.nearbyRadius ? `*${profile.nearbyRadius} km*${profile.nearbyRarities ? ' (rarities only)' : ''}` : notSet}\n`;
+    message += `🗓️ Date format: *${DATE_FORMATS[profile.dateFormat]}*\n`;
+    message += `🌙 Quiet hours: ${profile.quietHours ? `*${showQuietHours(profile.quietHours)}*` : '_off_'}\n`;
+    message += `🔔 Alerts per hour: ${profile.maxAlertsPerHour ? `*${profile.maxAlertsPerHour}*` : '_no limit_'}\n\n`;
+    message += isGroup
+      ? `_Members' /sightings and /notable fall back to the group's home region. Only admins can change these._`
+      : `_With a home region, /sightings and /notable search it straight away._`;
+
+    const buttons = [
+      [
+        { text: '🏠 Home Region', callback_data: 'settings_home' },
+        { text: '📅 Default Dates', callback_data: 'settings_dates' }
+      ],
+      [
+        { text: '📄 Page Size', callback_data: 'settings_page' },
+        { text: '📍 Nearby Radius', callback_data: 'settings_radius' }
+      ],
+      [
+        { text: '🌙 Quiet Hours', callback_data: 'settings_quiet' },
+        { text: '🔔 Alert Limit', callback_data: 'settings_alerts' }
+      ],
+      [
+        { text: '🗓️ Date Format', callback_data: 'settings_format' },
+        { text: '♻️ Reset', callback_data: 'settings_reset' }
+      ],
+      [{ text: '✅ Done', callback_data: 'done' }]
+    ];
+
+    await this._showSettingsScreen(chatId, messageId, message, buttons);
+  },
+
+  /**
+   * Route settings_* (menu navigation) buttons. Value buttons decode to
+   * a 'setpref' payload and go straight to setPreference().
+   */
+  async handleSettingsCallback(chatId, data, messageId) {
+    // Anyone may look at a group's settings; only admins open the editors
+    if (data !== 'settings_menu' && !(await this.requireGroupAdmin(chatId))) return;
+
+    switch (data) {
+      case 'settings_menu':
+        await this.showSettingsMenu(chatId, messageId);
+        break;
+      case 'settings_home':
+        await this.enterState(chatId, 'awaiting_home_region');
+        break;
+      case 'settings_dates':
+        await this._showSettingsScreen(chatId, messageId, '📅 *Default date range:*\n\n_Skips the date picker for location and species searches._', [
+          ...Object.entries(DATE_PRESETS).map(([value, label]) => [{ text: label, callback_data: pref('datePreset', value) }]),
+          [{ text: '❓ Ask Each Time', callback_data: pref('datePreset', 'none') }],
+          BACK_ROW
+        ]);
+        break;
+      case 'settings_page':
+        await this._showSettingsScreen(chatId, messageId, '📄 *Results per page:*', [
+          PAGE_SIZES.map(n => ({ text: `${n}`, callback_data: pref('pageSize', n) })),
+          BACK_ROW
+        ]);
+        break;
+      case 'settings_radius': {
+        const { nearbyRarities } = this.getProfile(chatId);
+        await this._showSettingsScreen(chatId, messageId, '📍 *Default /nearby radius:*\n\n_Searches as soon as you share your location._', [
+          NEARBY_RADII.map(km => ({ text: `${km} km`, callback_data: pref('nearbyRadius', km) })),
+          [{ text: '❓ Ask Each Time', callback_data: pref('nearbyRadius', 'none') }],
+          nearbyRarities
+            ? [{ text: '✅ Rarities only — tap for all species', callback_data: pref('nearbyRarities', 'off') }]
+            : [{ text: '⭐ Rarities only', callback_data: pref('nearbyRarities', 'on') }],
+          BACK_ROW
+        ]);
+        break;
+      }
+      case 'settings_format':
+        await this._showSettingsScreen(chatId, messageId, '🗓️ *Date format:*', [
+          Object.entries(DATE_FORMATS).map(([value, label]) => ({ text: label, callback_data: pref('dateFormat', value) })),
+          BACK_ROW
+        ]);
+        break;
+      case 'settings_quiet':
+        await this._showSettingsScreen(chatId, messageId, '🌙 *Quiet hours:*\n\n_Alerts and digests are held during these hours (your home region\'s time) and arrive together in one catch-up message afterwards._', [
+          ...QUIET_HOURS.map(value => [{ text: showQuietHours(value), callback_data: pref('quietHours', value) }]),
+          [
+            { text: '✏️ Other Hours', callback_data: 'settings_quiet_custom' },
+            { text: '🔔 Off', callback_data: pref('quietHours', 'none') }
+          ],
+          BACK_ROW
+        ]);
+        break;
+      case 'settings_quiet_custom':
+        await this.enterState(chatId, 'awaiting_quiet_hours');
+        break;
+      case 'settings_alerts':
+        await this._showSettingsScreen(chatId, messageId, '🔔 *Most alerts per hour:*\n\n_Any more are held and sent together in one catch-up message._', [
+          ALERT_LIMITS.map(n => ({ text: `${n}`, callback_data: pref('maxAlertsPerHour', n) })),
+          [{ text: '♾️ No Limit', callback_data: pref('maxAlertsPerHour', 'none') }],
+          BACK_ROW
+        ]);
+        break;
+      case 'settings_reset':
+        profileStore.reset(chatId);
+        logger.info('Settings reset', { chatId });
+        await this.showSettingsMenu(chatId, messageId);
+        break;
+    }
+  },
+
+  async promptHomeRegion(chatId) {
+    await this.sendPrompt(chatId, `🏠 *Enter your home region:*
+
+e.g. \`Singapore\`, \`New York\`, \`US-CA\`
+
+/sightings and /notable will use it when you don't name a place.`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: '🗑️ Clear Home Region', callback_data: pref('homeRegion', 'none') }]]
+      }
+    });
+  },
+
+  async promptQuietHours(chatId) {
+    await this.sendPrompt(chatId, `🌙 *Enter your quiet hours:*
+
+e.g. \`22:30-06:30\` — start and end, in your home region's time.`);
+  },
+
+  /**
+   * Validate and store one preference, then return to the settings overview.
+   */
+  async setPreference(chatId, field, value, messageId = null) {
+    if (!(await this.requireGroupAdmin(chatId))) return;
+
+    let changes;
+    if (field === 'homeRegion' && value === 'none') {
+      changes = { homeRegion: null, homeRegionName: null };
+      this.clearState(chatId);
+    } else if (field === 'datePreset' && (value === 'none' || DATE_PRESETS[value])) {
+      changes = { datePreset: value === 'none' ? null : value };
+    } else if (field === 'pageSize' && PAGE_SIZES.includes(Number(value))) {
+      changes = { pageSize: Number(value) };
+    } else if (field === 'nearbyRadius' && (value === 'none' || NEARBY_RADII.includes(Number(value)))) {
+      changes = { nearbyRadius: value === 'none' ? null : Number(value) };
+    } else if (field === 'nearbyRarities' && (value === 'on' || value === 'off')) {
+      changes = { nearbyRarities: value === 'on' };
+    } else if (field === 'dateFormat' && DATE_FORMATS[value]) {
+      changes = { dateFormat: value };
+    } else if (field === 'quietHours' && (value === 'none' || parseTimeRange(value))) {
+      changes = { quietHours: value === 'none' ? null : parseTimeRange(value) };
+    } else if (field === 'maxAlertsPerHour' && (value === 'none' || ALERT_LIMITS.includes(Number(value)))) {
+      changes = { maxAlertsPerHour: value === 'none' ? null : Number(value) };
+    } else {
+      logger.warn('Unknown preference', { chatId, field, value });
+      return;
+    }
+
+    profileStore.update(chatId, changes);
+    await this.showSettingsMenu(chatId, messageId);
+  },
+
+  /**
+   * Save the home region typed after "🏠 Home Region".
+   */
+  async setHomeRegion(chatId, input) {
+    if (!(await this.requireGroupAdmin(chatId))) return;
+
+    const regionCode = toRegionCode(input);
+    profileStore.update(chatId, { homeRegion: regionCode, homeRegionName: input });
+    await this.sendMessage(chatId, `✅ Home region set to *${esc(input)}* (${regionCode}).`);
+    await this.showSettingsMenu(chatId);
+  },
+
+  /**
+   * Save quiet hours typed after "✏️ Other Hours" (already validated).
+   */
+  async setQuietHours(chatId, quietHours) {
+    if (!(await this.requireGroupAdmin(chatId))) return;
+
+    profileStore.update(chatId, { quietHours });
+    await this.sendMessage(chatId, `✅ Quiet hours set to *${showQuietHours(quietHours)}*.`);
+    await this.showSettingsMenu(chatId);
+  },
+
+  /**
+   * Edit the settings message in place, or send a new one.
+   */
+  async _showSettingsScreen(chatId, messageId, text, buttons) {
+    const replyMarkup = { inline_keyboard: buttons };
+
+    if (messageId) {
+      try {
+        await this.editMessage(chatId, messageId, text, { reply_markup: replyMarkup });
+        return;
+      } catch (error) {
+        logger.error('Error editing settings message', { error: error.message });
+        // Fall through to send a new message if edit fails
+      }
+    }
+
+    await this.sendMessage(chatId, text, { reply_markup: replyMarkup });
+  }
+};
@@ -7,6 +7,7 @@ const { filterObservationsByDateRange } = require('../../utils/dateUtils');
 const logger = require('../../utils/logger');
 const { esc } = require('../../utils/markdown');
 const sheetsService = require('../../services/sheetsService');
+const callbackCodec = require('../callbackCodec');
 
 module.exports = {
   async handleSightings(msg, match) {
@@ -14,29 +15,41 @@ module.exports = {
     this.userNames.set(chatId, msg.from?.username || msg.from?.first_name || 'unknown');
     const userInput = match[1]?.trim();
 
+    // No place given — use the home region from /settings if there is one
+    const { homeRegion, homeRegionName } = this.getProfile(chatId);
+    if (!userInput && homeRegion) {
+      await this.showDateSelection(chatId, homeRegion, homeRegionName || homeRegion, 'sightings');
+      return;
+    }
+
     if (!userInput) {
-      this.userStates.set(chatId, { action: 'awaiting_region_sightings' });
-      const promptMessage = `📍 *Enter a location to see recent bird sightings:*
+      await this.enterState(chatId, 'awaiting_region_sightings');
+      return;
+    }
+
+    await this.searchLocation(chatId, userInput, 'sightings');
+  },
+
+  async promptSightings(chatId) {
+    await this.sendPrompt(chatId, `📍 *Enter a location to see recent bird sightings:*
 
 You can type:
 • Region: \`Singapore\`, \`New York\`, \`Malaysia\`
 • Specific place: \`Botanic Gardens, Singapore\`
 • Region code: \`SG\`, \`US-NY\`, \`MY\`
 
-${getPopularLocations()}`;
-      
-      // Store for error recovery
-      this.lastPrompts.set(chatId, { message: promptMessage, action: 'awaiting_region_sightings' });
-      await this.sendMessage(chatId, promptMessage);
-      return;
-    }
+${getPopularLocations()}`);
+  },
 
-    // Check if input contains comma (specific place + region format)
-    if (userInput.includes(',')) {
-      await this.handlePlaceSearch(chatId, userInput, 'sightings');
+  /**
+   * Search a typed location for /sightings or /notable: "Place, Region"
+   * looks for matching hotspots, anything else is a region.
+   */
+  async searchLocation(chatId, input, type) {
+    if (input.includes(',')) {
+      await this.handlePlaceSearch(chatId, input, type);
     } else {
-      const regionCode = toRegionCode(userInput);
-      await this.showDateSelection(chatId, regionCode, userInput, 'sightings');
+      await this.showDateSelection(chatId, toRegionCode(input), input, type);
     }
   },
 
@@ -120,30 +133,33 @@ ${getPopularLocations()}`;
       const speciesInfo = hotspot.numSpeciesAllTime ? ` (${hotspot.numSpeciesAllTime} species)` : '';
       return [{
         text: `${index + 1}. ${hotspot.locName}${speciesInfo}`,
-        callback_data: `hotspot_${type}_${hotspot.locId}`
+        callback_data: callbackCodec.encode('hotspot', { type, locId: hotspot.locId })
       }];
     });
 
     // Store hotspots for callback
-    this.userStates.set(chatId, {
-      action: 'hotspot_selection',
+    this.setState(chatId, 'hotspot_selection', {
       hotspots: hotspots.slice(0, 8),
-      type
+      type,
+      regionName
     });
 
-    await this.sendMessage(chatId, message, {
+    await this.sendPrompt(chatId, message, {
       reply_markup: { inline_keyboard: buttons }
     });
   },
 
   /**
-   * Resend last prompt message for error recovery
+   * Ask the last prompt again for error recovery.  It is forgotten first,
+   * so a prompt that fails again without re-sending itself can't loop.
    */
   async resendLastPrompt(chatId) {
-    const lastPrompt = this.lastPrompts.get(chatId);
+    const key = this.stateKey(chatId);
+    const lastPrompt = this.lastPrompts.get(key);
     if (lastPrompt) {
-      await this.sendMessage(chatId, `\n${lastPrompt.message}`);
-      this.userStates.set(chatId, { action: lastPrompt.action });
+      const { message, action, ...data } = lastPrompt;
+      this.lastPrompts.delete(key);
+      await this.enterState(chatId, action, data);
     }
   },
 
@@ -160,27 +176,27 @@ _All sightings from 00:00 to 23:59 of selected date(s)_
 
 *Quick Options:*`;
 
+    const date = (preset) => callbackCodec.encode('date', { type, preset, regionCode });
     const buttons = [
       [
-        { text: '📅 Today', callback_data: `date_${type}_today_${regionCode}` },
-        { text: '📅 Yesterday', callback_data: `date_${type}_yesterday_${regionCode}` }
+        { text: '📅 Today', callback_data: date('today') },
+        { text: '📅 Yesterday', callback_data: date('yesterday') }
       ],
       [
-        { text: '📅 Last 3 Days', callback_data: `date_${type}_last_3_days_${regionCode}` },
-        { text: '📅 Last Week', callback_data: `date_${type}_last_week_${regionCode}` }
+        { text: '📅 Last 3 Days', callback_data: date('last_3_days') },
+        { text: '📅 Last Week', callback_data: date('last_week') }
       ],
       [
-        { text: '📅 Last 14 Days', callback_data: `date_${type}_last_14_days_${regionCode}` },
-        { text: '📅 Last Month', callback_data: `date_${type}_last_month_${regionCode}` }
+        { text: '📅 Last 14 Days', callback_data: date('last_14_days') },
+        { text: '📅 Last Month', callback_data: date('last_month') }
       ],
       [
-        { text: '📆 Custom Date', callback_data: `date_${type}_custom_${regionCode}` }
+        { text: '📆 Custom Date', callback_data: date('custom') }
       ]
     ];
 
     // Store the pending query info
-    this.userStates.set(chatId, {
-      action: 'date_selection',
+    this.setState(chatId, 'date_selection', {
       regionCode,
       displayName,
       type,
@@ -188,16 +204,14 @@ _All sightings from 00:00 to 23:59 of selected date(s)_
       hotspotData
     });
 
-    // Store for error recovery
-    this.lastPrompts.set(chatId, { 
-      message, 
-      action: 'date_selection',
-      regionCode,
-      displayName,
-      type
-    });
+    // Skip the picker when the user has a default date range
+    const { datePreset } = this.getProfile(chatId);
+    if (datePreset) {
+      await this.handleDateCallback(chatId, { type, preset: datePreset, regionCode });
+      return;
+    }
 
-    await this.sendMessage(chatId, message, {
+    await this.sendPrompt(chatId, message, {
       reply_markup: { inline_keyboard: buttons }
     });
   },
@@ -224,12 +238,16 @@ _All sightings from 00:00 to 23:59 of selected date(s)_
       _sightStatus = await this.sendMessage(chatId, `🔍 Searching for sightings in *${esc(displayName)}*\n${locationLabel}: ${regionCode}\n📅 ${dateLabel}...`);
       
       try {
-        // Use different API method for hotspots vs regions
-        if (isHotspot) {
+        // Use different API method for old dates, hotspots and regions
+        if (dateFilter?.historic) {
+          observations = await this.ebirdService.getHistoricObservationsRange(regionCode, dateFilter.startDate, dateFilter.endDate);
+        } else if (isHotspot) {
           observations = await this.ebirdService.getHotspotObservations(regionCode, backDays, 100);
         } else {
           observations = await this.ebirdService.getRecentObservations(regionCode, backDays, 100);
         }
+        // Set when eBird is down and the service fell back to an older cached copy
+        const staleAt = observations?.staleAt;
         
         // Apply date range filter if specified
         if (dateFilter?.startDate && dateFilter?.endDate) {
@@ -248,11 +266,13 @@ _All sightings from 00:00 to 23:59 of selected date(s)_
         this.observationsCache.set(cacheKey, {
           observations,
           displayName: fullDisplayName,
+          searchName: displayName,
           regionCode,
           type: 'sightings',
           dateLabel,
           dateFilter,
-          isHotspot
+          isHotspot,
+          staleAt
         });
       } catch (error) {
         await this.deleteMsg(chatId, _sightStatus?.message_id);
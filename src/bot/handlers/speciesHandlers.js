@@ -7,6 +7,7 @@ const { filterObservationsByDateRange } = require('../../utils/dateUtils');
 const { esc } = require('../../utils/markdown');
 const logger = require('../../utils/logger');
 const sheetsService = require('../../services/sheetsService');
+const callbackCodec = require('../callbackCodec');
 
 module.exports = {
   async handleSpecies(msg, match) {
@@ -15,9 +16,22 @@ module.exports = {
     const input = match[1]?.trim();
 
     if (!input) {
-      this.userStates.set(chatId, { action: 'awaiting_species_name' });
-      await this.sendMessage(chatId,
-        `🐦 *Search by Species Name*
+      await this.enterState(chatId, 'awaiting_species_name');
+      return;
+    }
+
+    // Check if input contains comma (location, species format)
+    if (input.includes(',')) {
+      await this.processSpeciesWithLocation(chatId, input);
+    } else {
+      // Just species name - search globally and show locations
+      await this.searchSpeciesGlobally(chatId, input);
+    }
+  },
+
+  async promptSpecies(chatId) {
+    await this.sendPrompt(chatId,
+      `🐦 *Search by Species Name*
 
 Enter the species name you want to find:
 
@@ -30,17 +44,16 @@ Enter the species name you want to find:
 
 💡 Use the full species name as it appears in eBird.
 After finding the species, you can narrow down by location.`
-      );
-      return;
-    }
+    );
+  },
 
-    // Check if input contains comma (location, species format)
-    if (input.includes(',')) {
-      await this.processSpeciesWithLocation(chatId, input);
-    } else {
-      // Just species name - search globally and show locations
-      await this.searchSpeciesGlobally(chatId, input);
-    }
+  /**
+   * Re-ask for the location after ⬅️ Back (the first ask is part of the search result).
+   */
+  async promptSpeciesLocation(chatId, species) {
+    await this.sendPrompt(chatId,
+      `📍 *Enter a location* to see sightings of ${esc(species.commonName)}:\n\n*Examples:* \`Singapore\`, \`New York\`, \`UK\``
+    );
   },
 
   async searchSpeciesGlobally(chatId, speciesName) {
@@ -61,8 +74,7 @@ After finding the species, you can narrow down by location.`
       const species = matches[0];
       
       // Store species info for follow-up location search
-      this.userStates.set(chatId, { 
-        action: 'awaiting_species_location',
+      this.setState(chatId, 'awaiting_species_location', {
         species: {
           code: species.speciesCode,
           commonName: species.comName,
@@ -90,7 +102,7 @@ After finding the species, you can narrow down by location.`
       message += `• \`Malaysia\`\n`;
       message += `• \`UK\``;
 
-      await this.sendMessage(chatId, message);
+      await this.sendPrompt(chatId, message);
     } catch (error) {
       logger.error('Species search error', { error: error.message, stack: error.stack });
       await this.sendMessage(chatId, `❌ Error searching for species. Please try again.`);
@@ -137,7 +149,7 @@ After finding the species, you can narrow down by location.`
     }
   },
 
-  async fetchSpeciesInLocation(chatId, locationInput, speciesName, speciesCode = null, dateFilter = null) {
+  async fetchSpeciesInLocation(chatId, locationInput, speciesName, speciesCode = null, dateFilter = null, page = 0) {
     const regionCode = toRegionCode(locationInput);
     
     // Use date filter to determine how many days back to fetch
@@ -147,11 +159,22 @@ After finding the species, you can narrow down by location.`
     const _specLocStatus = await this.sendMessage(chatId, `🔍 Searching for *${esc(speciesName)}* in *${esc(locationInput)}*\n📅 ${dateLabel}...`);
 
     try {
-      let species, observations;
+      let species, observations, staleAt;
 
-      if (speciesCode) {
+      if (dateFilter?.historic) {
+        // Old dates: fetch each day's checklists and keep this species
+        if (!speciesCode) {
+          const matches = await this.ebirdService.searchSpeciesByName(speciesName);
+          speciesCode = matches?.[0]?.speciesCode;
+        }
+        const dayObservations = await this.ebirdService.getHistoricObservationsRange(regionCode, dateFilter.startDate, dateFilter.endDate);
+        observations = dayObservations.filter(obs => obs.speciesCode === speciesCode);
+        staleAt = dayObservations.staleAt;
+        species = { commonName: speciesName, code: speciesCode };
+      } else if (speciesCode) {
         // We already have the species code
         observations = await this.ebirdService.getSpeciesObservations(regionCode, speciesCode, backDays);
+        staleAt = observations?.staleAt;
         species = { commonName: speciesName, code: speciesCode };
       } else {
         // Need to look up the species first
@@ -167,6 +190,7 @@ After finding the species, you can narrow down by location.`
         
         species = result.species;
         observations = result.observations;
+        staleAt = observations?.staleAt;
       }
       
       // Apply date range filter if specified
@@ -194,9 +218,13 @@ After finding the species, you can narrow down by location.`
         observations,
         displayName,
         regionCode,
+        locationInput,
+        speciesName: species.commonName,
+        speciesCode: species.code,
         type: 'species',
         dateLabel,
-        dateFilter
+        dateFilter,
+        staleAt
       });
 
       // Log each sighting to Google Sheets
@@ -209,7 +237,7 @@ After finding the species, you can narrow down by location.`
         observations
       });
 
-      await this.sendPaginatedObservations(chatId, observations, displayName, 'species', 0, null, regionCode);
+      await this.sendPaginatedObservations(chatId, observations, displayName, 'species', page, null, regionCode);
     } catch (error) {
       logger.error('Species location search error', { error: error.message, stack: error.stack });
       await this.deleteMsg(chatId, _specLocStatus?.message_id);
@@ -230,34 +258,41 @@ After finding the species, you can narrow down by location.`
 Choose a preset or enter a custom date.
 _All sightings from 00:00 to 23:59 of selected date(s)_`;
 
+    const date = (preset) => callbackCodec.encode('date', { type: 'species', preset, regionCode });
     const buttons = [
       [
-        { text: '📅 Today', callback_data: `date_species_today_${regionCode}` },
-        { text: '📅 Yesterday', callback_data: `date_species_yesterday_${regionCode}` }
+        { text: '📅 Today', callback_data: date('today') },
+        { text: '📅 Yesterday', callback_data: date('yesterday') }
       ],
       [
-        { text: '📅 Last 3 Days', callback_data: `date_species_last_3_days_${regionCode}` },
-        { text: '📅 Last Week', callback_data: `date_species_last_week_${regionCode}` }
+        { text: '📅 Last 3 Days', callback_data: date('last_3_days') },
+        { text: '📅 Last Week', callback_data: date('last_week') }
       ],
       [
-        { text: '📅 Last 14 Days', callback_data: `date_species_last_14_days_${regionCode}` },
-        { text: '📅 Last Month', callback_data: `date_species_last_month_${regionCode}` }
+        { text: '📅 Last 14 Days', callback_data: date('last_14_days') },
+        { text: '📅 Last Month', callback_data: date('last_month') }
       ],
       [
-        { text: '📆 Custom Date', callback_data: `date_species_custom_${regionCode}` }
+        { text: '📆 Custom Date', callback_data: date('custom') }
       ]
     ];
 
     // Keep species info in state for after date selection
-    this.userStates.set(chatId, {
-      action: 'date_selection',
+    this.setState(chatId, 'date_selection', {
       regionCode,
       displayName: locationInput,
       type: 'species',
       species
     });
 
-    await this.sendMessage(chatId, message, {
+    // Skip the picker when the user has a default date range
+    const { datePreset } = this.getProfile(chatId);
+    if (datePreset) {
+      await this.handleDateCallback(chatId, { type: 'species', preset: datePreset, regionCode });
+      return;
+    }
+
+    await this.sendPrompt(chatId, message, {
       reply_markup: { inline_keyboard: buttons }
     });
   }
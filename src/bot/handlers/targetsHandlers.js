@@ -0,0 +1,129 @@
+/**
+ * Targets Handlers — /targets: species reported recently in a region
+ * that are not yet on the chat's life list, most reliable first.
+ */
+const { toRegionCode, getLocationName } = require('../../utils/regionCodes');
+const { isNeeded } = require('../../utils/ebirdCsv');
+const { esc } = require('../../utils/markdown');
+const logger = require('../../utils/logger');
+const callbackCodec = require('../callbackCodec');
+
+const TARGETS_BACK_DAYS = 14;
+const TARGETS_MAX_RESULTS = 1000; // every species in the region, not just the first page
+const MAX_TARGETS_SHOWN = 10;
+
+module.exports = {
+  async handleTargets(msg, match) {
+    const chatId = msg.chat.id;
+    const userInput = match[1]?.trim();
+
+    if (!this.getLifeList(chatId)) {
+      await this.sendMessage(chatId, '📒 Import your eBird life list first with /lifelist, then I can find your targets.');
+      return;
+    }
+
+    // No place given — use the home region from /settings if there is one
+    const { homeRegion, homeRegionName } = this.getProfile(chatId);
+    if (!userInput && homeRegion) {
+      await this.showTargets(chatId, homeRegion, homeRegionName || homeRegion);
+      return;
+    }
+
+    if (!userInput) {
+      await this.enterState(chatId, 'awaiting_region_targets');
+      return;
+    }
+
+    await this.showTargets(chatId, toRegionCode(userInput), userInput);
+  },
+
+  async promptTargets(chatId) {
+    await this.sendPrompt(chatId, `🎯 *Enter a region to find your target species:*
+
+I'll list species reported there in the last ${TARGETS_BACK_DAYS} days that aren't on your life list.
+
+*Examples:* \`Singapore\`, \`US-NY\`, \`Malaysia\``);
+  },
+
+  /**
+   * Fetch recent sightings for a region and list the species still needed.
+   */
+  async showTargets(chatId, regionCode, displayName) {
+    const _targetsStatus = await this.sendMessage(chatId, `🎯 Finding targets in *${esc(displayName)}*...`);
+
+    try {
+      const observations = await this.ebirdService.getRecentObservations(regionCode, TARGETS_BACK_DAYS, TARGETS_MAX_RESULTS);
+      const targets = this._rankTargets(observations || [], this.getLifeList(chatId));
+      await this.deleteMsg(chatId, _targetsStatus?.message_id);
+
+      if (targets.length === 0) {
+        await this.sendMessage(chatId,
+          `🎉 No targets in *${esc(displayName)}* — you've seen every species reported there in the last ${TARGETS_BACK_DAYS} days!`
+        );
+        return;
+      }
+
+      const shown = targets.slice(0, MAX_TARGETS_SHOWN);
+      let message = `🎯 *Targets in ${esc(displayName)}*\n`;
+      message += `_${targets.length} species reported in the last ${TARGETS_BACK_DAYS} days are not on your life list_\n`;
+      message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+      shown.forEach((t, i) => {
+        const reports = `${t.reports} report${t.reports === 1 ? '' : 's'}`;
+        const locations = `${t.locations} location${t.locations === 1 ? '' : 's'}`;
+        message += `${i + 1}. *${esc(t.comName)}*\n   📊 ${reports} · 📍 ${locations}\n`;
+      });
+      if (targets.length > shown.length) {
+        message += `\n_…and ${targets.length - shown.length} more_`;
+      }
+      message += `\n\nTap a species to see where it was seen:`;
+
+      const buttons = shown.map(t => [{
+        text: `🔍 ${t.comName}`,
+        callback_data: callbackCodec.encode('target', { speciesCode: t.speciesCode, regionCode })
+      }]);
+
+      await this.sendMessage(chatId, message, { reply_markup: { inline_keyboard: buttons } });
+    } catch (error) {
+      logger.error('Targets error', { error: error.message, stack: error.stack });
+      await this.deleteMsg(chatId, _targetsStatus?.message_id);
+      await this.sendMessage(chatId,
+        `❌ Could not find targets for *${esc(displayName)}*.\n\nPlease check the region and try again.`
+      );
+    }
+  },
+
+  /**
+   * Open the species search for a target button (target_{speciesCode}_{regionCode}).
+   */
+  async openTarget(chatId, speciesCode, regionCode) {
+    const taxonomy = await this.ebirdService.getTaxonomy();
+    const taxon = taxonomy.find(t => t.speciesCode === speciesCode);
+    const speciesName = taxon?.comName || speciesCode;
+    const locationName = getLocationName(regionCode) || regionCode;
+
+    await this.fetchSpeciesInLocation(chatId, locationName, speciesName, speciesCode);
+  },
+
+  /**
+   * Group observations by species, drop species on the life list and rank the
+   * rest by number of reports, then by number of distinct locations.
+   */
+  _rankTargets(observations, lifeList) {
+    const bySpecies = new Map();
+
+    for (const obs of observations) {
+      if (!isNeeded(obs, lifeList)) continue;
+      let entry = bySpecies.get(obs.speciesCode);
+      if (!entry) {
+        entry = { speciesCode: obs.speciesCode, comName: obs.comName, reports: 0, locIds: new Set() };
+        bySpecies.set(obs.speciesCode, entry);
+      }
+      entry.reports++;
+      entry.locIds.add(obs.locId || obs.locName);
+    }
+
+    return [...bySpecies.values()]
+      .map(({ locIds, ...entry }) => ({ ...entry, locations: locIds.size }))
+      .sort((a, b) => b.reports - a.reports || b.locations - a.locations || a.comName.localeCompare(b.comName));
+  }
+};
@@ -8,7 +8,16 @@
 const TelegramBot = require('node-telegram-bot-api');
 const EBirdService = require('../services/ebirdService');
 const logger = require('../utils/logger');
+const ExpiringMap = require('../utils/expiringMap');
 const sessionStore = require('../services/sessionStore');
+const alertScheduler = require('../services/alertScheduler');
+const digestScheduler = require('../services/digestScheduler');
+const alertThrottle = require('../services/alertThrottle');
+const userKeyStore = require('../services/userKeyStore');
+const SendQueue = require('../services/sendQueue');
+const queryRegistry = require('../services/queryRegistry');
+const callbackCodec = require('./callbackCodec');
+const chatContext = require('./chatContext');
 
 // Import all handler groups
 const {
@@ -19,34 +28,87 @@ const {
   hotspotHandlers,
   speciesHandlers,
   displayHandlers,
+  alertHandlers,
+  settingsHandlers,
+  lifeListHandlers,
+  targetsHandlers,
+  checklistHandlers,
+  onThisDayHandlers,
+  apiKeyHandlers,
+  flowHandlers,
+  groupHandlers,
+  inlineHandlers,
+  digestHandlers,
+  channelHandlers,
   callbackHandlers,
   messageHandler
 } = require('./handlers');
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const SWEEP_INTERVAL = 10 * 60 * 1000; // drop expired per-chat entries every 10 minutes
+
+// "/name", "/name@BotName" or "/name args" — but not "/namesake"; match[1] is the arguments
+const commandPattern = (name) => new RegExp(`^\\/${name}(?:@\\w+)?(?!\\w)(.*)`);
+
+// Telegram errors meaning a chat can't be messaged at all any more
+const CHAT_GONE = /bot was blocked|bot was kicked|user is deactivated|chat not found/i;
+
+function isChatGone(error) {
+  const body = error?.response?.body;
+  return [400, 403].includes(body?.error_code) && CHAT_GONE.test(body.description || '');
+}
+
 class BirdBot {
-  constructor(telegramToken, ebirdApiKey, options = {}) {
+  /**
+   * @param {string} telegramToken - Bot token from @BotFather
+   * @param {EBirdService|string} ebird - A shared EBirdService, or API key(s) to create one
+   * @param {Object} [options]
+   * @param {boolean} [options.useWebhook] - Webhook mode instead of polling
+   */
+  constructor(telegramToken, ebird, options = {}) {
     this.telegramToken = telegramToken;
-    this.ebirdApiKey = ebirdApiKey;
     this.useWebhook = options.useWebhook || false;
     
     this._initBot();
     
-    this.ebirdService = new EBirdService(ebirdApiKey);
-    this.userStates = new Map(); // Track user conversation states
-    this.userNames = new Map();  // Track Telegram usernames (separate from state)
-    this.observationsCache = new Map(); // Cache observations for pagination
-    this.lastPrompts = new Map(); // Store last prompt messages for error recovery
-    this.ITEMS_PER_PAGE = 5; // Number of observations per page
+    this.ebirdService = typeof ebird === 'string' || Array.isArray(ebird) ? new EBirdService(ebird) : ebird;
+    this.userStates = new Map(); // Track user conversation states (see conversationFlow.js)
+    this.ITEMS_PER_PAGE = 5; // Default observations per page (overridable in /settings)
+
+    // ── Bounded per-chat memory (idle TTL + LRU cap) ─────────
+    this.userNames = new ExpiringMap({ maxEntries: 10000, ttl: DAY });   // Telegram usernames (separate from state)
+    this.lastPrompts = new ExpiringMap({ maxEntries: 5000, ttl: HOUR }); // last prompt messages for error recovery
+    this.expiredResults = new ExpiringMap({ maxEntries: 1000, ttl: DAY }); // search metadata of evicted results, for 🔄 re-run
+    this.observationsCache = new ExpiringMap({            // observations for pagination
+      maxEntries: 1000,
+      ttl: HOUR,
+      onEvict: (key, { observations, checklist, ...meta }) => this.expiredResults.set(key, meta)
+    });
 
     // ── Rate limiting ────────────────────────────────────────
-    this.rateLimits = new Map();          // chatId → { count, resetTime }
     this.RATE_LIMIT_MAX = 15;             // max requests per window
     this.RATE_LIMIT_WINDOW = 60 * 1000;   // 60-second rolling window
+    this.RATE_LIMIT_MAX_OWN_KEY = 60;     // users on their own eBird key don't spend the shared quota
+    this.rateLimits = new ExpiringMap({ maxEntries: 10000, ttl: this.RATE_LIMIT_WINDOW }); // chatId → { count, resetTime }
+    this._sweepTimer = setInterval(() => this.sweepMemory(), SWEEP_INTERVAL);
+    if (this._sweepTimer.unref) this._sweepTimer.unref();
+
+    // ── Outgoing messages: 30/s overall, 1/s per chat ────────
+    this.sendQueue = new SendQueue({ globalLimit: 30, chatInterval: 1000 });
 
     // ── Session persistence ──────────────────────────────────
     sessionStore.restore(this);           // reload user states from last run
     sessionStore.startAutoSave(this);     // auto-save every 30 s
+    callbackCodec.startAutoFlush();       // persist new button payloads every 30 s
+    queryRegistry.startAutoFlush();       // and the searches behind page buttons
+
+    // ── Push alerts ──────────────────────────────────────────
+    alertScheduler.start(this);           // poll /watch and /rarealerts subscriptions
+    digestScheduler.start(this);          // channel (/channel) and personal (/digest) digests
+    alertThrottle.start(this);            // catch-ups for alerts held in quiet hours / over the limit
     
+    this.loadBotIdentity();               // @username, for /command@BotName in groups
     this.setupCommands();
     this.setupHandlers();
   }
@@ -87,6 +149,19 @@ class BirdBot {
       { command: 'notable', description: 'Get notable/rare bird sightings' },
       { command: 'nearby', description: 'Get sightings near your location' },
       { command: 'hotspots', description: 'Find birding hotspots' },
+      { command: 'watch', description: 'Get alerts for a species in a region' },
+      { command: 'rarealerts', description: 'Get alerts for new rarities in a region' },
+      { command: 'watchlist', description: 'Show and manage your alerts' },
+      { command: 'digest', description: 'Get a daily or weekly digest for a region' },
+      { command: 'digests', description: 'Show and cancel your digests' },
+      { command: 'lifelist', description: 'Import your eBird life list to spot lifers' },
+      { command: 'targets', description: 'Species in a region not yet on your life list' },
+      { command: 'checklist', description: 'View a full eBird checklist by ID' },
+      { command: 'onthisday', description: 'Compare today with the same date in past years' },
+      { command: 'settings', description: 'Home region, page size and other preferences' },
+      { command: 'setkey', description: 'Use your own eBird API key' },
+      { command: 'removekey', description: 'Remove your eBird API key' },
+      { command: 'cancel', description: 'Cancel the current question' },
       { command: 'regions', description: 'Learn about region codes' }
     ]);
   }
@@ -94,17 +169,33 @@ class BirdBot {
   setupHandlers() {
     // Wrap async handlers so no error ever crashes the process.
     // Also sends a friendly error message to the user.
-    const safe = (fn) => async (...args) => {
+    // Everything runs inside the update's chatContext (sender, group, topic).
+    const safe = (fn) => (...args) => chatContext.run(args[0], async () => {
       try {
         // ── Rate limit check ──────────────────────────────
+        // Per sender, so one busy group member doesn't lock out the rest.
+        // Inline queries have no chat and are answered with a hint instead.
         const arg = args[0];
         const chatId = arg?.chat?.id || arg?.message?.chat?.id || null;
-        if (chatId && this._isRateLimited(chatId)) {
-          logger.warn('Rate limited', { chatId });
-          await this.sendMessage(chatId, '⏳ You\'re sending requests too fast. Please wait a moment and try again.');
+        const senderId = arg?.from?.id || chatId;
+        if (senderId && this._isRateLimited(senderId)) {
+          logger.warn('Rate limited', { chatId, senderId });
+          if (chatId) {
+            await this.sendMessage(chatId, '⏳ You\'re sending requests too fast. Please wait a moment and try again.');
+          } else if (typeof arg.query === 'string') {
+            await this.answerInlineRateLimited(arg.id);
+          }
           return;
         }
-        await fn(...args);
+        // Users who registered a key with /setkey make their eBird calls on it
+        const userKey = senderId ? this.getUserApiKey(senderId) : null;
+        let keyRejected = false;
+        try {
+          await this.ebirdService.runWithKey(userKey, () => fn(...args), () => { keyRejected = true; });
+        } finally {
+          // Say why, rather than leaving only a generic error
+          if (keyRejected && chatId) await this.notifyKeyRejected(chatId);
+        }
       } catch (err) {
         logger.error('Unhandled handler error', { error: err.message, stack: err.stack });
         // Try to notify the user — extract chatId from the first argument
@@ -128,24 +219,51 @@ class BirdBot {
           }
         } catch (_) { /* ignore send errors */ }
       }
+    });
+
+    // Commands, ignoring "/command@OtherBot" in groups
+    const command = (name, handler) => {
+      const wrapped = safe(handler);
+      this.bot.onText(commandPattern(name), (msg, match) => (this.isAddressedToMe(msg) ? wrapped(msg, match) : undefined));
     };
 
     // Command handlers
-    this.bot.onText(/\/start/, safe((msg) => this.handleStart(msg)));
-    this.bot.onText(/\/help/, safe((msg) => this.handleHelp(msg)));
-    this.bot.onText(/\/sightings(.*)/, safe((msg, match) => this.handleSightings(msg, match)));
-    this.bot.onText(/\/notable(.*)/, safe((msg, match) => this.handleNotable(msg, match)));
-    this.bot.onText(/\/nearby/, safe((msg) => this.handleNearby(msg)));
-    this.bot.onText(/\/hotspots(.*)/, safe((msg, match) => this.handleHotspots(msg, match)));
-    this.bot.onText(/\/species(.*)/, safe((msg, match) => this.handleSpecies(msg, match)));
-    this.bot.onText(/\/regions/, safe((msg) => this.handleRegions(msg)));
+    command('start', (msg) => this.handleStart(msg));
+    command('help', (msg) => this.handleHelp(msg));
+    command('sightings', (msg, match) => this.handleSightings(msg, match));
+    command('notable', (msg, match) => this.handleNotable(msg, match));
+    command('nearby', (msg) => this.handleNearby(msg));
+    command('hotspots', (msg, match) => this.handleHotspots(msg, match));
+    command('species', (msg, match) => this.handleSpecies(msg, match));
+    command('regions', (msg) => this.handleRegions(msg));
+    command('watch', (msg, match) => this.handleWatch(msg, match));
+    command('watchlist', (msg) => this.handleWatchlist(msg));
+    command('unwatch', (msg, match) => this.handleUnwatch(msg, match));
+    command('rarealerts', (msg, match) => this.handleRareAlerts(msg, match));
+    command('digest', (msg, match) => this.handleDigest(msg, match));
+    command('digests', (msg) => this.handleDigests(msg));
+    command('settings', (msg) => this.handleSettings(msg));
+    command('lifelist', (msg) => this.handleLifeList(msg));
+    command('targets', (msg, match) => this.handleTargets(msg, match));
+    command('checklist', (msg, match) => this.handleChecklist(msg, match));
+    command('onthisday', (msg, match) => this.handleOnThisDay(msg, match));
+    command('setkey', (msg, match) => this.handleSetKey(msg, match));
+    command('removekey', (msg) => this.handleRemoveKey(msg));
+    command('cancel', (msg) => this.handleCancel(msg));
+    command('channel', (msg, match) => this.handleChannel(msg, match));
 
     // Handle location sharing
     this.bot.on('location', safe((msg) => this.handleLocation(msg)));
 
+    // Handle file uploads (eBird life list import)
+    this.bot.on('document', safe((msg) => this.handleDocument(msg)));
+
     // Handle callback queries (button presses)
     this.bot.on('callback_query', safe((callbackQuery) => this.handleCallback(callbackQuery)));
 
+    // Handle "@bot kingfisher singapore" from any chat
+    this.bot.on('inline_query', safe((query) => this.handleInlineQuery(query)));
+
     // Handle text messages for conversation flow
     this.bot.on('message', safe((msg) => this.handleMessage(msg)));
 
@@ -154,28 +272,75 @@ class BirdBot {
 
   // ── Shared utility methods ──────────────────────────────────
 
+  /**
+   * Send a Markdown message through the send queue (Telegram's rate limits).
+   * Resolves with the sent message, or undefined when Telegram refused it.
+   */
   async sendMessage(chatId, text, options = {}) {
+    // Replies stay in the forum topic the update came from
+    const threadId = chatContext.current(chatId)?.threadId;
+    const sendOptions = threadId ? { message_thread_id: threadId, ...options } : options;
     try {
-      return await this.bot.sendMessage(chatId, text, {
-        parse_mode: 'Markdown',
-        ...options
+      return await this.sendQueue.push(chatId, async () => {
+        try {
+          return await this.bot.sendMessage(chatId, text, {
+            parse_mode: 'Markdown',
+            ...sendOptions
+          });
+        } catch (error) {
+          // Try sending without markdown if there's a parse error
+          if (!error.message.includes('parse')) throw error;
+          logger.error('Error sending message', { chatId, error: error.message });
+          return await this.bot.sendMessage(chatId, text.replace(/[*_`]/g, ''), sendOptions);
+        }
       });
     } catch (error) {
-      logger.error('Error sending message', { chatId, error: error.message });
-      // Try sending without markdown if there's a parse error
-      if (error.message.includes('parse')) {
-        return await this.bot.sendMessage(chatId, text.replace(/[*_`]/g, ''), options);
-      }
+      // Already logged by the send queue as a dead letter
+      if (isChatGone(error)) this.dropUnreachableChat(chatId);
     }
   }
 
+  /**
+   * Send several messages to a chat in order (long lists, exports).
+   * They are queued together, so nothing else sent to the chat lands
+   * between them.
+   * @param {Array<{ text: string, options?: Object }>} messages
+   * @returns {Promise<Array>} The sent messages (undefined where refused)
+   */
+  sendMessages(chatId, messages) {
+    return Promise.all(messages.map(({ text, options }) => this.sendMessage(chatId, text, options)));
+  }
+
+  /**
+   * Edit a message's Markdown text through the send queue.  Rejects when
+   * Telegram refuses, so callers can send a new message instead.
+   */
+  editMessage(chatId, messageId, text, options = {}) {
+    return this.sendQueue.push(chatId, () => this.bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      ...options
+    }), { method: 'editMessageText', deadLetter: false });
+  }
+
+  /**
+   * Swap a message's inline keyboard through the send queue.
+   */
+  editReplyMarkup(chatId, messageId, replyMarkup) {
+    return this.sendQueue.push(chatId, () => this.bot.editMessageReplyMarkup(
+      replyMarkup,
+      { chat_id: chatId, message_id: messageId }
+    ), { method: 'editMessageReplyMarkup', deadLetter: false });
+  }
+
   /**
    * Delete a message silently (ignore errors if already deleted)
    */
   async deleteMsg(chatId, messageId) {
     if (!messageId) return;
     try {
-      await this.bot.deleteMessage(chatId, messageId);
+      await this.sendQueue.push(chatId, () => this.bot.deleteMessage(chatId, messageId), { method: 'deleteMessage', deadLetter: false });
     } catch (_) { /* ignore */ }
   }
 
@@ -183,6 +348,46 @@ class BirdBot {
     return this.bot;
   }
 
+  /**
+   * Send queue counters for the public health endpoint.  Dead letters name
+   * chats, so their details stay in the logs.
+   * @returns {{ queued: number, sent: number, retried: number, deadLettered: number }}
+   */
+  getSendStats() {
+    const { deadLetters, ...counters } = this.sendQueue.getStats();
+    return counters;
+  }
+
+  /**
+   * Drop expired entries from the bounded Maps, time out stale
+   * conversation states, and log their sizes.
+   */
+  sweepMemory() {
+    const maps = {
+      observationsCache: this.observationsCache,
+      expiredResults: this.expiredResults,
+      lastPrompts: this.lastPrompts,
+      userNames: this.userNames,
+      rateLimits: this.rateLimits
+    };
+    const stats = {};
+    for (const [name, map] of Object.entries(maps)) {
+      const swept = map.sweep();
+      stats[name] = { size: map.size, swept, evictions: map.evictions };
+    }
+    const expired = this.expireStates();
+    stats.userStates = { size: this.userStates.size, expired };
+    logger.info('Memory sweep', stats);
+    return stats;
+  }
+
+  stopSweeper() {
+    if (this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+  }
+
   /**
    * Check and enforce per-user rate limiting.
    * Returns true if the user has exceeded the limit.
@@ -198,7 +403,8 @@ class BirdBot {
     }
 
     entry.count++;
-    if (entry.count > this.RATE_LIMIT_MAX) {
+    const max = userKeyStore.hasKey(chatId) ? this.RATE_LIMIT_MAX_OWN_KEY : this.RATE_LIMIT_MAX;
+    if (entry.count > max) {
       return true;
     }
     return false;
@@ -215,6 +421,18 @@ Object.assign(BirdBot.prototype,
   hotspotHandlers,
   speciesHandlers,
   displayHandlers,
+  alertHandlers,
+  settingsHandlers,
+  lifeListHandlers,
+  targetsHandlers,
+  checklistHandlers,
+  onThisDayHandlers,
+  apiKeyHandlers,
+  flowHandlers,
+  groupHandlers,
+  inlineHandlers,
+  digestHandlers,
+  channelHandlers,
   callbackHandlers,
   messageHandler
 );
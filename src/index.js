@@ -16,13 +16,15 @@ process.on('unhandledRejection', (reason) => {
 // Configuration
 const PORT = process.env.PORT || 3000;
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const EBIRD_API_KEY = process.env.EBIRD_API_KEY;
+// One key, or several comma-separated keys to spread the load across
+const EBIRD_API_KEYS = process.env.EBIRD_API_KEYS || process.env.EBIRD_API_KEY;
+const EBIRD_DAILY_QUOTA = parseInt(process.env.EBIRD_DAILY_QUOTA) || Infinity; // requests per key per UTC day
 const WEBSITE_HOSTNAME = process.env.WEBSITE_HOSTNAME; // Azure provides this
 const USE_WEBHOOK = !!WEBSITE_HOSTNAME; // Webhook on Azure, polling locally
 
 // Validate required environment variables
-if (!EBIRD_API_KEY) {
-  logger.error('EBIRD_API_KEY is required in .env file');
+if (!EBIRD_API_KEYS) {
+  logger.error('EBIRD_API_KEY (or EBIRD_API_KEYS) is required in .env file');
   process.exit(1);
 }
 
@@ -34,8 +36,8 @@ if (!TELEGRAM_BOT_TOKEN || TELEGRAM_BOT_TOKEN === 'your_telegram_bot_token_here'
 const app = express();
 app.use(express.json());
 
-// Initialize eBird service for API routes
-const ebirdService = new EBirdService(EBIRD_API_KEY);
+// One pooled eBird service, shared by the API routes and the bot
+const ebirdService = new EBirdService(EBIRD_API_KEYS, { dailyQuota: EBIRD_DAILY_QUOTA });
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -43,6 +45,9 @@ app.get('/', (req, res) => {
     status: 'running',
     name: 'Bird Sighting Bot',
     version: '1.0.0',
+    cache: ebirdService.getCacheStats(),
+    apiKeys: ebirdService.getKeySummary(),
+    sendQueue: birdBot ? birdBot.getSendStats() : null,
     endpoints: {
       health: 'GET /',
       recentObservations: 'GET /api/observations/:regionCode',
@@ -302,7 +307,7 @@ app.post(`/bot${TELEGRAM_BOT_TOKEN}`, (req, res) => {
 // Initialize Telegram bot if token is configured
 if (TELEGRAM_BOT_TOKEN && TELEGRAM_BOT_TOKEN !== 'your_telegram_bot_token_here') {
   try {
-    birdBot = new BirdBot(TELEGRAM_BOT_TOKEN, EBIRD_API_KEY, { useWebhook: USE_WEBHOOK });
+    birdBot = new BirdBot(TELEGRAM_BOT_TOKEN, ebirdService, { useWebhook: USE_WEBHOOK });
     
     // Preload taxonomy cache in background so first /species search is instant
     ebirdService.preloadTaxonomy();
@@ -333,6 +338,11 @@ if (TELEGRAM_BOT_TOKEN && TELEGRAM_BOT_TOKEN !== 'your_telegram_bot_token_here')
 
 // ── Graceful shutdown ──────────────────────────────────────
 const sessionStore = require('./services/sessionStore');
+const alertScheduler = require('./services/alertScheduler');
+const digestScheduler = require('./services/digestScheduler');
+const alertThrottle = require('./services/alertThrottle');
+const callbackCodec = require('./bot/callbackCodec');
+const queryRegistry = require('./services/queryRegistry');
 
 function gracefulShutdown(signal) {
   logger.info('Shutting down gracefully', { signal });
@@ -341,6 +351,14 @@ function gracefulShutdown(signal) {
   if (birdBot) {
     sessionStore.save(birdBot);
     sessionStore.stopAutoSave();
+    alertScheduler.stop();
+    digestScheduler.stop();
+    alertThrottle.stop();
+    birdBot.stopSweeper();
+    callbackCodec.flush();
+    callbackCodec.stopAutoFlush();
+    queryRegistry.flush();
+    queryRegistry.stopAutoFlush();
   }
 
   if (!USE_WEBHOOK && birdBot) {
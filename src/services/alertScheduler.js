@@ -0,0 +1,145 @@
+/**
+ * Alert Scheduler — polls eBird for every stored subscription and pushes
+ * sightings that have not been announced yet.
+ *
+ * Two subscription kinds are supported:
+ *   - 'species' (/watch)      → getSpeciesObservations(region, species)
+ *   - 'notable' (/rarealerts) → getNotableObservations(region)
+ *
+ * Subscriptions sharing the same query are fetched once per run.  Delivery
+ * formatting lives in the bot's alert handlers; this module only decides
+ * *what* is new.
+ */
+const subscriptionStore = require('./subscriptionStore');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL = 15 * 60 * 1000; // poll every 15 minutes
+const LOOKBACK_DAYS = 3;              // late-submitted checklists still show up
+const MAX_NOTABLE_RESULTS = 200;
+
+class AlertScheduler {
+  constructor() {
+    this._timer = null;
+    this._running = false;
+    this.LOOKBACK_DAYS = LOOKBACK_DAYS;
+  }
+
+  /**
+   * Start periodic polling.
+   * @param {BirdBot} bot - the bot instance used to query eBird and send alerts
+   */
+  start(bot) {
+    this._timer = setInterval(() => this.poll(bot), POLL_INTERVAL);
+    // Don't prevent the process from exiting
+    if (this._timer.unref) this._timer.unref();
+    logger.debug('Alert polling started', { intervalSec: POLL_INTERVAL / 1000 });
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Unique key for a sighting — the checklist plus its observation time.
+   * Notable feeds cover many species, and one checklist can hold several
+   * rarities, so their keys also carry the species code.
+   */
+  sightingKey(obs, kind = 'species') {
+    const key = `${obs.subId || obs.locId}|${obs.obsDt}`;
+    return kind === 'notable' ? `${obs.speciesCode}|${key}` : key;
+  }
+
+  /**
+   * Key identifying the eBird query behind a subscription.
+   */
+  _queryKey(sub) {
+    return sub.kind === 'notable'
+      ? `notable|${sub.regionCode}`
+      : `species|${sub.regionCode}|${sub.speciesCode}`;
+  }
+
+  /**
+   * Fetch the current observations for a subscription's query.
+   */
+  async fetchObservations(ebirdService, sub) {
+    const observations = sub.kind === 'notable'
+      ? await ebirdService.getNotableObservations(sub.regionCode, LOOKBACK_DAYS, MAX_NOTABLE_RESULTS)
+      : await ebirdService.getSpeciesObservations(sub.regionCode, sub.speciesCode, LOOKBACK_DAYS);
+    return observations || [];
+  }
+
+  /**
+   * Run one polling pass over all subscriptions.
+   * Overlapping runs are skipped so a slow pass never doubles up alerts.
+   */
+  async poll(bot) {
+    if (this._running) return;
+    this._running = true;
+
+    try {
+      // Group subscriptions by query so each is fetched only once
+      const groups = new Map();
+      for (const sub of subscriptionStore.all()) {
+        const key = this._queryKey(sub);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sub);
+      }
+
+      for (const [queryKey, subs] of groups) {
+        let observations;
+        try {
+          observations = await this.fetchObservations(bot.ebirdService, subs[0]);
+        } catch (error) {
+          logger.warn('Alert poll failed', { query: queryKey, error: error.message });
+          continue;
+        }
+
+        // One failing subscription must not hold up everyone else's alerts
+        for (const sub of subs) {
+          try {
+            await this._deliver(bot, sub, observations);
+          } catch (error) {
+            logger.error('Alert delivery error', { id: sub.id, chatId: sub.chatId, error: error.message });
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Alert polling error', { error: error.message, stack: error.stack });
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Send the observations a subscription has not seen yet, then remember them.
+   * Sightings are only remembered once Telegram accepted the alert, so a
+   * refused send is tried again on the next pass.
+   */
+  async _deliver(bot, sub, observations) {
+    const seen = new Set(sub.seen || []);
+    const fresh = [];
+    for (const obs of observations) {
+      const key = this.sightingKey(obs, sub.kind);
+      if (seen.has(key)) continue;
+      seen.add(key); // also drops duplicates within one response
+      fresh.push(obs);
+    }
+    if (fresh.length === 0) return;
+
+    const delivered = sub.kind === 'notable'
+      ? await bot.sendRarityAlert(sub, fresh)
+      : await bot.sendWatchAlert(sub, fresh);
+    if (!delivered) {
+      logger.warn('Alert not delivered, retrying next poll', { chatId: sub.chatId, kind: sub.kind, count: fresh.length });
+      return;
+    }
+    subscriptionStore.markSeen(sub.id, fresh.map(obs => this.sightingKey(obs, sub.kind)));
+    logger.info('Alert sent', { chatId: sub.chatId, kind: sub.kind, count: fresh.length });
+  }
+}
+
+// Singleton
+module.exports = new AlertScheduler();
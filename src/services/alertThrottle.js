@@ -0,0 +1,169 @@
+/**
+ * Alert Throttle — quiet hours and an hourly cap for push notifications
+ * (/watch and /rarealerts alerts, /digest digests).
+ *
+ * Each chat sets them in /settings (services/profileStore):
+ *   quietHours: 'HH:MM-HH:MM'  local time, may wrap past midnight
+ *   maxAlertsPerHour: number   null for no limit
+ * Local time is the chat's home region, or the alert's region without one.
+ *
+ * An alert that arrives during quiet hours, or over the hourly cap, is held
+ * instead of sent.  Every minute held alerts are checked, and once the chat
+ * may be messaged again they go out bundled as one catch-up message
+ * (counting as one alert).  Held alerts and send times are kept on disk, so
+ * nothing held is lost to a restart.
+ *
+ * Record shape (per chat):
+ *   { sentAt: [ms, ...], held: [{ summary, regionCode, heldAt }] }
+ *
+ * Formatting the catch-up lives in the bot's alert handlers
+ * (sendAlertCatchUp); this module only decides *when*.
+ */
+const JsonStore = require('./jsonStore');
+const profileStore = require('./profileStore');
+const { getRegionTime } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 1000; // look for catch-ups to send every minute
+const MAX_HELD = 50;              // keep the newest held alerts per chat
+
+class AlertThrottle extends JsonStore {
+  constructor() {
+    super('.deliveries.json');
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Start sending catch-ups.
+   * @param {BirdBot} bot - the bot instance used to send them
+   */
+  start(bot) {
+    this._timer = setInterval(() => this.flushAll(bot), CHECK_INTERVAL);
+    // Don't prevent the process from exiting
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Whether a local time falls in 'HH:MM-HH:MM' quiet hours.
+   */
+  isQuiet(quietHours, regionCode, now = new Date()) {
+    if (!quietHours) return false;
+    const [start, end] = quietHours.split('-');
+    const time = getRegionTime(regionCode, now).formatted;
+    return start <= end
+      ? time >= start && time < end
+      : time >= start || time < end; // e.g. 22:00-07:00
+  }
+
+  /**
+   * Why a chat can't be alerted right now ('quiet' or 'limit'), or null if it can.
+   */
+  blockedReason(chatId, regionCode, now = new Date()) {
+    const { quietHours, maxAlertsPerHour, homeRegion } = profileStore.getProfile(chatId);
+    if (this.isQuiet(quietHours, homeRegion || regionCode, now)) return 'quiet';
+    if (maxAlertsPerHour && this._sentLastHour(chatId, now).length >= maxAlertsPerHour) return 'limit';
+    return null;
+  }
+
+  /**
+   * Send an alert now, or hold it for the next catch-up.
+   * @param {BirdBot} bot
+   * @param {number|string} chatId
+   * @param {Function} send - () => Promise<boolean>, sends the alert; false if Telegram refused it
+   * @param {Object} alert
+   * @param {string} alert.summary - One Markdown line for the catch-up message
+   * @param {string} alert.regionCode - For local time when the chat has no home region
+   * @returns {Promise<boolean>} false only when sending failed
+   */
+  async deliver(bot, chatId, send, { summary, regionCode }, now = new Date()) {
+    // Earlier held alerts go first, so alerts arrive in order
+    if (this._record(chatId).held.length > 0) await this.flush(bot, chatId, now);
+
+    const reason = this.blockedReason(chatId, regionCode, now);
+    if (reason) {
+      this._hold(chatId, { summary, regionCode, heldAt: now.toISOString() });
+      logger.info('Alert held', { chatId, reason });
+      return true;
+    }
+
+    if (!(await send())) return false;
+    this._recordSent(chatId, now);
+    return true;
+  }
+
+  /**
+   * Send a chat's held alerts as one catch-up message, if it may be alerted now.
+   */
+  async flush(bot, chatId, now = new Date()) {
+    const { held } = this._record(chatId);
+    if (held.length === 0 || this.blockedReason(chatId, held[held.length - 1].regionCode, now)) return;
+
+    this._update(chatId, { held: [] });
+    try {
+      if (!(await bot.sendAlertCatchUp(chatId, held))) throw new Error('Telegram did not accept the catch-up');
+      this._recordSent(chatId, now);
+      logger.info('Alert catch-up sent', { chatId, count: held.length });
+    } catch (error) {
+      // Put them back in front of anything held meanwhile
+      this._update(chatId, { held: [...held, ...this._record(chatId).held].slice(-MAX_HELD) });
+      logger.warn('Alert catch-up failed', { chatId, error: error.message });
+    }
+  }
+
+  /**
+   * Send every catch-up that is due.  Overlapping runs are skipped.
+   */
+  async flushAll(bot, now = new Date()) {
+    if (this._running) return;
+    this._running = true;
+
+    try {
+      for (const [chatId, record] of Object.entries(this._load())) {
+        if (record.held?.length) await this.flush(bot, chatId, now);
+      }
+    } catch (error) {
+      logger.error('Alert catch-up error', { error: error.message, stack: error.stack });
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Alerts waiting for a chat's next catch-up.
+   */
+  heldFor(chatId) {
+    return this._record(chatId).held;
+  }
+
+  _record(chatId) {
+    return { sentAt: [], held: [], ...(this.get(chatId) || {}) };
+  }
+
+  _update(chatId, changes) {
+    this.set(chatId, { ...this._record(chatId), ...changes });
+  }
+
+  _sentLastHour(chatId, now) {
+    return this._record(chatId).sentAt.filter(t => now.getTime() - t < HOUR);
+  }
+
+  _recordSent(chatId, now) {
+    this._update(chatId, { sentAt: [...this._sentLastHour(chatId, now), now.getTime()] });
+  }
+
+  _hold(chatId, alert) {
+    this._update(chatId, { held: [...this._record(chatId).held, alert].slice(-MAX_HELD) });
+  }
+}
+
+// Singleton
+module.exports = new AlertThrottle();
@@ -0,0 +1,163 @@
+/**
+ * API Key Pool — spreads eBird requests across several API keys.
+ *
+ * Each key's requests are counted per UTC day and the least-used healthy key
+ * is handed out next.  A throttled key (429) cools down for the Retry-After
+ * period; a rejected key (401/403) is benched for an hour in case it was
+ * revoked.  With `dailyQuota` set, keys that reached it are skipped until
+ * the day rolls over.
+ */
+const logger = require('../utils/logger');
+
+const DEFAULT_THROTTLE_COOLDOWN = 60 * 1000;     // 1 minute
+const REJECTED_COOLDOWN = 60 * 60 * 1000;        // 1 hour
+
+/**
+ * Show only the tail of a key in logs and stats.
+ */
+function maskKey(key) {
+  return key.length > 4 ? `…${key.slice(-4)}` : '…';
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+class ApiKeyPool {
+  /**
+   * @param {string[]} keys - eBird API keys (duplicates and blanks are dropped)
+   * @param {Object} [options]
+   * @param {number} [options.dailyQuota=Infinity] - Requests per key per UTC day
+   */
+  constructor(keys, { dailyQuota = Infinity } = {}) {
+    const unique = [...new Set((keys || []).map(k => String(k).trim()).filter(Boolean))];
+    if (unique.length === 0) {
+      throw new Error('At least one eBird API key is required');
+    }
+    this.dailyQuota = dailyQuota;
+    this._keys = unique.map(key => ({
+      key,
+      day: utcDay(),
+      used: 0,
+      total: 0,
+      throttled: 0,
+      rejected: 0,
+      cooldownUntil: 0,
+      rejectedUntil: 0
+    }));
+  }
+
+  /**
+   * Build a pool from a comma-separated env value, e.g.
+   * EBIRD_API_KEYS="key1,key2".
+   */
+  static fromString(value, options) {
+    return new ApiKeyPool(String(value || '').split(','), options);
+  }
+
+  get keys() {
+    return this._keys.map(k => k.key);
+  }
+
+  get size() {
+    return this._keys.length;
+  }
+
+  _entry(key) {
+    const entry = this._keys.find(k => k.key === key);
+    if (entry && entry.day !== utcDay()) {
+      entry.day = utcDay();
+      entry.used = 0;
+    }
+    return entry;
+  }
+
+  /**
+   * Pick the key for the next request: the least used healthy key today.
+   * When every key is cooling down, the one that recovers first is used so
+   * the caller's own backoff can take over.  Returns null if all keys are
+   * out of quota or rejected.
+   * @param {string[]} [exclude] - Keys already tried for this request
+   * @returns {string|null}
+   */
+  acquire(exclude = []) {
+    const now = Date.now();
+    const candidates = this._keys
+      .map(k => this._entry(k.key))
+      .filter(k => !exclude.includes(k.key) && k.used < this.dailyQuota && k.rejectedUntil <= now);
+    if (candidates.length === 0) return null;
+
+    const ready = candidates.filter(k => k.cooldownUntil <= now);
+    const pick = ready.length > 0
+      ? ready.reduce((best, k) => (k.used < best.used ? k : best))
+      : candidates.reduce((best, k) => (k.cooldownUntil < best.cooldownUntil ? k : best));
+    return pick.key;
+  }
+
+  /**
+   * Whether any key other than those in `exclude` could be used right now
+   * (not cooling down, not rejected, under quota).
+   */
+  hasReadyKey(exclude = []) {
+    const now = Date.now();
+    return this._keys
+      .map(k => this._entry(k.key))
+      .some(k => !exclude.includes(k.key) && k.used < this.dailyQuota && k.rejectedUntil <= now && k.cooldownUntil <= now);
+  }
+
+  /**
+   * Count a request made with `key`.
+   */
+  recordUse(key) {
+    const entry = this._entry(key);
+    if (!entry) return;
+    entry.used++;
+    entry.total++;
+  }
+
+  /**
+   * The key hit a rate limit — rest it for `retryAfterMs` (or a minute).
+   */
+  markThrottled(key, retryAfterMs = null) {
+    const entry = this._entry(key);
+    if (!entry) return;
+    entry.throttled++;
+    entry.cooldownUntil = Date.now() + (retryAfterMs ?? DEFAULT_THROTTLE_COOLDOWN);
+    logger.warn('eBird API key throttled', { key: maskKey(key), cooldownMs: entry.cooldownUntil - Date.now() });
+  }
+
+  /**
+   * The key was refused (invalid or revoked) — bench it for an hour.
+   */
+  markRejected(key) {
+    const entry = this._entry(key);
+    if (!entry) return;
+    entry.rejected++;
+    entry.rejectedUntil = Date.now() + REJECTED_COOLDOWN;
+    logger.error('eBird API key rejected', { key: maskKey(key), size: this.size });
+  }
+
+  /**
+   * Per-key usage with keys masked, e.g. for the health endpoint.
+   */
+  getStats() {
+    const now = Date.now();
+    return this._keys.map(k => {
+      const entry = this._entry(k.key);
+      let status = 'ok';
+      if (entry.rejectedUntil > now) status = 'rejected';
+      else if (entry.cooldownUntil > now) status = 'throttled';
+      else if (entry.used >= this.dailyQuota) status = 'quota';
+      return {
+        key: maskKey(entry.key),
+        status,
+        usedToday: entry.used,
+        total: entry.total,
+        throttled: entry.throttled,
+        rejected: entry.rejected
+      };
+    });
+  }
+}
+
+module.exports = ApiKeyPool;
@@ -0,0 +1,93 @@
+/**
+ * Channel Store — channels the bot publishes daily digests to (/channel).
+ *
+ * Managed by the bot admins.  Each record remembers the local date it last
+ * posted for each region (`lastPosted`), so a restart never posts a day twice,
+ * and which species each region has reported recently (`speciesSeen`), so
+ * the digest can tell new species from regulars.
+ *
+ * Record shape:
+ *   { channelId, title, regions: [{ regionCode, regionName }],
+ *     postTime: 'HH:MM', format: 'summary' | 'compact',
+ *     lastPosted: { [regionCode]: 'YYYY-MM-DD' },
+ *     speciesSeen: { [regionCode]: { [speciesCode]: 'YYYY-MM-DD' } },
+ *     updatedBy, createdAt, updatedAt }
+ */
+const JsonStore = require('./jsonStore');
+const { rememberSpecies } = require('../utils/speciesSummary');
+
+const FORMATS = ['summary', 'compact'];
+const SPECIES_MEMORY_DAYS = 30; // a species unreported this long counts as new again
+
+class ChannelStore extends JsonStore {
+  constructor() {
+    super('.channels.json');
+    this.FORMATS = FORMATS;
+  }
+
+  /**
+   * Create or update a channel's publishing config and return it.
+   */
+  save(channelId, changes) {
+    const now = new Date().toISOString();
+    const existing = this.get(channelId);
+    return this.set(channelId, {
+      format: 'summary',
+      lastPosted: {},
+      speciesSeen: {},
+      createdAt: now,
+      ...(existing || {}),
+      ...changes,
+      channelId,
+      updatedAt: now
+    });
+  }
+
+  remove(channelId) {
+    return this.delete(channelId);
+  }
+
+  all() {
+    return this.values();
+  }
+
+  /**
+   * Claim a region's post for a local date.  Returns false when that date
+   * was already claimed, so two runs can never post the same day.
+   */
+  claimPost(channelId, regionCode, date) {
+    const channel = this.get(channelId);
+    if (!channel || channel.lastPosted?.[regionCode] === date) return false;
+    channel.lastPosted = { ...channel.lastPosted, [regionCode]: date };
+    this.set(channelId, channel);
+    return true;
+  }
+
+  /**
+   * Give a claim back after a failed post, so the next run retries.
+   */
+  releasePost(channelId, regionCode, previousDate) {
+    const channel = this.get(channelId);
+    if (!channel) return;
+    const lastPosted = { ...channel.lastPosted };
+    if (previousDate) lastPosted[regionCode] = previousDate;
+    else delete lastPosted[regionCode];
+    this.set(channelId, { ...channel, lastPosted });
+  }
+
+  /**
+   * Remember species reported in a region on a date, forgetting any not
+   * reported for SPECIES_MEMORY_DAYS.
+   */
+  recordSpecies(channelId, regionCode, speciesCodes, date) {
+    const channel = this.get(channelId);
+    if (!channel) return;
+
+    const seen = rememberSpecies(channel.speciesSeen?.[regionCode], speciesCodes, date, SPECIES_MEMORY_DAYS);
+    channel.speciesSeen = { ...channel.speciesSeen, [regionCode]: seen };
+    this.set(channelId, channel);
+  }
+}
+
+// Singleton
+module.exports = new ChannelStore();
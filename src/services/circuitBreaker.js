@@ -0,0 +1,79 @@
+/**
+ * Circuit Breaker — stops calling an upstream that keeps failing.
+ *
+ *   closed    → requests flow; consecutive failures are counted
+ *   open      → requests are refused until `resetTimeout` has passed
+ *   half-open → one trial request is let through; success closes the
+ *               circuit, failure opens it again.  A trial that never
+ *               reports back is given up after `trialTimeout`.
+ */
+const logger = require('../utils/logger');
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='upstream'] - Used in log lines
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [options.resetTimeout=60000] - How long to stay open (ms)
+   * @param {number} [options.trialTimeout=resetTimeout] - How long a half-open
+   *   trial may stay unanswered before another request is let through (ms)
+   */
+  constructor({ name = 'upstream', failureThreshold = 5, resetTimeout = 60 * 1000, trialTimeout = resetTimeout } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.trialTimeout = trialTimeout;
+    this.failures = 0;
+    this.openedAt = null;
+    this._trialStartedAt = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeout ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may go out now. In half-open state only the first
+   * caller gets through until it reports back (or its trialTimeout runs out).
+   */
+  canRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state !== 'half-open') return false;
+
+    const now = Date.now();
+    if (this._trialStartedAt !== null) {
+      if (now - this._trialStartedAt < this.trialTimeout) return false;
+      logger.warn('Circuit trial timed out', { name: this.name });
+    }
+    this._trialStartedAt = now;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      logger.info('Circuit closed', { name: this.name });
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this._trialStartedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this._trialStartedAt = null;
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      if (this.openedAt === null) {
+        logger.warn('Circuit opened', { name: this.name, failures: this.failures });
+      }
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStats() {
+    return { state: this.state, failures: this.failures, openedAt: this.openedAt };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,146 @@
+/**
+ * Digest Scheduler — posts each configured channel's daily regional digest
+ * and each user's daily or weekly /digest at its post time, in the region's
+ * own timezone (dateUtils.resolveTimezone).
+ *
+ * Every minute each channel region and personal digest is checked.  Once the
+ * region's local clock has passed the post time (on the right weekday, for
+ * weekly digests) and that local date hasn't been posted, the post is
+ * claimed in its store *before* sending: a restart mid-post skips that day
+ * rather than posting it twice, and a failed send gives the claim back so a
+ * later run retries.  A bot that was down at post time catches up later the
+ * same local day.
+ *
+ * Building and sending the digest lives in the bot's digest handlers; this
+ * module only decides *when*.
+ */
+const channelStore = require('./channelStore');
+const digestStore = require('./digestStore');
+const { getRegionDate, getRegionTime } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+const CHECK_INTERVAL = 60 * 1000;      // look for due digests every minute
+const RETRY_DELAY = 15 * 60 * 1000;    // after a failed post, wait before trying again
+
+class DigestScheduler {
+  constructor() {
+    this._timer = null;
+    this._running = false;
+    this._retryAt = new Map(); // 'channelId|regionCode' or digest ID → earliest retry time
+  }
+
+  /**
+   * Start checking for due digests.
+   * @param {BirdBot} bot - the bot instance used to build and post digests
+   */
+  start(bot) {
+    this._timer = setInterval(() => this.tick(bot), CHECK_INTERVAL);
+    // Don't prevent the process from exiting
+    if (this._timer.unref) this._timer.unref();
+    logger.debug('Digest scheduler started', { intervalSec: CHECK_INTERVAL / 1000 });
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * The local date whose digest is due for a region, or null if it isn't time yet
+   * or that date was already posted.
+   * @param {Object} schedule
+   * @param {string} schedule.postTime - 'HH:MM' local time
+   * @param {number|null} [schedule.weekday] - 0-6 (Sunday = 0) for weekly digests
+   * @param {string|null} [schedule.lastPosted] - Local date last posted
+   */
+  dueDate({ postTime, weekday = null, lastPosted = null }, regionCode, now = new Date()) {
+    const date = getRegionDate(regionCode, now).iso;
+    if (weekday !== null && new Date(`${date}T00:00:00Z`).getUTCDay() !== weekday) return null;
+    if (getRegionTime(regionCode, now).formatted < postTime) return null;
+    if (lastPosted === date) return null;
+    return date;
+  }
+
+  /**
+   * Post every digest that is due.  Overlapping runs are skipped.
+   */
+  async tick(bot, now = new Date()) {
+    if (this._running) return;
+    this._running = true;
+
+    try {
+      for (const channel of channelStore.all()) {
+        for (const region of channel.regions || []) {
+          const schedule = { postTime: channel.postTime, lastPosted: channel.lastPosted?.[region.regionCode] };
+          const date = this.dueDate(schedule, region.regionCode, now);
+          await this._attempt(`${channel.channelId}|${region.regionCode}`, date, now,
+            () => this._post(bot, channel, region, date));
+        }
+      }
+
+      for (const digest of digestStore.all()) {
+        const date = this.dueDate(digest, digest.regionCode, now);
+        await this._attempt(digest.id, date, now, () => this._send(bot, digest, date));
+      }
+    } catch (error) {
+      logger.error('Digest scheduler error', { error: error.message, stack: error.stack });
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Run a due post unless it is waiting out a retry delay after failing.
+   */
+  async _attempt(retryKey, date, now, post) {
+    if (!date || (this._retryAt.get(retryKey) || 0) > now.getTime()) return;
+
+    if (await post()) {
+      this._retryAt.delete(retryKey);
+    } else {
+      this._retryAt.set(retryKey, now.getTime() + RETRY_DELAY);
+    }
+  }
+
+  /**
+   * Claim, post, and release the claim if posting fails.
+   * @returns {Promise<boolean>} false when the post failed
+   */
+  async _post(bot, channel, region, date) {
+    const previous = channel.lastPosted?.[region.regionCode] || null;
+    if (!channelStore.claimPost(channel.channelId, region.regionCode, date)) return true;
+
+    try {
+      await bot.publishChannelDigest(channel, region, date);
+      logger.info('Channel digest posted', { channelId: channel.channelId, regionCode: region.regionCode, date });
+      return true;
+    } catch (error) {
+      channelStore.releasePost(channel.channelId, region.regionCode, previous);
+      logger.warn('Channel digest failed', { channelId: channel.channelId, regionCode: region.regionCode, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Claim, send a personal digest, and release the claim if sending fails.
+   * @returns {Promise<boolean>} false when the send failed
+   */
+  async _send(bot, digest, date) {
+    if (!digestStore.claimPost(digest.id, date)) return true;
+
+    try {
+      await bot.sendPersonalDigest(digest, date);
+      logger.info('Personal digest sent', { id: digest.id, chatId: digest.chatId, date });
+      return true;
+    } catch (error) {
+      digestStore.releasePost(digest.id, digest.lastPosted);
+      logger.warn('Personal digest failed', { id: digest.id, chatId: digest.chatId, error: error.message });
+      return false;
+    }
+  }
+}
+
+// Singleton
+module.exports = new DigestScheduler();
@@ -0,0 +1,89 @@
+/**
+ * Digest Store — personal scheduled digests (/digest).
+ *
+ * Like channel digests, each record remembers the local date it last posted
+ * (`lastPosted`), so a restart never sends a digest twice, and which species
+ * its region reported recently (`speciesSeen`), to flag new species.
+ *
+ * Record shape:
+ *   { id, chatId, frequency: 'daily' | 'weekly', weekday: 0-6 (Sunday = 0) | null,
+ *     postTime: 'HH:MM', regionCode, regionName,
+ *     lastPosted: 'YYYY-MM-DD' | null, speciesSeen: { [speciesCode]: 'YYYY-MM-DD' },
+ *     createdAt }
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { rememberSpecies } = require('../utils/speciesSummary');
+
+const SPECIES_MEMORY_DAYS = 30; // a species unreported this long counts as new again
+
+class DigestStore extends JsonStore {
+  constructor() {
+    super('.digests.json');
+  }
+
+  /**
+   * Create a digest subscription and return the stored record.
+   */
+  add(digest) {
+    const id = crypto.randomBytes(4).toString('hex');
+    return this.set(id, {
+      id,
+      weekday: null,
+      lastPosted: null,
+      speciesSeen: {},
+      createdAt: new Date().toISOString(),
+      ...digest
+    });
+  }
+
+  remove(id) {
+    return this.delete(id);
+  }
+
+  all() {
+    return this.values();
+  }
+
+  /**
+   * All digests for one chat, oldest first.
+   */
+  listForChat(chatId) {
+    return this.values()
+      .filter(digest => String(digest.chatId) === String(chatId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Claim a digest for a local date.  Returns false when that date was
+   * already claimed, so two runs can never send the same digest.
+   */
+  claimPost(id, date) {
+    const digest = this.get(id);
+    if (!digest || digest.lastPosted === date) return false;
+    this.set(id, { ...digest, lastPosted: date });
+    return true;
+  }
+
+  /**
+   * Give a claim back after a failed send, so the next run retries.
+   */
+  releasePost(id, previousDate) {
+    const digest = this.get(id);
+    if (!digest) return;
+    this.set(id, { ...digest, lastPosted: previousDate || null });
+  }
+
+  /**
+   * Remember species reported on a date, forgetting any not reported for
+   * SPECIES_MEMORY_DAYS.
+   */
+  recordSpecies(id, speciesCodes, date) {
+    const digest = this.get(id);
+    if (!digest) return;
+    this.set(id, { ...digest, speciesSeen: rememberSpecies(digest.speciesSeen, speciesCodes, date, SPECIES_MEMORY_DAYS) });
+  }
+}
+
+// Singleton
+module.exports = new DigestStore();
@@ -1,23 +1,323 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { getTimezoneAbbr } = require('../utils/dateUtils');
 const { esc } = require('../utils/markdown');
+const { describeOffset } = require('../utils/geo');
+const { isNeeded } = require('../utils/ebirdCsv');
 const logger = require('../utils/logger');
+const ResponseCache = require('./responseCache');
+const CircuitBreaker = require('./circuitBreaker');
+const ApiKeyPool = require('./apiKeyPool');
+
+// Network errors worth retrying (no HTTP response at all)
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed request is likely to succeed if repeated:
+ * rate limiting, server errors and dropped connections.
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Short, non-reversible id for a user's key — keeps their cache entries
+ * apart without putting the key itself in cache keys.
+ */
+function keyId(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+function parseRetryAfter(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
 class EBirdService {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
+  /**
+   * @param {string|string[]|ApiKeyPool} apiKeys - One key, a comma-separated
+   *   list, an array of keys, or a ready-made pool
+   * @param {Object} [options]
+   * @param {number} [options.dailyQuota] - Requests per key per UTC day
+   */
+  constructor(apiKeys, options = {}) {
+    if (apiKeys instanceof ApiKeyPool) {
+      this.keyPool = apiKeys;
+    } else if (Array.isArray(apiKeys)) {
+      this.keyPool = new ApiKeyPool(apiKeys, options);
+    } else {
+      this.keyPool = ApiKeyPool.fromString(apiKeys, options);
+    }
+    this.apiKey = this.keyPool.keys[0];
     this.baseUrl = 'https://api.ebird.org/v2';
-    this.client = axios.create({
-      baseURL: this.baseUrl,
-      headers: {
-        'X-eBirdApiToken': this.apiKey
-      }
-    });
+    this.REQUEST_TIMEOUT_MS = 15 * 1000; // a hung connection counts as a retryable ECONNABORTED
+
+    // One axios client per key — each request goes out on the key the pool picks
+    this.clients = new Map();
+    this.keyPool.keys.forEach(key => this._clientFor(key));
+    this.client = this.clients.get(this.apiKey);
+    // Users' own keys (from /setkey) share one client and travel as a
+    // per-request header, so no per-user state outlives the request
+    this.userClient = axios.create({ baseURL: this.baseUrl, timeout: this.REQUEST_TIMEOUT_MS });
+
+    // A user's own key (from /setkey) for the duration of one handler call
+    this._userKey = new AsyncLocalStorage();
     
     // Taxonomy cache — avoids re-downloading the full species list every search
     this.taxonomyCache = null;
     this.taxonomyCacheTime = null;
     this.TAXONOMY_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+    // Recent endpoints only reach back 30 days; older dates use the
+    // historic endpoint, one request per day, so ranges are capped
+    this.RECENT_WINDOW_DAYS = 30;
+    this.MAX_HISTORIC_DAYS = 7;
+
+    // Response cache for everything else — TTLs per endpoint, LRU-bounded,
+    // and concurrent identical requests share a single HTTP call
+    this.cache = new ResponseCache({ maxEntries: 500 });
+    this.CACHE_TTLS = {
+      recent: 5 * 60 * 1000,          // 5 minutes — new checklists arrive constantly
+      notable: 5 * 60 * 1000,
+      species: 5 * 60 * 1000,
+      nearby: 5 * 60 * 1000,
+      hotspotObs: 5 * 60 * 1000,
+      historic: 6 * 60 * 60 * 1000,   // 6 hours — late uploads still trickle in
+      checklist: 60 * 60 * 1000,      // 1 hour — owners can still edit
+      hotspots: 24 * 60 * 60 * 1000,  // 24 hours — hotspot lists rarely change
+      nearbyHotspots: 24 * 60 * 60 * 1000
+    };
+
+    // Retries with exponential backoff + jitter, and a breaker that stops
+    // hammering eBird once it is clearly down
+    this.RETRY = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+    // A half-open trial is given up once it has outlived every retry it could make
+    this.breaker = new CircuitBreaker({ name: 'ebird', failureThreshold: 5, resetTimeout: 60 * 1000, trialTimeout: 2 * 60 * 1000 });
+    // While eBird is down, cached responses up to this old are served marked as stale
+    this.STALE_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours
+  }
+
+  /**
+   * The axios client for a pool key, created on first use.
+   */
+  _clientFor(key) {
+    if (!this.clients.has(key)) {
+      this.clients.set(key, axios.create({
+        baseURL: this.baseUrl,
+        timeout: this.REQUEST_TIMEOUT_MS,
+        headers: {
+          'X-eBirdApiToken': key
+        }
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * Run `fn` with every request inside it sent on `apiKey` instead of the
+   * shared pool. Without a key, `fn` just runs on the pool.
+   * @param {string|null} apiKey - A user's own eBird API key
+   * @param {Function} fn - Async work (e.g. a bot handler)
+   * @param {Function} [onRejected] - Called when eBird refuses the key (401/403)
+   */
+  runWithKey(apiKey, fn, onRejected = null) {
+    return apiKey ? this._userKey.run({ apiKey, onRejected }, fn) : fn();
+  }
+
+  /**
+   * GET on a user's own key through the shared user client.
+   */
+  _getWithUserKey(apiKey, url, config = {}) {
+    return this.userClient.get(url, { ...config, headers: { ...config.headers, 'X-eBirdApiToken': apiKey } });
+  }
+
+  /**
+   * Check a key against a small observations request (the /data/obs
+   * endpoints always check the token), bypassing cache, retries and pool.
+   * @param {string} apiKey - eBird API key to test
+   * @returns {Promise<boolean>} false when eBird rejects the key
+   * @throws when eBird can't be reached to tell either way
+   */
+  async validateKey(apiKey) {
+    try {
+      await this._getWithUserKey(apiKey, '/data/obs/US/recent', { params: { back: 1, maxResults: 1 } });
+      return true;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 400 || status === 401 || status === 403) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * GET with key rotation, retries and circuit breaking. A throttled or
+   * rejected key fails over to another key straight away; otherwise only
+   * 429s, 5xx and network errors are retried, with backoff.
+   * @param {string} url - API path
+   * @param {Object} [config] - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async _request(url, config) {
+    if (!this.breaker.canRequest()) {
+      const error = new Error('eBird API is temporarily unavailable');
+      error.code = 'EBIRD_CIRCUIT_OPEN';
+      throw error;
+    }
+
+    // A user's own key is used as-is: no rotation, no pool accounting
+    const scope = this._userKey.getStore();
+    const userKey = scope?.apiKey;
+    const rejectedKeys = [];
+    for (let attempt = 0; ;) {
+      const key = userKey || this.keyPool.acquire(rejectedKeys);
+      if (!key) {
+        this.breaker.recordFailure();
+        const error = new Error('No eBird API key has quota left');
+        error.code = 'EBIRD_NO_KEYS';
+        throw error;
+      }
+
+      try {
+        if (!userKey) this.keyPool.recordUse(key);
+        let response;
+        if (userKey) {
+          response = await this._getWithUserKey(key, url, config);
+        } else {
+          const client = this._clientFor(key);
+          response = config ? await client.get(url, config) : await client.get(url);
+        }
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        // Key-specific problems: switch keys without waiting. The last
+        // usable key is never benched, so a single-key setup behaves as before.
+        if (userKey && (status === 401 || status === 403)) {
+          logger.warn('User eBird API key rejected', { status });
+          error.code = 'EBIRD_USER_KEY_REJECTED';
+          if (scope.onRejected) scope.onRejected();
+        } else if ((status === 401 || status === 403) && this.keyPool.hasReadyKey([...rejectedKeys, key])) {
+          this.keyPool.markRejected(key);
+          rejectedKeys.push(key);
+          continue;
+        }
+        if (status === 429 && !userKey) {
+          this.keyPool.markThrottled(key, parseRetryAfter(error));
+          if (this.keyPool.hasReadyKey(rejectedKeys)) continue;
+        }
+
+        if (!isRetryable(error)) {
+          // eBird answered — it's up, the request was just bad.  No answer
+          // at all (ERR_NETWORK, EHOSTUNREACH) counts as a failure, which
+          // also ends a half-open trial.
+          if (error.response) this.breaker.recordSuccess();
+          else this.breaker.recordFailure();
+          throw error;
+        }
+
+        const delay = this._retryDelay(error, attempt);
+        if (attempt >= this.RETRY.maxRetries || delay === null) {
+          // One user's throttled key says nothing about eBird's health
+          if (userKey && status === 429) this.breaker.recordSuccess();
+          else this.breaker.recordFailure();
+          throw error;
+        }
+        logger.warn('Retrying eBird request', { url, attempt: attempt + 1, delayMs: delay, status, code: error.code });
+        await this._sleep(delay);
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when eBird sends one,
+   * otherwise exponential backoff with jitter. Returns null when eBird
+   * asks us to wait longer than maxDelayMs — not worth holding a chat for.
+   */
+  _retryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter > this.RETRY.maxDelayMs ? null : retryAfter;
+    }
+    const backoff = Math.min(this.RETRY.maxDelayMs, this.RETRY.baseDelayMs * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * GET through the response cache.
+   * @param {string} endpoint - Key into CACHE_TTLS (unknown endpoints are coalesced but not cached)
+   * @param {string} url - API path
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Response body (arrays are copied so callers can sort freely).
+   *   When eBird is down and an older response is cached, that is returned
+   *   instead, with a non-enumerable `staleAt` timestamp.
+   */
+  async _get(endpoint, url, params) {
+    // Requests on a user's own key are cached and coalesced separately:
+    // they spend that user's quota, and a revoked key fails only for them
+    const scope = this._userKey.getStore();
+    const prefix = scope ? `${endpoint}@${keyId(scope.apiKey)}` : endpoint;
+    const key = `${prefix}:${url}${params ? `?${JSON.stringify(params)}` : ''}`;
+    try {
+      const data = await this.cache.wrap(key, this.CACHE_TTLS[endpoint] || 0, async () => {
+        const response = await this._request(url, params ? { params } : undefined);
+        return response.data;
+      });
+      return Array.isArray(data) ? [...data] : data;
+    } catch (error) {
+      const stale = this.cache.peek(key);
+      const outage = ['EBIRD_CIRCUIT_OPEN', 'EBIRD_NO_KEYS'].includes(error.code) || isRetryable(error);
+      if (!outage || !stale || Date.now() - stale.storedAt > this.STALE_MAX_AGE) throw error;
+
+      logger.warn('Serving stale eBird data', { url, storedAt: new Date(stale.storedAt).toISOString(), error: error.message });
+      const copy = Array.isArray(stale.value) ? [...stale.value] : { ...stale.value };
+      Object.defineProperty(copy, 'staleAt', { value: stale.storedAt, enumerable: false });
+      return copy;
+    }
+  }
+
+  /**
+   * Hit/miss counters for the response cache, plus the circuit breaker state
+   * @returns {Object} { hits, misses, coalesced, evictions, size, inFlight, hitRate, circuit }
+   */
+  getCacheStats() {
+    return { ...this.cache.getStats(), circuit: this.breaker.state };
+  }
+
+  /**
+   * Per-key usage for the API key pool (keys masked)
+   * @returns {Array<Object>} [{ key, status, usedToday, total, throttled, rejected }]
+   */
+  getKeyStats() {
+    return this.keyPool.getStats();
+  }
+
+  /**
+   * How many pool keys are in each state — safe for public endpoints
+   * @returns {Object} { total, ok, throttled, rejected, quota }
+   */
+  getKeySummary() {
+    const summary = { total: 0, ok: 0, throttled: 0, rejected: 0, quota: 0 };
+    for (const { status } of this.keyPool.getStats()) {
+      summary.total++;
+      summary[status]++;
+    }
+    return summary;
   }
 
   /**
@@ -26,7 +326,7 @@ class EBirdService {
   async preloadTaxonomy() {
     try {
       logger.info('Preloading eBird taxonomy cache');
-      const response = await this.client.get('/ref/taxonomy/ebird', {
+      const response = await this._request('/ref/taxonomy/ebird', {
         params: { fmt: 'json', cat: 'species' }
       });
       this.taxonomyCache = response.data;
@@ -47,9 +347,19 @@ class EBirdService {
       return this.taxonomyCache;
     }
     // Cache miss or expired — fetch fresh
-    const response = await this.client.get('/ref/taxonomy/ebird', {
-      params: { fmt: 'json', cat: 'species' }
-    });
+    let response;
+    try {
+      response = await this._request('/ref/taxonomy/ebird', {
+        params: { fmt: 'json', cat: 'species' }
+      });
+    } catch (error) {
+      // The species list barely changes — an expired copy beats failing the search
+      if (this.taxonomyCache) {
+        logger.warn('Using expired taxonomy cache', { error: error.message });
+        return this.taxonomyCache;
+      }
+      throw error;
+    }
     this.taxonomyCache = response.data;
     this.taxonomyCacheTime = now;
     return this.taxonomyCache;
@@ -68,13 +378,10 @@ class EBirdService {
       const cleanRegionCode = regionCode.trim().toUpperCase();
       logger.debug('Fetching observations', { region: cleanRegionCode });
       
-      const response = await this.client.get(`/data/obs/${cleanRegionCode}/recent`, {
-        params: {
-          back,
-          maxResults
-        }
+      return await this._get('recent', `/data/obs/${cleanRegionCode}/recent`, {
+        back,
+        maxResults
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching recent observations', { error: error.message, status: error.response?.status });
       if (error.response) {
@@ -93,14 +400,11 @@ class EBirdService {
    */
   async getNotableObservations(regionCode, back = 14, maxResults = 20) {
     try {
-      const response = await this.client.get(`/data/obs/${regionCode}/recent/notable`, {
-        params: {
-          back,
-          maxResults,
-          detail: 'full'
-        }
+      return await this._get('notable', `/data/obs/${regionCode}/recent/notable`, {
+        back,
+        maxResults,
+        detail: 'full'
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching notable observations', { error: error.message });
       throw error;
@@ -116,18 +420,71 @@ class EBirdService {
    */
   async getSpeciesObservations(regionCode, speciesCode, back = 14) {
     try {
-      const response = await this.client.get(`/data/obs/${regionCode}/recent/${speciesCode}`, {
-        params: {
-          back
-        }
+      return await this._get('species', `/data/obs/${regionCode}/recent/${speciesCode}`, {
+        back
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching species observations', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Get observations for a single past date (any date, not limited to 30 days)
+   * @param {string} regionCode - Country, subnational1, subnational2 or location code
+   * @param {Date} date - The day to fetch (local date parts are used)
+   * @param {number} maxResults - Maximum number of results
+   * @returns {Promise<Array>} Latest observation of each species on that day
+   */
+  async getHistoricObservations(regionCode, date, maxResults = 1000) {
+    const y = date.getFullYear();
+    const m = date.getMonth() + 1;
+    const d = date.getDate();
+    try {
+      logger.debug('Fetching historic observations', { region: regionCode, date: `${y}-${m}-${d}` });
+      return await this._get('historic', `/data/obs/${regionCode}/historic/${y}/${m}/${d}`, {
+        rank: 'mrec',
+        maxResults
+      });
+    } catch (error) {
+      logger.error('Error fetching historic observations', { error: error.message, status: error.response?.status });
+      throw error;
+    }
+  }
+
+  /**
+   * Get observations for a range of past dates — one historic request per day, merged newest first
+   * @param {string} regionCode - Country, subnational1, subnational2 or location code
+   * @param {Date} startDate - First day (inclusive)
+   * @param {Date} endDate - Last day (inclusive)
+   * @returns {Promise<Array>} Observations from every day in the range
+   */
+  async getHistoricObservationsRange(regionCode, startDate, endDate) {
+    const day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    // Checked up front so an over-long range costs no requests
+    const days = Math.round((last - day) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > this.MAX_HISTORIC_DAYS) {
+      throw new Error(`Historic ranges are limited to ${this.MAX_HISTORIC_DAYS} days`);
+    }
+
+    const observations = [];
+    let staleAt;
+
+    // One day at a time to stay gentle on eBird's rate limits
+    while (day <= last) {
+      const dayObservations = await this.getHistoricObservations(regionCode, day);
+      observations.push(...dayObservations);
+      // Oldest stale day wins, so the label never overstates freshness
+      if (dayObservations.staleAt && !(staleAt <= dayObservations.staleAt)) staleAt = dayObservations.staleAt;
+      day.setDate(day.getDate() + 1);
+    }
+
+    observations.sort((a, b) => (b.obsDt || '').localeCompare(a.obsDt || ''));
+    if (staleAt) Object.defineProperty(observations, 'staleAt', { value: staleAt, enumerable: false });
+    return observations;
+  }
+
   /**
    * Get nearby recent observations based on coordinates
    * @param {number} lat - Latitude
@@ -139,16 +496,13 @@ class EBirdService {
    */
   async getNearbyObservations(lat, lng, dist = 25, back = 14, maxResults = 20) {
     try {
-      const response = await this.client.get('/data/obs/geo/recent', {
-        params: {
-          lat,
-          lng,
-          dist,
-          back,
-          maxResults
-        }
+      return await this._get('nearby', '/data/obs/geo/recent', {
+        lat,
+        lng,
+        dist,
+        back,
+        maxResults
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching nearby observations', { error: error.message });
       throw error;
@@ -165,16 +519,13 @@ class EBirdService {
    */
   async getNearbyNotableObservations(lat, lng, dist = 25, back = 14) {
     try {
-      const response = await this.client.get('/data/obs/geo/recent/notable', {
-        params: {
-          lat,
-          lng,
-          dist,
-          back,
-          detail: 'full'
-        }
+      return await this._get('nearby', '/data/obs/geo/recent/notable', {
+        lat,
+        lng,
+        dist,
+        back,
+        detail: 'full'
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching nearby notable observations', { error: error.message });
       throw error;
@@ -262,8 +613,7 @@ class EBirdService {
    */
   async getHotspots(regionCode) {
     try {
-      const response = await this.client.get(`/ref/hotspot/${regionCode}`);
-      return response.data;
+      return await this._get('hotspots', `/ref/hotspot/${regionCode}`);
     } catch (error) {
       logger.error('Error fetching hotspots', { error: error.message });
       throw error;
@@ -391,13 +741,10 @@ class EBirdService {
   async getHotspotObservations(locId, back = 14, maxResults = 100) {
     try {
       logger.debug('Fetching hotspot observations', { locId });
-      const response = await this.client.get(`/data/obs/${locId}/recent`, {
-        params: {
-          back,
-          maxResults
-        }
+      return await this._get('hotspotObs', `/data/obs/${locId}/recent`, {
+        back,
+        maxResults
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching hotspot observations', { error: error.message });
       throw error;
@@ -413,14 +760,11 @@ class EBirdService {
    */
   async getNearbyHotspots(lat, lng, dist = 25) {
     try {
-      const response = await this.client.get('/ref/hotspot/geo', {
-        params: {
-          lat,
-          lng,
-          dist
-        }
+      return await this._get('nearbyHotspots', '/ref/hotspot/geo', {
+        lat,
+        lng,
+        dist
       });
-      return response.data;
     } catch (error) {
       logger.error('Error fetching nearby hotspots', { error: error.message });
       throw error;
@@ -428,12 +772,28 @@ class EBirdService {
   }
 
   /**
-   * Format date from yyyy-mm-dd hh:mm to dd/mm/yyyy hh:mm
+   * Get a full checklist (species, counts and effort) by submission ID
+   * @param {string} subId - The eBird checklist ID (e.g., 'S123456789')
+   * @returns {Promise<Object>} Checklist with effort fields and an `obs` array
+   */
+  async getChecklist(subId) {
+    try {
+      logger.debug('Fetching checklist', { subId });
+      return await this._get('checklist', `/product/checklist/view/${subId}`);
+    } catch (error) {
+      logger.error('Error fetching checklist', { error: error.message, status: error.response?.status });
+      throw error;
+    }
+  }
+
+  /**
+   * Format date from yyyy-mm-dd hh:mm to dd/mm/yyyy hh:mm (or mm/dd/yyyy)
    * @param {string} dateStr - Date string from eBird API (e.g., "2026-02-06 18:30")
    * @param {string} [regionCode] - eBird region code for timezone label
+   * @param {string} [dateFormat='DMY'] - 'DMY' for dd/mm/yyyy, 'MDY' for mm/dd/yyyy
    * @returns {string} Formatted date string (e.g., "06/02/2026 18:30 SGT")
    */
-  formatDate(dateStr, regionCode) {
+  formatDate(dateStr, regionCode, dateFormat = 'DMY') {
     if (!dateStr) return 'Unknown';
     
     // Split date and time
@@ -444,24 +804,35 @@ class EBirdService {
     // Split date into year, month, day
     const [year, month, day] = datePart.split('-');
     
-    // Return in dd/mm/yyyy format with the searched region's timezone label
+    // Return in dd/mm/yyyy (or mm/dd/yyyy) format with the searched region's timezone label
     const tzAbbr = getTimezoneAbbr(regionCode);
-    return `${day}/${month}/${year}${timePart ? ' ' + timePart + ' ' + tzAbbr : ''}`;
+    const date = dateFormat === 'MDY' ? `${month}/${day}/${year}` : `${day}/${month}/${year}`;
+    return `${date}${timePart ? ' ' + timePart + ' ' + tzAbbr : ''}`;
   }
 
   /**
    * Format a single observation for display
    * @param {Object} obs - Observation object from eBird API
    * @param {string} [regionCode] - eBird region code for timezone label
+   * @param {Object} [options]
+   * @param {{lat: number, lng: number}} [options.origin] - user's location; adds distance and direction
+   * @param {string} [options.dateFormat] - 'DMY' (default) or 'MDY'
+   * @param {Set<string>} [options.lifeList] - species codes the user has seen; others get a Lifer marker
    * @returns {string} Formatted string
    */
-  formatObservation(obs, regionCode) {
+  formatObservation(obs, regionCode, options = {}) {
+    const { origin = null, dateFormat = 'DMY', lifeList = null } = options;
     const mapsLink = `https://maps.google.com/?q=${obs.lat},${obs.lng}`;
-    let formatted = `🐦 *${esc(obs.comName)}*\n`;
+    let formatted = `🐦 *${esc(obs.comName)}*${isNeeded(obs, lifeList) ? ' 🆕 Lifer' : ''}\n`;
     formatted += `   _${esc(obs.sciName)}_\n`;
     formatted += `📍 ${esc(obs.locName)}\n`;
     formatted += `🗺️ [📍 View on Google Maps](${mapsLink})\n`;
-    formatted += `📅 ${this.formatDate(obs.obsDt, regionCode)}\n`;
+
+    const offset = describeOffset(origin, obs);
+    if (offset) {
+      formatted += `🧭 ${offset} of you\n`;
+    }
+    formatted += `📅 ${this.formatDate(obs.obsDt, regionCode, dateFormat)}\n`;
     
     // Add eBird species-specific sighting link (deep-links to the species within the checklist)
     if (obs.subId) {
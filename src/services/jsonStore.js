@@ -0,0 +1,124 @@
+/**
+ * JSON Store — tiny key/value store for long-lived bot data.
+ *
+ * Unlike the session file, these records (watch subscriptions, preferences …)
+ * must survive restarts indefinitely, so every change is written through to
+ * storage immediately.  Reads and writes go through the configured storage
+ * backend (see ./storage) — by default a file in DATA_DIR (the project root).
+ *
+ * With a per-record backend (SQLite) each get/set reads or upserts just that
+ * record and nothing is kept in memory, so several bot processes can share
+ * one database.  Otherwise the document is loaded once, kept in memory and
+ * written back whole, which needs one bot process per DATA_DIR.
+ *
+ * Subclass it per collection:
+ *   class SubscriptionStore extends JsonStore {
+ *     constructor() { super('.subscriptions.json'); }
+ *   }
+ */
+const path = require('path');
+const { getStorage, DATA_DIR } = require('./storage');
+const logger = require('../utils/logger');
+
+class JsonStore {
+  /**
+   * @param {string} fileName - file name inside DATA_DIR (e.g. '.subscriptions.json')
+   */
+  constructor(fileName) {
+    this.filePath = path.resolve(DATA_DIR, fileName);
+    this._data = null;
+  }
+
+  /**
+   * Whether the backend keeps one row per record (see ./storage).
+   */
+  _perRecord() {
+    return typeof getStorage().writeRecords === 'function';
+  }
+
+  /**
+   * The whole collection. Document backends read it lazily and keep it;
+   * a missing or corrupt one starts empty.  Per-record backends return a
+   * fresh copy on every call — changes to it are not saved.
+   */
+  _load() {
+    if (this._perRecord()) {
+      try {
+        return getStorage().readRecords(this.filePath);
+      } catch (error) {
+        logger.error('Failed to load store', { file: path.basename(this.filePath), error: error.message });
+        return {};
+      }
+    }
+    if (this._data) return this._data;
+
+    try {
+      this._data = getStorage().read(this.filePath) || {};
+    } catch (error) {
+      logger.error('Failed to load store', { file: path.basename(this.filePath), error: error.message });
+      this._data = {};
+    }
+    return this._data;
+  }
+
+  /**
+   * Write the whole collection back to a document backend.
+   */
+  _persist() {
+    try {
+      getStorage().write(this.filePath, this._load());
+    } catch (error) {
+      logger.error('Failed to persist store', { file: path.basename(this.filePath), error: error.message });
+    }
+  }
+
+  /**
+   * Store some records and remove others in one write: only those rows on
+   * a per-record backend, the whole document otherwise.
+   * @param {Object} [records] - key → value
+   * @param {Array<string|number>} [removedKeys]
+   */
+  _write(records = {}, removedKeys = []) {
+    if (!this._perRecord()) {
+      const data = this._load();
+      Object.assign(data, records);
+      for (const key of removedKeys) delete data[String(key)];
+      this._persist();
+      return;
+    }
+
+    try {
+      getStorage().writeRecords(this.filePath, records, removedKeys.map(String));
+    } catch (error) {
+      logger.error('Failed to persist store', { file: path.basename(this.filePath), error: error.message });
+    }
+  }
+
+  get(key) {
+    if (!this._perRecord()) return this._load()[String(key)] ?? null;
+
+    try {
+      return getStorage().readRecord(this.filePath, String(key));
+    } catch (error) {
+      logger.error('Failed to load store', { file: path.basename(this.filePath), error: error.message });
+      return null;
+    }
+  }
+
+  set(key, value) {
+    this._write({ [String(key)]: value });
+    return value;
+  }
+
+  delete(key) {
+    if (this.get(key) === null) return false;
+    this._write({}, [key]);
+    return true;
+  }
+
+  values() {
+    return Object.values(this._load());
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,41 @@
+/**
+ * Life List Store — each chat's imported eBird life list.
+ *
+ * Record shape:
+ *   { species: { [speciesCode]: { comName, firstSeen: 'YYYY-MM-DD' } },
+ *     importedAt, fileName }
+ */
+const JsonStore = require('./jsonStore');
+
+class LifeListStore extends JsonStore {
+  constructor() {
+    super('.lifelists.json');
+  }
+
+  /**
+   * Replace a chat's life list with a fresh import.
+   */
+  replace(chatId, species, fileName = null) {
+    return this.set(chatId, {
+      species,
+      importedAt: new Date().toISOString(),
+      fileName
+    });
+  }
+
+  /**
+   * Species codes on a chat's life list, or null if none was imported.
+   * @returns {Set<string>|null}
+   */
+  speciesCodes(chatId) {
+    const record = this.get(chatId);
+    return record ? new Set(Object.keys(record.species)) : null;
+  }
+
+  remove(chatId) {
+    return this.delete(chatId);
+  }
+}
+
+// Singleton
+module.exports = new LifeListStore();
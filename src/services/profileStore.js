@@ -0,0 +1,60 @@
+/**
+ * Profile Store — long-lived per-chat preferences (/settings).
+ *
+ * Unlike session state, profiles never expire.  Only the fields a user has
+ * changed are stored; getProfile() fills in the defaults.
+ *
+ * Record shape:
+ *   { homeRegion, homeRegionName, datePreset, pageSize, nearbyRadius,
+ *     nearbyRarities, dateFormat: 'DMY' | 'MDY', quietHours, maxAlertsPerHour, updatedAt }
+ */
+const JsonStore = require('./jsonStore');
+
+// null means "not set" — the bot asks (or uses its built-in default) as before
+const DEFAULTS = {
+  homeRegion: null,      // eBird region code used by /sightings and /notable with no argument
+  homeRegionName: null,  // what the user typed, for display
+  datePreset: null,      // e.g. 'last_week' — skips the date picker
+  pageSize: null,        // results per page (bot default: ITEMS_PER_PAGE)
+  nearbyRadius: null,    // km — skips the /nearby radius picker
+  nearbyRarities: false, // with nearbyRadius: search notable observations only
+  dateFormat: 'DMY',     // 'DMY' → 15/02/2026, 'MDY' → 02/15/2026
+  quietHours: null,      // 'HH:MM-HH:MM' local time when alerts are held back (services/alertThrottle)
+  maxAlertsPerHour: null // alerts beyond this in an hour wait for a catch-up message
+};
+
+class ProfileStore extends JsonStore {
+  constructor() {
+    super('.profiles.json');
+    this.DEFAULTS = DEFAULTS;
+  }
+
+  /**
+   * A chat's profile with defaults filled in (never null).
+   */
+  getProfile(chatId) {
+    return { ...DEFAULTS, ...(this.get(chatId) || {}) };
+  }
+
+  /**
+   * Merge changes into a chat's profile and return the full profile.
+   */
+  update(chatId, changes) {
+    const stored = this.set(chatId, {
+      ...(this.get(chatId) || {}),
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    return { ...DEFAULTS, ...stored };
+  }
+
+  /**
+   * Forget all preferences for a chat.
+   */
+  reset(chatId) {
+    return this.delete(chatId);
+  }
+}
+
+// Singleton
+module.exports = new ProfileStore();
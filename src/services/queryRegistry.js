@@ -0,0 +1,98 @@
+/**
+ * Query Registry — short tokens for the searches behind paginated results.
+ *
+ * Page buttons carry a token (e.g. `5f1c2a9e0b`) in their payload instead of
+ * relying on the in-memory observationsCache alone.  When the cache entry is
+ * gone — evicted, or lost in a restart — the token still resolves to the
+ * query so the bot can re-run it and show the requested page.
+ *
+ * Tokens are a hash of the query, so the same search always gets the same
+ * token.  New tokens and uses are flushed to storage every 30 s and on
+ * shutdown, like callback payloads (../bot/callbackCodec); a known token's
+ * `usedAt` is refreshed at most daily, so paging doesn't rewrite storage.
+ *
+ * Record shape:
+ *   { query: { type, regionCode, dateFilter, isHotspot, … }, usedAt }
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const TOKEN_LENGTH = 10;                    // hex chars — keeps callback_data well under 64 bytes
+const FLUSH_INTERVAL = 30 * 1000;
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;   // forget queries nobody paged through in 30 days
+const MAX_QUERIES = 5000;
+const TOUCH_INTERVAL = 24 * 60 * 60 * 1000; // refresh a known token's usedAt at most daily
+
+class QueryRegistry extends JsonStore {
+  constructor() {
+    super('.queries.json');
+    this._pending = new Map(); // token → record not yet flushed
+    this._timer = null;
+  }
+
+  /**
+   * Register a query and return its token.
+   * @param {Object} query - Everything needed to re-run the search
+   * @returns {string}
+   */
+  register(query) {
+    const token = crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex').slice(0, TOKEN_LENGTH);
+    const known = this._pending.get(token) || this.get(token);
+    if (known && Date.now() - new Date(known.usedAt).getTime() < TOUCH_INTERVAL) return token;
+
+    this._pending.set(token, { query, usedAt: new Date().toISOString() });
+    return token;
+  }
+
+  /**
+   * @returns {Object|null} The query behind a token
+   */
+  lookup(token) {
+    return (this._pending.get(token) || this.get(token))?.query || null;
+  }
+
+  /**
+   * Persist tokens registered or refreshed since the last flush.
+   */
+  flush() {
+    if (this._pending.size === 0) return;
+    const records = Object.fromEntries(this._pending);
+    this._pending.clear();
+    this._write(records, this._expired(records));
+  }
+
+  startAutoFlush() {
+    this._timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    // Don't prevent the process from exiting
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stopAutoFlush() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Tokens to drop once `records` are saved: those past MAX_AGE, then the
+   * oldest beyond MAX_QUERIES.
+   */
+  _expired(records) {
+    const cutoff = Date.now() - MAX_AGE;
+    const expired = [];
+    const live = Object.entries({ ...this._load(), ...records })
+      .filter(([token, { usedAt }]) => {
+        if (new Date(usedAt).getTime() >= cutoff) return true;
+        expired.push(token);
+        return false;
+      })
+      .sort(([, a], [, b]) => a.usedAt.localeCompare(b.usedAt));
+
+    const excess = live.slice(0, Math.max(0, live.length - MAX_QUERIES));
+    return [...expired, ...excess.map(([token]) => token)];
+  }
+}
+
+// Singleton
+module.exports = new QueryRegistry();
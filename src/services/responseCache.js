@@ -0,0 +1,115 @@
+/**
+ * Response Cache — in-memory TTL + LRU cache with request coalescing.
+ *
+ * Sits in front of eBird API calls: fresh entries are served from memory,
+ * and concurrent identical requests share one in-flight promise instead of
+ * each hitting the API.  Failed requests are never cached.
+ *
+ * Entries live in a Map, whose insertion order doubles as the LRU order —
+ * a hit re-inserts the key at the end, and eviction drops from the front.
+ * Expired entries are kept until evicted or refreshed, so `peek()` can still
+ * hand out the last good response when the upstream is down.
+ */
+const logger = require('../utils/logger');
+
+class ResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500] - LRU bound across all endpoints
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this._entries = new Map(); // key → { value, storedAt, expiresAt }
+    this._inFlight = new Map(); // key → Promise
+    this.stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  }
+
+  /**
+   * Return the cached value for `key`, or run `fetcher` once and cache its
+   * result for `ttl` ms.  Callers arriving while a fetch is pending get the
+   * same promise.
+   * @param {string} key - Unique request key (endpoint + params)
+   * @param {number} ttl - Time to live in milliseconds
+   * @param {Function} fetcher - Async function producing the value
+   * @returns {Promise<*>}
+   */
+  async wrap(key, ttl, fetcher) {
+    const entry = this._entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      // Refresh LRU position
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+      return entry.value;
+    }
+
+    if (this._inFlight.has(key)) {
+      this.stats.coalesced++;
+      return this._inFlight.get(key);
+    }
+
+    this.stats.misses++;
+    const pending = (async () => {
+      try {
+        const value = await fetcher();
+        this._set(key, value, ttl);
+        return value;
+      } finally {
+        this._inFlight.delete(key);
+      }
+    })();
+    this._inFlight.set(key, pending);
+    return pending;
+  }
+
+  _set(key, value, ttl) {
+    if (ttl <= 0) return;
+    this._entries.delete(key);
+    const storedAt = Date.now();
+    this._entries.set(key, { value, storedAt, expiresAt: storedAt + ttl });
+    while (this._entries.size > this.maxEntries) {
+      const oldest = this._entries.keys().next().value;
+      this._entries.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Look up an entry without fetching or touching the counters — expired
+   * entries included.
+   * @returns {{value: *, storedAt: number, expiresAt: number}|null}
+   */
+  peek(key) {
+    return this._entries.get(key) || null;
+  }
+
+  /**
+   * Drop cached entries whose key starts with `prefix` (all entries if omitted).
+   */
+  invalidate(prefix = '') {
+    for (const key of [...this._entries.keys()]) {
+      if (key.startsWith(prefix)) this._entries.delete(key);
+    }
+  }
+
+  /**
+   * Counters plus current size, e.g. for the health endpoint.
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+    return {
+      ...this.stats,
+      size: this._entries.size,
+      inFlight: this._inFlight.size,
+      hitRate: lookups ? Math.round(((this.stats.hits + this.stats.coalesced) / lookups) * 100) / 100 : 0
+    };
+  }
+
+  clear() {
+    this._entries.clear();
+    this._inFlight.clear();
+    logger.debug('Response cache cleared');
+  }
+}
+
+module.exports = ResponseCache;
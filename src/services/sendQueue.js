@@ -0,0 +1,171 @@
+/**
+ * Send Queue — paces outgoing Telegram messages to the Bot API limits.
+ *
+ *   global    → at most `globalLimit` sends in any second, across all chats
+ *   per chat  → one send at a time, in the order they were queued; new
+ *               messages go at least `chatInterval` ms apart, while edits
+ *               and deletes only wait their turn
+ *   429       → "Too Many Requests" pauses that chat for the `retry_after`
+ *               Telegram asks for, then the same send is tried again
+ *   dead letter → a send that fails for good (any other error, or too many
+ *               429s) is logged and kept in a short list for getStats()
+ *
+ * A send is a function returning the Telegram call's promise; push()
+ * settles with its result once it has gone out.  A chat that is idle sends
+ * straight away, so interactive replies are only held back under load.
+ */
+const logger = require('../utils/logger');
+
+const MAX_DEAD_LETTERS = 20; // most recent failures kept for getStats()
+// Calls that change an existing message rather than post a new one
+const UNPACED_METHODS = ['editMessageText', 'editMessageReplyMarkup', 'deleteMessage'];
+
+/**
+ * Seconds Telegram asks us to wait, or null when the error isn't a 429.
+ */
+function retryAfter(error) {
+  const body = error?.response?.body;
+  if (error?.response?.statusCode !== 429 && body?.error_code !== 429) return null;
+  return body?.parameters?.retry_after || 1;
+}
+
+class SendQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.globalLimit=30] - Sends per second across all chats
+   * @param {number} [options.chatInterval=1000] - Minimum ms between new messages to one chat
+   * @param {number} [options.maxRetries=3] - 429 retries before giving up on a send
+   */
+  constructor({ globalLimit = 30, chatInterval = 1000, maxRetries = 3 } = {}) {
+    this.globalLimit = globalLimit;
+    this.chatInterval = chatInterval;
+    this.maxRetries = maxRetries;
+    this._chats = new Map(); // chatId → { jobs, busy, readyAt, pausedUntil }
+    this._recent = [];       // start times of sends in the last second
+    this._timer = null;
+    this._wakeAt = Infinity;
+    this._stats = { sent: 0, retried: 0, deadLettered: 0 };
+    this._deadLetters = [];
+  }
+
+  /**
+   * Queue a send for a chat.
+   * @param {number|string} chatId
+   * @param {Function} send - () => Promise, the Telegram call
+   * @param {Object} [options]
+   * @param {string} [options.method='sendMessage'] - Telegram method, for logs
+   * @param {boolean} [options.deadLetter=true] - Log a failed send as a dead
+   *   letter; off for calls whose caller expects failures (edits, deletes)
+   * @returns {Promise} The call's result
+   */
+  push(chatId, send, { method = 'sendMessage', deadLetter = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const key = String(chatId);
+      if (!this._chats.has(key)) this._chats.set(key, { jobs: [], busy: false, readyAt: 0, pausedUntil: 0 });
+      const paced = !UNPACED_METHODS.includes(method);
+      this._chats.get(key).jobs.push({ chatId, send, method, paced, deadLetter, resolve, reject, retries: 0 });
+      this._pump();
+    });
+  }
+
+  /**
+   * Counters since start-up, plus the most recent dead letters.
+   * @returns {{ queued: number, sent: number, retried: number, deadLettered: number, deadLetters: Array<Object> }}
+   */
+  getStats() {
+    return { queued: this.size, ...this._stats, deadLetters: [...this._deadLetters] };
+  }
+
+  /**
+   * Sends waiting to go out (not counting those in flight).
+   */
+  get size() {
+    let size = 0;
+    for (const chat of this._chats.values()) size += chat.jobs.length;
+    return size;
+  }
+
+  /**
+   * Start every send that is allowed now, then sleep until the next one is.
+   */
+  _pump() {
+    const now = Date.now();
+    this._recent = this._recent.filter(t => now - t < 1000);
+
+    let nextAt = Infinity;
+    for (const [key, chat] of this._chats) {
+      if (chat.busy) continue;
+      if (chat.jobs.length === 0) {
+        if (Math.max(chat.readyAt, chat.pausedUntil) <= now) this._chats.delete(key);
+        continue;
+      }
+      // A 429 holds everything back; the pacing interval only new messages
+      const readyAt = chat.jobs[0].paced ? Math.max(chat.readyAt, chat.pausedUntil) : chat.pausedUntil;
+      if (readyAt > now) {
+        nextAt = Math.min(nextAt, readyAt);
+        continue;
+      }
+      if (this._recent.length >= this.globalLimit) {
+        nextAt = Math.min(nextAt, this._recent[0] + 1000);
+        continue;
+      }
+      this._recent.push(now);
+      this._run(chat, chat.jobs.shift());
+    }
+
+    this._sleepUntil(nextAt, now);
+  }
+
+  async _run(chat, job) {
+    chat.busy = true;
+    try {
+      job.resolve(await job.send());
+      this._stats.sent++;
+      if (job.paced) chat.readyAt = Date.now() + this.chatInterval;
+    } catch (error) {
+      const wait = retryAfter(error);
+      if (wait !== null && job.retries < this.maxRetries) {
+        job.retries++;
+        this._stats.retried++;
+        chat.jobs.unshift(job); // keep its place in the chat's order
+        chat.pausedUntil = Date.now() + wait * 1000;
+        logger.warn('Telegram rate limit hit, retrying', { chatId: job.chatId, method: job.method, retryAfterSec: wait, attempt: job.retries });
+      } else {
+        if (job.paced) chat.readyAt = Date.now() + this.chatInterval;
+        if (job.deadLetter) this._deadLetter(job, error);
+        job.reject(error);
+      }
+    } finally {
+      chat.busy = false;
+      this._pump();
+    }
+  }
+
+  _deadLetter(job, error) {
+    const entry = {
+      chatId: job.chatId,
+      method: job.method,
+      error: error.message,
+      retries: job.retries,
+      failedAt: new Date().toISOString()
+    };
+    this._stats.deadLettered++;
+    this._deadLetters = [...this._deadLetters, entry].slice(-MAX_DEAD_LETTERS);
+    logger.error('Telegram send dead-lettered', entry);
+  }
+
+  _sleepUntil(wakeAt, now) {
+    if (wakeAt === Infinity || (this._timer && this._wakeAt <= wakeAt)) return;
+    clearTimeout(this._timer);
+    this._wakeAt = wakeAt;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._wakeAt = Infinity;
+      this._pump();
+    }, wakeAt - now);
+    // A pending wake-up alone shouldn't keep the process alive on shutdown
+    this._timer.unref?.();
+  }
+}
+
+module.exports = SendQueue;
@@ -1,18 +1,30 @@
 /**
- * Session Store — persists user states to a local JSON file so they survive restarts.
+ * Session Store — persists user states so they survive restarts.
  *
- * Saves userStates, lastPrompts, and observationsCache periodically (every 30 s)
- * and on graceful shutdown.  On boot the bot reloads the last-saved snapshot.
+ * Saves userStates, lastPrompts, and observationsCache metadata periodically
+ * (every 30 s) and on graceful shutdown.  On boot the bot reloads the
+ * last-saved snapshot.  Writes go through the configured storage backend
+ * (atomic JSON file by default, or SQLite — see ./storage).
  *
- * File-based storage is intentional: it's fast, has zero external dependencies,
- * and the data is inherently short-lived (mid-flow conversation state).
+ * Payloads carry a schema `version`; older snapshots are upgraded step by
+ * step through MIGRATIONS, newer ones (from a later release) are discarded.
  */
-const fs = require('fs');
 const path = require('path');
+const { getStorage } = require('./storage');
 const logger = require('../utils/logger');
 
 const SESSION_FILE = path.resolve(__dirname, '../../.sessions.json');
 const SAVE_INTERVAL = 30 * 1000; // auto-save every 30 seconds
+const SCHEMA_VERSION = 2;
+
+/**
+ * MIGRATIONS[n] upgrades a version-n payload to version n + 1.
+ * Snapshots written before versioning existed count as version 1.
+ */
+const MIGRATIONS = {
+  // v2: observationsCache metadata saved alongside user states
+  1: (data) => ({ ...data, observationsMeta: {} }),
+};
 
 class SessionStore {
   constructor() {
@@ -38,19 +50,24 @@ class SessionStore {
   }
 
   /**
-   * Persist bot state Maps to disk.
+   * Persist bot state Maps to storage.
    */
   save(bot) {
     try {
       const data = {
+        version: SCHEMA_VERSION,
         savedAt: new Date().toISOString(),
         userStates: _mapToObj(bot.userStates),
         lastPrompts: _mapToObj(bot.lastPrompts),
         // observationsCache can be large; only save metadata (not full obs arrays)
         // so we don't bloat the file — users will just re-fetch if needed
+        observationsMeta: {
+          ..._mapToObj(bot.expiredResults || new Map()),
+          ..._cacheMeta(bot.observationsCache || new Map()),
+        },
       };
 
-      fs.writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2), 'utf-8');
+      getStorage().write(SESSION_FILE, data);
       logger.debug('Sessions saved', { users: bot.userStates.size });
     } catch (error) {
       logger.error('Failed to save sessions', { error: error.message });
@@ -58,14 +75,19 @@ class SessionStore {
   }
 
   /**
-   * Restore bot state Maps from disk.  Call once during construction.
+   * Restore bot state Maps from storage.  Call once during construction.
    */
   restore(bot) {
     try {
-      if (!fs.existsSync(SESSION_FILE)) return;
+      const stored = getStorage().read(SESSION_FILE);
+      if (!stored) return;
 
-      const raw = fs.readFileSync(SESSION_FILE, 'utf-8');
-      const data = JSON.parse(raw);
+      if ((stored.version || 1) > SCHEMA_VERSION) {
+        logger.warn('Discarded session file from a newer release', { version: stored.version, supported: SCHEMA_VERSION });
+        this._cleanup();
+        return;
+      }
+      const data = this.migrate(stored);
 
       // Discard sessions older than 1 hour — they're stale
       const savedAt = new Date(data.savedAt);
@@ -82,6 +104,9 @@ class SessionStore {
       if (data.lastPrompts) {
         _objToMap(data.lastPrompts, bot.lastPrompts);
       }
+      if (bot.expiredResults) {
+        _objToMap(data.observationsMeta, bot.expiredResults);
+      }
 
       logger.info('Sessions restored', {
         users: bot.userStates.size,
@@ -93,10 +118,23 @@ class SessionStore {
     }
   }
 
+  /**
+   * Upgrade a stored payload to SCHEMA_VERSION.
+   */
+  migrate(data) {
+    let version = data.version || 1;
+    let migrated = data;
+    while (version < SCHEMA_VERSION) {
+      migrated = MIGRATIONS[version](migrated);
+      version++;
+    }
+    return { ...migrated, version };
+  }
+
   /** Remove the session file (e.g. after stale / corrupt). */
   _cleanup() {
     try {
-      if (fs.existsSync(SESSION_FILE)) fs.unlinkSync(SESSION_FILE);
+      getStorage().remove(SESSION_FILE);
     } catch { /* ignore */ }
   }
 }
@@ -111,6 +149,15 @@ function _mapToObj(map) {
   return obj;
 }
 
+/** Cache entries minus the result arrays — what was searched, not what was found. */
+function _cacheMeta(cache) {
+  const meta = {};
+  for (const [k, { observations, checklist, ...rest }] of cache) {
+    meta[String(k)] = rest;
+  }
+  return meta;
+}
+
 function _objToMap(obj, map) {
   for (const [k, v] of Object.entries(obj)) {
     map.set(k, v);
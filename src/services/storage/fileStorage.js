@@ -0,0 +1,60 @@
+/**
+ * File Storage — one JSON file per document, written atomically.
+ *
+ * Each write goes to a temp file next to the target, is fsync'd, then
+ * renamed over it.  rename() is atomic on the same filesystem, so a crash
+ * mid-write leaves either the old file or the new one — never half of each.
+ */
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+  /**
+   * @param {string} dir - Directory relative document names resolve against
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Document name → file path. Absolute names are used as-is.
+   */
+  _path(name) {
+    return path.resolve(this.dir, name);
+  }
+
+  /**
+   * @returns {Object|null} Parsed document, or null when it doesn't exist
+   * @throws on unreadable or corrupt files
+   */
+  read(name) {
+    const file = this._path(name);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  write(name, data) {
+    const file = this._path(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf-8');
+      const fd = fs.openSync(tmp, 'r+');
+      try {
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      try { fs.unlinkSync(tmp); } catch { /* never created */ }
+      throw error;
+    }
+  }
+
+  remove(name) {
+    const file = this._path(name);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,59 @@
+/**
+ * Storage — picks the backend every persistent store writes through.
+ *
+ *   STORAGE_BACKEND=file    (default) JSON files in DATA_DIR, atomic writes
+ *   STORAGE_BACKEND=sqlite  one SQLite database at SQLITE_PATH
+ *                           (defaults to DATA_DIR/birdbot.db)
+ *
+ * Every backend implements the same synchronous interface for documents:
+ *   read(name)  → object | null
+ *   write(name, data)
+ *   remove(name)
+ *
+ * Backends that keep one row per record (SQLite) also implement:
+ *   readRecord(name, key)  → value | null
+ *   readRecords(name)      → { key: value }
+ *   writeRecords(name, records, removedKeys)
+ * and stores (../jsonStore) then read and write single records, so
+ * several bot processes can share the database.  The file backend writes
+ * whole documents and needs one bot process per DATA_DIR.
+ */
+const path = require('path');
+const FileStorage = require('./fileStorage');
+const SqliteStorage = require('./sqliteStorage');
+const logger = require('../../utils/logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../..');
+
+let storage = null;
+
+/**
+ * Build the backend named by STORAGE_BACKEND. Falls back to file storage
+ * (with an error logged) when SQLite isn't available on this Node version.
+ */
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'file').toLowerCase();
+
+  if (backend === 'sqlite') {
+    if (SqliteStorage.isAvailable()) {
+      const file = env.SQLITE_PATH || path.join(DATA_DIR, 'birdbot.db');
+      logger.info('Using SQLite storage', { file });
+      return new SqliteStorage(file);
+    }
+    logger.error('STORAGE_BACKEND=sqlite needs Node.js 22.5+ (node:sqlite) — falling back to file storage');
+  } else if (backend !== 'file') {
+    logger.warn('Unknown STORAGE_BACKEND, using file storage', { backend });
+  }
+
+  return new FileStorage(DATA_DIR);
+}
+
+/**
+ * The shared backend, created on first use.
+ */
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+module.exports = { getStorage, createStorage, DATA_DIR };
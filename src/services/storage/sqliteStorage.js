@@ -0,0 +1,187 @@
+/**
+ * SQLite Storage — all stores in a single database file.
+ *
+ * Collections (../jsonStore) keep one row per record in the `records`
+ * table and read and upsert single rows, so several bot processes can
+ * point at the same database without overwriting each other's changes.
+ * Whole documents (the session snapshot) are rows in `documents`.
+ *
+ * Uses the built-in node:sqlite module (Node.js 22.5+), loaded only when
+ * this backend is selected so older runtimes can still use file storage.
+ */
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  )
+`;
+const BUSY_TIMEOUT_MS = 5000; // another process holding the write lock
+
+class SqliteStorage {
+  /**
+   * @param {string} file - Database file path
+   * @param {Object} [options]
+   * @param {Function} [options.DatabaseSync] - Driver class (defaults to node:sqlite)
+   */
+  constructor(file, { DatabaseSync = null } = {}) {
+    this.file = file;
+    this._DatabaseSync = DatabaseSync;
+    this._db = null;
+    this._migrated = new Set();
+  }
+
+  /**
+   * Whether node:sqlite can be loaded on this runtime.
+   */
+  static isAvailable() {
+    try {
+      require('node:sqlite');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  _open() {
+    if (this._db) return this._db;
+    const DatabaseSync = this._DatabaseSync || require('node:sqlite').DatabaseSync;
+    this._db = new DatabaseSync(this.file);
+    this._db.exec('PRAGMA journal_mode = WAL');
+    this._db.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    this._db.exec(SCHEMA);
+    return this._db;
+  }
+
+  /**
+   * Rows are keyed by file name, so stores configured with a path
+   * (e.g. '/data/.profiles.json') share rows across deployments.
+   */
+  _key(name) {
+    return path.basename(name);
+  }
+
+  read(name) {
+    const row = this._open()
+      .prepare('SELECT data FROM documents WHERE name = ?')
+      .get(this._key(name));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  write(name, data) {
+    this._open()
+      .prepare(`INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`)
+      .run(this._key(name), JSON.stringify(data), new Date().toISOString());
+  }
+
+  remove(name) {
+    this._open()
+      .prepare('DELETE FROM documents WHERE name = ?')
+      .run(this._key(name));
+  }
+
+  /**
+   * One record of a collection.
+   * @returns {*} The stored value, or null
+   */
+  readRecord(name, key) {
+    const collection = this._collection(name);
+    const row = this._open()
+      .prepare('SELECT data FROM records WHERE collection = ? AND key = ?')
+      .get(collection, String(key));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Every record of a collection.
+   * @returns {Object} key → value
+   */
+  readRecords(name) {
+    const collection = this._collection(name);
+    const rows = this._open()
+      .prepare('SELECT key, data FROM records WHERE collection = ?')
+      .all(collection);
+    return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.data)]));
+  }
+
+  /**
+   * Upsert and delete records of a collection in one transaction; other
+   * records are left as they are.
+   * @param {string} name
+   * @param {Object} [records] - key → value to store
+   * @param {string[]} [removedKeys]
+   */
+  writeRecords(name, records = {}, removedKeys = []) {
+    const collection = this._collection(name);
+    const db = this._open();
+    const updatedAt = new Date().toISOString();
+    this._transaction(() => {
+      const upsert = db.prepare(`INSERT INTO records (collection, key, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(collection, key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+      for (const [key, value] of Object.entries(records)) {
+        upsert.run(collection, key, JSON.stringify(value), updatedAt);
+      }
+      const remove = db.prepare('DELETE FROM records WHERE collection = ? AND key = ?');
+      for (const key of removedKeys) remove.run(collection, String(key));
+    });
+  }
+
+  /**
+   * Collection name for a store's file name, moving a collection saved
+   * whole by an earlier release into per-record rows on first use.
+   * Rows already written by another process win over the old document.
+   */
+  _collection(name) {
+    const collection = this._key(name);
+    if (this._migrated.has(collection)) return collection;
+
+    const db = this._open();
+    this._transaction(() => {
+      const row = db.prepare('SELECT data FROM documents WHERE name = ?').get(collection);
+      if (!row) return;
+      const insert = db.prepare(`INSERT INTO records (collection, key, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(collection, key) DO NOTHING`);
+      const updatedAt = new Date().toISOString();
+      for (const [key, value] of Object.entries(JSON.parse(row.data))) {
+        insert.run(collection, key, JSON.stringify(value), updatedAt);
+      }
+      db.prepare('DELETE FROM documents WHERE name = ?').run(collection);
+    });
+    this._migrated.add(collection);
+    return collection;
+  }
+
+  /**
+   * Run `fn` holding the write lock, so concurrent processes queue up.
+   */
+  _transaction(fn) {
+    const db = this._open();
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      fn();
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  close() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
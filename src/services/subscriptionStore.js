@@ -0,0 +1,73 @@
+/**
+ * Subscription Store — persisted alert subscriptions (e.g. /watch).
+ *
+ * Each record remembers which sightings were already announced (`seen`),
+ * so restarts never re-send old alerts.
+ *
+ * Record shape:
+ *   { id, chatId, kind: 'species', speciesCode, comName, sciName,
+ *     regionCode, regionName, seen: ['subId|obsDt', ...], createdAt }
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const MAX_SEEN = 500; // keep the most recent announced keys per subscription
+
+class SubscriptionStore extends JsonStore {
+  constructor() {
+    super('.subscriptions.json');
+  }
+
+  /**
+   * Create a subscription and return the stored record.
+   */
+  add(subscription) {
+    const id = crypto.randomBytes(4).toString('hex');
+    return this.set(id, {
+      id,
+      seen: [],
+      createdAt: new Date().toISOString(),
+      ...subscription
+    });
+  }
+
+  remove(id) {
+    return this.delete(id);
+  }
+
+  all() {
+    return this.values();
+  }
+
+  /**
+   * All subscriptions for one chat, oldest first.
+   */
+  listForChat(chatId) {
+    return this.values()
+      .filter(sub => String(sub.chatId) === String(chatId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Find an existing subscription matching the given fields for a chat.
+   */
+  findForChat(chatId, fields) {
+    return this.listForChat(chatId).find(sub =>
+      Object.entries(fields).every(([k, v]) => sub[k] === v)
+    ) || null;
+  }
+
+  /**
+   * Record sighting keys as announced (trimmed to the newest MAX_SEEN).
+   */
+  markSeen(id, keys) {
+    const sub = this.get(id);
+    if (!sub || keys.length === 0) return;
+    const seen = [...new Set([...(sub.seen || []), ...keys])];
+    sub.seen = seen.slice(-MAX_SEEN);
+    this.set(id, sub);
+  }
+}
+
+// Singleton
+module.exports = new SubscriptionStore();
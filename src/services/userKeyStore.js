@@ -0,0 +1,90 @@
+/**
+ * User Key Store — eBird API keys users registered with /setkey.
+ *
+ * Keys are encrypted at rest with AES-256-GCM.  The encryption key is derived
+ * from KEY_ENCRYPTION_SECRET (falling back to the Telegram bot token), so a
+ * leaked data file alone does not expose anyone's eBird key.
+ *
+ * Record shape:
+ *   { iv, tag, data (all base64), last4, addedAt }
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const logger = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const SALT = 'birdbot-user-api-keys';
+
+class UserKeyStore extends JsonStore {
+  constructor() {
+    super('.userkeys.json');
+    this._cipherKey = null;
+    this._secret = null;
+  }
+
+  /**
+   * Derive (once per secret) the 32-byte cipher key.
+   */
+  _key() {
+    const secret = process.env.KEY_ENCRYPTION_SECRET || process.env.TELEGRAM_BOT_TOKEN;
+    if (!secret) {
+      throw new Error('KEY_ENCRYPTION_SECRET is not configured');
+    }
+    if (secret !== this._secret) {
+      if (!process.env.KEY_ENCRYPTION_SECRET) {
+        logger.warn('KEY_ENCRYPTION_SECRET not set — deriving user key encryption from the bot token');
+      }
+      this._cipherKey = crypto.scryptSync(secret, SALT, 32);
+      this._secret = secret;
+    }
+    return this._cipherKey;
+  }
+
+  /**
+   * Encrypt and save a chat's eBird API key.
+   */
+  setKey(chatId, apiKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this._key(), iv);
+    const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+    return this.set(chatId, {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      last4: apiKey.slice(-4),
+      addedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * A chat's decrypted eBird API key, or null if none is stored or it can't
+   * be decrypted (e.g. the secret changed).
+   * @returns {string|null}
+   */
+  getKey(chatId) {
+    const record = this.get(chatId);
+    if (!record) return null;
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this._key(), Buffer.from(record.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(record.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      logger.error('Failed to decrypt user API key', { chatId, error: error.message });
+      return null;
+    }
+  }
+
+  hasKey(chatId) {
+    return this.get(chatId) !== null;
+  }
+
+  removeKey(chatId) {
+    return this.delete(chatId);
+  }
+}
+
+// Singleton
+module.exports = new UserKeyStore();
@@ -227,11 +227,11 @@ function getTimezoneAbbr(regionCode) {
 /**
  * Get current time formatted for a specific region's timezone.
  * @param {string} [regionCode] - eBird region code (optional)
+ * @param {Date} [now] - Reference instant (defaults to the current time)
  * @returns {{ hours: string, minutes: string, formatted: string }} Time parts
  */
-function getRegionTime(regionCode) {
+function getRegionTime(regionCode, now = new Date()) {
   const tz = resolveTimezone(regionCode);
-  const now = new Date();
   const parts = new Intl.DateTimeFormat('en-GB', {
     timeZone: tz,
     hour: '2-digit',
@@ -243,6 +243,39 @@ function getRegionTime(regionCode) {
   return { hours: h, minutes: m, formatted: `${h}:${m}` };
 }
 
+/**
+ * Get today's calendar date in a region's timezone.
+ * @param {string} [regionCode] - eBird region code (optional)
+ * @param {Date} [now] - Reference instant (defaults to the current time)
+ * @returns {{ year: number, month: number, day: number, iso: string }} month is 1-12, iso is YYYY-MM-DD
+ */
+function getRegionDate(regionCode, now = new Date()) {
+  const tz = resolveTimezone(regionCode);
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: tz,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+  const get = (type) => parts.find(p => p.type === type).value;
+  const iso = `${get('year')}-${get('month')}-${get('day')}`;
+  return { year: Number(get('year')), month: Number(get('month')), day: Number(get('day')), iso };
+}
+
+/**
+ * Parse a daily time range such as "22:00-07:00", "22:00 – 7:00" or "22:00 to 07:00".
+ * The range may wrap past midnight; start and end must differ.
+ * @param {string} text
+ * @returns {string|null} 'HH:MM-HH:MM', or null when it can't be read
+ */
+function parseTimeRange(text) {
+  const match = String(text).trim().match(/^([01]?\d|2[0-3]):([0-5]\d)\s*(?:-|–|to)\s*([01]?\d|2[0-3]):([0-5]\d)$/i);
+  if (!match) return null;
+  const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+  const end = `${match[3].padStart(2, '0')}:${match[4]}`;
+  return start === end ? null : `${start}-${end}`;
+}
+
 /**
  * Get current time in the system's local timezone
  * @returns {Date} Current local time
@@ -527,5 +560,7 @@ module.exports = {
   formatLocalTime,
   getTimezoneAbbr,
   resolveTimezone,
-  getRegionTime
+  getRegionTime,
+  getRegionDate,
+  parseTimeRange
 };
@@ -0,0 +1,169 @@
+/**
+ * eBird CSV utilities — parse the "MyEBirdData.csv" personal data download
+ * into a life list keyed by eBird species code.
+ *
+ * The download has no species codes, only names, e.g.:
+ *   Submission ID,Common Name,Scientific Name,Taxonomic Order,Count,...,Date,...
+ *   S123456789,Yellow-rumped Warbler (Myrtle),Setophaga coronata coronata,...,2024-05-01,...
+ *
+ * Rows are reconciled against the eBird taxonomy (species level):
+ *   1. exact scientific name
+ *   2. scientific binomial (drops subspecies / group epithets)
+ *   3. common name without the "(form)" suffix
+ * Spuhs, slashes and hybrids ("gull sp.", "Greater/Lesser Scaup", "Mallard x American Black Duck")
+ * never count towards a life list and are skipped.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields with commas, escaped quotes ("") and embedded newlines,
+ * CRLF line endings and a leading UTF-8 BOM.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const str = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+
+    if (inQuotes) {
+      if (ch === '"' && str[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && str[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Whether a taxon name can count as a species on a life list.
+ * @param {string} comName - common name (e.g. "gull sp.", "Greater/Lesser Scaup")
+ * @returns {boolean}
+ */
+function isCountableName(comName) {
+  if (!comName) return false;
+  return !/\bsp\.|\/| x |\(hybrid\)|Domestic/i.test(comName);
+}
+
+/**
+ * Whether an observation is a species missing from a life list (a potential lifer).
+ * @param {Object} obs - eBird observation
+ * @param {Set<string>} lifeList - species codes already seen
+ * @returns {boolean}
+ */
+function isNeeded(obs, lifeList) {
+  return Boolean(lifeList && obs.speciesCode && !lifeList.has(obs.speciesCode) && isCountableName(obs.comName));
+}
+
+/**
+ * Build lookup maps from the eBird taxonomy (cat=species).
+ */
+function _indexTaxonomy(taxonomy) {
+  const bySci = new Map();
+  const byCom = new Map();
+  for (const t of taxonomy) {
+    if (t.sciName) bySci.set(t.sciName.toLowerCase(), t);
+    if (t.comName) byCom.set(t.comName.toLowerCase(), t);
+  }
+  return { bySci, byCom };
+}
+
+/**
+ * Find the species-level taxon for one CSV row.
+ * @returns {Object|null} taxonomy entry
+ */
+function _reconcile(comName, sciName, index) {
+  const sci = (sciName || '').trim().toLowerCase();
+  const com = (comName || '').trim().toLowerCase();
+
+  if (sci && index.bySci.has(sci)) return index.bySci.get(sci);
+
+  const binomial = sci.split(/\s+/).slice(0, 2).join(' ');
+  if (binomial && index.bySci.has(binomial)) return index.bySci.get(binomial);
+
+  const baseCom = com.replace(/\s*\(.*\)\s*$/, '');
+  if (baseCom && index.byCom.has(baseCom)) return index.byCom.get(baseCom);
+
+  return null;
+}
+
+/**
+ * Turn MyEBirdData.csv text into a life list.
+ * @param {string} csvText - file contents
+ * @param {Array} taxonomy - eBird taxonomy from EBirdService.getTaxonomy()
+ * @returns {{ species: Object<string, {comName: string, firstSeen: string}>, rows: number, unmatched: string[] }|null}
+ *   null when the file lacks the "Common Name" / "Scientific Name" columns
+ */
+function parseMyEBirdData(csvText, taxonomy) {
+  const [header, ...records] = parseCsv(csvText);
+  const columns = (header || []).map(h => h.trim().toLowerCase());
+  const comIdx = columns.indexOf('common name');
+  const sciIdx = columns.indexOf('scientific name');
+  const dateIdx = columns.indexOf('date');
+
+  if (comIdx === -1 || sciIdx === -1) return null;
+
+  const index = _indexTaxonomy(taxonomy || []);
+  const species = {};
+  const unmatched = new Set();
+
+  for (const record of records) {
+    const comName = record[comIdx];
+    const sciName = record[sciIdx];
+    if (!isCountableName(comName)) continue;
+
+    const taxon = _reconcile(comName, sciName, index);
+    if (!taxon) {
+      unmatched.add(comName);
+      continue;
+    }
+
+    const date = dateIdx === -1 ? '' : (record[dateIdx] || '').trim();
+    const existing = species[taxon.speciesCode];
+    if (!existing) {
+      species[taxon.speciesCode] = { comName: taxon.comName, firstSeen: date };
+    } else if (date && (!existing.firstSeen || date < existing.firstSeen)) {
+      existing.firstSeen = date;
+    }
+  }
+
+  return { species, rows: records.length, unmatched: [...unmatched] };
+}
+
+module.exports = {
+  parseCsv,
+  isCountableName,
+  isNeeded,
+  parseMyEBirdData
+};
@@ -0,0 +1,94 @@
+/**
+ * ExpiringMap — a Map with an idle TTL and an LRU size cap.
+ *
+ * Drop-in for the bot's per-chat Maps: get/set/has/delete behave like Map,
+ * but entries untouched for `ttl` ms disappear, and once `maxEntries` is
+ * reached the least recently used entry makes room for the new one.
+ * Expired entries are dropped lazily on access and in bulk by sweep().
+ *
+ *   const cache = new ExpiringMap({ maxEntries: 1000, ttl: 60 * 60 * 1000 });
+ */
+class ExpiringMap extends Map {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=Infinity] - LRU cap
+   * @param {number} [options.ttl=Infinity] - Idle time (ms) before an entry expires
+   * @param {Function} [options.onEvict] - Called with (key, value, reason) for
+   *   entries removed by expiry ('expired') or the size cap ('lru')
+   */
+  constructor({ maxEntries = Infinity, ttl = Infinity, onEvict = null } = {}) {
+    super();
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.onEvict = onEvict;
+    // key → last access time, kept in least- to most-recently-used order
+    this._touched = new Map();
+    this.evictions = 0;
+  }
+
+  get(key) {
+    if (!this.has(key)) return undefined;
+    this._touch(key);
+    return super.get(key);
+  }
+
+  has(key) {
+    if (!super.has(key)) return false;
+    if (this._isExpired(key)) {
+      this._evict(key, 'expired');
+      return false;
+    }
+    return true;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this._touch(key);
+    while (this.size > this.maxEntries) {
+      this._evict(this._touched.keys().next().value, 'lru');
+    }
+    return this;
+  }
+
+  delete(key) {
+    this._touched.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this._touched.clear();
+    super.clear();
+  }
+
+  /**
+   * Drop every expired entry.
+   * @returns {number} How many entries were removed
+   */
+  sweep() {
+    let removed = 0;
+    for (const key of [...this._touched.keys()]) {
+      if (!this._isExpired(key)) break; // oldest first — the rest are fresher
+      this._evict(key, 'expired');
+      removed++;
+    }
+    return removed;
+  }
+
+  _touch(key) {
+    this._touched.delete(key);
+    this._touched.set(key, Date.now());
+  }
+
+  _isExpired(key) {
+    return Date.now() - this._touched.get(key) > this.ttl;
+  }
+
+  _evict(key, reason) {
+    const value = super.get(key);
+    this.delete(key);
+    this.evictions++;
+    if (this.onEvict) this.onEvict(key, value, reason);
+  }
+}
+
+module.exports = ExpiringMap;
@@ -0,0 +1,74 @@
+/**
+ * Geo utilities — distance and compass direction between two coordinates.
+ *
+ * Used to show how far (and which way) each nearby sighting is from the
+ * location the user shared:
+ *   describeOffset({ lat: 1.35, lng: 103.82 }, obs)  →  '3.2 km NE'
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+
+/**
+ * Great-circle distance in kilometres (haversine formula).
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Initial bearing from point 1 to point 2, in degrees clockwise from north (0–360).
+ */
+function bearingDeg(lat1, lng1, lat2, lng2) {
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Convert a bearing to an 8-point compass direction (N, NE, E …).
+ */
+function compassPoint(deg) {
+  return COMPASS_POINTS[Math.round(deg / 45) % 8];
+}
+
+/**
+ * Human-friendly distance: metres under 1 km, one decimal under 10 km.
+ */
+function formatDistance(km) {
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  if (km < 10) return `${km.toFixed(1)} km`;
+  return `${Math.round(km)} km`;
+}
+
+/**
+ * Distance and direction from an origin to an observation, e.g. '3.2 km NE'.
+ * Returns null when either point lacks coordinates.
+ * @param {{lat: number, lng: number}} origin - user's shared location
+ * @param {{lat: number, lng: number}} obs - observation (eBird lat/lng fields)
+ * @returns {string|null}
+ */
+function describeOffset(origin, obs) {
+  if (!origin || !obs || origin.lat == null || origin.lng == null || obs.lat == null || obs.lng == null) {
+    return null;
+  }
+  const km = distanceKm(origin.lat, origin.lng, obs.lat, obs.lng);
+  return `${formatDistance(km)} ${compassPoint(bearingDeg(origin.lat, origin.lng, obs.lat, obs.lng))}`;
+}
+
+module.exports = {
+  distanceKm,
+  bearingDeg,
+  compassPoint,
+  formatDistance,
+  describeOffset
+};
@@ -0,0 +1,106 @@
+/**
+ * Species summary — observations grouped species → location → date → times,
+ * as shown by the 📊 Summary view and the channel digests.
+ *
+ *   groupBySpecies(observations)
+ *     → Map { 'houspa' => { comName, count, locations: Map { 'Bishan Park' => { count, dates } } } }
+ *
+ * Digests also remember which species a region reported recently, to tell
+ * new species from regulars: rememberSpecies().
+ */
+const { esc } = require('./markdown');
+
+/**
+ * Group observations by species, then location, then date (with times).
+ * Counts add up `howMany`, treating a missing count as 1.
+ * @param {Array} observations - eBird observations
+ * @param {string} [dateFormat='DMY'] - 'DMY' or 'MDY' for the date keys
+ * @returns {Map<string, {comName: string, count: number, locations: Map}>} in first-seen order
+ */
+function groupBySpecies(observations, dateFormat = 'DMY') {
+  const speciesMap = new Map();
+  for (const obs of observations) {
+    const key = obs.speciesCode || obs.comName;
+    if (!speciesMap.has(key)) {
+      speciesMap.set(key, { comName: obs.comName, count: 0, locations: new Map() });
+    }
+    const entry = speciesMap.get(key);
+    entry.count += obs.howMany || 1;
+
+    const loc = obs.locName;
+    if (!entry.locations.has(loc)) {
+      entry.locations.set(loc, { count: 0, dates: new Map() });
+    }
+    const locEntry = entry.locations.get(loc);
+    locEntry.count += obs.howMany || 1;
+
+    // Parse date and time from obsDt ("2026-02-15 08:30")
+    if (obs.obsDt) {
+      const parts = obs.obsDt.split(' ');
+      const datePart = parts[0]; // yyyy-mm-dd
+      const timePart = parts[1] || null;
+      const [year, month, day] = datePart.split('-');
+      const dateKey = dateFormat === 'MDY' ? `${month}/${day}/${year}` : `${day}/${month}/${year}`;
+
+      if (!locEntry.dates.has(dateKey)) {
+        locEntry.dates.set(dateKey, new Set());
+      }
+      if (timePart) {
+        locEntry.dates.get(dateKey).add(timePart);
+      }
+    }
+  }
+  return speciesMap;
+}
+
+/**
+ * The indented 📍 location / 📅 date lines under one species entry.
+ * @param {Object} entry - A value from groupBySpecies()
+ * @param {string} tzAbbr - Timezone label for the times
+ * @returns {string}
+ */
+function formatLocations(entry, tzAbbr) {
+  let text = '';
+  for (const [loc, info] of entry.locations) {
+    text += `    📍 ${esc(loc)} (x${info.count})\n`;
+
+    // Show dates with grouped times
+    for (const [dateKey, times] of info.dates) {
+      const sortedTimes = [...times].sort();
+      if (sortedTimes.length > 0) {
+        text += `    📅 ${dateKey} ${sortedTimes.join(', ')} ${tzAbbr}\n`;
+      } else {
+        text += `    📅 ${dateKey} ${tzAbbr}\n`;
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * Add species reported on a date to a { speciesCode: lastDate } record,
+ * dropping any not reported within memoryDays before that date.
+ * @param {Object} seen - Previous record (not modified)
+ * @param {string[]} speciesCodes
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} memoryDays
+ * @returns {Object} The new record
+ */
+function rememberSpecies(seen, speciesCodes, date, memoryDays) {
+  const cutoff = new Date(`${date}T00:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - memoryDays);
+  const cutoffIso = cutoff.toISOString().slice(0, 10);
+
+  const kept = {};
+  for (const [code, lastDate] of Object.entries(seen || {})) {
+    if (lastDate >= cutoffIso) kept[code] = lastDate;
+  }
+  for (const code of speciesCodes) kept[code] = date;
+  return kept;
+}
+
+module.exports = {
+  groupBySpecies,
+  formatLocations,
+  rememberSpecies
+};
@@ -0,0 +1,103 @@
+/**
+ * Tests for src/bot/callbackCodec.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('CallbackCodec', () => {
+  let tmpDir;
+  let codec;
+  const params = { type: 'sightings', preset: 'last_14_days', regionCode: 'US-NY-061' };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-'));
+    codec = require('../../src/bot/callbackCodec');
+    codec.filePath = path.join(tmpDir, '.callbacks.json');
+    codec._data = null;
+  });
+
+  afterEach(() => {
+    codec.stopAutoFlush();
+    jest.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('actions without params stay plain strings', () => {
+    expect(codec.encode('done')).toBe('done');
+    expect(codec.decode('cmd_start')).toEqual({ action: 'cmd_start' });
+  });
+
+  test('params become a short opaque ID that decodes to the payload', () => {
+    const id = codec.encode('date', params);
+
+    expect(id).toMatch(/^~[\w-]{10}$/);
+    expect(Buffer.byteLength(id)).toBeLessThanOrEqual(64);
+    expect(codec.decode(id)).toEqual({ action: 'date', ...params });
+  });
+
+  test('the same payload always gets the same ID', () => {
+    expect(codec.encode('date', { ...params })).toBe(codec.encode('date', { ...params }));
+    expect(codec.encode('date', { ...params, preset: 'today' })).not.toBe(codec.encode('date', params));
+  });
+
+  test('unknown IDs decode to null', () => {
+    expect(codec.decode('~0000000000')).toBeNull();
+  });
+
+  test('flush persists new payloads so IDs survive a restart', () => {
+    const id = codec.encode('page', { type: 'sightings', page: 2, token: null });
+    codec.flush();
+    codec._data = null;
+
+    expect(codec.decode(id)).toEqual({ action: 'page', type: 'sightings', page: 2, token: null });
+  });
+
+  test('flush skips the write when nothing new was issued', () => {
+    codec.encode('share', { type: 'sightings' });
+    codec.flush();
+    fs.rmSync(codec.filePath);
+
+    codec.encode('share', { type: 'sightings' });
+    codec.flush();
+
+    expect(fs.existsSync(codec.filePath)).toBe(false);
+  });
+
+  test('pressing a button keeps it alive and is saved on the next flush', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const id = codec.encode('needs', { type: 'sightings' });
+    codec.flush();
+
+    jest.setSystemTime(new Date('2026-01-25T00:00:00Z'));
+    codec.decode(id);
+    codec.flush();
+    codec._data = null; // restart
+
+    jest.setSystemTime(new Date('2026-02-15T00:00:00Z'));
+    codec.encode('needs', { type: 'notable' });
+    codec.flush();
+
+    expect(codec.decode(id)).toEqual({ action: 'needs', type: 'sightings' });
+  });
+
+  test('forgets payloads unused for 30 days', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const old = codec.encode('needs', { type: 'sightings' });
+    jest.setSystemTime(new Date('2026-02-15T00:00:00Z'));
+    const fresh = codec.encode('needs', { type: 'notable' });
+    codec.flush();
+
+    expect(codec.decode(old)).toBeNull();
+    expect(codec.decode(fresh)).not.toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for chatContext — per-update sender/topic context and state keys.
+ */
+const chatContext = require('../../src/bot/chatContext');
+
+describe('chatContext', () => {
+  const groupMsg = { chat: { id: -100, type: 'supergroup' }, from: { id: 7 }, message_id: 3 };
+
+  test('private chats key state by chat id', () => {
+    chatContext.run({ chat: { id: 5, type: 'private' }, from: { id: 5 } }, () => {
+      expect(chatContext.stateKey(5)).toBe(5);
+    });
+  });
+
+  test('group members get their own state key', () => {
+    chatContext.run(groupMsg, () => {
+      expect(chatContext.stateKey(-100)).toBe('-100:7');
+    });
+  });
+
+  test('outside an update (or for another chat) the chat id is the key', () => {
+    expect(chatContext.stateKey(-100)).toBe(-100);
+    chatContext.run(groupMsg, () => {
+      expect(chatContext.stateKey(-200)).toBe(-200);
+      expect(chatContext.current(-200)).toBeNull();
+    });
+  });
+
+  test('callback queries take the chat from their message and the sender from the query', () => {
+    const query = { from: { id: 8 }, message: { chat: { id: -100, type: 'group' }, message_id: 9 }, data: 'x' };
+    chatContext.run(query, () => {
+      expect(chatContext.current(-100)).toMatchObject({ userId: 8, isGroup: true, messageId: null });
+    });
+  });
+
+  test('records the forum topic of topic messages', () => {
+    chatContext.run({ ...groupMsg, is_topic_message: true, message_thread_id: 42 }, () => {
+      expect(chatContext.current(-100).threadId).toBe(42);
+    });
+  });
+
+  test('chatIdOf() recovers the chat from any key', () => {
+    expect(chatContext.chatIdOf('-100:7')).toBe(-100);
+    expect(chatContext.chatIdOf('5')).toBe(5);
+    expect(chatContext.chatIdOf(5)).toBe(5);
+  });
+});
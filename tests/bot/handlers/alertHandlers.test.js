@@ -0,0 +1,467 @@
+/**
+ * Tests for alertHandlers — /watch, /rarealerts, /watchlist, /unwatch and alert delivery.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/services/alertThrottle', () => ({
+  deliver: jest.fn((bot, chatId, send) => send()),
+}));
+
+jest.mock('../../../src/services/subscriptionStore', () => ({
+  add: jest.fn(sub => ({ id: 'new1', ...sub })),
+  get: jest.fn().mockReturnValue(null),
+  remove: jest.fn().mockReturnValue(true),
+  listForChat: jest.fn().mockReturnValue([]),
+  findForChat: jest.fn().mockReturnValue(null),
+}));
+
+jest.mock('../../../src/services/digestStore', () => ({
+  remove: jest.fn().mockReturnValue(true),
+  listForChat: jest.fn().mockReturnValue([]),
+}));
+
+const alertHandlers = require('../../../src/bot/handlers/alertHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
+const subscriptionStore = require('../../../src/services/subscriptionStore');
+const digestStore = require('../../../src/services/digestStore');
+const alertThrottle = require('../../../src/services/alertThrottle');
+
+function makeCtx(overrides = {}) {
+  return {
+    userStates: new Map(),
+    lastPrompts: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    sendMessages(chatId, messages) {
+      return Promise.all(messages.map(({ text, options }) => this.sendMessage(chatId, text, options)));
+    },
+    ebirdService: {
+      searchSpeciesByName: jest.fn().mockResolvedValue([
+        { speciesCode: 'orphor1', comName: 'Oriental Pied Hornbill', sciName: 'Anthracoceros albirostris' },
+      ]),
+      getSpeciesObservations: jest.fn().mockResolvedValue([]),
+      getNotableObservations: jest.fn().mockResolvedValue([]),
+      formatObservation: jest.fn().mockReturnValue('formatted obs\n'),
+    },
+    _checkWatchLimit: alertHandlers._checkWatchLimit,
+    promptWatch: alertHandlers.promptWatch,
+    promptRareAlerts: alertHandlers.promptRareAlerts,
+    pushAlert: alertHandlers.pushAlert,
+    ...flowHandlers,
+    ...overrides,
+  };
+}
+
+const sub = {
+  id: 'abc123', chatId: 1, kind: 'species', speciesCode: 'orphor1',
+  comName: 'Oriental Pied Hornbill', regionCode: 'SG', regionName: 'Singapore',
+};
+
+describe('alertHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    subscriptionStore.listForChat.mockReturnValue([]);
+    subscriptionStore.findForChat.mockReturnValue(null);
+    subscriptionStore.get.mockReturnValue(null);
+  });
+
+  // ─── handleWatch ────────────────────────────────────────
+
+  describe('handleWatch()', () => {
+    test('prompts for input when no argument given', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.handleWatch.call(ctx, { chat: { id: 1 } }, [null, '']);
+
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_watch' });
+      expect(ctx.lastPrompts.get(1).action).toBe('awaiting_watch');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Watch a species'), expect.any(Object));
+    });
+
+    test('delegates to addWatch with input', async () => {
+      const ctx = makeCtx({ addWatch: jest.fn() });
+      await alertHandlers.handleWatch.call(ctx, { chat: { id: 1 } }, [null, ' Oriental Pied Hornbill, Singapore']);
+      expect(ctx.addWatch).toHaveBeenCalledWith(1, 'Oriental Pied Hornbill, Singapore');
+    });
+  });
+
+  // ─── addWatch ───────────────────────────────────────────
+
+  describe('addWatch()', () => {
+    test('creates a subscription seeded with current reports', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getSpeciesObservations.mockResolvedValue([
+        { subId: 'S1', obsDt: '2026-02-15 08:00' },
+      ]);
+
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill, Singapore');
+
+      expect(ctx.ebirdService.getSpeciesObservations).toHaveBeenCalledWith('SG', 'orphor1', 3);
+      expect(subscriptionStore.add).toHaveBeenCalledWith(expect.objectContaining({
+        chatId: 1,
+        kind: 'species',
+        speciesCode: 'orphor1',
+        regionCode: 'SG',
+        regionName: 'Singapore',
+        seen: ['S1|2026-02-15 08:00'],
+      }));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Now watching'), expect.any(Object));
+    });
+
+    test('splits on the last comma', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.addWatch.call(ctx, 1, 'Hornbill, Pied, Singapore');
+      expect(ctx.ebirdService.searchSpeciesByName).toHaveBeenCalledWith('Hornbill, Pied');
+    });
+
+    test('rejects input without a region', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('both a species and a region'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('enforces the per-chat limit', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.listForChat.mockReturnValue(Array(10).fill(sub));
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill, Singapore');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('up to 10 alerts'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('reports unknown species', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.searchSpeciesByName.mockResolvedValue([]);
+      await alertHandlers.addWatch.call(ctx, 1, 'Dodo, Singapore');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('not found'));
+    });
+
+    test('does not duplicate an existing watch', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.findForChat.mockReturnValue(sub);
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill, Singapore');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('already watching'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('shows an error when the region query fails', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getSpeciesObservations.mockRejectedValue(new Error('400'));
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill, Nowhere');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Could not set up a watch'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('handles a null observation response', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getSpeciesObservations.mockResolvedValue(null);
+      await alertHandlers.addWatch.call(ctx, 1, 'Oriental Pied Hornbill, Singapore');
+      expect(subscriptionStore.add).toHaveBeenCalledWith(expect.objectContaining({ seen: [] }));
+    });
+  });
+
+  // ─── handleRareAlerts ───────────────────────────────────
+
+  describe('handleRareAlerts()', () => {
+    test('prompts for a region when no argument given', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.handleRareAlerts.call(ctx, { chat: { id: 1 } }, [null, '']);
+
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_rarealerts' });
+      expect(ctx.lastPrompts.get(1).action).toBe('awaiting_rarealerts');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Rare bird alerts'), expect.any(Object));
+    });
+
+    test('delegates to addRarityAlert with input', async () => {
+      const ctx = makeCtx({ addRarityAlert: jest.fn() });
+      await alertHandlers.handleRareAlerts.call(ctx, { chat: { id: 1 } }, [null, ' Singapore']);
+      expect(ctx.addRarityAlert).toHaveBeenCalledWith(1, 'Singapore');
+    });
+  });
+
+  // ─── addRarityAlert ─────────────────────────────────────
+
+  describe('addRarityAlert()', () => {
+    test('creates a notable subscription seeded with current rarities', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getNotableObservations.mockResolvedValue([
+        { subId: 'S1', obsDt: '2026-02-15 08:00', speciesCode: 'faipit' },
+      ]);
+
+      await alertHandlers.addRarityAlert.call(ctx, 1, 'Singapore');
+
+      expect(ctx.ebirdService.getNotableObservations).toHaveBeenCalledWith('SG', 3, 200);
+      expect(subscriptionStore.add).toHaveBeenCalledWith({
+        chatId: 1,
+        kind: 'notable',
+        regionCode: 'SG',
+        regionName: 'Singapore',
+        seen: ['faipit|S1|2026-02-15 08:00'],
+      });
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('Rarity alerts on');
+      expect(text).toContain('1 notable report(s)');
+    });
+
+    test('does not duplicate an existing region subscription', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.findForChat.mockReturnValue({ id: 'n1' });
+      await alertHandlers.addRarityAlert.call(ctx, 1, 'Singapore');
+      expect(subscriptionStore.findForChat).toHaveBeenCalledWith(1, { kind: 'notable', regionCode: 'SG' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('already on'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('enforces the per-chat limit', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.listForChat.mockReturnValue(Array(10).fill(sub));
+      await alertHandlers.addRarityAlert.call(ctx, 1, 'Singapore');
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+
+    test('shows an error when the region query fails', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getNotableObservations.mockRejectedValue(new Error('400'));
+      await alertHandlers.addRarityAlert.call(ctx, 1, 'Nowhere');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Could not set up rarity alerts'));
+      expect(subscriptionStore.add).not.toHaveBeenCalled();
+    });
+  });
+
+  // ─── handleWatchlist ────────────────────────────────────
+
+  describe('handleWatchlist()', () => {
+    test('shows empty message when nothing is watched', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.handleWatchlist.call(ctx, { chat: { id: 1 } });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('empty'));
+    });
+
+    test('lists subscriptions with unwatch buttons', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.listForChat.mockReturnValue([sub]);
+      await alertHandlers.handleWatchlist.call(ctx, { chat: { id: 1 } });
+
+      const [, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(text).toContain('Oriental Pied Hornbill');
+      expect(callbackCodec.decode(opts.reply_markup.inline_keyboard[0][0].callback_data)).toEqual({ action: 'unwatch', id: 'abc123' });
+    });
+
+    test('labels rarity subscriptions by region', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.listForChat.mockReturnValue([{ id: 'n1', kind: 'notable', regionCode: 'SG', regionName: 'Singapore' }]);
+      await alertHandlers.handleWatchlist.call(ctx, { chat: { id: 1 } });
+
+      const [, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(text).toContain('Rarities in *Singapore*');
+      expect(opts.reply_markup.inline_keyboard[0][0].text).toContain('Rarities in Singapore');
+    });
+  });
+
+  // ─── handleUnwatch ──────────────────────────────────────
+
+  describe('handleUnwatch()', () => {
+    test('shows the watchlist when no argument given', async () => {
+      const ctx = makeCtx({ handleWatchlist: jest.fn() });
+      const msg = { chat: { id: 1 } };
+      await alertHandlers.handleUnwatch.call(ctx, msg, [null, '']);
+      expect(ctx.handleWatchlist).toHaveBeenCalledWith(msg);
+    });
+
+    test('removes by list number', async () => {
+      const ctx = makeCtx({ removeWatch: jest.fn() });
+      subscriptionStore.listForChat.mockReturnValue([sub]);
+      await alertHandlers.handleUnwatch.call(ctx, { chat: { id: 1 } }, [null, ' 1']);
+      expect(ctx.removeWatch).toHaveBeenCalledWith(1, 'abc123');
+    });
+
+    test('removes by species name', async () => {
+      const ctx = makeCtx({ removeWatch: jest.fn() });
+      subscriptionStore.listForChat.mockReturnValue([sub]);
+      await alertHandlers.handleUnwatch.call(ctx, { chat: { id: 1 } }, [null, ' hornbill']);
+      expect(ctx.removeWatch).toHaveBeenCalledWith(1, 'abc123');
+    });
+
+    test('removes a rarity subscription by region name', async () => {
+      const ctx = makeCtx({ removeWatch: jest.fn() });
+      subscriptionStore.listForChat.mockReturnValue([sub, { id: 'n1', kind: 'notable', regionCode: 'MY', regionName: 'Malaysia' }]);
+      await alertHandlers.handleUnwatch.call(ctx, { chat: { id: 1 } }, [null, ' malaysia']);
+      expect(ctx.removeWatch).toHaveBeenCalledWith(1, 'n1');
+    });
+
+    test('reports no match', async () => {
+      const ctx = makeCtx({ removeWatch: jest.fn() });
+      await alertHandlers.handleUnwatch.call(ctx, { chat: { id: 1 } }, [null, ' 5']);
+      expect(ctx.removeWatch).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No watch matching'));
+    });
+  });
+
+  // ─── removeWatch ────────────────────────────────────────
+
+  describe('removeWatch()', () => {
+    test('removes a subscription owned by the chat', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.get.mockReturnValue(sub);
+      await alertHandlers.removeWatch.call(ctx, 1, 'abc123');
+      expect(subscriptionStore.remove).toHaveBeenCalledWith('abc123');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Stopped alerts for *Oriental Pied Hornbill*'));
+    });
+
+    test('refuses to remove another chat\'s subscription', async () => {
+      const ctx = makeCtx();
+      subscriptionStore.get.mockReturnValue({ ...sub, chatId: 2 });
+      await alertHandlers.removeWatch.call(ctx, 1, 'abc123');
+      expect(subscriptionStore.remove).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('no longer exists'));
+    });
+
+    test('handles unknown ids', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.removeWatch.call(ctx, 1, 'gone');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('no longer exists'));
+    });
+  });
+
+  // ─── sendWatchAlert ─────────────────────────────────────
+
+  describe('dropUnreachableChat()', () => {
+    test('removes the chat\'s watches and digests', () => {
+      subscriptionStore.listForChat.mockReturnValueOnce([{ id: 'w1' }, { id: 'w2' }]);
+      digestStore.listForChat.mockReturnValueOnce([{ id: 'd1' }]);
+
+      alertHandlers.dropUnreachableChat(42);
+
+      expect(subscriptionStore.listForChat).toHaveBeenCalledWith(42);
+      expect(subscriptionStore.remove.mock.calls).toEqual([['w1'], ['w2']]);
+      expect(digestStore.remove).toHaveBeenCalledWith('d1');
+    });
+  });
+
+  describe('sendWatchAlert()', () => {
+    test('sends formatted observations to the subscriber', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.sendWatchAlert.call(ctx, sub, [{ subId: 'S1' }, { subId: 'S2' }]);
+
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledTimes(2);
+      const [chatId, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(chatId).toBe(1);
+      expect(text).toContain('Watchlist Alert');
+      expect(text).toContain('2 new report(s)');
+      expect(callbackCodec.decode(opts.reply_markup.inline_keyboard[0][0].callback_data)).toEqual({ action: 'unwatch', id: 'abc123' });
+    });
+
+    test('caps entries and mentions the remainder', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.sendWatchAlert.call(ctx, sub, Array(8).fill({ subId: 'S' }));
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledTimes(5);
+      expect(ctx.sendMessage.mock.calls[0][1]).toContain('and 3 more');
+    });
+
+    test('goes through the throttle with a one-line summary', async () => {
+      const ctx = makeCtx();
+      alertThrottle.deliver.mockResolvedValueOnce(true);
+      await expect(alertHandlers.sendWatchAlert.call(ctx, sub, [{ subId: 'S1' }])).resolves.toBe(true);
+
+      expect(alertThrottle.deliver).toHaveBeenCalledWith(ctx, 1, expect.any(Function), {
+        summary: '🔔 *Oriental Pied Hornbill* in *Singapore* — 1 new report(s)',
+        regionCode: 'SG',
+      });
+      expect(ctx.sendMessage).not.toHaveBeenCalled(); // held
+    });
+  });
+
+  // ─── sendRarityAlert ────────────────────────────────────
+
+  describe('sendRarityAlert()', () => {
+    const rareSub = { id: 'n1', chatId: 1, kind: 'notable', regionCode: 'SG', regionName: 'Singapore' };
+
+    test('groups reports per species', async () => {
+      const ctx = makeCtx();
+      await alertHandlers.sendRarityAlert.call(ctx, rareSub, [
+        { speciesCode: 'faipit', comName: 'Fairy Pitta', subId: 'S1' },
+        { speciesCode: 'spbsan', comName: 'Spoon-billed Sandpiper', subId: 'S2' },
+        { speciesCode: 'faipit', comName: 'Fairy Pitta', subId: 'S3' },
+      ]);
+
+      expect(ctx.sendMessage).toHaveBeenCalledTimes(1);
+      const [chatId, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(chatId).toBe(1);
+      expect(text).toContain('Rare Bird Alert — Singapore');
+      expect(text).toContain('3 new notable report(s) · 2 species');
+      expect(text).toContain('*1. Fairy Pitta* (2 reports)');
+      expect(text).toContain('*2. Spoon-billed Sandpiper* (1 report)');
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledTimes(3);
+      expect(callbackCodec.decode(opts.reply_markup.inline_keyboard[0][0].callback_data)).toEqual({ action: 'unwatch', id: 'n1' });
+    });
+
+    test('splits long alerts and puts buttons on the last message', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.formatObservation.mockReturnValue('x'.repeat(1000));
+      const many = Array.from({ length: 6 }, (_, i) => ({ speciesCode: `sp${i}`, comName: `Species ${i}` }));
+
+      await alertHandlers.sendRarityAlert.call(ctx, rareSub, many);
+
+      const calls = ctx.sendMessage.mock.calls;
+      expect(calls.length).toBeGreaterThan(1);
+      expect(calls[0][2].reply_markup).toBeUndefined();
+      expect(calls[calls.length - 1][2].reply_markup).toBeDefined();
+    });
+
+    test('summary names the species', async () => {
+      const ctx = makeCtx();
+      const many = Array.from({ length: 7 }, (_, i) => ({ speciesCode: `sp${i}`, comName: `Species ${i}` }));
+      await alertHandlers.sendRarityAlert.call(ctx, rareSub, many);
+
+      expect(alertThrottle.deliver.mock.calls[0][3].summary)
+        .toBe('🚨 Rarities in *Singapore* — Species 0, Species 1, Species 2, Species 3, Species 4 +2 more');
+    });
+
+    test('reports a refused send', async () => {
+      const ctx = makeCtx();
+      ctx.sendMessage.mockResolvedValue(undefined);
+      await expect(alertHandlers.sendRarityAlert.call(ctx, rareSub, [{ speciesCode: 'faipit', comName: 'Fairy Pitta' }])).resolves.toBe(false);
+    });
+  });
+
+  // ─── sendAlertCatchUp ───────────────────────────────────
+
+  describe('sendAlertCatchUp()', () => {
+    const held = [
+      { summary: '🔔 *Fairy Pitta* in *Singapore* — 1 new report(s)', regionCode: 'SG', heldAt: '2026-10-19T15:00:00.000Z' },
+      { summary: '🚨 Rarities in *Singapore* — Fairy Pitta', regionCode: 'SG', heldAt: '2026-10-19T16:00:00.000Z' },
+    ];
+
+    test('bundles held alerts into one message', async () => {
+      const ctx = makeCtx();
+      await expect(alertHandlers.sendAlertCatchUp.call(ctx, 1, held)).resolves.toBe(true);
+
+      expect(ctx.sendMessage).toHaveBeenCalledTimes(1);
+      const [chatId, text] = ctx.sendMessage.mock.calls[0];
+      expect(chatId).toBe(1);
+      expect(text).toContain('Catch-up — 2 alerts held back');
+      expect(text).toContain('1. 🔔 *Fairy Pitta* in *Singapore*');
+      expect(text).toContain('2. 🚨 Rarities in *Singapore*');
+    });
+
+    test('stays within one message', async () => {
+      const ctx = makeCtx();
+      const many = Array.from({ length: 50 }, () => ({ ...held[0], summary: 'x'.repeat(200) }));
+      await alertHandlers.sendAlertCatchUp.call(ctx, 1, many);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text.length).toBeLessThan(4096);
+      expect(text).toMatch(/_\.\.\.and \d+ more_/);
+    });
+
+    test('reports a refused send', async () => {
+      const ctx = makeCtx();
+      ctx.sendMessage.mockResolvedValue(undefined);
+      await expect(alertHandlers.sendAlertCatchUp.call(ctx, 1, held)).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for apiKeyHandlers — /setkey and /removekey.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/services/userKeyStore', () => ({
+  getKey: jest.fn().mockReturnValue(null),
+  setKey: jest.fn(),
+  removeKey: jest.fn(),
+}));
+
+const apiKeyHandlers = require('../../../src/bot/handlers/apiKeyHandlers');
+const userKeyStore = require('../../../src/services/userKeyStore');
+
+function makeCtx(overrides = {}) {
+  return {
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    deleteMsg: jest.fn().mockResolvedValue(),
+    ebirdService: {
+      validateKey: jest.fn().mockResolvedValue(true),
+    },
+    ...overrides,
+  };
+}
+
+const privateMsg = (id = 1) => ({ chat: { id, type: 'private' }, message_id: 7 });
+
+describe('apiKeyHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getUserApiKey()', () => {
+    test('reads the decrypted key from the store', () => {
+      userKeyStore.getKey.mockReturnValueOnce('abc123');
+      expect(apiKeyHandlers.getUserApiKey(1)).toBe('abc123');
+      expect(userKeyStore.getKey).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('handleSetKey()', () => {
+    test('shows usage without a key', async () => {
+      const ctx = makeCtx();
+      await apiKeyHandlers.handleSetKey.call(ctx, privateMsg(), [null, '']);
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('/setkey YOUR_KEY'));
+      expect(userKeyStore.setKey).not.toHaveBeenCalled();
+    });
+
+    test('refuses keys sent in a group and deletes the message', async () => {
+      const ctx = makeCtx();
+      await apiKeyHandlers.handleSetKey.call(ctx, { chat: { id: -100, type: 'group' }, message_id: 9 }, [null, ' abc123xyz']);
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(-100, 9);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('private chat'));
+      expect(ctx.ebirdService.validateKey).not.toHaveBeenCalled();
+    });
+
+    test('rejects malformed keys', async () => {
+      const ctx = makeCtx();
+      await apiKeyHandlers.handleSetKey.call(ctx, privateMsg(), [null, ' not a key!']);
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('doesn\'t look like'));
+      expect(ctx.ebirdService.validateKey).not.toHaveBeenCalled();
+    });
+
+    test('validates, saves and deletes the message holding the key', async () => {
+      const ctx = makeCtx();
+      await apiKeyHandlers.handleSetKey.call(ctx, privateMsg(), [null, ' abc123xyz']);
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 7);
+      expect(ctx.ebirdService.validateKey).toHaveBeenCalledWith('abc123xyz');
+      expect(userKeyStore.setKey).toHaveBeenCalledWith(1, 'abc123xyz');
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('3xyz'));
+    });
+
+    test('does not save keys eBird rejects', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.validateKey.mockResolvedValue(false);
+      await apiKeyHandlers.handleSetKey.call(ctx, privateMsg(), [null, ' abc123xyz']);
+
+      expect(userKeyStore.setKey).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('rejected'));
+    });
+
+    test('reports when eBird cannot be reached', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.validateKey.mockRejectedValue(new Error('timeout'));
+      await apiKeyHandlers.handleSetKey.call(ctx, privateMsg(), [null, ' abc123xyz']);
+
+      expect(userKeyStore.setKey).not.toHaveBeenCalled();
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Could not reach eBird'));
+    });
+  });
+
+  describe('handleRemoveKey()', () => {
+    test('removes a stored key', async () => {
+      const ctx = makeCtx();
+      userKeyStore.removeKey.mockReturnValueOnce(true);
+      await apiKeyHandlers.handleRemoveKey.call(ctx, privateMsg());
+
+      expect(userKeyStore.removeKey).toHaveBeenCalledWith(1);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('removed'));
+    });
+
+    test('says so when there is no key', async () => {
+      const ctx = makeCtx();
+      userKeyStore.removeKey.mockReturnValueOnce(false);
+      await apiKeyHandlers.handleRemoveKey.call(ctx, privateMsg());
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('haven\'t set'));
+    });
+  });
+
+  describe('notifyKeyRejected()', () => {
+    test('explains the rejected key and how to fix it', async () => {
+      const ctx = makeCtx();
+      await apiKeyHandlers.notifyKeyRejected.call(ctx, 1);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('rejected your saved API key');
+      expect(text).toContain('/setkey');
+      expect(text).toContain('/removekey');
+    });
+  });
+});
@@ -1,18 +1,33 @@
 /**
  * Tests for callbackHandlers — button press routing, date selection, custom date input.
  */
+jest.mock('../../../src/services/queryRegistry', () => ({
+  register: jest.fn().mockReturnValue('q1a2b3c4d5'),
+  lookup: jest.fn().mockReturnValue(null),
+}));
+
 const callbackHandlers = require('../../../src/bot/handlers/callbackHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const queryRegistry = require('../../../src/services/queryRegistry');
+const callbackCodec = require('../../../src/bot/callbackCodec');
 
 describe('callbackHandlers', () => {
   let ctx;
 
   beforeEach(() => {
     ctx = {
+      ...flowHandlers,
+      showSearchMenu: callbackHandlers.showSearchMenu,
+      promptJumpPage: callbackHandlers.promptJumpPage,
+      promptCustomDate: callbackHandlers.promptCustomDate,
+      getPageSize: jest.fn().mockReturnValue(5),
+      ebirdService: { RECENT_WINDOW_DAYS: 30, MAX_HISTORIC_DAYS: 7 },
       bot: {
         answerCallbackQuery: jest.fn().mockResolvedValue(true),
       },
       userStates: new Map(),
       observationsCache: new Map(),
+      expiredResults: new Map(),
       lastPrompts: new Map(),
       ITEMS_PER_PAGE: 5,
       sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
@@ -26,6 +41,14 @@ describe('callbackHandlers', () => {
       handleHotspots: jest.fn().mockResolvedValue(),
       handleStart: jest.fn().mockResolvedValue(),
       fetchNearbySightings: jest.fn().mockResolvedValue(),
+      setNearbyMode: jest.fn().mockResolvedValue(),
+      sortNearbyResults: jest.fn().mockResolvedValue(),
+      handleSettingsCallback: jest.fn().mockResolvedValue(),
+      setPreference: jest.fn().mockResolvedValue(),
+      toggleNeedsFilter: jest.fn().mockResolvedValue(),
+      removeLifeList: jest.fn().mockResolvedValue(),
+      openTarget: jest.fn().mockResolvedValue(),
+      showChecklist: jest.fn().mockResolvedValue(),
       fetchAndSendSightings: jest.fn().mockResolvedValue(),
       fetchAndSendNotable: jest.fn().mockResolvedValue(),
       fetchSpeciesInLocation: jest.fn().mockResolvedValue(),
@@ -36,7 +59,12 @@ describe('callbackHandlers', () => {
       sendForwardableMessage: jest.fn().mockResolvedValue(),
       handleDateCallback: jest.fn().mockResolvedValue(),
       fetchSpeciesInLocation: jest.fn().mockResolvedValue(),
+      handleWatchlist: jest.fn().mockResolvedValue(),
+      removeWatch: jest.fn().mockResolvedValue(),
+      handleDigests: jest.fn().mockResolvedValue(),
+      removeDigest: jest.fn().mockResolvedValue(),
     };
+    ctx.sendResultsGone = callbackHandlers.sendResultsGone;
   });
 
   function makeCallbackQuery(data, chatId = 1, messageId = 100) {
@@ -55,6 +83,12 @@ describe('callbackHandlers', () => {
     expect(ctx.bot.answerCallbackQuery).toHaveBeenCalledWith(query.id);
   });
 
+  test('reports an expired button for an unknown callback ID', async () => {
+    await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery('~unknown000', 1));
+    expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('button has expired'));
+    expect(ctx.handleDateCallback).not.toHaveBeenCalled();
+  });
+
   // ─── Pagination ─────────────────────────────────────────
 
   describe('pagination (page_*)', () => {
@@ -65,7 +99,7 @@ describe('callbackHandlers', () => {
         regionCode: 'SG',
       });
 
-      const query = makeCallbackQuery('page_sightings_2', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 2, token: null }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
@@ -86,7 +120,7 @@ describe('callbackHandlers', () => {
         regionCode: 'US-NY',
       });
 
-      const query = makeCallbackQuery('page_notable_0', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('page', { type: 'notable', page: 0, token: null }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
@@ -101,9 +135,141 @@ describe('callbackHandlers', () => {
     });
 
     test('does nothing if cache is missing', async () => {
-      const query = makeCallbackQuery('page_sightings_0', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 0, token: null }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.sendPaginatedObservations).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('offers a re-run when the results expired', async () => {
+      ctx.expiredResults.set('sightings_1', { displayName: 'Singapore (Today)', regionCode: 'SG', type: 'sightings' });
+
+      const query = makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 1, token: null }), 1);
+      await callbackHandlers.handleCallback.call(ctx, query);
+
+      expect(ctx.sendPaginatedObservations).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(
+        1,
+        expect.stringContaining('Results for *Singapore (Today)* expired. Tap 🔄'),
+        expect.objectContaining({
+          reply_markup: { inline_keyboard: [[
+            { text: '🔄 Re-run', callback_data: callbackCodec.encode('rerun', { type: 'sightings' }) },
+            { text: '🔍 New Search', callback_data: 'new_search' }
+          ]] }
+        })
+      );
+    });
+  });
+
+  // ─── Query tokens ───────────────────────────────────────
+
+  describe('page_* / jump_* with a query token', () => {
+    const query = { type: 'sightings', regionCode: 'SG', searchName: 'Singapore', isHotspot: false };
+
+    beforeEach(() => {
+      ctx.rerunQuery = callbackHandlers.rerunQuery;
+      queryRegistry.lookup.mockReset().mockReturnValue(null);
+    });
+
+    test('re-runs the query at the requested page when the cache is gone', async () => {
+      queryRegistry.lookup.mockReturnValue(query);
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 3, token: 'q1a2b3c4d5' }), 1));
+
+      expect(queryRegistry.lookup).toHaveBeenCalledWith('q1a2b3c4d5');
+      expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(1, 'SG', 'Singapore', 3, null, false);
+      expect(ctx.sendPaginatedObservations).not.toHaveBeenCalled();
+    });
+
+    test('pages through the cache when it holds the same query', async () => {
+      ctx.observationsCache.set('sightings_1', { observations: [{}], displayName: 'Singapore', regionCode: 'SG', queryToken: 'q1a2b3c4d5' });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 1, token: 'q1a2b3c4d5' }), 1));
+
+      expect(queryRegistry.lookup).not.toHaveBeenCalled();
+      expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(1, [{}], 'Singapore', 'sightings', 1, 100, 'SG');
+    });
+
+    test('replaces a newer search in the cache with the tapped one', async () => {
+      ctx.observationsCache.set('sightings_1', { observations: [{}], displayName: 'Johor', queryToken: 'other00000' });
+      queryRegistry.lookup.mockReturnValue(query);
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 2, token: 'q1a2b3c4d5' }), 1));
+
+      expect(ctx.observationsCache.has('sightings_1')).toBe(false);
+      expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(1, 'SG', 'Singapore', 2, null, false);
+    });
+
+    test('jump re-runs the query from the first page', async () => {
+      queryRegistry.lookup.mockReturnValue(query);
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('jump', { type: 'sightings', token: 'q1a2b3c4d5' }), 1));
+
+      expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(1, 'SG', 'Singapore', 0, null, false);
+      expect(ctx.userStates.has(1)).toBe(false);
+    });
+
+    test('unknown tokens fall back to the expired-results message', async () => {
+      ctx.expiredResults.set('sightings_1', { displayName: 'Singapore', type: 'sightings' });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('page', { type: 'sightings', page: 2, token: 'deadbeef00' }), 1));
+
+      expect(ctx.fetchAndSendSightings).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('expired'), expect.any(Object));
+    });
+  });
+
+  // ─── Re-run expired results ─────────────────────────────
+
+  describe('rerun_*', () => {
+    beforeEach(() => {
+      ctx.rerunResults = callbackHandlers.rerunResults;
+      ctx.rerunQuery = callbackHandlers.rerunQuery;
+    });
+
+    test('re-runs sightings with the saved search and revived dates', async () => {
+      ctx.expiredResults.set('sightings_1', {
+        type: 'sightings',
+        regionCode: 'SG',
+        searchName: 'Singapore',
+        isHotspot: false,
+        dateFilter: { label: 'Today', startDate: '2026-10-19T00:00:00.000Z', endDate: '2026-10-19T23:59:59.999Z' },
+      });
+
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'sightings' }), 1));
+
+      expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(1, 'SG', 'Singapore', 0, expect.objectContaining({ label: 'Today', startDate: expect.any(Date) }), false);
+      expect(ctx.expiredResults.has('sightings_1')).toBe(false);
+    });
+
+    test('re-runs notable searches', async () => {
+      ctx.expiredResults.set('notable_1', { type: 'notable', regionCode: 'US-NY', searchName: 'New York', isHotspot: false });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'notable' }), 1));
+
+      expect(ctx.fetchAndSendNotable).toHaveBeenCalledWith(1, 'US-NY', 'New York', 0, null, false);
+    });
+
+    test('re-runs species searches', async () => {
+      ctx.expiredResults.set('species_1', { type: 'species', locationInput: 'Singapore', speciesName: 'Oriental Magpie-Robin', speciesCode: 'magrob' });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'species' }), 1));
+
+      expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(1, 'Singapore', 'Oriental Magpie-Robin', 'magrob', null, 0);
+    });
+
+    test('re-runs nearby rarities at the same spot and distance', async () => {
+      ctx.expiredResults.set('nearbyrare_1', { type: 'nearbyrare', origin: { lat: 1.3, lng: 103.8 }, dist: 10 });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'nearbyrare' }), 1));
+
+      expect(ctx.fetchNearbySightings).toHaveBeenCalledWith(1, 1.3, 103.8, 10, { notableOnly: true, page: 0 });
+    });
+
+    test('re-opens checklists', async () => {
+      ctx.expiredResults.set('checklist_1', { type: 'checklist', displayName: 'S123' });
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'checklist' }), 1));
+
+      expect(ctx.showChecklist).toHaveBeenCalledWith(1, 'S123', 0);
+    });
+
+    test('asks for a new search when nothing was saved', async () => {
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('rerun', { type: 'sightings' }), 1));
+
+      expect(ctx.fetchAndSendSightings).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No cached results'));
     });
   });
 
@@ -125,7 +291,7 @@ describe('callbackHandlers', () => {
         regionCode: 'SG',
       });
 
-      const query = makeCallbackQuery('jump_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('jump', { type: 'sightings', token: null }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       const state = ctx.userStates.get(1);
@@ -134,9 +300,23 @@ describe('callbackHandlers', () => {
       expect(state.totalPages).toBe(5); // 25 items / 5 per page
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1,
-        expect.stringContaining('Enter a page number')
+        expect.stringContaining('Enter a page number'),
+        expect.any(Object)
       );
     });
+
+    test('counts pages with the chat page size', async () => {
+      ctx.getPageSize.mockReturnValue(10);
+      ctx.observationsCache.set('sightings_1', {
+        observations: Array(25).fill({ species: 'test' }),
+        displayName: 'SG',
+        regionCode: 'SG',
+      });
+
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('jump', { type: 'sightings', token: null }), 1));
+
+      expect(ctx.userStates.get(1).totalPages).toBe(3);
+    });
   });
 
   // ─── Summary ────────────────────────────────────────────
@@ -149,14 +329,14 @@ describe('callbackHandlers', () => {
         regionCode: 'SG',
       });
 
-      const query = makeCallbackQuery('specsummary_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('specsummary', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendSummaryMessage).toHaveBeenCalled();
     });
 
     test('shows error when cache is empty', async () => {
-      const query = makeCallbackQuery('specsummary_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('specsummary', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendMessage).toHaveBeenCalledWith(
@@ -176,7 +356,7 @@ describe('callbackHandlers', () => {
         regionCode: 'US-NY',
       });
 
-      const query = makeCallbackQuery('fulllist_notable', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('fulllist', { type: 'notable' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendFullListMessage).toHaveBeenCalled();
@@ -193,7 +373,7 @@ describe('callbackHandlers', () => {
         regionCode: 'SG',
       });
 
-      const query = makeCallbackQuery('share_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('share', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendMessage).toHaveBeenCalledWith(
@@ -206,7 +386,7 @@ describe('callbackHandlers', () => {
     });
 
     test('shows error when no cache', async () => {
-      const query = makeCallbackQuery('share_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('share', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1,
@@ -223,7 +403,7 @@ describe('callbackHandlers', () => {
         regionCode: 'SG',
       });
 
-      const query = makeCallbackQuery('generate_share_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('generate_share', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendForwardableMessage).toHaveBeenCalled();
@@ -243,13 +423,13 @@ describe('callbackHandlers', () => {
 
   describe('navigation callbacks', () => {
     test('sightings_{regionCode} shows date selection', async () => {
-      const query = makeCallbackQuery('sightings_SG', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('sightings', { regionCode: 'SG' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'SG', 'SG', 'sightings');
     });
 
     test('notable_{regionCode} shows date selection', async () => {
-      const query = makeCallbackQuery('notable_US-NY', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('notable', { regionCode: 'US-NY' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'US-NY', 'US-NY', 'notable');
     });
@@ -277,15 +457,29 @@ describe('callbackHandlers', () => {
         longitude: 103.8198,
       });
 
-      const query = makeCallbackQuery('nearby_dist_25', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('nearby_dist', { dist: 25 }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.fetchNearbySightings).toHaveBeenCalledWith(1, 1.3521, 103.8198, 25);
       expect(ctx.userStates.has(1)).toBe(false);
     });
 
+    test('passes rarities-only mode through', async () => {
+      ctx.userStates.set(1, {
+        action: 'awaiting_nearby_distance',
+        latitude: 1.3521,
+        longitude: 103.8198,
+        notableOnly: true,
+      });
+
+      const query = makeCallbackQuery(callbackCodec.encode('nearby_dist', { dist: 10 }), 1);
+      await callbackHandlers.handleCallback.call(ctx, query);
+
+      expect(ctx.fetchNearbySightings).toHaveBeenCalledWith(1, 1.3521, 103.8198, 10, { notableOnly: true });
+    });
+
     test('shows error if state is missing', async () => {
-      const query = makeCallbackQuery('nearby_dist_10', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('nearby_dist', { dist: 10 }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.sendMessage).toHaveBeenCalledWith(
@@ -295,6 +489,77 @@ describe('callbackHandlers', () => {
     });
   });
 
+  describe('nearby_mode_*', () => {
+    test('nearby_mode_rare enables rarities only', async () => {
+      const query = makeCallbackQuery('nearby_mode_rare', 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.setNearbyMode).toHaveBeenCalledWith(1, 55, true);
+    });
+
+    test('nearby_mode_all switches back to all species', async () => {
+      const query = makeCallbackQuery('nearby_mode_all', 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.setNearbyMode).toHaveBeenCalledWith(1, 55, false);
+    });
+  });
+
+  describe('settings callbacks', () => {
+    test('settings_page goes to the settings handler', async () => {
+      const query = makeCallbackQuery('settings_page', 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.handleSettingsCallback).toHaveBeenCalledWith(1, 'settings_page', 55);
+    });
+
+    test('setpref passes field and value through unparsed', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('setpref', { field: 'datePreset', value: 'last_3_days' }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.setPreference).toHaveBeenCalledWith(1, 'datePreset', 'last_3_days', 55);
+    });
+  });
+
+  describe('checklist_*', () => {
+    test('opens the checklist', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('checklist', { subId: 'S123456' }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.showChecklist).toHaveBeenCalledWith(1, 'S123456');
+    });
+
+    test('jump_ uses the page size stored on the cache entry', async () => {
+      ctx.observationsCache.set('checklist_1', { observations: Array(45).fill({}), pageSize: 20 });
+      const query = makeCallbackQuery(callbackCodec.encode('jump', { type: 'checklist', token: null }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.userStates.get(1)).toEqual(expect.objectContaining({ type: 'checklist', totalPages: 3 }));
+    });
+  });
+
+  describe('life list callbacks', () => {
+    test('needs_* toggles the needs-only filter', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('needs', { type: 'sightings' }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.toggleNeedsFilter).toHaveBeenCalledWith(1, 'sightings', 55);
+    });
+
+    test('target_* opens the species search for that region', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('target', { speciesCode: 'grnher', regionCode: 'US-NY' }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.openTarget).toHaveBeenCalledWith(1, 'grnher', 'US-NY');
+    });
+
+    test('lifelist_remove deletes the life list', async () => {
+      const query = makeCallbackQuery('lifelist_remove', 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.removeLifeList).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('sort_*', () => {
+    test('re-sorts nearby results in place', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('sort', { type: 'nearby', sortKey: 'distance' }), 1, 55);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.sortNearbyResults).toHaveBeenCalledWith(1, 'nearby', 'distance', 55);
+    });
+  });
+
   // ─── New Search ─────────────────────────────────────────
 
   describe('new_search', () => {
@@ -315,6 +580,31 @@ describe('callbackHandlers', () => {
     });
   });
 
+  // ─── Flow Buttons ───────────────────────────────────────
+
+  describe('flow buttons', () => {
+    test('flow_back returns to the previous step', async () => {
+      const previous = { action: 'awaiting_region_sightings' };
+      ctx.promptSightings = jest.fn().mockResolvedValue();
+      ctx.userStates.set(1, { action: 'date_selection', type: 'sightings', previous });
+
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery('flow_back', 1, 42));
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_region_sightings' });
+      expect(ctx.promptSightings).toHaveBeenCalledWith(1);
+    });
+
+    test('flow_cancel drops the state', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_watch' });
+
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery('flow_cancel', 1, 42));
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Cancelled'));
+    });
+  });
+
   // ─── Command shortcuts ─────────────────────────────────
 
   describe('cmd_* shortcuts', () => {
@@ -355,6 +645,34 @@ describe('callbackHandlers', () => {
     });
   });
 
+  // ─── Watchlist ──────────────────────────────────────────
+
+  describe('watchlist callbacks', () => {
+    test('cmd_watchlist shows the watchlist', async () => {
+      const query = makeCallbackQuery('cmd_watchlist', 1);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.handleWatchlist).toHaveBeenCalledWith({ chat: { id: 1 } });
+    });
+
+    test('unwatch_{id} removes the subscription', async () => {
+      const query = makeCallbackQuery(callbackCodec.encode('unwatch', { id: 'abc123' }), 1);
+      await callbackHandlers.handleCallback.call(ctx, query);
+      expect(ctx.removeWatch).toHaveBeenCalledWith(1, 'abc123');
+    });
+  });
+
+  describe('digest callbacks', () => {
+    test('cmd_digests lists the digests', async () => {
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery('cmd_digests', 1));
+      expect(ctx.handleDigests).toHaveBeenCalledWith({ chat: { id: 1 } });
+    });
+
+    test('undigest cancels the digest', async () => {
+      await callbackHandlers.handleCallback.call(ctx, makeCallbackQuery(callbackCodec.encode('undigest', { id: 'd1' }), 1));
+      expect(ctx.removeDigest).toHaveBeenCalledWith(1, 'd1');
+    });
+  });
+
   // ─── Done ───────────────────────────────────────────────
 
   describe('done', () => {
@@ -379,7 +697,7 @@ describe('callbackHandlers', () => {
       const hotspot = { locId: 'L12345', locName: 'Bukit Timah' };
       ctx.userStates.set(1, { hotspots: [hotspot] });
 
-      const query = makeCallbackQuery('hotspot_sightings_L12345', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('hotspot', { type: 'sightings', locId: 'L12345' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.showDateSelection).toHaveBeenCalledWith(
@@ -394,7 +712,7 @@ describe('callbackHandlers', () => {
     test('falls back to locId as display name when hotspot not found', async () => {
       ctx.userStates.set(1, { hotspots: [] });
 
-      const query = makeCallbackQuery('hotspot_notable_L99999', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('hotspot', { type: 'notable', locId: 'L99999' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
       expect(ctx.showDateSelection).toHaveBeenCalledWith(
@@ -412,7 +730,7 @@ describe('callbackHandlers', () => {
   describe('handleDateCallback()', () => {
     test('today preset fetches sightings', async () => {
       ctx.userStates.set(1, { displayName: 'Singapore' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'today', regionCode: 'SG' }, 100);
 
       expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(
         1,
@@ -426,31 +744,31 @@ describe('callbackHandlers', () => {
 
     test('yesterday preset fetches sightings', async () => {
       ctx.userStates.set(1, { displayName: 'Singapore' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_yesterday_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'yesterday', regionCode: 'SG' }, 100);
       expect(ctx.fetchAndSendSightings).toHaveBeenCalled();
     });
 
     test('last_week preset fetches notable', async () => {
       ctx.userStates.set(1, { displayName: 'New York' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_notable_last_week_US-NY', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'notable', preset: 'last_week', regionCode: 'US-NY' }, 100);
       expect(ctx.fetchAndSendNotable).toHaveBeenCalled();
     });
 
     test('last_3_days preset parses correctly', async () => {
       ctx.userStates.set(1, { displayName: 'Test' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_last_3_days_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'last_3_days', regionCode: 'SG' }, 100);
       expect(ctx.fetchAndSendSightings).toHaveBeenCalled();
     });
 
     test('last_14_days preset parses correctly', async () => {
       ctx.userStates.set(1, { displayName: 'Test' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_last_14_days_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'last_14_days', regionCode: 'SG' }, 100);
       expect(ctx.fetchAndSendSightings).toHaveBeenCalled();
     });
 
     test('custom preset sets awaiting_custom_date state', async () => {
       ctx.userStates.set(1, { displayName: 'Singapore' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_custom_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'custom', regionCode: 'SG' }, 100);
 
       const state = ctx.userStates.get(1);
       expect(state.action).toBe('awaiting_custom_date');
@@ -458,7 +776,8 @@ describe('callbackHandlers', () => {
       expect(state.type).toBe('sightings');
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1,
-        expect.stringContaining('Enter custom date')
+        expect.stringContaining('Enter custom date'),
+        expect.any(Object)
       );
     });
 
@@ -467,7 +786,7 @@ describe('callbackHandlers', () => {
         displayName: 'Singapore',
         species: { commonName: 'House Sparrow', code: 'houspa' },
       });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_species_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'species', preset: 'today', regionCode: 'SG' }, 100);
 
       expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(
         1,
@@ -546,16 +865,54 @@ describe('callbackHandlers', () => {
       );
     });
 
-    test('date older than 30 days shows warning', async () => {
-      const userState = { regionCode: 'SG', displayName: 'Singapore', type: 'sightings' };
+    test('date older than 30 days is fetched as a historic date', async () => {
+      const userState = { regionCode: 'L123', displayName: 'Botanic Gardens', type: 'sightings', isHotspot: true };
       await callbackHandlers.handleCustomDateInput.call(ctx, 1, '01/01/2020', userState);
 
-      expect(ctx.sendMessage).toHaveBeenCalledWith(
-        1,
-        expect.stringContaining('last 30 days')
+      expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(
+        1, 'L123', 'Botanic Gardens', 0,
+        expect.objectContaining({ historic: true, label: '01/01/2020' }),
+        true
+      );
+    });
+
+    test('historic range within the cap is accepted', async () => {
+      const userState = { regionCode: 'SG', displayName: 'Singapore', type: 'species', species: { code: 'houspa', commonName: 'House Sparrow' } };
+      await callbackHandlers.handleCustomDateInput.call(ctx, 1, '14/06/2025 to 16/06/2025', userState);
+
+      expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(
+        1, 'Singapore', 'House Sparrow', 'houspa', expect.objectContaining({ historic: true })
       );
     });
 
+    test('historic range longer than the cap is rejected', async () => {
+      const userState = { action: 'awaiting_custom_date', regionCode: 'SG', displayName: 'Singapore', type: 'sightings' };
+      ctx.userStates.set(1, userState);
+      await callbackHandlers.handleCustomDateInput.call(ctx, 1, '01/06/2025 to 10/06/2025', userState);
+
+      expect(ctx.fetchAndSendSightings).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('limited to 7 days'));
+      // Still waiting for a date so the user can try a shorter range
+      expect(ctx.userStates.get(1)).toBe(userState);
+    });
+
+    test('historic dates are not available for notable sightings', async () => {
+      const userState = { regionCode: 'SG', displayName: 'Singapore', type: 'notable' };
+      await callbackHandlers.handleCustomDateInput.call(ctx, 1, '01/01/2020', userState);
+
+      expect(ctx.fetchAndSendNotable).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('last 30 days'));
+    });
+
+    test('recent dates are not marked historic', async () => {
+      const today = new Date();
+      const dateStr = `${String(today.getDate()).padStart(2, '0')}/${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
+      const userState = { regionCode: 'SG', displayName: 'Singapore', type: 'sightings' };
+      await callbackHandlers.handleCustomDateInput.call(ctx, 1, dateStr, userState);
+
+      expect(ctx.fetchAndSendSightings.mock.calls[0][4].historic).toBe(false);
+    });
+
     test('notable type calls fetchAndSendNotable', async () => {
       const today = new Date();
       const dd = String(today.getDate()).padStart(2, '0');
@@ -639,16 +996,16 @@ describe('callbackHandlers', () => {
   describe('handleCallback — date_ routing', () => {
     test('date_ callback routes through handleCallback (lines 26-27)', async () => {
       ctx.userStates.set(1, { displayName: 'Singapore' });
-      const query = makeCallbackQuery('date_sightings_today_SG', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('date', { type: 'sightings', preset: 'today', regionCode: 'SG' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
 
-      expect(ctx.handleDateCallback).toHaveBeenCalledWith(1, 'date_sightings_today_SG', 100);
+      expect(ctx.handleDateCallback).toHaveBeenCalledWith(1, { type: 'sightings', preset: 'today', regionCode: 'SG' }, 100);
     });
   });
 
   describe('handleCallback — fulllist with no cache', () => {
     test('shows "No cached results" when fulllist cache is empty', async () => {
-      const query = makeCallbackQuery('fulllist_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('fulllist', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1, expect.stringContaining('No cached results')
@@ -667,7 +1024,7 @@ describe('callbackHandlers', () => {
 
   describe('handleCallback — generate_share with no cache', () => {
     test('shows "Unable to share" when generate_share cache is empty', async () => {
-      const query = makeCallbackQuery('generate_share_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('generate_share', { type: 'sightings' }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1, expect.stringContaining('Unable to share')
@@ -677,7 +1034,7 @@ describe('callbackHandlers', () => {
 
   describe('handleCallback — jump_ with no cache', () => {
     test('jump_ with empty cache does not prompt for page', async () => {
-      const query = makeCallbackQuery('jump_sightings', 1);
+      const query = makeCallbackQuery(callbackCodec.encode('jump', { type: 'sightings', token: null }), 1);
       await callbackHandlers.handleCallback.call(ctx, query);
       // No cache → no prompt sent, just returns
       expect(ctx.sendMessage).not.toHaveBeenCalled();
@@ -687,7 +1044,7 @@ describe('callbackHandlers', () => {
   describe('handleDateCallback — branch coverage', () => {
     test('uses regionCode as displayName when userState is missing', async () => {
       // No userState set for chatId 1
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_sightings_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'sightings', preset: 'today', regionCode: 'SG' }, 100);
       expect(ctx.fetchAndSendSightings).toHaveBeenCalledWith(
         1, 'SG', 'SG', 0, expect.any(Object), false
       );
@@ -699,7 +1056,7 @@ describe('callbackHandlers', () => {
         species: { commonName: 'House Sparrow', code: 'houspa' },
         isHotspot: false,
       });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_species_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'species', preset: 'today', regionCode: 'SG' }, 100);
       expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(
         1, 'Singapore', 'House Sparrow', 'houspa', expect.any(Object)
       );
@@ -710,19 +1067,19 @@ describe('callbackHandlers', () => {
         displayName: 'Singapore',
         // no species property
       });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_species_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'species', preset: 'today', regionCode: 'SG' }, 100);
       expect(ctx.fetchSpeciesInLocation).not.toHaveBeenCalled();
     });
 
     test('species type with no userState at all does nothing', async () => {
       // No userState set → userState is undefined → userState?.species is undefined
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_species_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'species', preset: 'today', regionCode: 'SG' }, 100);
       expect(ctx.fetchSpeciesInLocation).not.toHaveBeenCalled();
     });
 
     test('unknown type falls through all conditions', async () => {
       ctx.userStates.set(1, { displayName: 'Singapore' });
-      await callbackHandlers.handleDateCallback.call(ctx, 1, 'date_unknown_today_SG', 100);
+      await callbackHandlers.handleDateCallback.call(ctx, 1, { type: 'unknown', preset: 'today', regionCode: 'SG' }, 100);
       // No handler matched — neither sightings, notable, nor species
       expect(ctx.fetchAndSendSightings).not.toHaveBeenCalled();
       expect(ctx.fetchAndSendNotable).not.toHaveBeenCalled();
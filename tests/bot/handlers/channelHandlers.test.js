@@ -0,0 +1,149 @@
+/**
+ * Tests for channelHandlers — /channel admin command.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../../../src/services/channelStore', () => ({
+  FORMATS: ['summary', 'compact'],
+  get: jest.fn().mockReturnValue(null),
+  all: jest.fn().mockReturnValue([]),
+  save: jest.fn((channelId, changes) => ({ channelId, format: 'summary', ...changes })),
+  remove: jest.fn().mockReturnValue(true),
+}));
+
+const channelHandlers = require('../../../src/bot/handlers/channelHandlers');
+const channelStore = require('../../../src/services/channelStore');
+
+describe('channelHandlers', () => {
+  let ctx;
+  const ADMIN = 42;
+  const stored = {
+    channelId: '-1001',
+    title: 'Bird Club',
+    username: 'birdclub',
+    regions: [{ regionCode: 'SG', regionName: 'Singapore' }],
+    postTime: '07:00',
+    format: 'summary',
+  };
+
+  const send = (args, fromId = ADMIN) => ctx.handleChannel({ chat: { id: fromId }, from: { id: fromId } }, [null, args]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BOT_ADMIN_IDS = `7, ${ADMIN}`;
+    channelStore.get.mockReturnValue(null);
+    channelStore.all.mockReturnValue([]);
+    ctx = {
+      ...channelHandlers,
+      botId: 999,
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+      collectDigest: jest.fn().mockResolvedValue({}),
+      formatDigest: jest.fn().mockReturnValue('digest'),
+      bot: {
+        getChat: jest.fn().mockResolvedValue({ id: -1001, title: 'Bird Club', username: 'birdclub' }),
+        getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }),
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.BOT_ADMIN_IDS;
+  });
+
+  test('only bot admins may use /channel', async () => {
+    await send('', 5);
+    expect(ctx.sendMessage).toHaveBeenCalledWith(5, expect.stringContaining('only for the bot\'s admins'));
+    expect(channelStore.all).not.toHaveBeenCalled();
+  });
+
+  test('isBotAdmin() reads BOT_ADMIN_IDS', () => {
+    expect(ctx.isBotAdmin(7)).toBe(true);
+    expect(ctx.isBotAdmin(8)).toBe(false);
+    delete process.env.BOT_ADMIN_IDS;
+    expect(ctx.isBotAdmin(7)).toBe(false);
+  });
+
+  test('lists configured channels', async () => {
+    channelStore.all.mockReturnValue([stored]);
+    await send('');
+    expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('*Bird Club* — Singapore at 07:00 (summary)'));
+  });
+
+  describe('set', () => {
+    test('saves the channel, time and regions', async () => {
+      await send('set @birdclub 7:05 Singapore, US-NY');
+
+      expect(ctx.bot.getChatMember).toHaveBeenCalledWith(-1001, 999);
+      expect(channelStore.save).toHaveBeenCalledWith('-1001', {
+        title: 'Bird Club',
+        username: 'birdclub',
+        regions: [{ regionCode: 'SG', regionName: 'Singapore' }, { regionCode: 'US-NY', regionName: 'US-NY' }],
+        postTime: '07:05',
+        updatedBy: ADMIN,
+      });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('✅'));
+    });
+
+    test('shows usage for a bad time or missing regions', async () => {
+      await send('set @birdclub 25:00 Singapore');
+      await send('set @birdclub 07:00');
+      expect(channelStore.save).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('/channel set'));
+    });
+
+    test('refuses channels where the bot is not an admin', async () => {
+      ctx.bot.getChatMember.mockResolvedValue({ status: 'left' });
+      await send('set @birdclub 07:00 Singapore');
+      expect(channelStore.save).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('Make me an admin'));
+    });
+
+    test('explains unknown channels', async () => {
+      ctx.bot.getChat.mockRejectedValue(new Error('chat not found'));
+      await send('set @nobody 07:00 Singapore');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('can\'t find'));
+    });
+  });
+
+  test('format changes the layout of a channel found by @username', async () => {
+    channelStore.all.mockReturnValue([stored]);
+    channelStore.save.mockReturnValueOnce({ ...stored, format: 'compact' });
+    await send('format @BirdClub compact');
+    expect(channelStore.save).toHaveBeenCalledWith('-1001', { format: 'compact' });
+    expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('(compact)'));
+  });
+
+  test('format rejects unknown layouts', async () => {
+    channelStore.get.mockReturnValue(stored);
+    await send('format -1001 fancy');
+    expect(channelStore.save).not.toHaveBeenCalled();
+    expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('summary, compact'));
+  });
+
+  test('post sends each region\'s digest now', async () => {
+    channelStore.get.mockReturnValue(stored);
+    await send('post -1001');
+
+    expect(ctx.collectDigest).toHaveBeenCalledWith('SG', undefined);
+    expect(ctx.sendMessage).toHaveBeenCalledWith('-1001', 'digest', { disable_web_page_preview: true });
+    expect(ctx.sendMessage).toHaveBeenCalledWith(ADMIN, expect.stringContaining('Posted'));
+  });
+
+  test('remove stops publishing', async () => {
+    channelStore.all.mockReturnValue([stored]);
+    await send('remove @birdclub');
+    expect(channelStore.remove).toHaveBeenCalledWith('-1001');
+  });
+
+  test('unknown channels and subcommands are explained', async () => {
+    await send('remove @nobody');
+    expect(ctx.sendMessage).toHaveBeenLastCalledWith(ADMIN, expect.stringContaining('No such channel'));
+
+    await send('frobnicate');
+    expect(ctx.sendMessage).toHaveBeenLastCalledWith(ADMIN, expect.stringContaining('Channel digests'));
+  });
+});
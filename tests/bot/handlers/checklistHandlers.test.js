@@ -0,0 +1,218 @@
+/**
+ * Tests for checklistHandlers — /checklist, checklist pages.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const checklistHandlers = require('../../../src/bot/handlers/checklistHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
+const displayHandlers = require('../../../src/bot/handlers/displayHandlers');
+
+const taxonomy = [
+  { speciesCode: 'houspa', comName: 'House Sparrow' },
+  { speciesCode: 'commyn', comName: 'Common Myna' },
+];
+
+const checklist = {
+  subId: 'S123456',
+  obsDt: '2026-02-15 07:30',
+  subnational1Code: 'SG-01',
+  userDisplayName: 'Jane Birder',
+  protocolId: 'P22',
+  effortDistanceKm: 2.5,
+  durationHrs: 1.5,
+  numObservers: 2,
+  comments: 'Sunny, light breeze.',
+  obs: [
+    { speciesCode: 'houspa', howManyStr: '12' },
+    { speciesCode: 'commyn', howManyStr: 'X' },
+    { speciesCode: 'newspp' },
+  ],
+};
+
+function makeCtx(overrides = {}) {
+  const ctx = {
+    observationsCache: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    deleteMsg: jest.fn().mockResolvedValue(),
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
+    _buildPageNavigation: displayHandlers._buildPageNavigation,
+    _queryToken: jest.fn().mockReturnValue(null),
+    editMessage: jest.fn().mockResolvedValue(true),
+    ebirdService: {
+      getChecklist: jest.fn().mockResolvedValue(checklist),
+      getTaxonomy: jest.fn().mockResolvedValue(taxonomy),
+      formatDate: jest.fn().mockReturnValue('15/02/2026 07:30 SGT'),
+    },
+    ...overrides,
+  };
+  ctx.showChecklist = checklistHandlers.showChecklist;
+  ctx.sendChecklistPage = checklistHandlers.sendChecklistPage;
+  return ctx;
+}
+
+function errorWithStatus(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+describe('checklistHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ─── handleChecklist ────────────────────────────────────
+
+  describe('handleChecklist()', () => {
+    test('explains usage without an ID', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.handleChecklist.call(ctx, { chat: { id: 1 } }, [null, '']);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('/checklist S123456789'));
+      expect(ctx.ebirdService.getChecklist).not.toHaveBeenCalled();
+    });
+
+    test('rejects input that is not a checklist ID', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.handleChecklist.call(ctx, { chat: { id: 1 } }, [null, ' hello']);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('not a checklist ID'));
+      expect(ctx.ebirdService.getChecklist).not.toHaveBeenCalled();
+    });
+
+    test('loads the checklist, normalising the ID', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.handleChecklist.call(ctx, { chat: { id: 1 } }, [null, ' s123456']);
+      expect(ctx.ebirdService.getChecklist).toHaveBeenCalledWith('S123456');
+    });
+  });
+
+  // ─── showChecklist ──────────────────────────────────────
+
+  describe('showChecklist()', () => {
+    test('renders species, counts and effort', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.showChecklist.call(ctx, 1, 'S123456');
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      const [, text, opts] = ctx.sendMessage.mock.calls.at(-1);
+      expect(text).toContain('Checklist S123456');
+      expect(text).toContain('15/02/2026 07:30 SGT');
+      expect(text).toContain('👤 Jane Birder');
+      expect(text).toContain('📋 Traveling · 2.5 km');
+      expect(text).toContain('⏱️ 1 h 30 min');
+      expect(text).toContain('👥 2 observers');
+      expect(text).toContain('🐦 3 species');
+      expect(text).toContain('Sunny, light breeze.');
+      expect(text).toContain('1. House Sparrow — 12');
+      expect(text).toContain('2. Common Myna — X');
+      expect(text).toContain('3. newspp — X');
+
+      const buttons = opts.reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '🔗 Open in eBird', url: 'https://ebird.org/checklist/S123456' });
+      expect(buttons).toContainEqual({ text: '1/1', callback_data: 'page_info' });
+    });
+
+    test('caches the species list for pagination', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.showChecklist.call(ctx, 1, 'S123456');
+
+      const cached = ctx.observationsCache.get('checklist_1');
+      expect(cached.type).toBe('checklist');
+      expect(cached.pageSize).toBe(20);
+      expect(cached.observations).toHaveLength(3);
+    });
+
+    test('reports a checklist with no species', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getChecklist.mockResolvedValue({ ...checklist, obs: [] });
+      await checklistHandlers.showChecklist.call(ctx, 1, 'S123456');
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('has no species'));
+    });
+
+    test('explains a missing checklist', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getChecklist.mockRejectedValue(errorWithStatus(404));
+      await checklistHandlers.showChecklist.call(ctx, 1, 'S999');
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('was not found'));
+    });
+
+    test('reports other errors', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getChecklist.mockRejectedValue(new Error('timeout'));
+      await checklistHandlers.showChecklist.call(ctx, 1, 'S999');
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Could not load'));
+    });
+  });
+
+  // ─── sendChecklistPage ──────────────────────────────────
+
+  describe('sendChecklistPage()', () => {
+    function seed(ctx, count, extra = {}) {
+      ctx.observationsCache.set('checklist_1', {
+        observations: Array.from({ length: count }, (_, i) => ({ comName: `Bird ${i + 1}`, count: '1' })),
+        displayName: 'S1',
+        type: 'checklist',
+        pageSize: 20,
+        checklist: { ...checklist, ...extra },
+      });
+    }
+
+    test('pages through long checklists and edits in place', async () => {
+      const ctx = makeCtx();
+      seed(ctx, 45);
+      await checklistHandlers.sendChecklistPage.call(ctx, 1, 2, 99);
+
+      const [chatId, messageId, text, opts] = ctx.editMessage.mock.calls[0];
+      expect([chatId, messageId]).toEqual([1, 99]);
+      expect(text).toContain('41. Bird 41');
+      expect(text).toContain('45. Bird 45');
+      expect(text).not.toContain('Sunny');
+      const data = opts.reply_markup.inline_keyboard.flat().map(b => callbackCodec.decode(b.callback_data));
+      expect(data).toEqual(expect.arrayContaining([
+        { action: 'page', type: 'checklist', page: 0, token: null },
+        { action: 'page', type: 'checklist', page: 1, token: null },
+        { action: 'jump', type: 'checklist', token: null },
+      ]));
+    });
+
+    test('falls back to a new message when the edit fails', async () => {
+      const ctx = makeCtx();
+      ctx.editMessage.mockRejectedValue(new Error('not modified'));
+      seed(ctx, 3);
+      await checklistHandlers.sendChecklistPage.call(ctx, 1, 0, 99);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Bird 1'), expect.any(Object));
+    });
+
+    test('omits missing effort fields and formats short durations', async () => {
+      const ctx = makeCtx();
+      seed(ctx, 1, { protocolId: 'P99', effortDistanceKm: null, durationHrs: 0.25, numObservers: 1, comments: '', userDisplayName: null });
+      await checklistHandlers.sendChecklistPage.call(ctx, 1, 0);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('📋 Other\n');
+      expect(text).toContain('⏱️ 15 min');
+      expect(text).toContain('👥 1 observer\n');
+      expect(text).not.toContain('👤');
+      expect(text).not.toContain('💬');
+    });
+
+    test('truncates long comments', async () => {
+      const ctx = makeCtx();
+      seed(ctx, 1, { comments: 'a'.repeat(600) });
+      await checklistHandlers.sendChecklistPage.call(ctx, 1, 0);
+      expect(ctx.sendMessage.mock.calls[0][1]).toContain(`${'a'.repeat(500)}…`);
+    });
+
+    test('handles an expired cache', async () => {
+      const ctx = makeCtx();
+      await checklistHandlers.sendChecklistPage.call(ctx, 1, 0);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No cached results'));
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Tests for digestHandlers — building and publishing regional digests,
+ * and the /digest and /digests commands.
+ */
+jest.mock('../../../src/services/channelStore', () => ({
+  recordSpecies: jest.fn(),
+}));
+jest.mock('../../../src/services/digestStore', () => ({
+  add: jest.fn(digest => ({ id: 'd1', ...digest })),
+  get: jest.fn(),
+  remove: jest.fn(),
+  listForChat: jest.fn().mockReturnValue([]),
+  recordSpecies: jest.fn(),
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const digestHandlers = require('../../../src/bot/handlers/digestHandlers');
+const channelStore = require('../../../src/services/channelStore');
+const digestStore = require('../../../src/services/digestStore');
+const callbackCodec = require('../../../src/bot/callbackCodec');
+
+const obs = (speciesCode, comName, overrides = {}) => ({
+  speciesCode,
+  comName,
+  locName: 'Sungei Buloh',
+  obsDt: '2026-10-20 07:15',
+  howMany: 1,
+  ...overrides,
+});
+
+describe('digestHandlers', () => {
+  let ctx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ctx = {
+      ...digestHandlers,
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+      pushAlert: jest.fn((chatId, send) => send()),
+      ebirdService: {
+        getRecentObservations: jest.fn().mockResolvedValue([obs('houspa', 'House Sparrow'), obs('grnsan', 'Green Sandpiper')]),
+        getNotableObservations: jest.fn().mockResolvedValue([obs('grnsan', 'Green Sandpiper')]),
+        deduplicateObservations: jest.fn(list => list),
+        formatDate: jest.fn().mockReturnValue('20/10/2026'),
+        getPopularHotspots: jest.fn().mockResolvedValue([
+          { locId: 'L1', locName: 'Bishan Park' },
+          { locId: 'L2', locName: 'Sungei Buloh' },
+        ]),
+        getHotspotObservations: jest.fn(async (locId) => (locId === 'L2'
+          ? [obs('houspa', 'House Sparrow'), obs('grnsan', 'Green Sandpiper')]
+          : [obs('houspa', 'House Sparrow', { locName: 'Bishan Park' })])),
+      },
+    };
+  });
+
+  describe('collectDigest()', () => {
+    test('new species are those missing from the remembered ones', async () => {
+      const digest = await ctx.collectDigest('SG', { houspa: '2026-10-19' });
+
+      expect(ctx.ebirdService.getRecentObservations).toHaveBeenCalledWith('SG', 1, expect.any(Number));
+      expect(ctx.ebirdService.getNotableObservations).toHaveBeenCalledWith('SG', 1, expect.any(Number));
+      expect(digest.newSpecies.map(o => o.speciesCode)).toEqual(['grnsan']);
+      expect(digest.speciesCodes).toEqual(['houspa', 'grnsan']);
+    });
+
+    test('without history, new species are unknown rather than everything', async () => {
+      expect((await ctx.collectDigest('SG', null)).newSpecies).toBeNull();
+      expect((await ctx.collectDigest('SG', {})).newSpecies).toBeNull();
+    });
+
+    test('looks back the given number of days', async () => {
+      await ctx.collectDigest('SG', null, 7);
+      expect(ctx.ebirdService.getRecentObservations).toHaveBeenCalledWith('SG', 7, expect.any(Number));
+      expect(ctx.ebirdService.getNotableObservations).toHaveBeenCalledWith('SG', 7, expect.any(Number));
+    });
+
+    test('top hotspots are ranked by species reported at each over the period', async () => {
+      const { hotspots } = await ctx.collectDigest('SG', null, 7, { hotspots: true });
+
+      expect(ctx.ebirdService.getHotspotObservations).toHaveBeenCalledWith('L1', 7, expect.any(Number));
+      expect(ctx.ebirdService.getHotspotObservations).toHaveBeenCalledWith('L2', 7, expect.any(Number));
+      expect(hotspots).toEqual([
+        { locName: 'Sungei Buloh', speciesCount: 2 },
+        { locName: 'Bishan Park', speciesCount: 1 },
+      ]);
+    });
+
+    test('hotspots are only fetched when asked for', async () => {
+      const { hotspots } = await ctx.collectDigest('SG', null);
+      expect(hotspots).toBeNull();
+      expect(ctx.ebirdService.getPopularHotspots).not.toHaveBeenCalled();
+    });
+
+    test('quiet hotspots and failed lookups are left out', async () => {
+      ctx.ebirdService.getPopularHotspots.mockResolvedValue([
+        { locId: 'L1', locName: 'Bishan Park' },
+        { locId: 'L2', locName: 'Sungei Buloh' },
+        { locId: 'L3', locName: 'Quiet Marsh' },
+      ]);
+      ctx.ebirdService.getHotspotObservations.mockImplementation(async (locId) => {
+        if (locId === 'L1') throw new Error('503');
+        return locId === 'L2' ? [obs('houspa', 'House Sparrow')] : [];
+      });
+
+      const { hotspots } = await ctx.collectDigest('SG', null, 1, { hotspots: true });
+      expect(hotspots).toEqual([{ locName: 'Sungei Buloh', speciesCount: 1 }]);
+    });
+
+    test('hotspots are null when eBird can\'t list them', async () => {
+      ctx.ebirdService.getPopularHotspots.mockRejectedValue(new Error('503'));
+      const { hotspots } = await ctx.collectDigest('SG', null, 1, { hotspots: true });
+      expect(hotspots).toBeNull();
+    });
+  });
+
+  describe('formatDigest()', () => {
+    const options = { title: '🗞️ *Daily Digest — Singapore*', date: '2026-10-20', regionCode: 'SG' };
+
+    test('summary format lists new species and rarities with locations', async () => {
+      const digest = await ctx.collectDigest('SG', { houspa: '2026-10-19' });
+      const text = ctx.formatDigest(digest, options);
+
+      expect(text).toContain('Daily Digest — Singapore');
+      expect(text).toContain('📅 20/10/2026');
+      expect(text).toContain('*2* species reported');
+      expect(text).toMatch(/🆕 \*New species\* \(1\)\n1\. \*Green Sandpiper\* \(x1\)\n {4}📍 Sungei Buloh/);
+      expect(text).toContain('⭐ *Rarities* (1)');
+    });
+
+    test('compact format puts each species on one line', async () => {
+      const digest = await ctx.collectDigest('SG', { houspa: '2026-10-19' });
+      const text = ctx.formatDigest(digest, { ...options, format: 'compact' });
+
+      expect(text).toContain('1. *Green Sandpiper* (x1) — Sungei Buloh\n');
+      expect(text).not.toContain('📍');
+    });
+
+    test('explains empty sections and missing history', async () => {
+      ctx.ebirdService.getNotableObservations.mockResolvedValue([]);
+      const text = ctx.formatDigest(await ctx.collectDigest('SG', null), options);
+
+      expect(text).toContain('Flagged from the next digest');
+      expect(text).toContain('⭐ *Rarities*\n_None._');
+    });
+
+    test('covers the given period and can list top hotspots', async () => {
+      const digest = await ctx.collectDigest('SG', null, 7, { hotspots: true });
+      const text = ctx.formatDigest(digest, { ...options, days: 7, hotspots: true });
+
+      expect(text).toContain('species reported in the last 7 days');
+      expect(text).toContain('📍 *Top hotspots*\n1. Sungei Buloh — 2 species\n2. Bishan Park — 1 species\n');
+    });
+
+    test('says so when hotspot activity could not be fetched', async () => {
+      const digest = { ...(await ctx.collectDigest('SG', null)), hotspots: null };
+      const text = ctx.formatDigest(digest, { ...options, hotspots: true });
+      expect(text).toContain('📍 *Top hotspots*\n_Couldn\'t reach eBird for hotspot activity._');
+    });
+
+    test('leaves hotspots out unless asked', async () => {
+      const text = ctx.formatDigest(await ctx.collectDigest('SG', null), options);
+      expect(text).toContain('in the last 24 hours');
+      expect(text).not.toContain('Top hotspots');
+    });
+
+    test('long digests are shortened to fit one message', async () => {
+      const many = Array.from({ length: 300 }, (_, i) => obs(`sp${i}`, `Species number ${i}`));
+      ctx.ebirdService.getNotableObservations.mockResolvedValue(many);
+      const text = ctx.formatDigest(await ctx.collectDigest('SG', null), options);
+
+      expect(text.length).toBeLessThan(4096);
+      expect(text).toContain('_...digest shortened_');
+    });
+  });
+
+  describe('publishChannelDigest()', () => {
+    const channel = { channelId: '-1001', format: 'compact', speciesSeen: { SG: { houspa: '2026-10-19' } } };
+    const region = { regionCode: 'SG', regionName: 'Singapore' };
+
+    test('posts to the channel and remembers the species', async () => {
+      await ctx.publishChannelDigest(channel, region, '2026-10-20');
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith('-1001', expect.stringContaining('Daily Digest — Singapore'), { disable_web_page_preview: true });
+      expect(channelStore.recordSpecies).toHaveBeenCalledWith('-1001', 'SG', ['houspa', 'grnsan'], '2026-10-20');
+    });
+
+    test('throws when Telegram does not accept the post', async () => {
+      ctx.sendMessage.mockResolvedValue(undefined);
+      await expect(ctx.publishChannelDigest(channel, region, '2026-10-20')).rejects.toThrow('did not accept');
+      expect(channelStore.recordSpecies).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleDigest()', () => {
+    const send = (text) => ctx.handleDigest({ chat: { id: 42 } }, [null, text]);
+
+    test('without arguments explains the usage', async () => {
+      await send('');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('/digest daily 07:00 Singapore'));
+      expect(digestStore.add).not.toHaveBeenCalled();
+    });
+
+    test('daily digest at a chosen time', async () => {
+      await send(' daily 7:30 Singapore');
+      expect(digestStore.add).toHaveBeenCalledWith({
+        chatId: 42, frequency: 'daily', weekday: null, postTime: '07:30', regionName: 'Singapore', regionCode: 'SG',
+      });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('*Singapore* daily at 07:30'), expect.any(Object));
+    });
+
+    test('weekly digest on a day, at the default time', async () => {
+      await send(' weekly Sunday Malaysia');
+      expect(digestStore.add).toHaveBeenCalledWith(expect.objectContaining({
+        frequency: 'weekly', weekday: 0, postTime: '07:00', regionName: 'Malaysia', regionCode: 'MY',
+      }));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('every Sunday at 07:00'), expect.any(Object));
+    });
+
+    test.each([
+      ['hourly Singapore'],
+      ['weekly someday Malaysia'],
+      ['daily 07:00'],
+    ])('rejects "%s"', async (text) => {
+      await send(text);
+      expect(digestStore.add).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('didn\'t understand'));
+    });
+
+    test('enforces the per-chat limit', async () => {
+      digestStore.listForChat.mockReturnValueOnce(Array(5).fill({}));
+      await send('daily Singapore');
+      expect(digestStore.add).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('up to 5 digests'));
+    });
+  });
+
+  describe('handleDigests()', () => {
+    test('explains how to subscribe when there are none', async () => {
+      await ctx.handleDigests({ chat: { id: 42 } });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('no digests'));
+    });
+
+    test('lists digests with a cancel button each', async () => {
+      digestStore.listForChat.mockReturnValueOnce([
+        { id: 'd1', frequency: 'daily', weekday: null, postTime: '07:00', regionCode: 'SG', regionName: 'Singapore' },
+        { id: 'd2', frequency: 'weekly', weekday: 6, postTime: '18:30', regionCode: 'MY', regionName: 'Malaysia' },
+      ]);
+      await ctx.handleDigests({ chat: { id: 42 } });
+
+      const [, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(text).toContain('1. *Singapore* daily at 07:00 (SG)');
+      expect(text).toContain('2. *Malaysia* every Saturday at 18:30 (MY)');
+      expect(callbackCodec.decode(opts.reply_markup.inline_keyboard[1][0].callback_data)).toEqual({ action: 'undigest', id: 'd2' });
+    });
+  });
+
+  describe('removeDigest()', () => {
+    const digest = { id: 'd1', chatId: 42, frequency: 'daily', postTime: '07:00', regionName: 'Singapore' };
+
+    test('cancels a digest of this chat', async () => {
+      digestStore.get.mockReturnValueOnce(digest);
+      await ctx.removeDigest(42, 'd1');
+      expect(digestStore.remove).toHaveBeenCalledWith('d1');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('Cancelled the digest'));
+    });
+
+    test('refuses a digest of another chat', async () => {
+      digestStore.get.mockReturnValueOnce(digest);
+      await ctx.removeDigest(7, 'd1');
+      expect(digestStore.remove).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(7, '❌ That digest no longer exists.');
+    });
+  });
+
+  describe('sendPersonalDigest()', () => {
+    const weekly = { id: 'd2', chatId: 42, frequency: 'weekly', weekday: 0, regionCode: 'SG', regionName: 'Singapore', speciesSeen: { houspa: '2026-10-13' } };
+
+    test('sends the week\'s digest with hotspots and remembers the species', async () => {
+      await ctx.sendPersonalDigest(weekly, '2026-10-20');
+
+      expect(ctx.ebirdService.getRecentObservations).toHaveBeenCalledWith('SG', 7, expect.any(Number));
+      const [chatId, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(chatId).toBe(42);
+      expect(text).toContain('Weekly Digest — Singapore');
+      expect(text).toContain('Top hotspots');
+      expect(callbackCodec.decode(opts.reply_markup.inline_keyboard[0][0].callback_data)).toEqual({ action: 'undigest', id: 'd2' });
+      expect(digestStore.recordSpecies).toHaveBeenCalledWith('d2', ['houspa', 'grnsan'], '2026-10-20');
+    });
+
+    test('is held like an alert, with a one-line summary', async () => {
+      ctx.pushAlert.mockResolvedValueOnce(true);
+      await ctx.sendPersonalDigest(weekly, '2026-10-20');
+
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+      expect(ctx.pushAlert).toHaveBeenCalledWith(42, expect.any(Function), {
+        summary: '🗞️ *Weekly Digest — Singapore* — 2 species · 1 new · 1 rarities',
+        regionCode: 'SG',
+      });
+      expect(digestStore.recordSpecies).toHaveBeenCalled();
+    });
+
+    test('throws when Telegram does not accept it', async () => {
+      ctx.sendMessage.mockResolvedValue(undefined);
+      await expect(ctx.sendPersonalDigest(weekly, '2026-10-20')).rejects.toThrow('did not accept');
+      expect(digestStore.recordSpecies).not.toHaveBeenCalled();
+    });
+  });
+});
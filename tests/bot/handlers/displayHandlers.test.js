@@ -1,16 +1,31 @@
 /**
  * Tests for displayHandlers — pagination, summary, full list, share, _buildTitle.
  */
+jest.mock('../../../src/services/queryRegistry', () => ({
+  register: jest.fn().mockReturnValue('q1a2b3c4d5'),
+  lookup: jest.fn().mockReturnValue(null),
+}));
+
 const displayHandlers = require('../../../src/bot/handlers/displayHandlers');
+const queryRegistry = require('../../../src/services/queryRegistry');
+const callbackCodec = require('../../../src/bot/callbackCodec');
 
 function makeCtx(overrides = {}) {
   return {
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
+    getPageSize: jest.fn().mockReturnValue(5),
+    getLifeList: jest.fn().mockReturnValue(null),
+    _formatOptions: displayHandlers._formatOptions,
     ITEMS_PER_PAGE: 5,
     _buildTitle: displayHandlers._buildTitle,
+    _buildPageNavigation: displayHandlers._buildPageNavigation,
+    _queryToken: displayHandlers._queryToken,
+    observationsCache: new Map(),
     sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
-    bot: {
-      editMessageText: jest.fn().mockResolvedValue(true),
+    sendMessages(chatId, messages) {
+      return Promise.all(messages.map(({ text, options }) => this.sendMessage(chatId, text, options)));
     },
+    editMessage: jest.fn().mockResolvedValue(true),
     ebirdService: {
       formatObservation: jest.fn((obs) => `*${obs.comName}* at ${obs.locName || 'Unknown'}`),
     },
@@ -34,6 +49,11 @@ describe('displayHandlers', () => {
       expect(title).toContain('Your Location');
     });
 
+    test('returns rarities title for type "nearbyrare"', () => {
+      const title = displayHandlers._buildTitle('nearbyrare', 'Your Location (10 km)');
+      expect(title).toContain('Rarities Near');
+    });
+
     test('returns species title for type "species"', () => {
       const title = displayHandlers._buildTitle('species', 'House Sparrow in SG');
       expect(title).toContain('House Sparrow');
@@ -98,12 +118,45 @@ describe('displayHandlers', () => {
       expect(text).toContain('Page 3 of 3');
     });
 
+    test('uses the chat page size', async () => {
+      const ctx = makeCtx({ getPageSize: jest.fn().mockReturnValue(10) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'Singapore', 'sightings', 0);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('1-10 of 12');
+      expect(text).toContain('Page 1 of 2');
+    });
+
+    test('clamps the page when the page size grew mid-browse', async () => {
+      const ctx = makeCtx({ getPageSize: jest.fn().mockReturnValue(10) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'Singapore', 'sightings', 2);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('11-12 of 12');
+      expect(text).toContain('Page 2 of 2');
+    });
+
+    test('passes the preferred date format to formatObservation', async () => {
+      const ctx = makeCtx({ getProfile: jest.fn().mockReturnValue({ dateFormat: 'MDY' }) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'SG', 'sightings', 0, null, 'SG');
+
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(fakeObs[0], 'SG', { origin: null, dateFormat: 'MDY', lifeList: null });
+    });
+
+    test('marks stale results with the time they were fetched', async () => {
+      const ctx = makeCtx();
+      ctx.observationsCache.set('sightings_1', { observations: fakeObs, staleAt: Date.UTC(2026, 1, 15, 6, 5) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'SG', 'sightings', 0, null, 'SG');
+
+      expect(ctx.sendMessage.mock.calls[0][1]).toContain('⚠️ _Stale data from 14:05 ');
+    });
+
     test('calls formatObservation for each item on the page', async () => {
       const ctx = makeCtx();
       await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'SG', 'sightings', 0, null, 'SG');
 
       expect(ctx.ebirdService.formatObservation).toHaveBeenCalledTimes(5);
-      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(fakeObs[0], 'SG');
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(fakeObs[0], 'SG', { origin: null, dateFormat: 'DMY', lifeList: null });
     });
 
     test('includes navigation buttons on first page', async () => {
@@ -199,21 +252,16 @@ describe('displayHandlers', () => {
       const ctx = makeCtx();
       await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'SG', 'sightings', 0, 999, 'SG');
 
-      expect(ctx.bot.editMessageText).toHaveBeenCalledWith(
-        expect.any(String),
-        expect.objectContaining({
-          chat_id: 1,
-          message_id: 999,
-          parse_mode: 'Markdown',
-        })
-      );
+      expect(ctx.editMessage).toHaveBeenCalledWith(1, 999, expect.any(String), expect.objectContaining({
+        reply_markup: expect.any(Object),
+      }));
       // Should NOT send new message
       expect(ctx.sendMessage).not.toHaveBeenCalled();
     });
 
-    test('falls back to sendMessage if editMessageText fails', async () => {
+    test('falls back to sendMessage if the edit fails', async () => {
       const ctx = makeCtx();
-      ctx.bot.editMessageText.mockRejectedValue(new Error('edit failed'));
+      ctx.editMessage.mockRejectedValue(new Error('edit failed'));
 
       await displayHandlers.sendPaginatedObservations.call(ctx, 1, fakeObs, 'SG', 'sightings', 0, 999);
 
@@ -269,6 +317,15 @@ describe('displayHandlers', () => {
       expect(text).toContain('3 sightings');
     });
 
+    test('uses MM/DD/YYYY dates when preferred', async () => {
+      const ctx = makeCtx({ getProfile: jest.fn().mockReturnValue({ dateFormat: 'MDY' }) });
+      await displayHandlers.sendSummaryMessage.call(ctx, 1, fakeObs, 'Singapore', 'sightings', 'SG');
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('02/15/2026');
+      expect(text).not.toContain('15/02/2026');
+    });
+
     test('groups observations by species', async () => {
       const ctx = makeCtx();
       await displayHandlers.sendSummaryMessage.call(ctx, 1, fakeObs, 'Singapore', 'sightings', 'SG');
@@ -500,6 +557,194 @@ describe('displayHandlers', () => {
       expect(text).toContain('Birds Near');
       expect(text).toContain('Your Location');
     });
+
+    test('uses rarities title for nearbyrare type', async () => {
+      const ctx = makeCtx();
+      const obs = [{ comName: 'Oriental Pied Hornbill', locName: 'Central Park' }];
+      await displayHandlers.sendPaginatedObservations.call(
+        ctx, 1, obs, 'Your Location (10 km)', 'nearbyrare', 0
+      );
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('⭐ Rarities Near');
+    });
+  });
+
+  describe('sendPaginatedObservations — nearby sort toolbar', () => {
+    const obs = [{ comName: 'Spotted Dove', locName: 'Central Park', lat: 1.36, lng: 103.83 }];
+    const origin = { lat: 1.35, lng: 103.82 };
+
+    test('passes the cached origin to formatObservation', async () => {
+      const ctx = makeCtx();
+      ctx.observationsCache.set('nearby_1', { observations: obs, origin, sort: 'recent' });
+      await displayHandlers.sendPaginatedObservations.call(
+        ctx, 1, obs, 'Your Location (10 km)', 'nearby', 0, null, 'SG'
+      );
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(obs[0], 'SG', { origin, dateFormat: 'DMY', lifeList: null });
+    });
+
+    test('shows sort buttons and marks the active sort', async () => {
+      const ctx = makeCtx();
+      ctx.observationsCache.set('nearby_1', { observations: obs, origin, sort: 'distance' });
+      await displayHandlers.sendPaginatedObservations.call(
+        ctx, 1, obs, 'Your Location (10 km)', 'nearby', 0
+      );
+      const buttons = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '✅ 📏 Distance', callback_data: callbackCodec.encode('sort', { type: 'nearby', sortKey: 'distance' }) });
+      expect(buttons).toContainEqual({ text: '🕒 Recent', callback_data: callbackCodec.encode('sort', { type: 'nearby', sortKey: 'recent' }) });
+      expect(buttons).toContainEqual({ text: '🔤 Taxonomic', callback_data: callbackCodec.encode('sort', { type: 'nearby', sortKey: 'taxon' }) });
+    });
+
+    test('no sort toolbar for region searches', async () => {
+      const ctx = makeCtx();
+      ctx.observationsCache.set('sightings_1', { observations: obs });
+      await displayHandlers.sendPaginatedObservations.call(
+        ctx, 1, obs, 'Singapore', 'sightings', 0
+      );
+      const data = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat().map(b => callbackCodec.decode(b.callback_data));
+      expect(data.some(d => d.action === 'sort')).toBe(false);
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(obs[0], null, { origin: null, dateFormat: 'DMY', lifeList: null });
+    });
+  });
+
+  describe('sendPaginatedObservations — checklist buttons', () => {
+    test('adds a checklist button for each sighting with a subId', async () => {
+      const obs = [
+        { comName: 'A', subId: 'S1' },
+        { comName: 'B' },
+        { comName: 'C', subId: 'S3' },
+      ];
+      const ctx = makeCtx();
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0);
+      const buttons = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '🧾 1', callback_data: callbackCodec.encode('checklist', { subId: 'S1' }) });
+      expect(buttons).toContainEqual({ text: '🧾 3', callback_data: callbackCodec.encode('checklist', { subId: 'S3' }) });
+      expect(buttons.filter(b => callbackCodec.decode(b.callback_data).action === 'checklist')).toHaveLength(2);
+    });
+
+    test('wraps checklist buttons five per row', async () => {
+      const obs = Array.from({ length: 10 }, (_, i) => ({ comName: `Bird ${i}`, subId: `S${i}` }));
+      const ctx = makeCtx({ getPageSize: jest.fn().mockReturnValue(10) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0);
+      const rows = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard
+        .filter(row => callbackCodec.decode(row[0].callback_data).action === 'checklist');
+      expect(rows.map(r => r.length)).toEqual([5, 5]);
+    });
+
+    test('delegates checklist pages to sendChecklistPage', async () => {
+      const ctx = makeCtx({ sendChecklistPage: jest.fn().mockResolvedValue() });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, [{}], 'S1', 'checklist', 2, 99);
+      expect(ctx.sendChecklistPage).toHaveBeenCalledWith(1, 2, 99);
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_buildPageNavigation()', () => {
+    test('first page of many has Next, Last and Jump', () => {
+      const rows = displayHandlers._buildPageNavigation('sightings', 0, 3);
+      expect(rows[0].map(b => callbackCodec.decode(b.callback_data))).toEqual([
+        { action: 'page_info' },
+        { action: 'page', type: 'sightings', page: 1, token: null },
+        { action: 'page', type: 'sightings', page: 2, token: null },
+      ]);
+      expect(rows[1]).toEqual([{ text: '🔢 Jump to Page', callback_data: callbackCodec.encode('jump', { type: 'sightings', token: null }) }]);
+    });
+
+    test('single page has only the page indicator', () => {
+      expect(displayHandlers._buildPageNavigation('checklist', 0, 1)).toEqual([
+        [{ text: '1/1', callback_data: 'page_info' }],
+      ]);
+    });
+
+    test('carries the query token in page and jump buttons', () => {
+      const rows = displayHandlers._buildPageNavigation('sightings', 1, 3, 'q1a2b3c4d5');
+      expect(rows[0].map(b => callbackCodec.decode(b.callback_data).page)).toEqual([0, 0, undefined, 2, 2]);
+      expect(rows[0].filter(b => b.callback_data !== 'page_info').every(b => callbackCodec.decode(b.callback_data).token === 'q1a2b3c4d5')).toBe(true);
+      expect(callbackCodec.decode(rows[1][0].callback_data)).toEqual({ action: 'jump', type: 'sightings', token: 'q1a2b3c4d5' });
+    });
+  });
+
+  describe('_queryToken()', () => {
+    beforeEach(() => {
+      queryRegistry.register.mockClear();
+    });
+
+    test('returns null without cached results', () => {
+      expect(displayHandlers._queryToken.call(makeCtx(), 1, 'sightings')).toBeNull();
+    });
+
+    test('registers the search fields once and remembers the token', () => {
+      const ctx = makeCtx();
+      const entry = {
+        observations: [{ comName: 'Spotted Dove' }],
+        displayName: 'Singapore (Today)',
+        searchName: 'Singapore',
+        regionCode: 'SG',
+        type: 'sightings',
+        isHotspot: false,
+        staleAt: 123,
+      };
+      ctx.observationsCache.set('sightings_1', entry);
+
+      expect(displayHandlers._queryToken.call(ctx, 1, 'sightings')).toBe('q1a2b3c4d5');
+      expect(displayHandlers._queryToken.call(ctx, 1, 'sightings')).toBe('q1a2b3c4d5');
+      expect(queryRegistry.register).toHaveBeenCalledTimes(1);
+      expect(queryRegistry.register).toHaveBeenCalledWith({
+        type: 'sightings', displayName: 'Singapore (Today)', searchName: 'Singapore', regionCode: 'SG', isHotspot: false,
+      });
+      expect(entry.queryToken).toBe('q1a2b3c4d5');
+    });
+
+    test('rounds a nearby origin before it is stored', () => {
+      const ctx = makeCtx();
+      ctx.observationsCache.set('nearby_1', {
+        observations: [{ comName: 'Spotted Dove' }],
+        type: 'nearby',
+        origin: { lat: 1.352083, lng: 103.819836 },
+        dist: 10,
+      });
+
+      displayHandlers._queryToken.call(ctx, 1, 'nearby');
+      expect(queryRegistry.register).toHaveBeenCalledWith({ type: 'nearby', origin: { lat: 1.35, lng: 103.82 }, dist: 10 });
+      expect(ctx.observationsCache.get('nearby_1').origin).toEqual({ lat: 1.352083, lng: 103.819836 });
+    });
+
+    test('page buttons of cached results carry the token', async () => {
+      const ctx = makeCtx();
+      const obs = Array.from({ length: 12 }, (_, i) => ({ comName: `Bird ${i}` }));
+      ctx.observationsCache.set('sightings_1', { observations: obs, displayName: 'Singapore', type: 'sightings' });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0);
+
+      const data = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat().map(b => callbackCodec.decode(b.callback_data));
+      expect(data).toContainEqual({ action: 'page', type: 'sightings', page: 1, token: 'q1a2b3c4d5' });
+    });
+  });
+
+  describe('sendPaginatedObservations — needs filter', () => {
+    const obs = [{ comName: 'Spotted Dove', locName: 'Central Park' }];
+
+    test('no needs button without a life list', async () => {
+      const ctx = makeCtx();
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0);
+      const data = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat().map(b => callbackCodec.decode(b.callback_data));
+      expect(data).not.toContainEqual({ action: 'needs', type: 'sightings' });
+    });
+
+    test('offers Needs Only when a life list exists', async () => {
+      const lifeList = new Set(['spodov']);
+      const ctx = makeCtx({ getLifeList: jest.fn().mockReturnValue(lifeList) });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0, null, 'SG');
+      const buttons = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '🆕 Needs Only', callback_data: callbackCodec.encode('needs', { type: 'sightings' }) });
+      expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(obs[0], 'SG', { origin: null, dateFormat: 'DMY', lifeList });
+    });
+
+    test('offers Show All while filtered', async () => {
+      const ctx = makeCtx({ getLifeList: jest.fn().mockReturnValue(new Set()) });
+      ctx.observationsCache.set('sightings_1', { observations: obs, needsOnly: true });
+      await displayHandlers.sendPaginatedObservations.call(ctx, 1, obs, 'Singapore', 'sightings', 0);
+      const buttons = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '📋 Show All', callback_data: callbackCodec.encode('needs', { type: 'sightings' }) });
+    });
   });
 
   describe('sendSummaryMessage — branch coverage', () => {
@@ -0,0 +1,206 @@
+/**
+ * Tests for flowHandlers — entering states, Back / Cancel, and state timeouts.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const chatContext = require('../../../src/bot/chatContext');
+const { INPUT_TIMEOUT, PICKER_TIMEOUT } = require('../../../src/bot/conversationFlow');
+
+describe('flowHandlers', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = {
+      ...flowHandlers,
+      userStates: new Map(),
+      lastPrompts: new Map(),
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+      deleteMsg: jest.fn().mockResolvedValue(),
+      showSearchMenu: jest.fn().mockResolvedValue(),
+      showSettingsMenu: jest.fn().mockResolvedValue(),
+      promptSightings: jest.fn().mockResolvedValue(),
+      promptWatch: jest.fn().mockResolvedValue(),
+      showDateSelection: jest.fn().mockResolvedValue(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // ─── setState ───────────────────────────────────────────
+
+  describe('setState', () => {
+    test('stamps an expiry from the state timeout', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+      expect(ctx.setState(1, 'awaiting_watch').expiresAt).toBe(1000 + INPUT_TIMEOUT);
+      expect(ctx.setState(1, 'date_selection').expiresAt).toBe(1000 + PICKER_TIMEOUT);
+    });
+
+    test('keeps the current state as previous when it leads here', () => {
+      ctx.setState(1, 'awaiting_region_sightings');
+      const state = ctx.setState(1, 'date_selection', { type: 'sightings', regionCode: 'SG' });
+
+      expect(state.previous).toMatchObject({ action: 'awaiting_region_sightings' });
+    });
+
+    test('does not chain unrelated states', () => {
+      ctx.setState(1, 'awaiting_watch');
+      expect(ctx.setState(1, 'date_selection').previous).toBeNull();
+    });
+
+    test('re-entering the same state keeps its previous', () => {
+      ctx.setState(1, 'awaiting_region_sightings');
+      ctx.setState(1, 'date_selection', { regionCode: 'SG' });
+      const state = ctx.setState(1, 'date_selection', { regionCode: 'MY' });
+
+      expect(state.regionCode).toBe('MY');
+      expect(state.previous).toMatchObject({ action: 'awaiting_region_sightings' });
+    });
+  });
+
+  test('enterState sets the state and sends its prompt', async () => {
+    await ctx.enterState(1, 'awaiting_watch');
+
+    expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_watch' });
+    expect(ctx.promptWatch).toHaveBeenCalledWith(1);
+  });
+
+  test('group members each get their own state', () => {
+    const group = { id: -100, type: 'group' };
+    chatContext.run({ chat: group, from: { id: 7 } }, () => ctx.setState(-100, 'awaiting_watch'));
+    chatContext.run({ chat: group, from: { id: 8 } }, () => {
+      expect(ctx.getState(-100)).toBeUndefined();
+    });
+
+    expect(ctx.userStates.get('-100:7')).toMatchObject({ action: 'awaiting_watch' });
+  });
+
+  // ─── sendPrompt ─────────────────────────────────────────
+
+  describe('sendPrompt', () => {
+    test('appends the Back / Cancel row under the prompt buttons', async () => {
+      ctx.setState(1, 'awaiting_watch');
+      await ctx.sendPrompt(1, 'Which species?', {
+        reply_markup: { inline_keyboard: [[{ text: 'A', callback_data: 'a' }]] },
+      });
+
+      const keyboard = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard;
+      expect(keyboard).toHaveLength(2);
+      expect(keyboard[1].map(b => b.callback_data)).toEqual(['flow_back', 'flow_cancel']);
+    });
+
+    test('in a group, replies to the member\'s command', async () => {
+      await chatContext.run({ chat: { id: -100, type: 'group' }, from: { id: 7 }, message_id: 3 }, () => ctx.sendPrompt(-100, 'Which species?'));
+
+      expect(ctx.sendMessage.mock.calls[0][2]).toMatchObject({ reply_to_message_id: 3 });
+    });
+
+    test('remembers the prompt without previous or expiry', async () => {
+      ctx.setState(1, 'awaiting_region_sightings');
+      ctx.setState(1, 'date_selection', { regionCode: 'SG' });
+      await ctx.sendPrompt(1, 'Pick a date');
+
+      expect(ctx.lastPrompts.get(1)).toEqual({ message: 'Pick a date', action: 'date_selection', regionCode: 'SG' });
+    });
+  });
+
+  // ─── goBack ─────────────────────────────────────────────
+
+  describe('goBack', () => {
+    test('restores and re-prompts the previous state', async () => {
+      ctx.setState(1, 'awaiting_region_sightings');
+      ctx.setState(1, 'date_selection', { type: 'sightings', regionCode: 'SG' });
+
+      await ctx.goBack(1, 42);
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_region_sightings' });
+      expect(ctx.promptSightings).toHaveBeenCalledWith(1);
+    });
+
+    test('uses the state back when there is no previous step', async () => {
+      ctx.setState(1, 'awaiting_home_region');
+
+      await ctx.goBack(1);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.showSettingsMenu).toHaveBeenCalledWith(1);
+      expect(ctx.showSearchMenu).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the search menu', async () => {
+      ctx.setState(1, 'awaiting_watch');
+
+      await ctx.goBack(1);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.showSearchMenu).toHaveBeenCalledWith(1);
+    });
+  });
+
+  // ─── Cancel ─────────────────────────────────────────────
+
+  describe('cancelFlow', () => {
+    test('drops the state and its prompt', async () => {
+      ctx.setState(1, 'awaiting_watch');
+      ctx.lastPrompts.set(1, { message: 'x', action: 'awaiting_watch' });
+
+      await ctx.handleCancel({ chat: { id: 1 } });
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.lastPrompts.has(1)).toBe(false);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Cancelled'));
+    });
+
+    test('says so when there is nothing to cancel', async () => {
+      await ctx.cancelFlow(1);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Nothing to cancel'));
+    });
+  });
+
+  // ─── Timeouts ───────────────────────────────────────────
+
+  describe('timeouts', () => {
+    test('states without an expiry never count as expired', () => {
+      expect(ctx.isStateExpired({ action: 'awaiting_watch' })).toBe(false);
+      expect(ctx.isStateExpired({ action: 'awaiting_watch', expiresAt: Date.now() - 1 })).toBe(true);
+    });
+
+    test('expireState names the command to start again', async () => {
+      await ctx.expireState(1, { action: 'date_selection', type: 'nearbyrare' });
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Send /nearby to start again'));
+    });
+
+    test('expireStates expires old states and stamps legacy ones', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_watch', expiresAt: Date.now() - 1 });
+      ctx.userStates.set(2, { action: 'awaiting_watch', expiresAt: Date.now() + 60000 });
+      ctx.userStates.set(3, { action: 'awaiting_watch' });
+
+      expect(ctx.expireStates()).toBe(1);
+      await Promise.resolve();
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.userStates.has(2)).toBe(true);
+      expect(ctx.userStates.get(3).expiresAt).toEqual(expect.any(Number));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Timed out'));
+    });
+
+    test('expireStates notifies the group a member state belongs to', async () => {
+      ctx.userStates.set('-100:7', { action: 'awaiting_watch', expiresAt: Date.now() - 1 });
+
+      ctx.expireStates();
+      await Promise.resolve();
+
+      expect(ctx.userStates.has('-100:7')).toBe(false);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('Timed out'));
+    });
+  });
+});
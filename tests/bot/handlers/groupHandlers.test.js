@@ -0,0 +1,72 @@
+/**
+ * Tests for groupHandlers — @botname commands and group admin checks.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const groupHandlers = require('../../../src/bot/handlers/groupHandlers');
+const chatContext = require('../../../src/bot/chatContext');
+
+describe('groupHandlers', () => {
+  let ctx;
+  const inGroup = (fn) => chatContext.run({ chat: { id: -100, type: 'group' }, from: { id: 7 } }, fn);
+
+  beforeEach(() => {
+    ctx = {
+      ...groupHandlers,
+      botUsername: 'BirdBot',
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+      bot: {
+        getMe: jest.fn().mockResolvedValue({ username: 'BirdBot' }),
+        getChatMember: jest.fn().mockResolvedValue({ status: 'member' }),
+      },
+    };
+  });
+
+  test('loadBotIdentity() stores the bot username', async () => {
+    delete ctx.botUsername;
+    await ctx.loadBotIdentity();
+    expect(ctx.botUsername).toBe('BirdBot');
+  });
+
+  test('loadBotIdentity() survives getMe failures', async () => {
+    ctx.bot.getMe.mockRejectedValue(new Error('offline'));
+    await expect(ctx.loadBotIdentity()).resolves.toBeUndefined();
+  });
+
+  describe('isAddressedToMe()', () => {
+    test('plain commands and our own @mention are ours', () => {
+      expect(ctx.isAddressedToMe({ text: '/sightings SG' })).toBe(true);
+      expect(ctx.isAddressedToMe({ text: '/sightings@birdbot SG' })).toBe(true);
+    });
+
+    test('commands for another bot are not', () => {
+      expect(ctx.isAddressedToMe({ text: '/sightings@OtherBot SG' })).toBe(false);
+    });
+  });
+
+  describe('requireGroupAdmin()', () => {
+    test('private chats always pass', async () => {
+      await expect(ctx.requireGroupAdmin(5)).resolves.toBe(true);
+      expect(ctx.bot.getChatMember).not.toHaveBeenCalled();
+    });
+
+    test('admins pass', async () => {
+      ctx.bot.getChatMember.mockResolvedValue({ status: 'creator' });
+      await expect(inGroup(() => ctx.requireGroupAdmin(-100))).resolves.toBe(true);
+    });
+
+    test('members are refused with a message', async () => {
+      await expect(inGroup(() => ctx.requireGroupAdmin(-100))).resolves.toBe(false);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('Only group admins'));
+    });
+
+    test('a failed lookup counts as not an admin', async () => {
+      ctx.bot.getChatMember.mockRejectedValue(new Error('forbidden'));
+      await expect(inGroup(() => ctx.isGroupAdmin(-100))).resolves.toBe(false);
+    });
+  });
+});
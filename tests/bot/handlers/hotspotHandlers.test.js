@@ -2,6 +2,8 @@
  * Tests for hotspotHandlers — /hotspots search flow.
  */
 const hotspotHandlers = require('../../../src/bot/handlers/hotspotHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
 
 function makeCtx(overrides = {}) {
   return {
@@ -10,6 +12,9 @@ function makeCtx(overrides = {}) {
     ebirdService: {
       getPopularHotspots: jest.fn().mockResolvedValue([]),
     },
+    lastPrompts: new Map(),
+    promptHotspots: hotspotHandlers.promptHotspots,
+    ...flowHandlers,
     ...overrides,
   };
 }
@@ -24,7 +29,7 @@ describe('hotspotHandlers', () => {
       expect(ctx.userStates.get(1)).toEqual(
         expect.objectContaining({ action: 'awaiting_region_hotspots' })
       );
-      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter a region'));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter a region'), expect.any(Object));
     });
 
     test('prompt mentions /sightings for follow-up', async () => {
@@ -185,7 +190,7 @@ describe('hotspotHandlers', () => {
       expect(btnText).toContain('...');
     });
 
-    test('button callback_data uses hotspot_sightings_{locId}', async () => {
+    test('button callback_data decodes to the hotspot and sightings type', async () => {
       const ctx = makeCtx();
       const hotspots = [{ locId: 'L12345', locName: 'Test Park', numSpeciesAllTime: 50 }];
       ctx.ebirdService.getPopularHotspots.mockResolvedValue(hotspots);
@@ -197,7 +202,7 @@ describe('hotspotHandlers', () => {
         c => c[2] && c[2].reply_markup
       );
       const cbData = resultCall[2].reply_markup.inline_keyboard[0][0].callback_data;
-      expect(cbData).toBe('hotspot_sightings_L12345');
+      expect(callbackCodec.decode(cbData)).toEqual({ action: 'hotspot', type: 'sightings', locId: 'L12345' });
     });
   });
 
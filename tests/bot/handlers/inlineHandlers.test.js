@@ -0,0 +1,142 @@
+/**
+ * Tests for inlineHandlers — "@bot kingfisher singapore" inline queries.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const inlineHandlers = require('../../../src/bot/handlers/inlineHandlers');
+
+const obs = (overrides = {}) => ({
+  comName: 'Collared Kingfisher',
+  sciName: 'Todiramphus chloris',
+  speciesCode: 'colkin1',
+  locName: 'Pasir Ris Park',
+  obsDt: '2026-02-06 08:30',
+  subId: 'S123',
+  howMany: 2,
+  ...overrides,
+});
+
+describe('inlineHandlers', () => {
+  let ctx;
+
+  const inlineQuery = (query, fromId = 5) => ({ id: 'iq1', from: { id: fromId }, query });
+  const answer = () => ctx.bot.answerInlineQuery.mock.calls[0];
+  const hint = () => JSON.parse(answer()[2].button);
+
+  beforeEach(() => {
+    ctx = {
+      ...inlineHandlers,
+      bot: { answerInlineQuery: jest.fn().mockResolvedValue(true) },
+      getProfile: jest.fn().mockReturnValue({ homeRegion: null, homeRegionName: null, dateFormat: 'DMY' }),
+      ebirdService: {
+        getObservationsBySpeciesName: jest.fn().mockResolvedValue({ species: { code: 'colkin1' }, observations: [obs()] }),
+        getNotableObservations: jest.fn().mockResolvedValue([obs({ comName: 'Oriental Plover' })]),
+        deduplicateObservations: jest.fn(list => list),
+        formatDate: jest.fn().mockReturnValue('06/02/2026 08:30 SGT'),
+        formatObservation: jest.fn().mockReturnValue('🐦 *Collared Kingfisher*'),
+      },
+    };
+  });
+
+  test('species and place search the place for the species', async () => {
+    await ctx.handleInlineQuery(inlineQuery('collared kingfisher singapore'));
+
+    expect(ctx.ebirdService.getObservationsBySpeciesName).toHaveBeenCalledWith('SG', 'collared kingfisher');
+    const [id, results, options] = answer();
+    expect(id).toBe('iq1');
+    expect(results[0]).toMatchObject({
+      type: 'article',
+      title: 'Collared Kingfisher — Pasir Ris Park',
+      description: expect.stringContaining('2 seen'),
+      input_message_content: { message_text: '🐦 *Collared Kingfisher*', parse_mode: 'Markdown' },
+    });
+    expect(options).toMatchObject({ cache_time: expect.any(Number), is_personal: false });
+  });
+
+  test('multi-word places and region codes are recognised', async () => {
+    await ctx.handleInlineQuery(inlineQuery('blue jay new york'));
+    expect(ctx.ebirdService.getObservationsBySpeciesName).toHaveBeenLastCalledWith('US-NY', 'blue jay');
+
+    await ctx.handleInlineQuery(inlineQuery('blue jay US-CA'));
+    expect(ctx.ebirdService.getObservationsBySpeciesName).toHaveBeenLastCalledWith('US-CA', 'blue jay');
+  });
+
+  test('"species, place" is accepted too', async () => {
+    await ctx.handleInlineQuery(inlineQuery('kingfisher, Johor'));
+    expect(ctx.ebirdService.getObservationsBySpeciesName).toHaveBeenCalledWith(expect.any(String), 'kingfisher');
+  });
+
+  test('notable <place> returns notable sightings', async () => {
+    await ctx.handleInlineQuery(inlineQuery('notable US-NY'));
+
+    expect(ctx.ebirdService.getNotableObservations).toHaveBeenCalledWith('US-NY', 14, 50);
+    expect(answer()[1][0].title).toContain('Oriental Plover');
+  });
+
+  test('without a place, the home region is used and the answer is personal', async () => {
+    ctx.getProfile.mockReturnValue({ homeRegion: 'SG', homeRegionName: 'Singapore', dateFormat: 'MDY' });
+
+    await ctx.handleInlineQuery(inlineQuery('kingfisher'));
+
+    expect(ctx.getProfile).toHaveBeenCalledWith(5);
+    expect(ctx.ebirdService.getObservationsBySpeciesName).toHaveBeenCalledWith('SG', 'kingfisher');
+    expect(ctx.ebirdService.formatObservation).toHaveBeenCalledWith(expect.any(Object), 'SG', { dateFormat: 'MDY' });
+    expect(answer()[2].is_personal).toBe(true);
+  });
+
+  test('without a place or home region, asks for a place', async () => {
+    await ctx.handleInlineQuery(inlineQuery('kingfisher'));
+
+    expect(ctx.ebirdService.getObservationsBySpeciesName).not.toHaveBeenCalled();
+    expect(answer()[1]).toEqual([]);
+    expect(hint().text).toContain('Add a place');
+  });
+
+  test('short queries get a usage hint', async () => {
+    await ctx.handleInlineQuery(inlineQuery('ki'));
+    expect(hint()).toEqual({ text: expect.stringContaining('kingfisher singapore'), start_parameter: 'inline' });
+  });
+
+  test('hints are sent as a JSON button and cached only briefly', async () => {
+    await ctx.handleInlineQuery(inlineQuery('ki'));
+    expect(typeof answer()[2].button).toBe('string');
+    expect(answer()[2].cache_time).toBeLessThanOrEqual(10);
+
+    ctx.bot.answerInlineQuery.mockClear();
+    await ctx.handleInlineQuery(inlineQuery('notable SG'));
+    expect(answer()[2].button).toBeUndefined();
+    expect(answer()[2].cache_time).toBe(300);
+  });
+
+  test('unknown species and empty results are explained', async () => {
+    ctx.ebirdService.getObservationsBySpeciesName.mockResolvedValueOnce({ species: null, observations: [] });
+    await ctx.handleInlineQuery(inlineQuery('zzzz singapore'));
+    expect(hint().text).toContain('No species matches');
+
+    ctx.bot.answerInlineQuery.mockClear();
+    ctx.ebirdService.getNotableObservations.mockResolvedValueOnce([]);
+    await ctx.handleInlineQuery(inlineQuery('notable singapore'));
+    expect(hint().text).toContain('No recent sightings in singapore');
+  });
+
+  test('results are capped', async () => {
+    ctx.ebirdService.getNotableObservations.mockResolvedValue(Array.from({ length: 30 }, (_, i) => obs({ subId: `S${i}` })));
+    await ctx.handleInlineQuery(inlineQuery('notable SG'));
+    expect(answer()[1]).toHaveLength(10);
+  });
+
+  test('eBird errors answer with a retry hint', async () => {
+    ctx.ebirdService.getNotableObservations.mockRejectedValue(new Error('503'));
+    await ctx.handleInlineQuery(inlineQuery('notable SG'));
+    expect(hint().text).toContain('eBird is not responding');
+  });
+
+  test('a rejected answer is logged, not thrown', async () => {
+    ctx.bot.answerInlineQuery.mockRejectedValue(new Error('query is too old'));
+    await expect(ctx.handleInlineQuery(inlineQuery('notable SG'))).resolves.toBeUndefined();
+  });
+});
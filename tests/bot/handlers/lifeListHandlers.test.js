@@ -0,0 +1,274 @@
+/**
+ * Tests for lifeListHandlers — /lifelist, CSV import, Needs Only filter.
+ */
+const { Readable } = require('stream');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/services/lifeListStore', () => ({
+  get: jest.fn().mockReturnValue(null),
+  replace: jest.fn(),
+  remove: jest.fn().mockReturnValue(true),
+  speciesCodes: jest.fn().mockReturnValue(null),
+}));
+
+const lifeListHandlers = require('../../../src/bot/handlers/lifeListHandlers');
+const lifeListStore = require('../../../src/services/lifeListStore');
+
+const CSV = [
+  'Submission ID,Common Name,Scientific Name,Taxonomic Order,Count,Date',
+  'S1,House Sparrow,Passer domesticus,1,2,2021-03-15',
+  'S2,Common Myna,Acridotheres tristis,2,1,2022-01-01',
+  'S3,Imaginary Bird,Fictus avis,3,1,2022-01-01',
+].join('\n');
+
+const taxonomy = [
+  { speciesCode: 'houspa', comName: 'House Sparrow', sciName: 'Passer domesticus' },
+  { speciesCode: 'commyn', comName: 'Common Myna', sciName: 'Acridotheres tristis' },
+];
+
+function makeCtx(overrides = {}) {
+  return {
+    observationsCache: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    deleteMsg: jest.fn().mockResolvedValue(),
+    sendPaginatedObservations: jest.fn().mockResolvedValue(),
+    importLifeList: lifeListHandlers.importLifeList,
+    getLifeList: lifeListHandlers.getLifeList,
+    bot: {
+      getFileStream: jest.fn(() => Readable.from([Buffer.from(CSV)])),
+    },
+    ebirdService: {
+      getTaxonomy: jest.fn().mockResolvedValue(taxonomy),
+    },
+    ...overrides,
+  };
+}
+
+function csvDocument(overrides = {}) {
+  return { file_id: 'F1', file_name: 'MyEBirdData.csv', file_size: 1024, ...overrides };
+}
+
+describe('lifeListHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    lifeListStore.get.mockReturnValue(null);
+    lifeListStore.speciesCodes.mockReturnValue(null);
+  });
+
+  // ─── handleLifeList ─────────────────────────────────────
+
+  describe('handleLifeList()', () => {
+    test('explains how to import when no list exists', async () => {
+      const ctx = makeCtx();
+      await lifeListHandlers.handleLifeList.call(ctx, { chat: { id: 1 } });
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(
+        1, expect.stringContaining('MyEBirdData.csv'), expect.any(Object)
+      );
+    });
+
+    test('shows the species count and a remove button', async () => {
+      lifeListStore.get.mockReturnValue({
+        species: { houspa: {}, commyn: {} },
+        importedAt: '2026-03-01T10:00:00.000Z',
+        fileName: 'MyEBirdData.csv',
+      });
+      const ctx = makeCtx();
+      await lifeListHandlers.handleLifeList.call(ctx, { chat: { id: 1 } });
+
+      const [, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(text).toContain('*2* species');
+      expect(text).toContain('Imported 2026-03-01');
+      expect(opts.reply_markup.inline_keyboard[0][0].callback_data).toBe('lifelist_remove');
+    });
+  });
+
+  // ─── handleDocument ─────────────────────────────────────
+
+  describe('handleDocument()', () => {
+    test('imports CSV files', async () => {
+      const ctx = makeCtx({ importLifeList: jest.fn().mockResolvedValue() });
+      const doc = csvDocument();
+      await lifeListHandlers.handleDocument.call(ctx, { chat: { id: 1 }, document: doc });
+      expect(ctx.importLifeList).toHaveBeenCalledWith(1, doc);
+    });
+
+    test('asks to unzip ZIP downloads', async () => {
+      const ctx = makeCtx({ importLifeList: jest.fn() });
+      await lifeListHandlers.handleDocument.call(ctx, { chat: { id: 1 }, document: csvDocument({ file_name: 'ebird_123.zip' }) });
+      expect(ctx.importLifeList).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('unzip'));
+    });
+
+    test('rejects other file types', async () => {
+      const ctx = makeCtx({ importLifeList: jest.fn() });
+      await lifeListHandlers.handleDocument.call(ctx, { chat: { id: 1 }, document: csvDocument({ file_name: 'photo.jpg' }) });
+      expect(ctx.importLifeList).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('only import'), expect.any(Object));
+    });
+
+    test('ignores documents shared between group members', async () => {
+      const ctx = makeCtx({ botId: 99, importLifeList: jest.fn() });
+      const chat = { id: -100, type: 'supergroup' };
+      await lifeListHandlers.handleDocument.call(ctx, { chat, document: csvDocument({ file_name: 'minutes.pdf' }) });
+      await lifeListHandlers.handleDocument.call(ctx, { chat, document: csvDocument() });
+      await lifeListHandlers.handleDocument.call(ctx, {
+        chat, document: csvDocument(), reply_to_message: { from: { id: 7, is_bot: false } },
+      });
+      expect(ctx.importLifeList).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('handles documents sent in a group as a reply to the bot', async () => {
+      const ctx = makeCtx({ botId: 99, importLifeList: jest.fn().mockResolvedValue() });
+      const chat = { id: -100, type: 'supergroup' };
+      const reply_to_message = { from: { id: 99, is_bot: true } };
+      const doc = csvDocument();
+      await lifeListHandlers.handleDocument.call(ctx, { chat, document: doc, reply_to_message });
+      await lifeListHandlers.handleDocument.call(ctx, { chat, document: csvDocument({ file_name: 'photo.jpg' }), reply_to_message });
+      expect(ctx.importLifeList).toHaveBeenCalledWith(-100, doc);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('only import'), expect.any(Object));
+    });
+
+    test('rejects files over 20 MB', async () => {
+      const ctx = makeCtx({ importLifeList: jest.fn() });
+      await lifeListHandlers.handleDocument.call(ctx, { chat: { id: 1 }, document: csvDocument({ file_size: 25 * 1024 * 1024 }) });
+      expect(ctx.importLifeList).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('too large'));
+    });
+  });
+
+  // ─── importLifeList ─────────────────────────────────────
+
+  describe('importLifeList()', () => {
+    test('downloads, reconciles and stores the life list', async () => {
+      const ctx = makeCtx();
+      await lifeListHandlers.importLifeList.call(ctx, 1, csvDocument());
+
+      expect(ctx.bot.getFileStream).toHaveBeenCalledWith('F1');
+      expect(lifeListStore.replace).toHaveBeenCalledWith(1, {
+        houspa: { comName: 'House Sparrow', firstSeen: '2021-03-15' },
+        commyn: { comName: 'Common Myna', firstSeen: '2022-01-01' },
+      }, 'MyEBirdData.csv');
+
+      const text = ctx.sendMessage.mock.calls.at(-1)[1];
+      expect(text).toContain('2 species from 3 records');
+      expect(text).toContain('Imaginary Bird');
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+    });
+
+    test('rejects files that are not eBird downloads', async () => {
+      const ctx = makeCtx();
+      ctx.bot.getFileStream.mockReturnValue(Readable.from([Buffer.from('name,count\nfoo,1')]));
+      await lifeListHandlers.importLifeList.call(ctx, 1, csvDocument());
+
+      expect(lifeListStore.replace).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining("doesn't look like"), expect.any(Object));
+    });
+
+    test('does not store an empty life list', async () => {
+      const ctx = makeCtx();
+      ctx.bot.getFileStream.mockReturnValue(Readable.from([Buffer.from('Common Name,Scientific Name\ngull sp.,Larinae sp.')]));
+      await lifeListHandlers.importLifeList.call(ctx, 1, csvDocument());
+
+      expect(lifeListStore.replace).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('No species found'));
+    });
+
+    test('reports download or taxonomy failures', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getTaxonomy.mockRejectedValue(new Error('eBird down'));
+      await lifeListHandlers.importLifeList.call(ctx, 1, csvDocument());
+
+      expect(lifeListStore.replace).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Could not import'));
+    });
+  });
+
+  // ─── removeLifeList ─────────────────────────────────────
+
+  describe('removeLifeList()', () => {
+    test('deletes the stored list', async () => {
+      const ctx = makeCtx();
+      await lifeListHandlers.removeLifeList.call(ctx, 1);
+      expect(lifeListStore.remove).toHaveBeenCalledWith(1);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('removed'));
+    });
+  });
+
+  // ─── toggleNeedsFilter ──────────────────────────────────
+
+  describe('toggleNeedsFilter()', () => {
+    const sparrow = { speciesCode: 'houspa', comName: 'House Sparrow' };
+    const myna = { speciesCode: 'commyn', comName: 'Common Myna' };
+    const gull = { speciesCode: 'gull1', comName: 'gull sp.' };
+
+    function seed(ctx) {
+      ctx.observationsCache.set('sightings_1', {
+        observations: [sparrow, myna, gull],
+        displayName: 'Singapore',
+        regionCode: 'SG',
+      });
+      return ctx.observationsCache.get('sightings_1');
+    }
+
+    test('filters to species not on the life list', async () => {
+      lifeListStore.speciesCodes.mockReturnValue(new Set(['houspa']));
+      const ctx = makeCtx();
+      const cached = seed(ctx);
+
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+
+      expect(cached.needsOnly).toBe(true);
+      expect(cached.observations).toEqual([myna]);
+      expect(cached.allObservations).toEqual([sparrow, myna, gull]);
+      expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(1, [myna], 'Singapore', 'sightings', 0, 55, 'SG');
+    });
+
+    test('toggling again restores all results', async () => {
+      lifeListStore.speciesCodes.mockReturnValue(new Set(['houspa']));
+      const ctx = makeCtx();
+      const cached = seed(ctx);
+
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+
+      expect(cached.needsOnly).toBe(false);
+      expect(cached.observations).toEqual([sparrow, myna, gull]);
+      expect(cached.allObservations).toBeUndefined();
+    });
+
+    test('celebrates when nothing is needed', async () => {
+      lifeListStore.speciesCodes.mockReturnValue(new Set(['houspa', 'commyn']));
+      const ctx = makeCtx();
+      const cached = seed(ctx);
+
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+
+      expect(cached.needsOnly).toBeUndefined();
+      expect(ctx.sendPaginatedObservations).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('already seen every species'));
+    });
+
+    test('asks for an import when there is no life list', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('/lifelist'));
+    });
+
+    test('handles an expired cache', async () => {
+      const ctx = makeCtx();
+      await lifeListHandlers.toggleNeedsFilter.call(ctx, 1, 'sightings', 55);
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No cached results'));
+    });
+  });
+});
@@ -2,6 +2,9 @@
  * Tests for messageHandler — routes free-text based on conversation state.
  */
 const messageHandler = require('../../../src/bot/handlers/messageHandler');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const sightingsHandlers = require('../../../src/bot/handlers/sightingsHandlers');
+const callbackHandlers = require('../../../src/bot/handlers/callbackHandlers');
 
 describe('messageHandler', () => {
   let ctx;
@@ -17,8 +20,19 @@ describe('messageHandler', () => {
       searchSpeciesGlobally: jest.fn().mockResolvedValue(),
       processSpeciesWithLocation: jest.fn().mockResolvedValue(),
       showSpeciesDateSelection: jest.fn().mockResolvedValue(),
+      addWatch: jest.fn().mockResolvedValue(),
+      addRarityAlert: jest.fn().mockResolvedValue(),
+      setHomeRegion: jest.fn().mockResolvedValue(),
+      setQuietHours: jest.fn().mockResolvedValue(),
+      showTargets: jest.fn().mockResolvedValue(),
+      resolveOnThisDayInput: jest.fn().mockResolvedValue(),
       sendPaginatedObservations: jest.fn().mockResolvedValue(),
+      searchLocation: sightingsHandlers.searchLocation,
+      jumpToPage: callbackHandlers.jumpToPage,
       observationsCache: new Map(),
+      expiredResults: new Map(),
+      lastPrompts: new Map(),
+      ...flowHandlers,
     };
   });
 
@@ -61,6 +75,34 @@ describe('messageHandler', () => {
     expect(ctx.showDateSelection).not.toHaveBeenCalled();
   });
 
+  test('an expired state times out instead of taking the input', async () => {
+    ctx.userStates.set(1, { action: 'awaiting_region_sightings', expiresAt: Date.now() - 1 });
+    await messageHandler.handleMessage.call(ctx, { text: 'Singapore', chat: { id: 1 } });
+
+    expect(ctx.showDateSelection).not.toHaveBeenCalled();
+    expect(ctx.userStates.has(1)).toBe(false);
+    expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Send /sightings to start again'));
+  });
+
+  test('keeps the state the input handler moved on to', async () => {
+    const next = { action: 'date_selection', regionCode: 'SG' };
+    ctx.showDateSelection.mockImplementation(async () => { ctx.userStates.set(1, next); });
+    ctx.userStates.set(1, { action: 'awaiting_region_sightings' });
+
+    await messageHandler.handleMessage.call(ctx, { text: 'Singapore', chat: { id: 1 } });
+
+    expect(ctx.userStates.get(1)).toBe(next);
+  });
+
+  test('ignores text while a button-only state is active', async () => {
+    const state = { action: 'date_selection', regionCode: 'SG' };
+    ctx.userStates.set(1, state);
+    await messageHandler.handleMessage.call(ctx, { text: 'today', chat: { id: 1 } });
+
+    expect(ctx.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.userStates.get(1)).toBe(state);
+  });
+
   // ─── awaiting_region_sightings ──────────────────────────
 
   describe('awaiting_region_sightings', () => {
@@ -136,6 +178,8 @@ describe('messageHandler', () => {
       await messageHandler.handleMessage.call(ctx, msg);
 
       expect(ctx.handleCustomDateInput).toHaveBeenCalledWith(1, '01/01/2026', state);
+      // Sticky: a bad date can be retyped, handleCustomDateInput clears it on success
+      expect(ctx.userStates.get(1)).toBe(state);
     });
   });
 
@@ -195,6 +239,91 @@ describe('messageHandler', () => {
     });
   });
 
+  // ─── awaiting_watch ─────────────────────────────────────
+
+  describe('awaiting_watch', () => {
+    test('clears state and creates a watch', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_watch' });
+      const msg = { text: 'Oriental Pied Hornbill, Singapore', chat: { id: 1 } };
+      await messageHandler.handleMessage.call(ctx, msg);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.addWatch).toHaveBeenCalledWith(1, 'Oriental Pied Hornbill, Singapore');
+    });
+  });
+
+  // ─── awaiting_rarealerts ────────────────────────────────
+
+  describe('awaiting_rarealerts', () => {
+    test('clears state and subscribes the region', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_rarealerts' });
+      const msg = { text: 'Singapore', chat: { id: 1 } };
+      await messageHandler.handleMessage.call(ctx, msg);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.addRarityAlert).toHaveBeenCalledWith(1, 'Singapore');
+    });
+  });
+
+  // ─── awaiting_region_onthisday ──────────────────────────
+
+  describe('awaiting_region_onthisday', () => {
+    test('clears state and resolves the place', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_region_onthisday' });
+      await messageHandler.handleMessage.call(ctx, { text: 'Botanic Gardens, Singapore', chat: { id: 1 } });
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.resolveOnThisDayInput).toHaveBeenCalledWith(1, 'Botanic Gardens, Singapore');
+    });
+  });
+
+  // ─── awaiting_region_targets ────────────────────────────
+
+  describe('awaiting_region_targets', () => {
+    test('clears state and shows targets for the region', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_region_targets' });
+      const msg = { text: 'Singapore', chat: { id: 1 } };
+      await messageHandler.handleMessage.call(ctx, msg);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.showTargets).toHaveBeenCalledWith(1, 'SG', 'Singapore');
+    });
+  });
+
+  // ─── awaiting_home_region ───────────────────────────────
+
+  describe('awaiting_home_region', () => {
+    test('clears state and saves the home region', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_home_region' });
+      const msg = { text: 'Singapore', chat: { id: 1 } };
+      await messageHandler.handleMessage.call(ctx, msg);
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.setHomeRegion).toHaveBeenCalledWith(1, 'Singapore');
+    });
+  });
+
+  // ─── awaiting_quiet_hours ───────────────────────────────
+
+  describe('awaiting_quiet_hours', () => {
+    test('saves the hours in HH:MM-HH:MM form', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_quiet_hours' });
+      await messageHandler.handleMessage.call(ctx, { text: '22:30 to 6:30', chat: { id: 1 } });
+
+      expect(ctx.userStates.has(1)).toBe(false);
+      expect(ctx.setQuietHours).toHaveBeenCalledWith(1, '22:30-06:30');
+    });
+
+    test('asks again when the hours can\'t be read', async () => {
+      ctx.userStates.set(1, { action: 'awaiting_quiet_hours' });
+      await messageHandler.handleMessage.call(ctx, { text: 'after dinner', chat: { id: 1 } });
+
+      expect(ctx.setQuietHours).not.toHaveBeenCalled();
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_quiet_hours' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('start and end time'));
+    });
+  });
+
   // ─── awaiting_jump_page ─────────────────────────────────
 
   describe('awaiting_jump_page', () => {
@@ -241,6 +370,8 @@ describe('messageHandler', () => {
         1,
         expect.stringContaining('Invalid page number')
       );
+      // Still waiting, so the number can be retyped
+      expect(ctx.userStates.get(1).action).toBe('awaiting_jump_page');
     });
 
     test('non-numeric input shows error', async () => {
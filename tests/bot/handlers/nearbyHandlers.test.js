@@ -1,20 +1,32 @@
 /**
- * Tests for nearbyHandlers — /nearby, handleLocation, fetchNearbySightings.
+ * Tests for nearbyHandlers — /nearby, handleLocation, setNearbyMode, fetchNearbySightings,
+ * sortNearbyResults.
  */
 const nearbyHandlers = require('../../../src/bot/handlers/nearbyHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
 
 function makeCtx(overrides = {}) {
   return {
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
     userStates: new Map(),
     userNames: new Map(),
     observationsCache: new Map(),
     sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
     deleteMsg: jest.fn().mockResolvedValue(),
     sendPaginatedObservations: jest.fn().mockResolvedValue(),
+    _buildDistanceKeyboard: nearbyHandlers._buildDistanceKeyboard,
+    _sortObservations: nearbyHandlers._sortObservations,
+    editReplyMarkup: jest.fn().mockResolvedValue(),
     ebirdService: {
       getNearbyObservations: jest.fn().mockResolvedValue([]),
+      getNearbyNotableObservations: jest.fn().mockResolvedValue([]),
       getNearbyHotspots: jest.fn().mockResolvedValue([]),
+      getTaxonomy: jest.fn().mockResolvedValue([]),
     },
+    lastPrompts: new Map(),
+    promptNearbyDistance: nearbyHandlers.promptNearbyDistance,
+    ...flowHandlers,
     ...overrides,
   };
 }
@@ -110,6 +122,53 @@ describe('nearbyHandlers', () => {
       ]));
     });
 
+    test('searches straight away with a default radius', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ nearbyRadius: 10 }),
+        fetchNearbySightings: jest.fn().mockResolvedValue(),
+      });
+      const msg = {
+        chat: { id: 1 },
+        from: { username: 'alice' },
+        location: { latitude: 1.35, longitude: 103.82 },
+      };
+
+      await nearbyHandlers.handleLocation.call(ctx, msg);
+
+      expect(ctx.fetchNearbySightings).toHaveBeenCalledWith(1, 1.35, 103.82, 10, { notableOnly: false });
+      expect(ctx.userStates.has(1)).toBe(false);
+    });
+
+    test('a default radius keeps the rarities-only mode from /settings', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ nearbyRadius: 10, nearbyRarities: true }),
+        fetchNearbySightings: jest.fn().mockResolvedValue(),
+      });
+      const msg = {
+        chat: { id: 1 },
+        from: { username: 'alice' },
+        location: { latitude: 1.35, longitude: 103.82 },
+      };
+
+      await nearbyHandlers.handleLocation.call(ctx, msg);
+
+      expect(ctx.fetchNearbySightings).toHaveBeenCalledWith(1, 1.35, 103.82, 10, { notableOnly: true });
+    });
+
+    test('offers a rarities-only toggle', async () => {
+      const ctx = makeCtx();
+      const msg = {
+        chat: { id: 1 },
+        from: { username: 'alice' },
+        location: { latitude: 1.35, longitude: 103.82 },
+      };
+
+      await nearbyHandlers.handleLocation.call(ctx, msg);
+
+      const buttons = ctx.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+      expect(buttons).toContainEqual({ text: '⭐ Rarities only', callback_data: 'nearby_mode_rare' });
+    });
+
     test('shows coordinates in the message', async () => {
       const ctx = makeCtx();
       const msg = {
@@ -152,6 +211,51 @@ describe('nearbyHandlers', () => {
     });
   });
 
+  // ─── setNearbyMode ──────────────────────────────────────
+
+  describe('setNearbyMode()', () => {
+    test('switches to rarities only and updates the picker', async () => {
+      const ctx = makeCtx();
+      ctx.userStates.set(1, { action: 'awaiting_nearby_distance', latitude: 1.35, longitude: 103.82 });
+
+      await nearbyHandlers.setNearbyMode.call(ctx, 1, 100, true);
+
+      expect(ctx.userStates.get(1).notableOnly).toBe(true);
+      const [chatId, messageId, markup] = ctx.editReplyMarkup.mock.calls[0];
+      expect([chatId, messageId]).toEqual([1, 100]);
+      expect(markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('nearby_mode_all');
+    });
+
+    test('switches back to all species', async () => {
+      const ctx = makeCtx();
+      ctx.userStates.set(1, { action: 'awaiting_nearby_distance', notableOnly: true });
+
+      await nearbyHandlers.setNearbyMode.call(ctx, 1, 100, false);
+
+      expect(ctx.userStates.get(1).notableOnly).toBe(false);
+      const [, , markup] = ctx.editReplyMarkup.mock.calls[0];
+      expect(markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('nearby_mode_rare');
+    });
+
+    test('asks for location again when state is missing', async () => {
+      const ctx = makeCtx();
+
+      await nearbyHandlers.setNearbyMode.call(ctx, 1, 100, true);
+
+      expect(ctx.editReplyMarkup).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('share your location again'));
+    });
+
+    test('survives edit failures', async () => {
+      const ctx = makeCtx();
+      ctx.userStates.set(1, { action: 'awaiting_nearby_distance' });
+      ctx.editReplyMarkup.mockRejectedValue(new Error('message is not modified'));
+
+      await expect(nearbyHandlers.setNearbyMode.call(ctx, 1, 100, true)).resolves.toBeUndefined();
+      expect(ctx.userStates.get(1).notableOnly).toBe(true);
+    });
+  });
+
   // ─── fetchNearbySightings ───────────────────────────────
 
   describe('fetchNearbySightings()', () => {
@@ -471,5 +575,163 @@ describe('nearbyHandlers', () => {
         1, expect.stringContaining('No bird sightings found')
       );
     });
+
+    describe('rarities only', () => {
+      const fakeObs = [
+        { comName: 'Oriental Pied Hornbill', countryCode: 'SG', speciesCode: 'orphor1' },
+      ];
+
+      test('remembers the search origin for distances', async () => {
+        const ctx = makeCtx();
+        ctx.ebirdService.getNearbyNotableObservations.mockResolvedValue(fakeObs);
+
+        await nearbyHandlers.fetchNearbySightings.call(ctx, 1, 1.35, 103.82, 15, { notableOnly: true });
+
+        expect(ctx.observationsCache.get('nearbyrare_1')).toEqual(expect.objectContaining({
+          origin: { lat: 1.35, lng: 103.82 },
+          sort: 'recent',
+        }));
+      });
+
+      test('uses the notable endpoint and caches under nearbyrare', async () => {
+        const ctx = makeCtx();
+        ctx.ebirdService.getNearbyNotableObservations.mockResolvedValue(fakeObs);
+
+        await nearbyHandlers.fetchNearbySightings.call(ctx, 1, 1.35, 103.82, 15, { notableOnly: true });
+
+        expect(ctx.ebirdService.getNearbyNotableObservations).toHaveBeenCalledWith(1.35, 103.82, 15);
+        expect(ctx.ebirdService.getNearbyObservations).not.toHaveBeenCalled();
+        expect(ctx.observationsCache.get('nearbyrare_1')).toEqual(expect.objectContaining({
+          type: 'nearbyrare',
+          displayName: 'Your Location (15 km)',
+        }));
+        expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
+          1, fakeObs, 'Your Location (15 km)', 'nearbyrare', 0, null, 'SG'
+        );
+      });
+
+      test('shows a rarity-specific empty message', async () => {
+        const ctx = makeCtx();
+
+        await nearbyHandlers.fetchNearbySightings.call(ctx, 1, 1.35, 103.82, 5, { notableOnly: true });
+
+        expect(ctx.sendMessage).toHaveBeenCalledWith(
+          1, expect.stringContaining('No notable sightings found within *5 km*')
+        );
+      });
+
+      test('summary button targets the rarities cache', async () => {
+        const ctx = makeCtx();
+        ctx.ebirdService.getNearbyNotableObservations.mockResolvedValue(fakeObs);
+
+        await nearbyHandlers.fetchNearbySightings.call(ctx, 1, 1.35, 103.82, 25, { notableOnly: true });
+
+        const lastOpts = ctx.sendMessage.mock.calls.at(-1)[2];
+        expect(callbackCodec.decode(lastOpts.reply_markup.inline_keyboard[0][0].callback_data)).toEqual({ action: 'specsummary', type: 'nearbyrare' });
+      });
+    });
+  });
+
+  // ─── sortNearbyResults ──────────────────────────────────
+
+  describe('sortNearbyResults()', () => {
+    const origin = { lat: 1.35, lng: 103.82 };
+    const far = { comName: 'Far Bird', speciesCode: 'farbir', lat: 1.45, lng: 103.82, obsDt: '2026-02-15 09:00' };
+    const near = { comName: 'Near Bird', speciesCode: 'neabir', lat: 1.351, lng: 103.82, obsDt: '2026-02-13 07:00' };
+    const mid = { comName: 'Mid Bird', speciesCode: 'midbir', lat: 1.40, lng: 103.82, obsDt: '2026-02-14 08:00' };
+
+    function seed(ctx, type = 'nearby') {
+      ctx.observationsCache.set(`${type}_1`, {
+        observations: [far, near, mid],
+        displayName: 'Your Location (25 km)',
+        regionCode: 'SG',
+        type,
+        origin,
+        sort: 'recent',
+      });
+    }
+
+    test('sorts by distance and redraws page 1 in place', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'distance', 77);
+
+      const cached = ctx.observationsCache.get('nearby_1');
+      expect(cached.observations.map(o => o.comName)).toEqual(['Near Bird', 'Mid Bird', 'Far Bird']);
+      expect(cached.sort).toBe('distance');
+      expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
+        1, cached.observations, 'Your Location (25 km)', 'nearby', 0, 77, 'SG'
+      );
+    });
+
+    test('also sorts the unfiltered list behind a Needs Only filter', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+      const cached = ctx.observationsCache.get('nearby_1');
+      cached.allObservations = [far, near, mid];
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'distance', 77);
+
+      expect(cached.allObservations.map(o => o.comName)).toEqual(['Near Bird', 'Mid Bird', 'Far Bird']);
+    });
+
+    test('sorts by recency, newest first', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+      ctx.observationsCache.get('nearby_1').observations = [near, mid, far];
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'recent', 77);
+
+      expect(ctx.observationsCache.get('nearby_1').observations.map(o => o.comName))
+        .toEqual(['Far Bird', 'Mid Bird', 'Near Bird']);
+    });
+
+    test('sorts by taxonomic order', async () => {
+      const ctx = makeCtx();
+      seed(ctx, 'nearbyrare');
+      ctx.ebirdService.getTaxonomy.mockResolvedValue([
+        { speciesCode: 'midbir', taxonOrder: 10 },
+        { speciesCode: 'farbir', taxonOrder: 20 },
+        { speciesCode: 'neabir', taxonOrder: 30 },
+      ]);
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearbyrare', 'taxon', 77);
+
+      expect(ctx.observationsCache.get('nearbyrare_1').observations.map(o => o.comName))
+        .toEqual(['Mid Bird', 'Far Bird', 'Near Bird']);
+    });
+
+    test('taxonomic sort falls back to name when taxonomy fails', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+      ctx.ebirdService.getTaxonomy.mockRejectedValue(new Error('down'));
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'taxon', 77);
+
+      expect(ctx.observationsCache.get('nearby_1').observations.map(o => o.comName))
+        .toEqual(['Far Bird', 'Mid Bird', 'Near Bird']);
+    });
+
+    test('observations without coordinates sort last by distance', async () => {
+      const ctx = makeCtx();
+      seed(ctx);
+      const noCoords = { comName: 'Anywhere Bird', obsDt: '2026-02-15 10:00' };
+      ctx.observationsCache.get('nearby_1').observations = [noCoords, far, near];
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'distance', 77);
+
+      expect(ctx.observationsCache.get('nearby_1').observations.map(o => o.comName))
+        .toEqual(['Near Bird', 'Far Bird', 'Anywhere Bird']);
+    });
+
+    test('asks for a new search when the cache is gone', async () => {
+      const ctx = makeCtx();
+
+      await nearbyHandlers.sortNearbyResults.call(ctx, 1, 'nearby', 'distance', 77);
+
+      expect(ctx.sendPaginatedObservations).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No cached results'));
+    });
   });
 });
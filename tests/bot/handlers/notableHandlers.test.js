@@ -2,9 +2,12 @@
  * Tests for notableHandlers — /notable, fetchAndSendNotable.
  */
 const notableHandlers = require('../../../src/bot/handlers/notableHandlers');
+const sightingsHandlers = require('../../../src/bot/handlers/sightingsHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
 
 function makeCtx(overrides = {}) {
   return {
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
     userStates: new Map(),
     userNames: new Map(),
     lastPrompts: new Map(),
@@ -20,6 +23,9 @@ function makeCtx(overrides = {}) {
       getNotableObservations: jest.fn().mockResolvedValue([]),
       getHotspotObservations: jest.fn().mockResolvedValue([]),
     },
+    searchLocation: sightingsHandlers.searchLocation,
+    promptNotable: notableHandlers.promptNotable,
+    ...flowHandlers,
     ...overrides,
   };
 }
@@ -28,6 +34,17 @@ describe('notableHandlers', () => {
   // ─── handleNotable ──────────────────────────────────────
 
   describe('handleNotable()', () => {
+    test('uses the home region when no input provided', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ homeRegion: 'US-NY', homeRegionName: 'New York' }),
+        showDateSelection: jest.fn().mockResolvedValue(),
+      });
+      const msg = { chat: { id: 1 }, from: { username: 'alice' } };
+      await notableHandlers.handleNotable.call(ctx, msg, [null, '']);
+
+      expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'US-NY', 'New York', 'notable');
+    });
+
     test('prompts for region when no input provided', async () => {
       const ctx = makeCtx();
       const msg = { chat: { id: 1 }, from: { username: 'alice' } };
@@ -36,7 +53,7 @@ describe('notableHandlers', () => {
       expect(ctx.userStates.get(1)).toEqual(
         expect.objectContaining({ action: 'awaiting_region_notable' })
       );
-      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('notable sightings'));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('notable sightings'), expect.any(Object));
     });
 
     test('stores username in userNames map', async () => {
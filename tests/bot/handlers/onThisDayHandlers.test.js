@@ -0,0 +1,214 @@
+/**
+ * Tests for onThisDayHandlers — /onthisday year-over-year comparison.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const onThisDayHandlers = require('../../../src/bot/handlers/onThisDayHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const { getRegionDate } = require('../../../src/utils/dateUtils');
+
+function makeCtx(overrides = {}) {
+  return {
+    userStates: new Map(),
+    lastPrompts: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    deleteMsg: jest.fn().mockResolvedValue(),
+    getProfile: jest.fn().mockReturnValue({ homeRegion: null, homeRegionName: null }),
+    showOnThisDay: jest.fn().mockResolvedValue(),
+    resolveOnThisDayInput: onThisDayHandlers.resolveOnThisDayInput,
+    _compareOnThisDay: onThisDayHandlers._compareOnThisDay,
+    _formatOnThisDay: onThisDayHandlers._formatOnThisDay,
+    ebirdService: {
+      getRecentObservations: jest.fn().mockResolvedValue([]),
+      getHotspotObservations: jest.fn().mockResolvedValue([]),
+      getHistoricObservations: jest.fn().mockResolvedValue([]),
+      searchHotspotsByName: jest.fn().mockResolvedValue([]),
+    },
+    promptOnThisDay: onThisDayHandlers.promptOnThisDay,
+    ...flowHandlers,
+    ...overrides,
+  };
+}
+
+describe('onThisDayHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ─── handleOnThisDay ────────────────────────────────────
+
+  describe('handleOnThisDay()', () => {
+    test('uses the given region', async () => {
+      const ctx = makeCtx();
+      await onThisDayHandlers.handleOnThisDay.call(ctx, { chat: { id: 1 } }, [null, ' Singapore']);
+      expect(ctx.showOnThisDay).toHaveBeenCalledWith(1, 'SG', 'Singapore');
+    });
+
+    test('falls back to the home region', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ homeRegion: 'US-NY', homeRegionName: 'New York' }),
+      });
+      await onThisDayHandlers.handleOnThisDay.call(ctx, { chat: { id: 1 } }, [null, '']);
+      expect(ctx.showOnThisDay).toHaveBeenCalledWith(1, 'US-NY', 'New York');
+    });
+
+    test('prompts for a place otherwise', async () => {
+      const ctx = makeCtx();
+      await onThisDayHandlers.handleOnThisDay.call(ctx, { chat: { id: 1 } }, [null, '']);
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_region_onthisday' });
+      expect(ctx.lastPrompts.get(1).action).toBe('awaiting_region_onthisday');
+    });
+  });
+
+  // ─── resolveOnThisDayInput ──────────────────────────────
+
+  describe('resolveOnThisDayInput()', () => {
+    test('treats L-codes as hotspots', async () => {
+      const ctx = makeCtx();
+      await onThisDayHandlers.resolveOnThisDayInput.call(ctx, 1, 'l2313391');
+      expect(ctx.showOnThisDay).toHaveBeenCalledWith(1, 'L2313391', 'L2313391', { isHotspot: true });
+    });
+
+    test('looks up "Place, Region" as a hotspot in that region', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.searchHotspotsByName.mockResolvedValue([{ locId: 'L99', locName: 'Botanic Gardens' }]);
+      await onThisDayHandlers.resolveOnThisDayInput.call(ctx, 1, 'Botanic Gardens, Singapore');
+
+      expect(ctx.ebirdService.searchHotspotsByName).toHaveBeenCalledWith('SG', 'Botanic Gardens');
+      expect(ctx.showOnThisDay).toHaveBeenCalledWith(1, 'L99', 'Botanic Gardens', { isHotspot: true, timezoneRegion: 'SG' });
+    });
+
+    test('reports a place with no matching hotspot', async () => {
+      const ctx = makeCtx();
+      await onThisDayHandlers.resolveOnThisDayInput.call(ctx, 1, 'Nowhere, Singapore');
+      expect(ctx.showOnThisDay).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('No hotspot found'));
+    });
+
+    test('reports hotspot search errors', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.searchHotspotsByName.mockRejectedValue(new Error('down'));
+      await onThisDayHandlers.resolveOnThisDayInput.call(ctx, 1, 'Park, Singapore');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Error searching'));
+    });
+  });
+
+  // ─── _compareOnThisDay ──────────────────────────────────
+
+  describe('_compareOnThisDay()', () => {
+    const years = [
+      { year: 2025, observations: [{ speciesCode: 'a', comName: 'Alpha' }, { speciesCode: 'b', comName: 'Bravo' }] },
+      { year: 2024, observations: [{ speciesCode: 'b', comName: 'Bravo' }, { speciesCode: 'c', comName: 'Charlie' }] },
+    ];
+    const todayObs = [{ speciesCode: 'a', comName: 'Alpha' }, { speciesCode: 'd', comName: 'Delta' }];
+
+    test('flags past species not reported today and sorts them first', () => {
+      const { rows, missing, todayCount } = onThisDayHandlers._compareOnThisDay(todayObs, years);
+
+      expect(rows.map(r => r.comName)).toEqual(['Bravo', 'Charlie', 'Alpha', 'Delta']);
+      expect(missing.map(r => r.comName)).toEqual(['Bravo', 'Charlie']);
+      expect(rows.find(r => r.comName === 'Delta')).toEqual(expect.objectContaining({ today: true, missing: false }));
+      expect([...rows[0].years]).toEqual([2025, 2024]);
+      expect(todayCount).toBe(2);
+    });
+  });
+
+  // ─── showOnThisDay ──────────────────────────────────────
+
+  describe('showOnThisDay()', () => {
+    const today = getRegionDate('SG');
+
+    test('compares today with the same date in the last five years', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getRecentObservations.mockResolvedValue([
+        { speciesCode: 'a', comName: 'Alpha', obsDt: `${today.iso} 07:00` },
+        { speciesCode: 'x', comName: 'Yesterday Bird', obsDt: '2000-01-01 07:00' },
+      ]);
+      ctx.ebirdService.getHistoricObservations
+        .mockResolvedValueOnce([{ speciesCode: 'a', comName: 'Alpha' }, { speciesCode: 'b', comName: 'Bravo' }])
+        .mockResolvedValue([{ speciesCode: 'b', comName: 'Bravo' }]);
+
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'SG', 'Singapore');
+
+      expect(ctx.ebirdService.getRecentObservations).toHaveBeenCalledWith('SG', 2, 1000);
+      const dates = ctx.ebirdService.getHistoricObservations.mock.calls.map(([region, date]) => {
+        expect(region).toBe('SG');
+        return date.getFullYear();
+      });
+      expect(dates).toEqual([1, 2, 3, 4, 5].map(i => today.year - i));
+
+      const text = ctx.sendMessage.mock.calls.at(-1)[1];
+      expect(text).toContain('On This Day in Singapore');
+      expect(text).toContain('*1* species');
+      expect(text).toContain(`${today.year - 1}: 2`);
+      expect(text).toMatch(/Bravo\s+( ✓  ){4} ✓   ·  ⭐/);
+      expect(text).toContain('Not reported yet today (1):*\nBravo');
+      expect(text).not.toContain('Yesterday Bird');
+    });
+
+    test('uses the hotspot endpoint for hotspots', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getHistoricObservations.mockResolvedValue([{ speciesCode: 'b', comName: 'Bravo' }]);
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'L99', 'Park', { isHotspot: true, timezoneRegion: 'SG' });
+
+      expect(ctx.ebirdService.getHotspotObservations).toHaveBeenCalledWith('L99', 2, 1000);
+      expect(ctx.ebirdService.getRecentObservations).not.toHaveBeenCalled();
+    });
+
+    test('celebrates when every past species was seen today', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getRecentObservations.mockResolvedValue([
+        { speciesCode: 'b', comName: 'Bravo', obsDt: `${today.iso} 07:00` },
+      ]);
+      ctx.ebirdService.getHistoricObservations.mockResolvedValue([{ speciesCode: 'b', comName: 'Bravo' }]);
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'SG', 'Singapore');
+
+      expect(ctx.sendMessage.mock.calls.at(-1)[1]).toContain('Every species from past years');
+    });
+
+    test('says so when there are no records at all', async () => {
+      const ctx = makeCtx();
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'SG', 'Singapore');
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('No sightings on record'));
+    });
+
+    test('limits the grid to 30 species', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getHistoricObservations.mockResolvedValue(
+        Array.from({ length: 35 }, (_, i) => ({ speciesCode: `s${i}`, comName: `Species number ${i} with a long name` }))
+      );
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'SG', 'Singapore');
+
+      const text = ctx.sendMessage.mock.calls.at(-1)[1];
+      expect(text).toContain('and 5 more species');
+      expect(text).toContain('Species number 0 …');
+    });
+
+    test('caps the not-reported list so the message fits in one Telegram message', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getHistoricObservations.mockResolvedValue(
+        Array.from({ length: 300 }, (_, i) => ({ speciesCode: `s${i}`, comName: `Species number ${i} with a long name` }))
+      );
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'SG', 'Singapore');
+
+      const text = ctx.sendMessage.mock.calls.at(-1)[1];
+      expect(text).toContain('Not reported yet today (300)');
+      expect(text).toContain('…and 260 more_');
+      expect(text.length).toBeLessThan(4096);
+    });
+
+    test('reports API errors', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getHistoricObservations.mockRejectedValue(new Error('400'));
+      await onThisDayHandlers.showOnThisDay.call(ctx, 1, 'XX', 'Nowhere');
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Could not look up'));
+    });
+  });
+});
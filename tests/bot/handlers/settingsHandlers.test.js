@@ -0,0 +1,323 @@
+/**
+ * Tests for settingsHandlers — /settings menu, preference changes, home region.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const DEFAULTS = {
+  homeRegion: null,
+  homeRegionName: null,
+  datePreset: null,
+  pageSize: null,
+  nearbyRadius: null,
+  nearbyRarities: false,
+  dateFormat: 'DMY',
+  quietHours: null,
+  maxAlertsPerHour: null,
+};
+
+jest.mock('../../../src/services/profileStore', () => ({
+  getProfile: jest.fn(),
+  update: jest.fn(),
+  reset: jest.fn().mockReturnValue(true),
+}));
+
+const settingsHandlers = require('../../../src/bot/handlers/settingsHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const groupHandlers = require('../../../src/bot/handlers/groupHandlers');
+const chatContext = require('../../../src/bot/chatContext');
+const callbackCodec = require('../../../src/bot/callbackCodec');
+const profileStore = require('../../../src/services/profileStore');
+
+function makeCtx(overrides = {}) {
+  return {
+    ITEMS_PER_PAGE: 5,
+    userStates: new Map(),
+    lastPrompts: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    editMessage: jest.fn().mockResolvedValue(true),
+    getProfile: settingsHandlers.getProfile,
+    getPageSize: settingsHandlers.getPageSize,
+    showSettingsMenu: settingsHandlers.showSettingsMenu,
+    setPreference: settingsHandlers.setPreference,
+    _showSettingsScreen: settingsHandlers._showSettingsScreen,
+    promptHomeRegion: settingsHandlers.promptHomeRegion,
+    promptQuietHours: settingsHandlers.promptQuietHours,
+    setQuietHours: settingsHandlers.setQuietHours,
+    ...flowHandlers,
+    ...groupHandlers,
+    ...overrides,
+  };
+}
+
+function buttonsOf(call) {
+  return call.reply_markup.inline_keyboard.flat();
+}
+
+describe('settingsHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    profileStore.getProfile.mockReturnValue({ ...DEFAULTS });
+  });
+
+  // ─── getPageSize ────────────────────────────────────────
+
+  describe('getPageSize()', () => {
+    test('falls back to ITEMS_PER_PAGE', () => {
+      expect(settingsHandlers.getPageSize.call(makeCtx(), 1)).toBe(5);
+    });
+
+    test('uses the chat preference', () => {
+      profileStore.getProfile.mockReturnValue({ ...DEFAULTS, pageSize: 10 });
+      expect(settingsHandlers.getPageSize.call(makeCtx(), 1)).toBe(10);
+    });
+  });
+
+  // ─── showSettingsMenu ───────────────────────────────────
+
+  describe('showSettingsMenu()', () => {
+    test('lists defaults for a new chat', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettings.call(ctx, { chat: { id: 1 } });
+
+      const [chatId, text, opts] = ctx.sendMessage.mock.calls[0];
+      expect(chatId).toBe(1);
+      expect(text).toContain('Your Settings');
+      expect(text).toContain('Home region: _ask each time_');
+      expect(text).toContain('Results per page: *5*');
+      expect(text).toContain('DD/MM/YYYY');
+      expect(text).toContain('Quiet hours: _off_');
+      expect(text).toContain('Alerts per hour: _no limit_');
+      expect(buttonsOf(opts).map(b => b.callback_data)).toEqual(expect.arrayContaining([
+        'settings_home', 'settings_dates', 'settings_page', 'settings_radius', 'settings_format', 'settings_reset',
+        'settings_quiet', 'settings_alerts',
+      ]));
+    });
+
+    test('shows stored preferences', async () => {
+      profileStore.getProfile.mockReturnValue({
+        ...DEFAULTS,
+        homeRegion: 'SG',
+        homeRegionName: 'Singapore',
+        datePreset: 'last_week',
+        pageSize: 10,
+        nearbyRadius: 15,
+        nearbyRarities: true,
+        dateFormat: 'MDY',
+        quietHours: '22:00-07:00',
+        maxAlertsPerHour: 3,
+      });
+      const ctx = makeCtx();
+      await settingsHandlers.showSettingsMenu.call(ctx, 1);
+
+      const text = ctx.sendMessage.mock.calls[0][1];
+      expect(text).toContain('*Singapore* (SG)');
+      expect(text).toContain('*Last Week*');
+      expect(text).toContain('*10*');
+      expect(text).toContain('*15 km* (rarities only)');
+      expect(text).toContain('MM/DD/YYYY');
+      expect(text).toContain('Quiet hours: *22:00–07:00*');
+      expect(text).toContain('Alerts per hour: *3*');
+    });
+
+    test('edits the message in place when given a messageId', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.showSettingsMenu.call(ctx, 1, 99);
+
+      expect(ctx.editMessage).toHaveBeenCalledWith(1, 99, expect.stringContaining('Your Settings'), expect.any(Object));
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('sends a new message when the edit fails', async () => {
+      const ctx = makeCtx();
+      ctx.editMessage.mockRejectedValue(new Error('message to edit not found'));
+      await settingsHandlers.showSettingsMenu.call(ctx, 1, 99);
+
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Your Settings'), expect.any(Object));
+    });
+  });
+
+  // ─── handleSettingsCallback ─────────────────────────────
+
+  describe('handleSettingsCallback()', () => {
+    test('settings_home asks for a region', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, 'settings_home', 99);
+
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_home_region' });
+      expect(ctx.lastPrompts.get(1).action).toBe('awaiting_home_region');
+      const opts = ctx.sendMessage.mock.calls[0][2];
+      expect(buttonsOf(opts).map(b => callbackCodec.decode(b.callback_data))).toContainEqual({ action: 'setpref', field: 'homeRegion', value: 'none' });
+    });
+
+    test.each([
+      ['settings_dates', { action: 'setpref', field: 'datePreset', value: 'last_14_days' }],
+      ['settings_page', { action: 'setpref', field: 'pageSize', value: 10 }],
+      ['settings_radius', { action: 'setpref', field: 'nearbyRadius', value: 'none' }],
+      ['settings_radius', { action: 'setpref', field: 'nearbyRarities', value: 'on' }],
+      ['settings_format', { action: 'setpref', field: 'dateFormat', value: 'MDY' }],
+      ['settings_quiet', { action: 'setpref', field: 'quietHours', value: '23:00-06:00' }],
+      ['settings_quiet', { action: 'setpref', field: 'quietHours', value: 'none' }],
+      ['settings_alerts', { action: 'setpref', field: 'maxAlertsPerHour', value: 5 }],
+      ['settings_alerts', { action: 'setpref', field: 'maxAlertsPerHour', value: 'none' }],
+    ])('%s shows its choices', async (data, expected) => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, data, 99);
+
+      const { reply_markup } = ctx.editMessage.mock.calls[0][3];
+      const callbacks = reply_markup.inline_keyboard.flat().map(b => callbackCodec.decode(b.callback_data));
+      expect(callbacks).toContainEqual(expected);
+      expect(callbacks).toContainEqual({ action: 'settings_menu' });
+    });
+
+    test('settings_radius offers all species once rarities only is the default', async () => {
+      profileStore.getProfile.mockReturnValue({ ...DEFAULTS, nearbyRarities: true });
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, 'settings_radius', 99);
+
+      const buttons = buttonsOf(ctx.editMessage.mock.calls[0][3]);
+      const toggle = buttons.find(b => b.text.startsWith('✅ Rarities only'));
+      expect(callbackCodec.decode(toggle.callback_data)).toEqual({ action: 'setpref', field: 'nearbyRarities', value: 'off' });
+    });
+
+    test('settings_quiet_custom asks for the hours', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, 'settings_quiet_custom', 99);
+
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_quiet_hours' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter your quiet hours'), expect.any(Object));
+    });
+
+    test('settings_menu goes back to the overview', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, 'settings_menu', 99);
+      expect(ctx.editMessage).toHaveBeenCalledWith(1, 99, expect.stringContaining('Your Settings'), expect.any(Object));
+    });
+
+    test('settings_reset clears the profile', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.handleSettingsCallback.call(ctx, 1, 'settings_reset', 99);
+      expect(profileStore.reset).toHaveBeenCalledWith(1);
+      expect(ctx.editMessage).toHaveBeenCalled();
+    });
+  });
+
+  // ─── setPreference ──────────────────────────────────────
+
+  describe('setPreference()', () => {
+    test.each([
+      ['pageSize', '10', { pageSize: 10 }],
+      ['nearbyRadius', '20', { nearbyRadius: 20 }],
+      ['nearbyRadius', 'none', { nearbyRadius: null }],
+      ['nearbyRarities', 'on', { nearbyRarities: true }],
+      ['nearbyRarities', 'off', { nearbyRarities: false }],
+      ['datePreset', 'none', { datePreset: null }],
+      ['dateFormat', 'MDY', { dateFormat: 'MDY' }],
+      ['homeRegion', 'none', { homeRegion: null, homeRegionName: null }],
+      ['quietHours', '22:00-07:00', { quietHours: '22:00-07:00' }],
+      ['quietHours', 'none', { quietHours: null }],
+      ['maxAlertsPerHour', 3, { maxAlertsPerHour: 3 }],
+      ['maxAlertsPerHour', 'none', { maxAlertsPerHour: null }],
+    ])('%s=%s is stored', async (field, value, changes) => {
+      const ctx = makeCtx();
+      await settingsHandlers.setPreference.call(ctx, 1, field, value, 99);
+      expect(profileStore.update).toHaveBeenCalledWith(1, changes);
+      expect(ctx.editMessage).toHaveBeenCalled();
+    });
+
+    test('clearing the home region cancels a pending prompt', async () => {
+      const ctx = makeCtx();
+      ctx.userStates.set(1, { action: 'awaiting_home_region' });
+      await settingsHandlers.setPreference.call(ctx, 1, 'homeRegion', 'none', 99);
+      expect(ctx.userStates.has(1)).toBe(false);
+    });
+
+    test.each([
+      ['pageSize', '7'],
+      ['nearbyRadius', '100'],
+      ['nearbyRarities', 'yes'],
+      ['datePreset', 'forever'],
+      ['dateFormat', 'YMD'],
+      ['quietHours', '22:00'],
+      ['maxAlertsPerHour', '2'],
+      ['favouriteBird', 'hornbill'],
+    ])('rejects %s=%s', async (field, value) => {
+      const ctx = makeCtx();
+      await settingsHandlers.setPreference.call(ctx, 1, field, value, 99);
+      expect(profileStore.update).not.toHaveBeenCalled();
+    });
+  });
+
+  // ─── setHomeRegion ──────────────────────────────────────
+
+  describe('setHomeRegion()', () => {
+    test('stores the region code and the typed name', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.setHomeRegion.call(ctx, 1, 'Singapore');
+
+      expect(profileStore.update).toHaveBeenCalledWith(1, { homeRegion: 'SG', homeRegionName: 'Singapore' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Home region set to *Singapore* (SG)'));
+    });
+
+    test('shows the settings menu afterwards', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.setHomeRegion.call(ctx, 1, 'US-NY');
+
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Your Settings'), expect.any(Object));
+    });
+  });
+
+  describe('setQuietHours()', () => {
+    test('stores the hours and shows the settings menu', async () => {
+      const ctx = makeCtx();
+      await settingsHandlers.setQuietHours.call(ctx, 1, '22:30-06:30');
+
+      expect(profileStore.update).toHaveBeenCalledWith(1, { quietHours: '22:30-06:30' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Quiet hours set to *22:30–06:30*'));
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Your Settings'), expect.any(Object));
+    });
+  });
+
+  describe('group chats', () => {
+    const inGroup = (fn) => chatContext.run({ chat: { id: -100, type: 'supergroup' }, from: { id: 7 } }, fn);
+
+    function groupCtx(status) {
+      return makeCtx({
+        bot: {
+          getChatMember: jest.fn().mockResolvedValue({ status }),
+        },
+      });
+    }
+
+    test('the menu is titled as the group\'s settings', async () => {
+      const ctx = groupCtx('member');
+      await inGroup(() => ctx.showSettingsMenu(-100));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('Group Settings'), expect.any(Object));
+    });
+
+    test('members cannot change group settings', async () => {
+      const ctx = groupCtx('member');
+      await inGroup(() => ctx.setPreference(-100, 'pageSize', '10'));
+
+      expect(ctx.bot.getChatMember).toHaveBeenCalledWith(-100, 7);
+      expect(profileStore.update).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('Only group admins'));
+    });
+
+    test('members cannot open the editors', async () => {
+      const ctx = groupCtx('member');
+      await inGroup(() => settingsHandlers.handleSettingsCallback.call(ctx, -100, 'settings_home', 5));
+      expect(ctx.userStates.size).toBe(0);
+    });
+
+    test('admins set the group home region', async () => {
+      const ctx = groupCtx('administrator');
+      await inGroup(() => settingsHandlers.setHomeRegion.call(ctx, -100, 'Singapore'));
+      expect(profileStore.update).toHaveBeenCalledWith(-100, { homeRegion: 'SG', homeRegionName: 'Singapore' });
+    });
+  });
+});
@@ -3,10 +3,12 @@
  * date selection, and fetchAndSendSightings.
  */
 const sightingsHandlers = require('../../../src/bot/handlers/sightingsHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
 
 // Shared mock context factory
 function makeCtx(overrides = {}) {
   return {
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
     userStates: new Map(),
     userNames: new Map(),
     lastPrompts: new Map(),
@@ -21,9 +23,13 @@ function makeCtx(overrides = {}) {
     ebirdService: {
       getRecentObservations: jest.fn().mockResolvedValue([]),
       getHotspotObservations: jest.fn().mockResolvedValue([]),
+      getHistoricObservationsRange: jest.fn().mockResolvedValue([]),
       searchHotspotsByName: jest.fn().mockResolvedValue([]),
       getPopularHotspots: jest.fn().mockResolvedValue([]),
     },
+    searchLocation: sightingsHandlers.searchLocation,
+    promptSightings: sightingsHandlers.promptSightings,
+    ...flowHandlers,
     ...overrides,
   };
 }
@@ -34,6 +40,27 @@ describe('sightingsHandlers', () => {
   // ─── handleSightings ────────────────────────────────────
 
   describe('handleSightings()', () => {
+    test('uses the home region when no input provided', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ homeRegion: 'SG', homeRegionName: 'Singapore' }),
+      });
+      const msg = { chat: { id: 1 }, from: { username: 'alice' } };
+      await sightingsHandlers.handleSightings.call(ctx, msg, [null, '']);
+
+      expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'SG', 'Singapore', 'sightings');
+      expect(ctx.userStates.has(1)).toBe(false);
+    });
+
+    test('explicit input overrides the home region', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ homeRegion: 'SG', homeRegionName: 'Singapore' }),
+      });
+      const msg = { chat: { id: 1 }, from: { username: 'alice' } };
+      await sightingsHandlers.handleSightings.call(ctx, msg, [null, ' Malaysia']);
+
+      expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'MY', 'Malaysia', 'sightings');
+    });
+
     test('prompts for region when no input provided', async () => {
       const ctx = makeCtx();
       const msg = { chat: { id: 1 }, from: { username: 'alice' } };
@@ -44,7 +71,8 @@ describe('sightingsHandlers', () => {
       );
       expect(ctx.sendMessage).toHaveBeenCalledWith(
         1,
-        expect.stringContaining('Enter a location')
+        expect.stringContaining('Enter a location'),
+        expect.any(Object)
       );
     });
 
@@ -256,14 +284,32 @@ describe('sightingsHandlers', () => {
   // ─── resendLastPrompt ──────────────────────────────────
 
   describe('resendLastPrompt()', () => {
-    test('resends the stored prompt message', async () => {
+    test('re-enters the stored state and asks its prompt again', async () => {
       const ctx = makeCtx();
       ctx.lastPrompts.set(1, { message: 'Enter location:', action: 'awaiting_region_sightings' });
 
       await sightingsHandlers.resendLastPrompt.call(ctx, 1);
 
-      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter location:'));
-      expect(ctx.userStates.get(1)).toEqual({ action: 'awaiting_region_sightings' });
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter a location'), expect.any(Object));
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_region_sightings' });
+    });
+
+    test('keeps the state data, so pickers come back as they were', async () => {
+      const ctx = makeCtx();
+      ctx.lastPrompts.set(1, { message: 'Pick a date', action: 'date_selection', regionCode: 'SG', displayName: 'Singapore', type: 'sightings' });
+
+      await sightingsHandlers.resendLastPrompt.call(ctx, 1);
+
+      expect(ctx.showDateSelection).toHaveBeenCalledWith(1, 'SG', 'Singapore', 'sightings', expect.any(Object));
+    });
+
+    test('forgets the prompt, so a failing prompt cannot loop', async () => {
+      const ctx = makeCtx();
+      ctx.lastPrompts.set(1, { message: 'Pick a date', action: 'date_selection', regionCode: 'SG', displayName: 'Singapore', type: 'sightings' });
+
+      await sightingsHandlers.resendLastPrompt.call(ctx, 1);
+
+      expect(ctx.lastPrompts.has(1)).toBe(false);
     });
 
     test('does nothing when no stored prompt', async () => {
@@ -306,6 +352,18 @@ describe('sightingsHandlers', () => {
       expect(state.isHotspot).toBe(true);
     });
 
+    test('skips the picker with a default date range', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY', datePreset: 'last_week' }),
+        handleDateCallback: jest.fn().mockResolvedValue(),
+      });
+      await sightingsHandlers.showDateSelection.call(ctx, 1, 'SG', 'Singapore', 'sightings');
+
+      expect(ctx.handleDateCallback).toHaveBeenCalledWith(1, { type: 'sightings', preset: 'last_week', regionCode: 'SG' });
+      expect(ctx.userStates.get(1).displayName).toBe('Singapore');
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+
     test('stores lastPrompt for error recovery', async () => {
       const ctx = makeCtx();
       await sightingsHandlers.showDateSelection.call(ctx, 1, 'SG', 'Singapore', 'sightings');
@@ -364,6 +422,27 @@ describe('sightingsHandlers', () => {
       expect(ctx.ebirdService.getHotspotObservations).toHaveBeenCalledWith('L123', 14, 100);
     });
 
+    test('uses the historic endpoint for old dates, hotspots included', async () => {
+      const ctx = makeCtx();
+      const oldObs = [{ comName: 'House Sparrow', speciesCode: 'houspa', obsDt: '2025-06-14 08:00' }];
+      ctx.ebirdService.getHistoricObservationsRange.mockResolvedValue(oldObs);
+      const dateFilter = {
+        startDate: new Date(2025, 5, 14),
+        endDate: new Date(2025, 5, 15, 23, 59, 59, 999),
+        backDays: 30,
+        label: '14/06/2025 to 15/06/2025 (SGT)',
+        historic: true,
+      };
+
+      await sightingsHandlers.fetchAndSendSightings.call(ctx, 1, 'L123', 'Park', 0, dateFilter, true);
+
+      expect(ctx.ebirdService.getHistoricObservationsRange).toHaveBeenCalledWith('L123', dateFilter.startDate, dateFilter.endDate);
+      expect(ctx.ebirdService.getHotspotObservations).not.toHaveBeenCalled();
+      expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
+        1, oldObs, 'Park (14/06/2025 to 15/06/2025 (SGT))', 'sightings', 0, null, 'L123'
+      );
+    });
+
     test('caches observations for pagination', async () => {
       const ctx = makeCtx();
       ctx.ebirdService.getRecentObservations.mockResolvedValue(fakeObs);
@@ -376,6 +455,17 @@ describe('sightingsHandlers', () => {
       expect(cached.regionCode).toBe('SG');
     });
 
+    test('remembers when the service fell back to stale data', async () => {
+      const ctx = makeCtx();
+      const staleObs = [...fakeObs];
+      Object.defineProperty(staleObs, 'staleAt', { value: 1234, enumerable: false });
+      ctx.ebirdService.getRecentObservations.mockResolvedValue(staleObs);
+
+      await sightingsHandlers.fetchAndSendSightings.call(ctx, 1, 'SG', 'Singapore');
+
+      expect(ctx.observationsCache.get('sightings_1').staleAt).toBe(1234);
+    });
+
     test('uses cache for page > 0', async () => {
       const ctx = makeCtx();
       ctx.observationsCache.set('sightings_1', {
@@ -3,9 +3,12 @@
  * processSpeciesWithLocation, fetchSpeciesInLocation, showSpeciesDateSelection.
  */
 const speciesHandlers = require('../../../src/bot/handlers/speciesHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
 
 function makeCtx(overrides = {}) {
   return {
+    getProfile: jest.fn().mockReturnValue({ dateFormat: 'DMY' }),
     userStates: new Map(),
     userNames: new Map(),
     observationsCache: new Map(),
@@ -18,8 +21,12 @@ function makeCtx(overrides = {}) {
     ebirdService: {
       searchSpeciesByName: jest.fn().mockResolvedValue([]),
       getSpeciesObservations: jest.fn().mockResolvedValue([]),
+      getHistoricObservationsRange: jest.fn().mockResolvedValue([]),
       getObservationsBySpeciesName: jest.fn().mockResolvedValue({ species: null, observations: [] }),
     },
+    lastPrompts: new Map(),
+    promptSpecies: speciesHandlers.promptSpecies,
+    ...flowHandlers,
     ...overrides,
   };
 }
@@ -36,7 +43,7 @@ describe('speciesHandlers', () => {
       expect(ctx.userStates.get(1)).toEqual(
         expect.objectContaining({ action: 'awaiting_species_name' })
       );
-      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Search by Species'));
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Search by Species'), expect.any(Object));
     });
 
     test('stores username in userNames map', async () => {
@@ -266,6 +273,42 @@ describe('speciesHandlers', () => {
       );
     });
 
+    describe('historic dates', () => {
+      const dateFilter = {
+        startDate: new Date(2025, 5, 14),
+        endDate: new Date(2025, 5, 14, 23, 59, 59, 999),
+        label: '14/06/2025',
+        historic: true,
+      };
+      const dayObs = [
+        { comName: 'House Sparrow', speciesCode: 'houspa', obsDt: '2025-06-14 08:00' },
+        { comName: 'Common Myna', speciesCode: 'commyn', obsDt: '2025-06-14 09:00' },
+      ];
+
+      test('filters the day\'s observations to the species', async () => {
+        const ctx = makeCtx();
+        ctx.ebirdService.getHistoricObservationsRange.mockResolvedValue(dayObs);
+
+        await speciesHandlers.fetchSpeciesInLocation.call(ctx, 1, 'Singapore', 'House Sparrow', 'houspa', dateFilter);
+
+        expect(ctx.ebirdService.getHistoricObservationsRange).toHaveBeenCalledWith('SG', dateFilter.startDate, dateFilter.endDate);
+        expect(ctx.ebirdService.getSpeciesObservations).not.toHaveBeenCalled();
+        expect(ctx.sendPaginatedObservations).toHaveBeenCalledWith(
+          1, [dayObs[0]], 'House Sparrow in Singapore (14/06/2025)', 'species', 0, null, 'SG'
+        );
+      });
+
+      test('looks up the species code when only a name is known', async () => {
+        const ctx = makeCtx();
+        ctx.ebirdService.searchSpeciesByName.mockResolvedValue([{ speciesCode: 'commyn', comName: 'Common Myna' }]);
+        ctx.ebirdService.getHistoricObservationsRange.mockResolvedValue(dayObs);
+
+        await speciesHandlers.fetchSpeciesInLocation.call(ctx, 1, 'Singapore', 'Common Myna', null, dateFilter);
+
+        expect(ctx.sendPaginatedObservations.mock.calls[0][1]).toEqual([dayObs[1]]);
+      });
+    });
+
     test('sends paginated observations when found', async () => {
       const ctx = makeCtx();
       ctx.ebirdService.getSpeciesObservations.mockResolvedValue(fakeObs);
@@ -458,6 +501,20 @@ describe('speciesHandlers', () => {
       expect(state.species).toEqual(species);
     });
 
+    test('skips the picker with a default date range', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ datePreset: 'today' }),
+        handleDateCallback: jest.fn().mockResolvedValue(),
+      });
+      const species = { code: 'houspa', commonName: 'House Sparrow', scientificName: 'Passer domesticus' };
+
+      await speciesHandlers.showSpeciesDateSelection.call(ctx, 1, 'Singapore', species);
+
+      expect(ctx.handleDateCallback).toHaveBeenCalledWith(1, { type: 'species', preset: 'today', regionCode: 'SG' });
+      expect(ctx.userStates.get(1).species).toEqual(species);
+      expect(ctx.sendMessage).not.toHaveBeenCalled();
+    });
+
     test('callback data uses species type prefix', async () => {
       const ctx = makeCtx();
       const species = { code: 'houspa', commonName: 'House Sparrow', scientificName: 'Passer domesticus' };
@@ -465,11 +522,13 @@ describe('speciesHandlers', () => {
       await speciesHandlers.showSpeciesDateSelection.call(ctx, 1, 'Singapore', species);
 
       const opts = ctx.sendMessage.mock.calls[0][2];
-      const allCallbacks = opts.reply_markup.inline_keyboard
+      const dateRows = opts.reply_markup.inline_keyboard.slice(0, -1); // last row is ⬅️ Back / ✖️ Cancel
+      const allCallbacks = dateRows
         .flat()
         .map(b => b.callback_data);
 
-      expect(allCallbacks.every(cb => cb.startsWith('date_species_'))).toBe(true);
+      expect(allCallbacks.map(cb => callbackCodec.decode(cb)).every(p => p.action === 'date' && p.type === 'species' && p.regionCode === 'SG')).toBe(true);
+      expect(opts.reply_markup.inline_keyboard.at(-1).map(b => b.callback_data)).toEqual(['flow_back', 'flow_cancel']);
     });
 
     test('includes all date preset buttons', async () => {
@@ -0,0 +1,178 @@
+/**
+ * Tests for targetsHandlers — /targets ranking and species buttons.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const targetsHandlers = require('../../../src/bot/handlers/targetsHandlers');
+const flowHandlers = require('../../../src/bot/handlers/flowHandlers');
+const callbackCodec = require('../../../src/bot/callbackCodec');
+
+const lifeList = new Set(['houspa']);
+
+const observations = [
+  { speciesCode: 'houspa', comName: 'House Sparrow', locId: 'L1' },
+  { speciesCode: 'comkin', comName: 'Common Kingfisher', locId: 'L1' },
+  { speciesCode: 'comkin', comName: 'Common Kingfisher', locId: 'L1' },
+  { speciesCode: 'bkhori', comName: 'Black-crowned Night Heron', locId: 'L1' },
+  { speciesCode: 'bkhori', comName: 'Black-crowned Night Heron', locId: 'L2' },
+  { speciesCode: 'oriwhi', comName: 'Oriental White-eye', locId: 'L3' },
+  { speciesCode: 'gull1', comName: 'gull sp.', locId: 'L4' },
+  { speciesCode: 'gull1', comName: 'gull sp.', locId: 'L5' },
+];
+
+function makeCtx(overrides = {}) {
+  return {
+    userStates: new Map(),
+    lastPrompts: new Map(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 42 }),
+    deleteMsg: jest.fn().mockResolvedValue(),
+    fetchSpeciesInLocation: jest.fn().mockResolvedValue(),
+    getLifeList: jest.fn().mockReturnValue(lifeList),
+    getProfile: jest.fn().mockReturnValue({ homeRegion: null, homeRegionName: null }),
+    showTargets: jest.fn().mockResolvedValue(),
+    _rankTargets: targetsHandlers._rankTargets,
+    ebirdService: {
+      getRecentObservations: jest.fn().mockResolvedValue(observations),
+      getTaxonomy: jest.fn().mockResolvedValue([
+        { speciesCode: 'grnher', comName: 'Green Heron' },
+      ]),
+    },
+    promptTargets: targetsHandlers.promptTargets,
+    ...flowHandlers,
+    ...overrides,
+  };
+}
+
+describe('targetsHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ─── handleTargets ──────────────────────────────────────
+
+  describe('handleTargets()', () => {
+    test('asks for a life list import first', async () => {
+      const ctx = makeCtx({ getLifeList: jest.fn().mockReturnValue(null) });
+      await targetsHandlers.handleTargets.call(ctx, { chat: { id: 1 } }, [null, ' Singapore']);
+
+      expect(ctx.showTargets).not.toHaveBeenCalled();
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('/lifelist'));
+    });
+
+    test('uses the given region', async () => {
+      const ctx = makeCtx();
+      await targetsHandlers.handleTargets.call(ctx, { chat: { id: 1 } }, [null, ' Singapore']);
+      expect(ctx.showTargets).toHaveBeenCalledWith(1, 'SG', 'Singapore');
+    });
+
+    test('falls back to the home region', async () => {
+      const ctx = makeCtx({
+        getProfile: jest.fn().mockReturnValue({ homeRegion: 'US-NY', homeRegionName: 'New York' }),
+      });
+      await targetsHandlers.handleTargets.call(ctx, { chat: { id: 1 } }, [null, '']);
+      expect(ctx.showTargets).toHaveBeenCalledWith(1, 'US-NY', 'New York');
+    });
+
+    test('prompts for a region otherwise', async () => {
+      const ctx = makeCtx();
+      await targetsHandlers.handleTargets.call(ctx, { chat: { id: 1 } }, [null, '']);
+
+      expect(ctx.userStates.get(1)).toMatchObject({ action: 'awaiting_region_targets' });
+      expect(ctx.lastPrompts.get(1).action).toBe('awaiting_region_targets');
+      expect(ctx.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Enter a region'), expect.any(Object));
+    });
+  });
+
+  // ─── _rankTargets ───────────────────────────────────────
+
+  describe('_rankTargets()', () => {
+    test('drops seen species and spuhs, ranks by reports then locations', () => {
+      expect(targetsHandlers._rankTargets(observations, lifeList)).toEqual([
+        { speciesCode: 'bkhori', comName: 'Black-crowned Night Heron', reports: 2, locations: 2 },
+        { speciesCode: 'comkin', comName: 'Common Kingfisher', reports: 2, locations: 1 },
+        { speciesCode: 'oriwhi', comName: 'Oriental White-eye', reports: 1, locations: 1 },
+      ]);
+    });
+
+    test('counts locations by name when there is no locId', () => {
+      const ranked = targetsHandlers._rankTargets([
+        { speciesCode: 'comkin', comName: 'Common Kingfisher', locName: 'Pond' },
+        { speciesCode: 'comkin', comName: 'Common Kingfisher', locName: 'Pond' },
+      ], lifeList);
+      expect(ranked[0].locations).toBe(1);
+    });
+  });
+
+  // ─── showTargets ────────────────────────────────────────
+
+  describe('showTargets()', () => {
+    test('lists ranked targets with a button per species', async () => {
+      const ctx = makeCtx();
+      await targetsHandlers.showTargets.call(ctx, 1, 'SG', 'Singapore');
+
+      expect(ctx.ebirdService.getRecentObservations).toHaveBeenCalledWith('SG', 14, 1000);
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+
+      const [, text, opts] = ctx.sendMessage.mock.calls.at(-1);
+      expect(text).toContain('Targets in Singapore');
+      expect(text).toContain('1. *Black-crowned Night Heron*');
+      expect(text).toContain('2 reports · 📍 2 locations');
+      expect(text).toContain('1 report · 📍 1 location');
+      expect(text).not.toContain('House Sparrow');
+      expect(opts.reply_markup.inline_keyboard.map(row => callbackCodec.decode(row[0].callback_data))).toEqual([
+        { action: 'target', speciesCode: 'bkhori', regionCode: 'SG' },
+        { action: 'target', speciesCode: 'comkin', regionCode: 'SG' },
+        { action: 'target', speciesCode: 'oriwhi', regionCode: 'SG' },
+      ]);
+    });
+
+    test('shows at most ten targets', async () => {
+      const many = Array.from({ length: 12 }, (_, i) => ({ speciesCode: `sp${i}`, comName: `Bird ${i}`, locId: 'L1' }));
+      const ctx = makeCtx();
+      ctx.ebirdService.getRecentObservations.mockResolvedValue(many);
+      await targetsHandlers.showTargets.call(ctx, 1, 'SG', 'Singapore');
+
+      const [, text, opts] = ctx.sendMessage.mock.calls.at(-1);
+      expect(opts.reply_markup.inline_keyboard).toHaveLength(10);
+      expect(text).toContain('and 2 more');
+    });
+
+    test('celebrates when nothing is needed', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getRecentObservations.mockResolvedValue([observations[0]]);
+      await targetsHandlers.showTargets.call(ctx, 1, 'SG', 'Singapore');
+
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('No targets'));
+    });
+
+    test('reports API errors', async () => {
+      const ctx = makeCtx();
+      ctx.ebirdService.getRecentObservations.mockRejectedValue(new Error('400'));
+      await targetsHandlers.showTargets.call(ctx, 1, 'XX', 'Nowhere');
+
+      expect(ctx.deleteMsg).toHaveBeenCalledWith(1, 42);
+      expect(ctx.sendMessage).toHaveBeenLastCalledWith(1, expect.stringContaining('Could not find targets'));
+    });
+  });
+
+  // ─── openTarget ─────────────────────────────────────────
+
+  describe('openTarget()', () => {
+    test('runs the species search with the taxonomy name', async () => {
+      const ctx = makeCtx();
+      await targetsHandlers.openTarget.call(ctx, 1, 'grnher', 'SG');
+      expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(1, 'Singapore', 'Green Heron', 'grnher');
+    });
+
+    test('falls back to the codes when names are unknown', async () => {
+      const ctx = makeCtx();
+      await targetsHandlers.openTarget.call(ctx, 1, 'zzzzzz', 'XX-YY');
+      expect(ctx.fetchSpeciesInLocation).toHaveBeenCalledWith(1, 'XX-YY', 'zzzzzz', 'zzzzzz');
+    });
+  });
+});
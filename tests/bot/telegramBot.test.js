@@ -9,9 +9,12 @@ jest.mock('node-telegram-bot-api', () => {
     on: jest.fn(),
     onText: jest.fn(),
     setMyCommands: jest.fn(),
+    getMe: jest.fn().mockResolvedValue({ id: 999, username: 'BirdBot' }),
     sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
     deleteMessage: jest.fn().mockResolvedValue(true),
     editMessageText: jest.fn().mockResolvedValue(true),
+    editMessageReplyMarkup: jest.fn().mockResolvedValue(true),
+    answerInlineQuery: jest.fn().mockResolvedValue(true),
     processUpdate: jest.fn(),
   }));
 });
@@ -22,9 +25,17 @@ jest.mock('../../src/services/ebirdService', () => {
     preloadTaxonomy: jest.fn(),
     getRecentObservations: jest.fn(),
     formatObservation: jest.fn().mockReturnValue('formatted obs'),
+    runWithKey: jest.fn((key, fn) => fn()),
   }));
 });
 
+jest.mock('../../src/services/userKeyStore', () => ({
+  getKey: jest.fn().mockReturnValue(null),
+  hasKey: jest.fn().mockReturnValue(false),
+  setKey: jest.fn(),
+  removeKey: jest.fn(),
+}));
+
 jest.mock('../../src/services/sessionStore', () => ({
   restore: jest.fn(),
   startAutoSave: jest.fn(),
@@ -32,6 +43,21 @@ jest.mock('../../src/services/sessionStore', () => ({
   save: jest.fn(),
 }));
 
+jest.mock('../../src/services/alertScheduler', () => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('../../src/services/digestScheduler', () => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
+jest.mock('../../src/services/alertThrottle', () => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+}));
+
 jest.mock('../../src/utils/logger', () => ({
   info: jest.fn(),
   warn: jest.fn(),
@@ -41,6 +67,7 @@ jest.mock('../../src/utils/logger', () => ({
 
 const BirdBot = require('../../src/bot/telegramBot');
 const loggerMock = require('../../src/utils/logger');
+const userKeyStore = require('../../src/services/userKeyStore');
 
 describe('BirdBot', () => {
   let bot;
@@ -50,9 +77,24 @@ describe('BirdBot', () => {
     bot = new BirdBot('test-token', 'test-ebird-key');
   });
 
+  afterEach(() => {
+    bot.stopSweeper();
+  });
+
   // ─── Constructor ────────────────────────────────────────
 
   describe('constructor', () => {
+    test('creates an EBirdService from an API key', () => {
+      const EBirdService = require('../../src/services/ebirdService');
+      expect(EBirdService).toHaveBeenCalledWith('test-ebird-key');
+    });
+
+    test('uses a shared EBirdService when given one', () => {
+      const shared = { getRecentObservations: jest.fn() };
+      const sharedBot = new BirdBot('token', shared);
+      expect(sharedBot.ebirdService).toBe(shared);
+    });
+
     test('initializes userStates as an empty Map', () => {
       expect(bot.userStates).toBeInstanceOf(Map);
       expect(bot.userStates.size).toBe(0);
@@ -78,6 +120,7 @@ describe('BirdBot', () => {
     test('sets rate limit constants', () => {
       expect(bot.RATE_LIMIT_MAX).toBe(15);
       expect(bot.RATE_LIMIT_WINDOW).toBe(60000);
+      expect(bot.RATE_LIMIT_MAX_OWN_KEY).toBe(60);
     });
 
     test('calls sessionStore.restore on construction', () => {
@@ -89,6 +132,54 @@ describe('BirdBot', () => {
       const sessionStore = require('../../src/services/sessionStore');
       expect(sessionStore.startAutoSave).toHaveBeenCalled();
     });
+
+    test('starts the alert scheduler on construction', () => {
+      const alertScheduler = require('../../src/services/alertScheduler');
+      expect(alertScheduler.start).toHaveBeenCalledWith(bot);
+    });
+
+    test('starts the alert throttle on construction', () => {
+      const alertThrottle = require('../../src/services/alertThrottle');
+      expect(alertThrottle.start).toHaveBeenCalledWith(bot);
+    });
+  });
+
+  // ─── Bounded memory ─────────────────────────────────────
+
+  describe('bounded memory', () => {
+    test('evicted results leave their search metadata for a re-run', () => {
+      bot.observationsCache.maxEntries = 1;
+      bot.observationsCache.set('sightings_1', { observations: [{}], displayName: 'Singapore', type: 'sightings' });
+      bot.observationsCache.set('sightings_2', { observations: [{}], displayName: 'Johor', type: 'sightings' });
+
+      expect(bot.observationsCache.has('sightings_1')).toBe(false);
+      expect(bot.expiredResults.get('sightings_1')).toEqual({ displayName: 'Singapore', type: 'sightings' });
+    });
+
+    test('sweepMemory() sweeps every bounded map and logs sizes', () => {
+      const logger = require('../../src/utils/logger');
+      bot.userNames.set(1, 'alice');
+
+      const stats = bot.sweepMemory();
+
+      expect(stats.userNames).toEqual({ size: 1, swept: 0, evictions: 0 });
+      expect(Object.keys(stats)).toEqual(['observationsCache', 'expiredResults', 'lastPrompts', 'userNames', 'rateLimits', 'userStates']);
+      expect(logger.info).toHaveBeenCalledWith('Memory sweep', stats);
+    });
+
+    test('the sweeper runs every 10 minutes until stopped', () => {
+      jest.useFakeTimers();
+      const timedBot = new BirdBot('token', 'key');
+      const sweep = jest.spyOn(timedBot, 'sweepMemory');
+
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(sweep).toHaveBeenCalledTimes(1);
+
+      timedBot.stopSweeper();
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(sweep).toHaveBeenCalledTimes(1);
+      jest.useRealTimers();
+    });
   });
 
   // ─── Rate Limiting ──────────────────────────────────────
@@ -115,6 +206,21 @@ describe('BirdBot', () => {
       expect(bot._isRateLimited(chatId)).toBe(true);
     });
 
+    test('users with their own eBird key get a higher limit', () => {
+      const chatId = 99998;
+      userKeyStore.hasKey.mockImplementation(id => id === chatId);
+      for (let i = 0; i < bot.RATE_LIMIT_MAX + 1; i++) {
+        bot._isRateLimited(chatId);
+      }
+      expect(bot._isRateLimited(chatId)).toBe(false);
+
+      for (let i = 0; i < bot.RATE_LIMIT_MAX_OWN_KEY; i++) {
+        bot._isRateLimited(chatId);
+      }
+      expect(bot._isRateLimited(chatId)).toBe(true);
+      userKeyStore.hasKey.mockReturnValue(false);
+    });
+
     test('different users have independent limits', () => {
       const chatA = 1001;
       const chatB = 1002;
@@ -184,6 +290,27 @@ describe('BirdBot', () => {
       // Second call should strip markdown
       expect(bot.bot.sendMessage).toHaveBeenCalledTimes(2);
     });
+
+    test('goes through the send queue', async () => {
+      const push = jest.spyOn(bot.sendQueue, 'push');
+      await bot.sendMessage(12345, 'Hello');
+      expect(push).toHaveBeenCalledWith(12345, expect.any(Function));
+    });
+
+    test('waits out a 429 and sends again', async () => {
+      jest.useFakeTimers();
+      const tooMany = Object.assign(new Error('ETELEGRAM: 429 Too Many Requests'), {
+        response: { statusCode: 429, body: { parameters: { retry_after: 2 } } },
+      });
+      bot.bot.sendMessage.mockRejectedValueOnce(tooMany);
+
+      const result = bot.sendMessage(12345, 'Hello');
+      await jest.advanceTimersByTimeAsync(2000);
+
+      await expect(result).resolves.toHaveProperty('message_id', 1);
+      expect(bot.bot.sendMessage).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
   });
 
   // ─── deleteMsg ──────────────────────────────────────────
@@ -194,6 +321,12 @@ describe('BirdBot', () => {
       expect(bot.bot.deleteMessage).toHaveBeenCalledWith(12345, 999);
     });
 
+    test('goes through the send queue', async () => {
+      const push = jest.spyOn(bot.sendQueue, 'push');
+      await bot.deleteMsg(12345, 999);
+      expect(push).toHaveBeenCalledWith(12345, expect.any(Function), expect.objectContaining({ method: 'deleteMessage' }));
+    });
+
     test('silently ignores errors', async () => {
       bot.bot.deleteMessage.mockRejectedValue(new Error('message not found'));
       await expect(bot.deleteMsg(12345, 999)).resolves.toBeUndefined();
@@ -210,6 +343,49 @@ describe('BirdBot', () => {
     });
   });
 
+  // ─── sendMessages / edits ───────────────────────────────
+
+  describe('sendMessages()', () => {
+    test('queues every part at once, in order', async () => {
+      jest.useFakeTimers();
+      bot.bot.sendMessage.mockImplementation(async (chatId, text) => ({ message_id: text }));
+
+      const result = bot.sendMessages(12345, [{ text: 'one' }, { text: 'two', options: { disable_web_page_preview: true } }]);
+      bot.sendMessage(12345, 'later');
+      await jest.advanceTimersByTimeAsync(2000);
+
+      await expect(result).resolves.toEqual([{ message_id: 'one' }, { message_id: 'two' }]);
+      expect(bot.bot.sendMessage.mock.calls.map(call => call[1])).toEqual(['one', 'two', 'later']);
+      expect(bot.bot.sendMessage.mock.calls[1][2]).toEqual(expect.objectContaining({ disable_web_page_preview: true }));
+      jest.useRealTimers();
+    });
+  });
+
+  describe('editMessage() / editReplyMarkup()', () => {
+    test('edit through the send queue', async () => {
+      const push = jest.spyOn(bot.sendQueue, 'push');
+      await bot.editMessage(12345, 7, '*Hi*', { reply_markup: { inline_keyboard: [] } });
+      await bot.editReplyMarkup(12345, 7, { inline_keyboard: [] });
+
+      expect(bot.bot.editMessageText).toHaveBeenCalledWith('*Hi*', {
+        chat_id: 12345,
+        message_id: 7,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [] },
+      });
+      expect(bot.bot.editMessageReplyMarkup).toHaveBeenCalledWith({ inline_keyboard: [] }, { chat_id: 12345, message_id: 7 });
+      expect(push).toHaveBeenCalledTimes(2);
+    });
+
+    test('a refused edit rejects without a dead letter', async () => {
+      bot.bot.editMessageText.mockRejectedValueOnce(new Error('message is not modified'));
+
+      await expect(bot.editMessage(12345, 7, 'Hi')).rejects.toThrow('not modified');
+      expect(loggerMock.error).not.toHaveBeenCalled();
+      expect(bot.getSendStats().deadLettered).toBe(0);
+    });
+  });
+
   // ─── getBot ─────────────────────────────────────────────
 
   describe('getBot()', () => {
@@ -280,6 +456,11 @@ describe('BirdBot', () => {
       expect(loggerMock.error).toHaveBeenCalledWith('Polling error', { error: 'string error' });
     });
 
+    test('registers a document handler for life list uploads', () => {
+      const onCalls = bot.bot.on.mock.calls;
+      expect(onCalls.some(c => c[0] === 'document')).toBe(true);
+    });
+
     test('error handler uses String(err) when no message', () => {
       const onCalls = bot.bot.on.mock.calls;
       const errorCall = onCalls.find(c => c[0] === 'error');
@@ -363,6 +544,49 @@ describe('BirdBot', () => {
       await expect(startHandler[1](msg)).resolves.toBeUndefined();
     });
 
+    test('runs the handler on the user\'s own eBird key', async () => {
+      userKeyStore.getKey.mockReturnValueOnce('USERKEY1');
+      bot.handleStart = jest.fn().mockResolvedValue();
+
+      const startHandler = bot.bot.onText.mock.calls.find(c => c[0].toString().includes('start'));
+      await startHandler[1]({ chat: { id: 4242 }, from: { first_name: 'Test' } });
+
+      expect(userKeyStore.getKey).toHaveBeenCalledWith(4242);
+      expect(bot.ebirdService.runWithKey).toHaveBeenCalledWith('USERKEY1', expect.any(Function), expect.any(Function));
+      expect(bot.handleStart).toHaveBeenCalled();
+    });
+
+    test('tells the user when eBird rejects their key', async () => {
+      userKeyStore.getKey.mockReturnValueOnce('USERKEY1');
+      bot.ebirdService.runWithKey.mockImplementationOnce(async (key, fn, onRejected) => {
+        onRejected();
+        throw Object.assign(new Error('Request failed with status code 401'), { code: 'EBIRD_USER_KEY_REJECTED' });
+      });
+
+      const startHandler = bot.bot.onText.mock.calls.find(c => c[0].toString().includes('start'));
+      await startHandler[1]({ chat: { id: 4242 }, from: { first_name: 'Test' } });
+
+      const texts = bot.bot.sendMessage.mock.calls.map(call => call[1]);
+      expect(texts).toEqual(expect.arrayContaining([expect.stringContaining('rejected your saved API key')]));
+    });
+
+    test('rate-limits inline queries on the sender and answers with a hint', async () => {
+      bot.handleInlineQuery = jest.fn().mockResolvedValue();
+      const inlineHandler = bot.bot.on.mock.calls.find(c => c[0] === 'inline_query');
+      for (let i = 0; i < bot.RATE_LIMIT_MAX; i++) {
+        await inlineHandler[1]({ id: `q${i}`, query: 'kingfisher sg', from: { id: 6666 } });
+      }
+      expect(bot.handleInlineQuery).toHaveBeenCalledTimes(bot.RATE_LIMIT_MAX);
+
+      await inlineHandler[1]({ id: 'over', query: 'kingfisher sg', from: { id: 6666 } });
+
+      expect(bot.handleInlineQuery).toHaveBeenCalledTimes(bot.RATE_LIMIT_MAX);
+      expect(bot.bot.answerInlineQuery).toHaveBeenCalledWith('over', [], expect.objectContaining({
+        button: expect.stringContaining('Too many searches'),
+      }));
+      expect(bot.bot.sendMessage).not.toHaveBeenCalled();
+    });
+
     test('safe wrapper skips rate-limit when chatId is null (no chat.id)', async () => {
       const onTextCalls = bot.bot.onText.mock.calls;
       const startHandler = onTextCalls.find(c => c[0].toString().includes('start'));
@@ -421,14 +645,82 @@ describe('BirdBot', () => {
         expect.stringContaining('hotspots'),
         expect.stringContaining('species'),
         expect.stringContaining('regions'),
+        expect.stringContaining('watch'),
+        expect.stringContaining('watchlist'),
+        expect.stringContaining('unwatch'),
+        expect.stringContaining('rarealerts'),
+        expect.stringContaining('settings'),
+        expect.stringContaining('lifelist'),
+        expect.stringContaining('targets'),
+        expect.stringContaining('checklist'),
+        expect.stringContaining('onthisday'),
+        expect.stringContaining('setkey'),
+        expect.stringContaining('removekey'),
+        expect.stringContaining('digest'),
+        expect.stringContaining('digests'),
       ]));
     });
 
+    const onTextFor = (name) => bot.bot.onText.mock.calls.find(c => c[0].toString().startsWith(`/^\\/${name}(`));
+
+    test('/watch pattern does not match /watchlist', () => {
+      const watch = onTextFor('watch')[0];
+      expect(watch.test('/watch Hornbill, SG')).toBe(true);
+      expect(watch.test('/watchlist')).toBe(false);
+      expect(watch.test('/unwatch 1')).toBe(false);
+    });
+
+    test('/digest pattern does not match /digests', () => {
+      const digest = onTextFor('digest')[0];
+      expect(digest.test('/digest daily Singapore')).toBe(true);
+      expect(digest.test('/digests')).toBe(false);
+    });
+
+    test('command patterns accept an @botname suffix', () => {
+      const sightings = onTextFor('sightings')[0];
+      expect('/sightings@BirdBot Singapore'.match(sightings)[1]).toBe(' Singapore');
+      expect('/sightings Singapore'.match(sightings)[1]).toBe(' Singapore');
+      expect(sightings.test('/sightingsx')).toBe(false);
+    });
+
+    test('commands addressed to another bot are ignored', async () => {
+      await Promise.resolve(); // let getMe() settle
+      const spy = jest.spyOn(bot, 'handleSightings').mockResolvedValue();
+      const [pattern, handler] = onTextFor('sightings');
+      const run = (text) => handler({ chat: { id: -100, type: 'group' }, from: { id: 7 }, text }, text.match(pattern));
+
+      await run('/sightings@OtherBot SG');
+      expect(spy).not.toHaveBeenCalled();
+
+      await run('/sightings@birdbot SG');
+      expect(spy).toHaveBeenCalledWith(expect.anything(), expect.arrayContaining([' SG']));
+    });
+
+    test('group members get separate conversation states', async () => {
+      const [, handler] = onTextFor('watch');
+      const group = { id: -100, type: 'supergroup' };
+
+      await handler({ chat: group, from: { id: 7 }, text: '/watch' }, ['/watch', '']);
+      await handler({ chat: group, from: { id: 8 }, text: '/watch' }, ['/watch', '']);
+
+      expect(bot.userStates.get('-100:7')).toMatchObject({ action: 'awaiting_watch' });
+      expect(bot.userStates.get('-100:8')).toMatchObject({ action: 'awaiting_watch' });
+      expect(bot.userStates.has(-100)).toBe(false);
+    });
+
+    test('replies go to the forum topic the command came from', async () => {
+      const [, handler] = onTextFor('help');
+      await handler({ chat: { id: -100, type: 'supergroup' }, from: { id: 7 }, message_id: 3, is_topic_message: true, message_thread_id: 42, text: '/help' }, ['/help', '']);
+
+      expect(bot.bot.sendMessage).toHaveBeenCalledWith(-100, expect.any(String), expect.objectContaining({ message_thread_id: 42 }));
+    });
+
     test('registers location, callback_query, and message handlers', () => {
       const events = bot.bot.on.mock.calls.map(c => c[0]);
       expect(events).toContain('location');
       expect(events).toContain('callback_query');
       expect(events).toContain('message');
+      expect(events).toContain('inline_query');
     });
 
     test('logs handler registration', () => {
@@ -448,11 +740,36 @@ describe('BirdBot', () => {
       expect(result).toBeUndefined();
     });
 
-    test('logs error on send failure', async () => {
+    test('drops the alerts of a chat that blocked the bot', async () => {
+      const drop = jest.spyOn(bot, 'dropUnreachableChat').mockImplementation(() => {});
+      bot.bot.sendMessage.mockRejectedValueOnce(Object.assign(new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user'), {
+        response: { statusCode: 403, body: { error_code: 403, description: 'Forbidden: bot was blocked by the user' } },
+      }));
+
+      await expect(bot.sendMessage(12345, 'Hello')).resolves.toBeUndefined();
+      expect(drop).toHaveBeenCalledWith(12345);
+    });
+
+    test('keeps the alerts after other failures', async () => {
+      const drop = jest.spyOn(bot, 'dropUnreachableChat').mockImplementation(() => {});
+      bot.bot.sendMessage.mockRejectedValueOnce(Object.assign(new Error('ETELEGRAM: 400 Bad Request: message is too long'), {
+        response: { statusCode: 400, body: { error_code: 400, description: 'Bad Request: message is too long' } },
+      }));
+
+      await bot.sendMessage(12345, 'Hello');
+      expect(drop).not.toHaveBeenCalled();
+    });
+
+    test('logs a failed send as a dead letter', async () => {
       bot.bot.sendMessage.mockRejectedValueOnce(new Error('network timeout'));
 
       await bot.sendMessage(12345, 'Hello');
-      expect(loggerMock.error).toHaveBeenCalledWith('Error sending message', expect.objectContaining({ chatId: 12345 }));
+      expect(loggerMock.error).toHaveBeenCalledWith('Telegram send dead-lettered', expect.objectContaining({
+        chatId: 12345,
+        method: 'sendMessage',
+        error: 'network timeout',
+      }));
+      expect(bot.getSendStats()).toEqual({ queued: 0, sent: 0, retried: 0, deadLettered: 1 });
     });
   });
 
@@ -0,0 +1,241 @@
+/**
+ * Tests for src/services/alertScheduler.js
+ * Subscription storage and the bot are mocked.
+ */
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/subscriptionStore', () => ({
+  all: jest.fn().mockReturnValue([]),
+  markSeen: jest.fn(),
+}));
+
+const alertScheduler = require('../../src/services/alertScheduler');
+const subscriptionStore = require('../../src/services/subscriptionStore');
+const logger = require('../../src/utils/logger');
+
+function makeBot() {
+  return {
+    ebirdService: {
+      getSpeciesObservations: jest.fn().mockResolvedValue([]),
+      getNotableObservations: jest.fn().mockResolvedValue([]),
+    },
+    sendWatchAlert: jest.fn().mockResolvedValue(true),
+    sendRarityAlert: jest.fn().mockResolvedValue(true),
+  };
+}
+
+const obs = (subId, obsDt = '2026-02-15 08:00') => ({ subId, obsDt, comName: 'Oriental Pied Hornbill' });
+
+describe('AlertScheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    subscriptionStore.all.mockReturnValue([]);
+    alertScheduler._running = false;
+  });
+
+  afterEach(() => {
+    alertScheduler.stop();
+  });
+
+  describe('sightingKey()', () => {
+    test('combines subId and obsDt', () => {
+      expect(alertScheduler.sightingKey(obs('S1'))).toBe('S1|2026-02-15 08:00');
+    });
+
+    test('falls back to locId when subId is missing', () => {
+      expect(alertScheduler.sightingKey({ locId: 'L9', obsDt: '2026-02-15' })).toBe('L9|2026-02-15');
+    });
+
+    test('prefixes the species code for notable feeds', () => {
+      const o = { ...obs('S1'), speciesCode: 'faipit' };
+      expect(alertScheduler.sightingKey(o, 'notable')).toBe('faipit|S1|2026-02-15 08:00');
+    });
+  });
+
+  describe('fetchObservations()', () => {
+    test('uses the notable endpoint for notable subscriptions', async () => {
+      const bot = makeBot();
+      await alertScheduler.fetchObservations(bot.ebirdService, { kind: 'notable', regionCode: 'SG' });
+      expect(bot.ebirdService.getNotableObservations).toHaveBeenCalledWith('SG', alertScheduler.LOOKBACK_DAYS, 200);
+      expect(bot.ebirdService.getSpeciesObservations).not.toHaveBeenCalled();
+    });
+
+    test('uses the species endpoint otherwise', async () => {
+      const bot = makeBot();
+      await alertScheduler.fetchObservations(bot.ebirdService, { kind: 'species', regionCode: 'SG', speciesCode: 'x' });
+      expect(bot.ebirdService.getSpeciesObservations).toHaveBeenCalledWith('SG', 'x', alertScheduler.LOOKBACK_DAYS);
+    });
+  });
+
+  describe('poll()', () => {
+    test('sends only unseen observations and marks them seen', async () => {
+      const bot = makeBot();
+      const sub = { id: 'a1', chatId: 1, regionCode: 'SG', speciesCode: 'orphor1', seen: ['S1|2026-02-15 08:00'] };
+      subscriptionStore.all.mockReturnValue([sub]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1'), obs('S2')]);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.ebirdService.getSpeciesObservations).toHaveBeenCalledWith('SG', 'orphor1', alertScheduler.LOOKBACK_DAYS);
+      expect(bot.sendWatchAlert).toHaveBeenCalledWith(sub, [obs('S2')]);
+      expect(subscriptionStore.markSeen).toHaveBeenCalledWith('a1', ['S2|2026-02-15 08:00']);
+    });
+
+    test('sends nothing when all observations were seen', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([{ id: 'a1', regionCode: 'SG', speciesCode: 'x', seen: ['S1|2026-02-15 08:00'] }]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1')]);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.sendWatchAlert).not.toHaveBeenCalled();
+      expect(subscriptionStore.markSeen).not.toHaveBeenCalled();
+    });
+
+    test('fetches shared queries once for multiple subscribers', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([
+        { id: 'a1', chatId: 1, regionCode: 'SG', speciesCode: 'x', seen: [] },
+        { id: 'a2', chatId: 2, regionCode: 'SG', speciesCode: 'x', seen: [] },
+        { id: 'a3', chatId: 3, regionCode: 'MY', speciesCode: 'x', seen: [] },
+      ]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1')]);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.ebirdService.getSpeciesObservations).toHaveBeenCalledTimes(2);
+      expect(bot.sendWatchAlert).toHaveBeenCalledTimes(3);
+    });
+
+    test('treats a missing seen list as empty', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([{ id: 'a1', regionCode: 'SG', speciesCode: 'x' }]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue(null);
+      await alertScheduler.poll(bot);
+      expect(bot.sendWatchAlert).not.toHaveBeenCalled();
+
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1')]);
+      await alertScheduler.poll(bot);
+      expect(bot.sendWatchAlert).toHaveBeenCalledTimes(1);
+    });
+
+    test('logs and skips a failing query without stopping the run', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([
+        { id: 'a1', regionCode: 'XX', speciesCode: 'x', seen: [] },
+        { id: 'a2', regionCode: 'SG', speciesCode: 'x', seen: [] },
+      ]);
+      bot.ebirdService.getSpeciesObservations
+        .mockRejectedValueOnce(new Error('400'))
+        .mockResolvedValueOnce([obs('S1')]);
+
+      await alertScheduler.poll(bot);
+
+      expect(logger.warn).toHaveBeenCalledWith('Alert poll failed', expect.objectContaining({ query: 'species|XX|x' }));
+      expect(bot.sendWatchAlert).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps sightings unseen when the alert was refused', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([{ id: 'a1', chatId: 1, regionCode: 'SG', speciesCode: 'x', seen: [] }]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1')]);
+      bot.sendWatchAlert.mockResolvedValue(false);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.sendWatchAlert).toHaveBeenCalled();
+      expect(subscriptionStore.markSeen).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith('Alert not delivered, retrying next poll', expect.objectContaining({ chatId: 1 }));
+    });
+
+    test('a failing delivery does not stop the other subscriptions', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([
+        { id: 'a1', chatId: 1, regionCode: 'SG', speciesCode: 'x', seen: [] },
+        { id: 'a2', chatId: 2, regionCode: 'SG', speciesCode: 'x', seen: [] },
+      ]);
+      bot.ebirdService.getSpeciesObservations.mockResolvedValue([obs('S1')]);
+      bot.sendWatchAlert.mockRejectedValueOnce(new Error('boom'));
+
+      await alertScheduler.poll(bot);
+
+      expect(logger.error).toHaveBeenCalledWith('Alert delivery error', expect.objectContaining({ id: 'a1', error: 'boom' }));
+      expect(bot.sendWatchAlert).toHaveBeenCalledTimes(2);
+      expect(subscriptionStore.markSeen).toHaveBeenCalledTimes(1);
+      expect(subscriptionStore.markSeen).toHaveBeenCalledWith('a2', ['S1|2026-02-15 08:00']);
+    });
+
+    test('routes notable subscriptions to sendRarityAlert with species-aware keys', async () => {
+      const bot = makeBot();
+      const sub = { id: 'n1', chatId: 1, kind: 'notable', regionCode: 'SG', seen: ['faipit|S1|2026-02-15 08:00'] };
+      subscriptionStore.all.mockReturnValue([sub]);
+      const seenObs = { ...obs('S1'), speciesCode: 'faipit' };
+      const sameChecklist = { ...obs('S1'), speciesCode: 'spbsan' };
+      bot.ebirdService.getNotableObservations.mockResolvedValue([seenObs, sameChecklist, sameChecklist]);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.sendRarityAlert).toHaveBeenCalledWith(sub, [sameChecklist]);
+      expect(bot.sendWatchAlert).not.toHaveBeenCalled();
+      expect(subscriptionStore.markSeen).toHaveBeenCalledWith('n1', ['spbsan|S1|2026-02-15 08:00']);
+    });
+
+    test('notable and species subscriptions in one region are fetched separately', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockReturnValue([
+        { id: 'a1', kind: 'species', regionCode: 'SG', speciesCode: 'x', seen: [] },
+        { id: 'n1', kind: 'notable', regionCode: 'SG', seen: [] },
+        { id: 'n2', kind: 'notable', regionCode: 'SG', seen: [] },
+      ]);
+
+      await alertScheduler.poll(bot);
+
+      expect(bot.ebirdService.getSpeciesObservations).toHaveBeenCalledTimes(1);
+      expect(bot.ebirdService.getNotableObservations).toHaveBeenCalledTimes(1);
+    });
+
+    test('logs unexpected errors and resets the running flag', async () => {
+      const bot = makeBot();
+      subscriptionStore.all.mockImplementation(() => { throw new Error('boom'); });
+
+      await expect(alertScheduler.poll(bot)).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith('Alert polling error', expect.objectContaining({ error: 'boom' }));
+      expect(alertScheduler._running).toBe(false);
+    });
+
+    test('skips when a previous run is still in progress', async () => {
+      const bot = makeBot();
+      alertScheduler._running = true;
+      await alertScheduler.poll(bot);
+      expect(subscriptionStore.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('start() / stop()', () => {
+    test('polls on each interval tick', () => {
+      jest.useFakeTimers();
+      const bot = makeBot();
+      const pollSpy = jest.spyOn(alertScheduler, 'poll').mockResolvedValue();
+
+      alertScheduler.start(bot);
+      jest.advanceTimersByTime(15 * 60 * 1000);
+
+      expect(pollSpy).toHaveBeenCalledWith(bot);
+      alertScheduler.stop();
+      expect(alertScheduler._timer).toBeNull();
+
+      pollSpy.mockRestore();
+      jest.useRealTimers();
+    });
+
+    test('stop() is safe to call with no timer', () => {
+      alertScheduler._timer = null;
+      expect(() => alertScheduler.stop()).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for src/services/alertThrottle.js
+ * Uses the real store in a temp directory; profiles and the bot are mocked.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/profileStore', () => ({
+  getProfile: jest.fn(),
+}));
+
+describe('AlertThrottle', () => {
+  let tmpDir;
+  let throttle;
+  let profileStore;
+  let bot;
+  let send;
+
+  // Local times in Singapore (UTC+8) on 20 Oct 2026
+  const SG_2330 = new Date('2026-10-20T15:30:00Z');
+  const SG_0630 = new Date('2026-10-19T22:30:00Z');
+  const SG_0730 = new Date('2026-10-19T23:30:00Z');
+  const minutesLater = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  const alert = (summary) => ({ summary, regionCode: 'SG' });
+  const setProfile = (profile) => profileStore.getProfile.mockReturnValue({ homeRegion: null, quietHours: null, maxAlertsPerHour: null, ...profile });
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'throttle-'));
+    profileStore = require('../../src/services/profileStore');
+    throttle = require('../../src/services/alertThrottle');
+    throttle.filePath = path.join(tmpDir, '.deliveries.json');
+    throttle._data = null;
+    bot = { sendAlertCatchUp: jest.fn().mockResolvedValue(true) };
+    send = jest.fn().mockResolvedValue(true);
+    setProfile({});
+  });
+
+  afterEach(() => {
+    throttle.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('isQuiet()', () => {
+    test('handles quiet hours that wrap past midnight', () => {
+      expect(throttle.isQuiet('22:00-07:00', 'SG', SG_2330)).toBe(true);
+      expect(throttle.isQuiet('22:00-07:00', 'SG', SG_0630)).toBe(true);
+      expect(throttle.isQuiet('22:00-07:00', 'SG', SG_0730)).toBe(false);
+    });
+
+    test('handles quiet hours within one day', () => {
+      expect(throttle.isQuiet('00:00-07:00', 'SG', SG_0630)).toBe(true);
+      expect(throttle.isQuiet('00:00-07:00', 'SG', SG_2330)).toBe(false);
+    });
+
+    test('uses the region\'s timezone and is off without quiet hours', () => {
+      // 07:30 in Singapore is 19:30 the evening before in New York
+      expect(throttle.isQuiet('19:00-20:00', 'US-NY', SG_0730)).toBe(true);
+      expect(throttle.isQuiet(null, 'SG', SG_2330)).toBe(false);
+    });
+  });
+
+  describe('deliver()', () => {
+    test('sends straight away when nothing applies', async () => {
+      await expect(throttle.deliver(bot, 42, send, alert('one'), SG_2330)).resolves.toBe(true);
+      expect(send).toHaveBeenCalled();
+      expect(throttle.heldFor(42)).toEqual([]);
+    });
+
+    test('reports a refused send', async () => {
+      send.mockResolvedValue(false);
+      await expect(throttle.deliver(bot, 42, send, alert('one'), SG_2330)).resolves.toBe(false);
+    });
+
+    test('holds alerts during quiet hours', async () => {
+      setProfile({ quietHours: '22:00-07:00' });
+      await expect(throttle.deliver(bot, 42, send, alert('one'), SG_2330)).resolves.toBe(true);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(throttle.heldFor(42)).toEqual([{ summary: 'one', regionCode: 'SG', heldAt: SG_2330.toISOString() }]);
+    });
+
+    test('quiet hours follow the home region when there is one', async () => {
+      setProfile({ quietHours: '22:00-07:00', homeRegion: 'US-NY' }); // 11:30 in New York
+      await throttle.deliver(bot, 42, send, alert('one'), SG_2330);
+      expect(send).toHaveBeenCalled();
+    });
+
+    test('holds alerts over the hourly limit', async () => {
+      setProfile({ maxAlertsPerHour: 2 });
+      await throttle.deliver(bot, 42, send, alert('one'), SG_0730);
+      await throttle.deliver(bot, 42, send, alert('two'), minutesLater(SG_0730, 10));
+      await throttle.deliver(bot, 42, send, alert('three'), minutesLater(SG_0730, 20));
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(throttle.heldFor(42).map(a => a.summary)).toEqual(['three']);
+    });
+
+    test('sends held alerts first, as one catch-up', async () => {
+      setProfile({ quietHours: '22:00-07:00' });
+      await throttle.deliver(bot, 42, send, alert('one'), SG_2330);
+      await throttle.deliver(bot, 42, send, alert('two'), SG_0630);
+
+      await throttle.deliver(bot, 42, send, alert('three'), SG_0730);
+
+      expect(bot.sendAlertCatchUp).toHaveBeenCalledWith(42, [
+        expect.objectContaining({ summary: 'one' }),
+        expect.objectContaining({ summary: 'two' }),
+      ]);
+      expect(bot.sendAlertCatchUp.mock.invocationCallOrder[0]).toBeLessThan(send.mock.invocationCallOrder[0]);
+      expect(throttle.heldFor(42)).toEqual([]);
+    });
+
+    test('held alerts survive a restart', async () => {
+      setProfile({ quietHours: '22:00-07:00' });
+      await throttle.deliver(bot, 42, send, alert('one'), SG_2330);
+
+      throttle._data = null; // re-read from disk, as after a restart
+      expect(throttle.heldFor(42).map(a => a.summary)).toEqual(['one']);
+    });
+  });
+
+  describe('flushAll()', () => {
+    beforeEach(async () => {
+      setProfile({ quietHours: '22:00-07:00' });
+      await throttle.deliver(bot, 42, send, alert('one'), SG_2330);
+      await throttle.deliver(bot, 42, send, alert('two'), SG_2330);
+    });
+
+    test('waits for quiet hours to end', async () => {
+      await throttle.flushAll(bot, SG_0630);
+      expect(bot.sendAlertCatchUp).not.toHaveBeenCalled();
+    });
+
+    test('then sends one catch-up, counted as one alert', async () => {
+      setProfile({ quietHours: '22:00-07:00', maxAlertsPerHour: 1 });
+      await throttle.flushAll(bot, SG_0730);
+      await throttle.flushAll(bot, minutesLater(SG_0730, 1));
+
+      expect(bot.sendAlertCatchUp).toHaveBeenCalledTimes(1);
+      expect(bot.sendAlertCatchUp.mock.calls[0][1]).toHaveLength(2);
+
+      // The catch-up used up this hour's one alert
+      await throttle.deliver(bot, 42, send, alert('three'), minutesLater(SG_0730, 5));
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    test('keeps the alerts when the catch-up fails', async () => {
+      bot.sendAlertCatchUp.mockResolvedValueOnce(false);
+      await throttle.flushAll(bot, SG_0730);
+      expect(throttle.heldFor('42').map(a => a.summary)).toEqual(['one', 'two']);
+
+      await throttle.flushAll(bot, minutesLater(SG_0730, 1));
+      expect(bot.sendAlertCatchUp).toHaveBeenCalledTimes(2);
+      expect(throttle.heldFor('42')).toEqual([]);
+    });
+  });
+
+  test('start() checks every minute until stopped', () => {
+    jest.useFakeTimers();
+    const flushAll = jest.spyOn(throttle, 'flushAll').mockResolvedValue();
+
+    throttle.start(bot);
+    jest.advanceTimersByTime(60 * 1000);
+    expect(flushAll).toHaveBeenCalledWith(bot);
+
+    throttle.stop();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(flushAll).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
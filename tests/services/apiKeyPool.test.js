@@ -0,0 +1,113 @@
+/**
+ * Tests for src/services/apiKeyPool.js
+ */
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const ApiKeyPool = require('../../src/services/apiKeyPool');
+
+describe('ApiKeyPool', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    test('drops blanks and duplicates', () => {
+      const pool = new ApiKeyPool(['key1', ' key2 ', '', 'key1']);
+      expect(pool.keys).toEqual(['key1', 'key2']);
+      expect(pool.size).toBe(2);
+    });
+
+    test('requires at least one key', () => {
+      expect(() => new ApiKeyPool([])).toThrow('At least one eBird API key is required');
+      expect(() => ApiKeyPool.fromString('')).toThrow();
+    });
+
+    test('fromString() splits a comma-separated list', () => {
+      expect(ApiKeyPool.fromString('key1, key2').keys).toEqual(['key1', 'key2']);
+    });
+  });
+
+  describe('acquire()', () => {
+    test('hands out the least used key', () => {
+      const pool = new ApiKeyPool(['key1', 'key2']);
+      pool.recordUse('key1');
+      expect(pool.acquire()).toBe('key2');
+      pool.recordUse('key2');
+      pool.recordUse('key2');
+      expect(pool.acquire()).toBe('key1');
+    });
+
+    test('skips excluded and throttled keys', () => {
+      const pool = new ApiKeyPool(['key1', 'key2', 'key3']);
+      pool.markThrottled('key1', 5000);
+      expect(pool.acquire(['key2'])).toBe('key3');
+    });
+
+    test('falls back to the key that recovers first when all are throttled', () => {
+      const pool = new ApiKeyPool(['key1', 'key2']);
+      pool.markThrottled('key1', 5000);
+      pool.markThrottled('key2', 1000);
+      expect(pool.acquire()).toBe('key2');
+      expect(pool.hasReadyKey()).toBe(false);
+    });
+
+    test('throttled keys come back after the cooldown', () => {
+      jest.useFakeTimers();
+      const pool = new ApiKeyPool(['key1', 'key2']);
+      pool.recordUse('key2');
+      pool.markThrottled('key1');
+      expect(pool.acquire()).toBe('key2');
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(pool.acquire()).toBe('key1');
+    });
+
+    test('rejected keys are benched', () => {
+      const pool = new ApiKeyPool(['key1', 'key2']);
+      pool.markRejected('key1');
+      expect(pool.acquire()).toBe('key2');
+      expect(pool.acquire(['key2'])).toBeNull();
+    });
+
+    test('respects the daily quota and resets it the next UTC day', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-03-01T23:59:00Z'));
+      const pool = new ApiKeyPool(['key1'], { dailyQuota: 2 });
+      pool.recordUse('key1');
+      pool.recordUse('key1');
+      expect(pool.acquire()).toBeNull();
+
+      jest.setSystemTime(new Date('2026-03-02T00:00:01Z'));
+      expect(pool.acquire()).toBe('key1');
+    });
+
+    test('ignores unknown keys', () => {
+      const pool = new ApiKeyPool(['key1']);
+      pool.recordUse('nope');
+      pool.markThrottled('nope');
+      pool.markRejected('nope');
+      expect(pool.acquire()).toBe('key1');
+    });
+  });
+
+  describe('getStats()', () => {
+    test('reports masked keys with usage and status', () => {
+      const pool = new ApiKeyPool(['abcdef1234', 'ghijkl5678', 'xyz'], { dailyQuota: 1 });
+      pool.recordUse('abcdef1234');
+      pool.markThrottled('ghijkl5678', 1000);
+
+      expect(pool.getStats()).toEqual([
+        { key: '…1234', status: 'quota', usedToday: 1, total: 1, throttled: 0, rejected: 0 },
+        { key: '…5678', status: 'throttled', usedToday: 0, total: 0, throttled: 1, rejected: 0 },
+        { key: '…', status: 'ok', usedToday: 0, total: 0, throttled: 0, rejected: 0 },
+      ]);
+
+      pool.markRejected('xyz');
+      expect(pool.getStats()[2].status).toBe('rejected');
+    });
+  });
+});
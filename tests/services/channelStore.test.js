@@ -0,0 +1,111 @@
+/**
+ * Tests for src/services/channelStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('ChannelStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'channels-'));
+    store = require('../../src/services/channelStore');
+    store.filePath = path.join(tmpDir, '.channels.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const config = { title: 'Bird Club', regions: [{ regionCode: 'SG', regionName: 'Singapore' }], postTime: '07:00' };
+
+  describe('save()', () => {
+    test('fills in defaults for a new channel', () => {
+      const channel = store.save('-1001', config);
+      expect(channel).toMatchObject({ channelId: '-1001', format: 'summary', lastPosted: {}, speciesSeen: {} });
+      expect(channel.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('merges changes into an existing channel', () => {
+      store.save('-1001', config);
+      store.claimPost('-1001', 'SG', '2026-10-19');
+      const channel = store.save('-1001', { format: 'compact' });
+
+      expect(channel.format).toBe('compact');
+      expect(channel.postTime).toBe('07:00');
+      expect(channel.lastPosted).toEqual({ SG: '2026-10-19' });
+    });
+
+    test('persists to disk', () => {
+      store.save('-1001', config);
+      const raw = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+      expect(raw['-1001'].title).toBe('Bird Club');
+    });
+  });
+
+  describe('claimPost() / releasePost()', () => {
+    test('a date can be claimed once, even after a restart', () => {
+      store.save('-1001', config);
+      expect(store.claimPost('-1001', 'SG', '2026-10-19')).toBe(true);
+
+      store._data = null; // re-read from disk, as after a restart
+      expect(store.claimPost('-1001', 'SG', '2026-10-19')).toBe(false);
+      expect(store.claimPost('-1001', 'SG', '2026-10-20')).toBe(true);
+    });
+
+    test('releasing restores the previous date', () => {
+      store.save('-1001', config);
+      store.claimPost('-1001', 'SG', '2026-10-19');
+      store.claimPost('-1001', 'SG', '2026-10-20');
+
+      store.releasePost('-1001', 'SG', '2026-10-19');
+      expect(store.get('-1001').lastPosted.SG).toBe('2026-10-19');
+
+      store.releasePost('-1001', 'SG', null);
+      expect(store.get('-1001').lastPosted).toEqual({});
+    });
+
+    test('unknown channels cannot be claimed', () => {
+      expect(store.claimPost('nope', 'SG', '2026-10-19')).toBe(false);
+      expect(() => store.releasePost('nope', 'SG', null)).not.toThrow();
+    });
+  });
+
+  describe('recordSpecies()', () => {
+    test('remembers species per region with the date last reported', () => {
+      store.save('-1001', config);
+      store.recordSpecies('-1001', 'SG', ['houspa', 'colkin1'], '2026-10-19');
+      store.recordSpecies('-1001', 'SG', ['houspa'], '2026-10-20');
+
+      expect(store.get('-1001').speciesSeen.SG).toEqual({ houspa: '2026-10-20', colkin1: '2026-10-19' });
+    });
+
+    test('forgets species not reported for 30 days', () => {
+      store.save('-1001', config);
+      store.recordSpecies('-1001', 'SG', ['rarbir'], '2026-09-01');
+      store.recordSpecies('-1001', 'SG', ['houspa'], '2026-10-19');
+
+      expect(store.get('-1001').speciesSeen.SG).toEqual({ houspa: '2026-10-19' });
+    });
+  });
+
+  test('remove() and all()', () => {
+    store.save('-1001', config);
+    store.save('-1002', config);
+    expect(store.all()).toHaveLength(2);
+    expect(store.remove('-1001')).toBe(true);
+    expect(store.all().map(c => c.channelId)).toEqual(['-1002']);
+  });
+});
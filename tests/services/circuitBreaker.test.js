@@ -0,0 +1,95 @@
+/**
+ * Tests for src/services/circuitBreaker.js
+ */
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const CircuitBreaker = require('../../src/services/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts closed', () => {
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('opens after the failure threshold', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('a success resets the failure count', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('lets a single trial request through once the timeout passes', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('a successful trial closes the circuit', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.getStats()).toEqual({ state: 'closed', failures: 0, openedAt: null });
+  });
+
+  test('a failed trial reopens the circuit for another timeout', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest()).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a trial that never reports back is given up after trialTimeout', () => {
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000, trialTimeout: 5000 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true); // the trial hangs
+
+    jest.advanceTimersByTime(4999);
+    expect(breaker.canRequest()).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for src/services/digestScheduler.js
+ * Uses the real channel and digest stores in a temp directory; the bot is mocked.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('DigestScheduler', () => {
+  let tmpDir;
+  let store;
+  let digests;
+  let scheduler;
+  let bot;
+
+  // 07:30 in Singapore (UTC+8) on 20 Oct 2026
+  const SG_0730 = new Date('2026-10-19T23:30:00Z');
+  const SG_0630 = new Date('2026-10-19T22:30:00Z');
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-'));
+    store = require('../../src/services/channelStore');
+    store.filePath = path.join(tmpDir, '.channels.json');
+    store._data = null;
+    digests = require('../../src/services/digestStore');
+    digests.filePath = path.join(tmpDir, '.digests.json');
+    digests._data = null;
+    scheduler = require('../../src/services/digestScheduler');
+    bot = {
+      publishChannelDigest: jest.fn().mockResolvedValue(),
+      sendPersonalDigest: jest.fn().mockResolvedValue(),
+    };
+
+    store.save('-1001', {
+      title: 'Bird Club',
+      regions: [{ regionCode: 'SG', regionName: 'Singapore' }],
+      postTime: '07:00',
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('dueDate()', () => {
+    test('is the local date once the local post time has passed', () => {
+      expect(scheduler.dueDate({ postTime: '07:00' }, 'SG', SG_0630)).toBeNull();
+      expect(scheduler.dueDate({ postTime: '07:00' }, 'SG', SG_0730)).toBe('2026-10-20');
+    });
+
+    test('uses each region\'s own timezone', () => {
+      // 07:30 in Singapore is still 19:30 the evening before in New York
+      expect(scheduler.dueDate({ postTime: '07:00' }, 'US-NY', SG_0730)).toBe('2026-10-19');
+      expect(scheduler.dueDate({ postTime: '20:00' }, 'US-NY', SG_0730)).toBeNull();
+    });
+
+    test('is null when that date was already posted', () => {
+      expect(scheduler.dueDate({ postTime: '07:00', lastPosted: '2026-10-20' }, 'SG', SG_0730)).toBeNull();
+    });
+
+    test('weekly digests are only due on their local weekday', () => {
+      // 20 Oct 2026 is a Tuesday in Singapore, still Monday in New York
+      expect(scheduler.dueDate({ postTime: '07:00', weekday: 2 }, 'SG', SG_0730)).toBe('2026-10-20');
+      expect(scheduler.dueDate({ postTime: '07:00', weekday: 1 }, 'SG', SG_0730)).toBeNull();
+      expect(scheduler.dueDate({ postTime: '07:00', weekday: 1 }, 'US-NY', SG_0730)).toBe('2026-10-19');
+    });
+  });
+
+  describe('tick()', () => {
+    test('posts a due digest once', async () => {
+      await scheduler.tick(bot, SG_0730);
+      await scheduler.tick(bot, SG_0730);
+
+      expect(bot.publishChannelDigest).toHaveBeenCalledTimes(1);
+      expect(bot.publishChannelDigest).toHaveBeenCalledWith(
+        expect.objectContaining({ channelId: '-1001' }),
+        { regionCode: 'SG', regionName: 'Singapore' },
+        '2026-10-20'
+      );
+    });
+
+    test('does not post again after a restart', async () => {
+      await scheduler.tick(bot, SG_0730);
+
+      jest.resetModules();
+      const restartedStore = require('../../src/services/channelStore');
+      restartedStore.filePath = store.filePath;
+      require('../../src/services/digestStore').filePath = digests.filePath;
+      const restarted = require('../../src/services/digestScheduler');
+      await restarted.tick(bot, new Date(SG_0730.getTime() + 60 * 60 * 1000));
+
+      expect(bot.publishChannelDigest).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits for the post time', async () => {
+      await scheduler.tick(bot, SG_0630);
+      expect(bot.publishChannelDigest).not.toHaveBeenCalled();
+    });
+
+    test('a failed post is released and retried after a delay', async () => {
+      bot.publishChannelDigest.mockRejectedValueOnce(new Error('eBird down'));
+
+      await scheduler.tick(bot, SG_0730);
+      expect(store.get('-1001').lastPosted).toEqual({});
+
+      await scheduler.tick(bot, new Date(SG_0730.getTime() + 60 * 1000));
+      expect(bot.publishChannelDigest).toHaveBeenCalledTimes(1);
+
+      await scheduler.tick(bot, new Date(SG_0730.getTime() + 16 * 60 * 1000));
+      expect(bot.publishChannelDigest).toHaveBeenCalledTimes(2);
+      expect(store.get('-1001').lastPosted).toEqual({ SG: '2026-10-20' });
+    });
+
+    test('sends a due personal digest once', async () => {
+      const digest = digests.add({ chatId: 42, frequency: 'daily', postTime: '07:15', regionCode: 'SG', regionName: 'Singapore' });
+
+      await scheduler.tick(bot, SG_0730);
+      await scheduler.tick(bot, SG_0730);
+
+      expect(bot.sendPersonalDigest).toHaveBeenCalledTimes(1);
+      expect(bot.sendPersonalDigest).toHaveBeenCalledWith(expect.objectContaining({ id: digest.id }), '2026-10-20');
+      expect(digests.get(digest.id).lastPosted).toBe('2026-10-20');
+    });
+
+    test('weekly personal digests wait for their weekday', async () => {
+      digests.add({ chatId: 42, frequency: 'weekly', weekday: 0, postTime: '07:00', regionCode: 'SG', regionName: 'Singapore' });
+      await scheduler.tick(bot, SG_0730);
+      expect(bot.sendPersonalDigest).not.toHaveBeenCalled();
+    });
+
+    test('a failed personal digest is released and retried after a delay', async () => {
+      const digest = digests.add({ chatId: 42, frequency: 'daily', postTime: '07:00', regionCode: 'SG', regionName: 'Singapore' });
+      bot.sendPersonalDigest.mockRejectedValueOnce(new Error('blocked'));
+
+      await scheduler.tick(bot, SG_0730);
+      expect(digests.get(digest.id).lastPosted).toBeNull();
+
+      await scheduler.tick(bot, new Date(SG_0730.getTime() + 16 * 60 * 1000));
+      expect(bot.sendPersonalDigest).toHaveBeenCalledTimes(2);
+      expect(digests.get(digest.id).lastPosted).toBe('2026-10-20');
+    });
+
+    test('overlapping runs are skipped', async () => {
+      scheduler._running = true;
+      await scheduler.tick(bot, SG_0730);
+      expect(bot.publishChannelDigest).not.toHaveBeenCalled();
+    });
+  });
+
+  test('start() checks every minute until stopped', () => {
+    jest.useFakeTimers();
+    const tick = jest.spyOn(scheduler, 'tick').mockResolvedValue();
+
+    scheduler.start(bot);
+    jest.advanceTimersByTime(60 * 1000);
+    expect(tick).toHaveBeenCalledWith(bot);
+
+    scheduler.stop();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(tick).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for src/services/digestStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('DigestStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-'));
+    store = require('../../src/services/digestStore');
+    store.filePath = path.join(tmpDir, '.digests.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const daily = { chatId: 42, frequency: 'daily', postTime: '07:00', regionCode: 'SG', regionName: 'Singapore' };
+
+  describe('add()', () => {
+    test('assigns an ID and fills in defaults', () => {
+      const digest = store.add(daily);
+      expect(digest.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(digest).toMatchObject({ ...daily, weekday: null, lastPosted: null, speciesSeen: {} });
+      expect(digest.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('persists to disk', () => {
+      const digest = store.add(daily);
+      const raw = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+      expect(raw[digest.id].regionName).toBe('Singapore');
+    });
+  });
+
+  test('listForChat() returns only that chat\'s digests, oldest first', () => {
+    const first = store.add(daily);
+    store.add({ ...daily, chatId: 7 });
+    const second = store.add({ ...daily, frequency: 'weekly', weekday: 0 });
+    store.get(second.id).createdAt = '2999-01-01T00:00:00.000Z';
+
+    expect(store.listForChat('42').map(d => d.id)).toEqual([first.id, second.id]);
+  });
+
+  describe('claimPost() / releasePost()', () => {
+    test('a date can be claimed once, even after a restart', () => {
+      const { id } = store.add(daily);
+      expect(store.claimPost(id, '2026-10-20')).toBe(true);
+
+      store._data = null; // re-read from disk, as after a restart
+      expect(store.claimPost(id, '2026-10-20')).toBe(false);
+      expect(store.claimPost(id, '2026-10-21')).toBe(true);
+    });
+
+    test('releasing restores the previous date', () => {
+      const { id } = store.add(daily);
+      store.claimPost(id, '2026-10-20');
+      store.releasePost(id, null);
+      expect(store.get(id).lastPosted).toBeNull();
+    });
+
+    test('unknown digests cannot be claimed', () => {
+      expect(store.claimPost('nope', '2026-10-20')).toBe(false);
+      expect(() => store.releasePost('nope', null)).not.toThrow();
+    });
+  });
+
+  test('recordSpecies() remembers species and forgets old ones', () => {
+    const { id } = store.add(daily);
+    store.recordSpecies(id, ['rarbir'], '2026-09-01');
+    store.recordSpecies(id, ['houspa'], '2026-10-20');
+
+    expect(store.get(id).speciesSeen).toEqual({ houspa: '2026-10-20' });
+  });
+
+  test('remove() and all()', () => {
+    const { id } = store.add(daily);
+    store.add(daily);
+    expect(store.all()).toHaveLength(2);
+    expect(store.remove(id)).toBe(true);
+    expect(store.all()).toHaveLength(1);
+  });
+});
@@ -56,6 +56,7 @@ describe('EBirdService', () => {
     test('creates axios client with correct config', () => {
       expect(axios.create).toHaveBeenCalledWith({
         baseURL: 'https://api.ebird.org/v2',
+        timeout: 15000,
         headers: { 'X-eBirdApiToken': 'test-api-key' },
       });
     });
@@ -309,6 +310,483 @@ describe('EBirdService', () => {
     });
   });
 
+  // ─── getHistoricObservations ────────────────────────────
+
+  describe('getHistoricObservations()', () => {
+    test('calls the historic endpoint for the date', async () => {
+      mockClient.get.mockResolvedValue({ data: [] });
+      await service.getHistoricObservations('L123', new Date(2025, 5, 14));
+      expect(mockClient.get).toHaveBeenCalledWith('/data/obs/L123/historic/2025/6/14', {
+        params: { rank: 'mrec', maxResults: 1000 },
+      });
+    });
+
+    test('rethrows API errors', async () => {
+      mockClient.get.mockRejectedValue(new Error('400'));
+      await expect(service.getHistoricObservations('SG', new Date(2025, 0, 1))).rejects.toThrow('400');
+    });
+  });
+
+  describe('getHistoricObservationsRange()', () => {
+    test('requests each day and merges newest first', async () => {
+      mockClient.get
+        .mockResolvedValueOnce({ data: [{ speciesCode: 'a', obsDt: '2025-06-14 08:00' }] })
+        .mockResolvedValueOnce({ data: [{ speciesCode: 'b', obsDt: '2025-06-15 07:00' }] });
+
+      const result = await service.getHistoricObservationsRange('SG', new Date(2025, 5, 14), new Date(2025, 5, 15, 23, 59));
+
+      expect(mockClient.get.mock.calls.map(c => c[0])).toEqual([
+        '/data/obs/SG/historic/2025/6/14',
+        '/data/obs/SG/historic/2025/6/15',
+      ]);
+      expect(result.map(o => o.speciesCode)).toEqual(['b', 'a']);
+    });
+
+    test('crosses month boundaries', async () => {
+      mockClient.get.mockResolvedValue({ data: [] });
+      await service.getHistoricObservationsRange('SG', new Date(2025, 0, 31), new Date(2025, 1, 1));
+      expect(mockClient.get.mock.calls.map(c => c[0])).toEqual([
+        '/data/obs/SG/historic/2025/1/31',
+        '/data/obs/SG/historic/2025/2/1',
+      ]);
+    });
+
+    test('refuses ranges longer than MAX_HISTORIC_DAYS before any request', async () => {
+      const get = jest.spyOn(service, '_get');
+      await expect(
+        service.getHistoricObservationsRange('SG', new Date(2025, 0, 1), new Date(2025, 0, 31))
+      ).rejects.toThrow('limited to 7 days');
+      await expect(
+        service.getHistoricObservationsRange('SG', new Date(2025, 0, 1), new Date(2025, 0, 8))
+      ).rejects.toThrow('limited to 7 days');
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    test('allows exactly MAX_HISTORIC_DAYS days', async () => {
+      mockClient.get.mockResolvedValue({ data: [] });
+      await service.getHistoricObservationsRange('SG', new Date(2025, 0, 1), new Date(2025, 0, 7, 23, 59));
+      expect(mockClient.get).toHaveBeenCalledTimes(7);
+    });
+  });
+
+  // ─── getChecklist ───────────────────────────────────────
+
+  describe('getChecklist()', () => {
+    test('calls the checklist view endpoint', async () => {
+      const checklist = { subId: 'S123', obs: [] };
+      mockClient.get.mockResolvedValue({ data: checklist });
+      await expect(service.getChecklist('S123')).resolves.toBe(checklist);
+      expect(mockClient.get).toHaveBeenCalledWith('/product/checklist/view/S123');
+    });
+
+    test('rethrows API errors', async () => {
+      mockClient.get.mockRejectedValue(new Error('404'));
+      await expect(service.getChecklist('S999')).rejects.toThrow('404');
+    });
+  });
+
+  // ─── Response cache ─────────────────────────────────────
+
+  describe('response cache', () => {
+    test('repeat queries are served from cache', async () => {
+      mockClient.get.mockResolvedValue({ data: [{ speciesCode: 'houspa' }] });
+      await service.getRecentObservations('SG', 14, 20);
+      await service.getRecentObservations('sg', 14, 20);
+
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+      expect(service.getCacheStats()).toEqual(expect.objectContaining({ hits: 1, misses: 1 }));
+    });
+
+    test('different params are cached separately', async () => {
+      mockClient.get.mockResolvedValue({ data: [] });
+      await service.getRecentObservations('SG', 14, 20);
+      await service.getRecentObservations('SG', 7, 20);
+      expect(mockClient.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('concurrent identical queries share one request', async () => {
+      let resolve;
+      mockClient.get.mockReturnValue(new Promise(r => { resolve = r; }));
+
+      const pending = [service.getHotspots('SG'), service.getHotspots('SG'), service.getHotspots('SG')];
+      resolve({ data: [{ locId: 'L1' }] });
+      const results = await Promise.all(pending);
+
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+      expect(results).toEqual([[{ locId: 'L1' }], [{ locId: 'L1' }], [{ locId: 'L1' }]]);
+      expect(service.getCacheStats().coalesced).toBe(2);
+    });
+
+    test('hotspot searches reuse one hotspot download', async () => {
+      mockClient.get.mockResolvedValue({ data: [{ locName: 'Botanic Gardens', numSpeciesAllTime: 10 }] });
+      await service.searchHotspotsByName('SG', 'Botanic');
+      await service.getPopularHotspots('SG');
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('callers get their own copy of cached arrays', async () => {
+      mockClient.get.mockResolvedValue({
+        data: [{ locName: 'A', numSpeciesAllTime: 1 }, { locName: 'B', numSpeciesAllTime: 2 }],
+      });
+      await service.getPopularHotspots('SG');
+      const hotspots = await service.getHotspots('SG');
+      expect(hotspots.map(h => h.locName)).toEqual(['A', 'B']);
+    });
+
+    test('expires entries using the per-endpoint TTL', async () => {
+      jest.useFakeTimers();
+      try {
+        mockClient.get.mockResolvedValue({ data: [] });
+        await service.getRecentObservations('SG');
+        jest.advanceTimersByTime(service.CACHE_TTLS.recent + 1);
+        await service.getRecentObservations('SG');
+        await service.getHotspots('SG');
+        jest.advanceTimersByTime(service.CACHE_TTLS.recent + 1);
+        await service.getHotspots('SG');
+
+        expect(mockClient.get).toHaveBeenCalledTimes(3);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('errors are not cached', async () => {
+      mockClient.get.mockRejectedValueOnce(new Error('500')).mockResolvedValueOnce({ data: [] });
+      await expect(service.getNotableObservations('SG')).rejects.toThrow('500');
+      await expect(service.getNotableObservations('SG')).resolves.toEqual([]);
+      expect(mockClient.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  // ─── Retries and circuit breaker ────────────────────────
+
+  describe('retries and circuit breaker', () => {
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers };
+      return error;
+    };
+
+    beforeEach(() => {
+      service._sleep = jest.fn().mockResolvedValue();
+    });
+
+    test('retries 5xx responses with growing backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      mockClient.get
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: ['ok'] });
+
+      await expect(service.getRecentObservations('SG')).resolves.toEqual(['ok']);
+      expect(mockClient.get).toHaveBeenCalledTimes(3);
+      expect(service._sleep.mock.calls).toEqual([[500], [1000]]);
+      Math.random.mockRestore();
+    });
+
+    test('adds jitter to the backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      mockClient.get.mockRejectedValueOnce(httpError(500)).mockResolvedValueOnce({ data: [] });
+
+      await service.getRecentObservations('SG');
+      expect(service._sleep).toHaveBeenCalledWith(250);
+      Math.random.mockRestore();
+    });
+
+    test('waits as long as Retry-After asks on 429', async () => {
+      mockClient.get.mockRejectedValueOnce(httpError(429, { 'retry-after': '2' })).mockResolvedValueOnce({ data: [] });
+      await service.getRecentObservations('SG');
+      expect(service._sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('gives up when Retry-After is longer than the maximum delay', async () => {
+      mockClient.get.mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+      await expect(service.getRecentObservations('SG')).rejects.toThrow('429');
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries network errors', async () => {
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      mockClient.get.mockRejectedValueOnce(reset).mockResolvedValueOnce({ data: [] });
+      await expect(service.getHotspots('SG')).resolves.toEqual([]);
+      expect(mockClient.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors', async () => {
+      mockClient.get.mockRejectedValue(httpError(400));
+      await expect(service.getRecentObservations('XX')).rejects.toThrow('400');
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+      expect(service.breaker.failures).toBe(0);
+    });
+
+    test('stops after maxRetries and counts a breaker failure', async () => {
+      mockClient.get.mockRejectedValue(httpError(500));
+      await expect(service.getRecentObservations('SG')).rejects.toThrow('500');
+      expect(mockClient.get).toHaveBeenCalledTimes(service.RETRY.maxRetries + 1);
+      expect(service.breaker.failures).toBe(1);
+    });
+
+    test('an open circuit fails fast without calling eBird', async () => {
+      for (let i = 0; i < service.breaker.failureThreshold; i++) service.breaker.recordFailure();
+
+      await expect(service.getRecentObservations('SG')).rejects.toMatchObject({ code: 'EBIRD_CIRCUIT_OPEN' });
+      expect(mockClient.get).not.toHaveBeenCalled();
+      expect(service.getCacheStats().circuit).toBe('open');
+    });
+
+    test('a half-open trial that gets no response reopens the circuit, then recovers', async () => {
+      for (let i = 0; i < service.breaker.failureThreshold; i++) service.breaker.recordFailure();
+      service.breaker.openedAt -= service.breaker.resetTimeout; // half-open
+
+      const unreachable = Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+      mockClient.get.mockRejectedValueOnce(unreachable);
+      await expect(service.getHotspots('SG')).rejects.toThrow('Network Error');
+      expect(service.getCacheStats().circuit).toBe('open');
+
+      service.breaker.openedAt -= service.breaker.resetTimeout;
+      mockClient.get.mockResolvedValueOnce({ data: [] });
+      await expect(service.getHotspots('SG')).resolves.toEqual([]);
+      expect(service.getCacheStats().circuit).toBe('closed');
+    });
+
+    test('a hung half-open trial does not leave the circuit stuck', async () => {
+      for (let i = 0; i < service.breaker.failureThreshold; i++) service.breaker.recordFailure();
+      service.breaker.openedAt -= service.breaker.resetTimeout; // half-open
+
+      mockClient.get.mockReturnValueOnce(new Promise(() => {})); // never settles
+      service.getHotspots('SG');
+      await expect(service.getHotspots('US')).rejects.toMatchObject({ code: 'EBIRD_CIRCUIT_OPEN' });
+
+      service.breaker._trialStartedAt -= service.breaker.trialTimeout;
+      mockClient.get.mockResolvedValueOnce({ data: [] });
+      await expect(service.getHotspots('US')).resolves.toEqual([]);
+      expect(service.getCacheStats().circuit).toBe('closed');
+    });
+
+    test('serves the last cached response marked stale while eBird is down', async () => {
+      mockClient.get.mockResolvedValueOnce({ data: [{ speciesCode: 'houspa' }] });
+      await service.getRecentObservations('SG');
+      const { storedAt } = service.cache.peek('recent:/data/obs/SG/recent?{"back":14,"maxResults":20}');
+
+      service.cache._entries.forEach(entry => { entry.expiresAt = 0; });
+      for (let i = 0; i < service.breaker.failureThreshold; i++) service.breaker.recordFailure();
+
+      const result = await service.getRecentObservations('SG');
+      expect(result).toEqual([{ speciesCode: 'houspa' }]);
+      expect(result.staleAt).toBe(storedAt);
+      expect(Object.keys(result)).not.toContain('staleAt');
+    });
+
+    test('does not serve stale data older than STALE_MAX_AGE', async () => {
+      mockClient.get.mockResolvedValueOnce({ data: [] });
+      await service.getRecentObservations('SG');
+      service.cache._entries.forEach(entry => {
+        entry.expiresAt = 0;
+        entry.storedAt -= service.STALE_MAX_AGE + 1;
+      });
+      for (let i = 0; i < service.breaker.failureThreshold; i++) service.breaker.recordFailure();
+
+      await expect(service.getRecentObservations('SG')).rejects.toMatchObject({ code: 'EBIRD_CIRCUIT_OPEN' });
+    });
+
+    test('historic ranges carry the stale marker of their oldest day', async () => {
+      const stale = [{ obsDt: '2025-01-01 08:00' }];
+      Object.defineProperty(stale, 'staleAt', { value: 1000, enumerable: false });
+      service.getHistoricObservations = jest.fn()
+        .mockResolvedValueOnce(stale)
+        .mockResolvedValueOnce([{ obsDt: '2025-01-02 08:00' }]);
+
+      const result = await service.getHistoricObservationsRange('SG', new Date(2025, 0, 1), new Date(2025, 0, 2));
+      expect(result.staleAt).toBe(1000);
+    });
+
+    test('a 401 with no other key is thrown without benching the key', async () => {
+      mockClient.get.mockRejectedValue(httpError(401));
+      await expect(service.getRecentObservations('SG')).rejects.toThrow('401');
+      expect(service.getKeyStats()[0].status).toBe('ok');
+    });
+
+    test('falls back to an expired taxonomy when eBird is down', async () => {
+      service.taxonomyCache = [{ speciesCode: 'houspa' }];
+      service.taxonomyCacheTime = Date.now() - service.TAXONOMY_CACHE_TTL - 1;
+      mockClient.get.mockRejectedValue(httpError(503));
+
+      await expect(service.getTaxonomy()).resolves.toEqual([{ speciesCode: 'houspa' }]);
+    });
+  });
+
+  // ─── API key pool ───────────────────────────────────────
+
+  describe('API key pool', () => {
+    let clients;
+    let pooled;
+
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers };
+      return error;
+    };
+
+    beforeEach(() => {
+      clients = {};
+      axios.create.mockImplementation(({ headers = {} }) => {
+        const client = { get: jest.fn().mockResolvedValue({ data: [] }) };
+        clients[headers['X-eBirdApiToken'] || 'user'] = client;
+        return client;
+      });
+      pooled = new EBirdService('key1, key2');
+      pooled._sleep = jest.fn().mockResolvedValue();
+    });
+
+    test('accepts a comma-separated list, an array or a pool', () => {
+      expect(pooled.keyPool.keys).toEqual(['key1', 'key2']);
+      expect(new EBirdService(['a', 'b']).keyPool.keys).toEqual(['a', 'b']);
+      expect(new EBirdService(pooled.keyPool).keyPool).toBe(pooled.keyPool);
+      expect(pooled.apiKey).toBe('key1');
+    });
+
+    test('spreads requests across keys', async () => {
+      await pooled.getRecentObservations('SG', 1);
+      await pooled.getRecentObservations('SG', 2);
+
+      expect(clients.key1.get).toHaveBeenCalledTimes(1);
+      expect(clients.key2.get).toHaveBeenCalledTimes(1);
+      expect(pooled.getKeyStats().map(k => k.usedToday)).toEqual([1, 1]);
+    });
+
+    test('fails over to another key on 429 without waiting', async () => {
+      clients.key1.get.mockRejectedValueOnce(httpError(429, { 'retry-after': '30' }));
+
+      await expect(pooled.getRecentObservations('SG')).resolves.toEqual([]);
+      expect(clients.key2.get).toHaveBeenCalledTimes(1);
+      expect(pooled._sleep).not.toHaveBeenCalled();
+      expect(pooled.getKeyStats()[0].status).toBe('throttled');
+    });
+
+    test('benches a rejected key and fails over', async () => {
+      clients.key1.get.mockRejectedValue(httpError(403));
+
+      await expect(pooled.getRecentObservations('SG')).resolves.toEqual([]);
+      await pooled.getRecentObservations('SG', 7);
+
+      expect(clients.key1.get).toHaveBeenCalledTimes(1);
+      expect(clients.key2.get).toHaveBeenCalledTimes(2);
+      expect(pooled.getKeyStats()[0].status).toBe('rejected');
+    });
+
+    test('getKeySummary() counts keys by state without exposing them', async () => {
+      clients.key1.get.mockRejectedValue(httpError(403));
+      await pooled.getRecentObservations('SG');
+
+      const summary = pooled.getKeySummary();
+      expect(summary).toEqual({ total: 2, ok: 1, throttled: 0, rejected: 1, quota: 0 });
+      expect(JSON.stringify(summary)).not.toContain('key');
+    });
+
+        test('backs off when every key is throttled', async () => {
+      clients.key1.get.mockRejectedValueOnce(httpError(429, { 'retry-after': '1' }));
+      clients.key2.get.mockRejectedValueOnce(httpError(429, { 'retry-after': '1' }));
+
+      await expect(pooled.getRecentObservations('SG')).resolves.toEqual([]);
+      expect(pooled._sleep).toHaveBeenCalledWith(1000);
+      expect(clients.key1.get).toHaveBeenCalledTimes(2); // key1 recovers first
+    });
+
+    test('runWithKey() sends requests on the user\'s key without touching the pool', async () => {
+      await pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'));
+
+      expect(clients.user.get).toHaveBeenCalledWith('/data/obs/SG/recent', {
+        params: { back: 14, maxResults: 20 },
+        headers: { 'X-eBirdApiToken': 'userkey' },
+      });
+      expect(clients.key1.get).not.toHaveBeenCalled();
+      expect(pooled.getKeyStats().map(k => k.usedToday)).toEqual([0, 0]);
+    });
+
+    test('runWithKey() without a key uses the pool', async () => {
+      await pooled.runWithKey(null, () => pooled.getRecentObservations('SG'));
+      expect(clients.key1.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('user-key requests are cached apart from the pool and from other users', async () => {
+      await pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'));
+      await pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'));
+      await pooled.getRecentObservations('SG');
+      await pooled.runWithKey('otherkey', () => pooled.getRecentObservations('SG'));
+
+      const tokens = clients.user.get.mock.calls.map(([, config]) => config.headers['X-eBirdApiToken']);
+      expect(tokens).toEqual(['userkey', 'otherkey']);
+      expect(clients.key1.get).toHaveBeenCalledTimes(1);
+      expect([...pooled.cache._entries.keys()].join()).not.toContain('userkey');
+    });
+
+    test('a user key request in flight is not shared with pool callers', async () => {
+      let release;
+      clients.user.get.mockReturnValue(new Promise(resolve => { release = resolve; }));
+
+      const mine = pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'));
+      const shared = pooled.getRecentObservations('SG');
+      await expect(shared).resolves.toEqual([]);
+      expect(clients.key1.get).toHaveBeenCalledTimes(1);
+
+      release({ data: [] });
+      await mine;
+    });
+
+    test('a rejected user key is reported to the caller', async () => {
+      clients.user.get.mockRejectedValue(httpError(401));
+      const onRejected = jest.fn();
+
+      await expect(pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'), onRejected))
+        .rejects.toMatchObject({ code: 'EBIRD_USER_KEY_REJECTED' });
+      expect(onRejected).toHaveBeenCalledTimes(1);
+      expect(clients.key1.get).not.toHaveBeenCalled();
+    });
+
+    test('a throttled user key does not count against the breaker', async () => {
+      const throttled = httpError(429, { 'retry-after': '600' });
+      clients.user.get.mockRejectedValue(throttled);
+      await expect(pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'))).rejects.toThrow('429');
+
+      expect(pooled.breaker.failures).toBe(0);
+      expect(pooled.getKeyStats().every(k => k.status === 'ok')).toBe(true);
+    });
+
+    test('validateKey() checks a key with a token-checked observations request', async () => {
+      await expect(pooled.validateKey('goodkey')).resolves.toBe(true);
+      expect(clients.user.get).toHaveBeenCalledWith('/data/obs/US/recent', {
+        params: { back: 1, maxResults: 1 },
+        headers: { 'X-eBirdApiToken': 'goodkey' },
+      });
+    });
+
+    test('validateKey() returns false for rejected keys and rethrows other errors', async () => {
+      clients.user.get.mockRejectedValueOnce(httpError(403));
+      await expect(pooled.validateKey('badkey')).resolves.toBe(false);
+      clients.user.get.mockRejectedValueOnce(httpError(401));
+      await expect(pooled.validateKey('revokedkey')).resolves.toBe(false);
+
+      clients.user.get.mockRejectedValueOnce(httpError(503));
+      await expect(pooled.validateKey('otherkey')).rejects.toThrow('503');
+    });
+
+    test('users\' keys never get a client of their own', async () => {
+      axios.create.mockClear();
+      await pooled.validateKey('userkey');
+      await pooled.runWithKey('userkey', () => pooled.getRecentObservations('SG'));
+      await pooled.runWithKey('otherkey', () => pooled.getRecentObservations('SG'));
+
+      expect([...pooled.clients.keys()]).toEqual(['key1', 'key2']);
+      expect(axios.create).not.toHaveBeenCalled();
+    });
+
+    test('fails with EBIRD_NO_KEYS once every key is out of quota', async () => {
+      const limited = new EBirdService('key1', { dailyQuota: 1 });
+      await limited.getRecentObservations('SG');
+      await expect(limited.getRecentObservations('SG', 3)).rejects.toMatchObject({ code: 'EBIRD_NO_KEYS' });
+    });
+  });
+
   // ─── formatDate ─────────────────────────────────────────
 
   describe('formatDate()', () => {
@@ -323,6 +801,10 @@ describe('EBirdService', () => {
       expect(result).toContain('15/02/2026');
     });
 
+    test('formats as MM/DD/YYYY with MDY', () => {
+      expect(service.formatDate('2026-02-15', 'SG', 'MDY')).toBe('02/15/2026');
+    });
+
     test('returns "Unknown" for null', () => {
       expect(service.formatDate(null)).toBe('Unknown');
     });
@@ -389,6 +871,26 @@ describe('EBirdService', () => {
       const result = service.formatObservation(obsNoUser, 'SG');
       expect(result).not.toContain('Reported by');
     });
+
+    test('adds distance and direction when an origin is given', () => {
+      const result = service.formatObservation(obs, 'SG', { origin: { lat: 1.3521, lng: 103.8198 } });
+      expect(result).toContain('🧭 4.3 km S of you');
+    });
+
+    test('omits distance without an origin', () => {
+      const result = service.formatObservation(obs, 'SG');
+      expect(result).not.toContain('🧭');
+    });
+
+    test('uses MM/DD/YYYY dates when requested', () => {
+      const result = service.formatObservation(obs, 'SG', { dateFormat: 'MDY' });
+      expect(result).toContain('02/15/2026 08:30');
+    });
+
+    test('marks species missing from the life list as lifers', () => {
+      expect(service.formatObservation(obs, 'SG', { lifeList: new Set(['other']) })).toContain('🆕 Lifer');
+      expect(service.formatObservation(obs, 'SG', { lifeList: new Set([obs.speciesCode]) })).not.toContain('🆕 Lifer');
+    });
   });
 
   // ─── deduplicateObservations ────────────────────────────
@@ -0,0 +1,187 @@
+/**
+ * Tests for src/services/jsonStore.js
+ * Uses real file system with a temp directory, and an in-memory
+ * per-record backend standing in for SQLite.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/storage', () => {
+  const actual = jest.requireActual('../../src/services/storage');
+  return { ...actual, getStorage: jest.fn(actual.getStorage) };
+});
+
+const JsonStore = require('../../src/services/jsonStore');
+const logger = require('../../src/utils/logger');
+const { getStorage } = require('../../src/services/storage');
+
+/**
+ * Per-record backend shared by several "processes" (store instances).
+ */
+function recordBackend() {
+  const collections = new Map();
+  const rows = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  return {
+    readRecord: jest.fn((name, key) => (rows(name).has(key) ? JSON.parse(rows(name).get(key)) : null)),
+    readRecords: jest.fn((name) => Object.fromEntries([...rows(name)].map(([k, v]) => [k, JSON.parse(v)]))),
+    writeRecords: jest.fn((name, records, removedKeys) => {
+      for (const [key, value] of Object.entries(records)) rows(name).set(key, JSON.stringify(value));
+      for (const key of removedKeys) rows(name).delete(key);
+    }),
+    read: jest.fn(),
+    write: jest.fn(),
+  };
+}
+
+describe('JsonStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonstore-'));
+    store = new JsonStore('.test-store.json');
+    store.filePath = path.join(tmpDir, '.test-store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('resolves the file path from the file name', () => {
+    const fresh = new JsonStore('.abc.json');
+    expect(path.basename(fresh.filePath)).toBe('.abc.json');
+  });
+
+  test('starts empty when no file exists', () => {
+    expect(store.values()).toEqual([]);
+    expect(store.get('missing')).toBeNull();
+  });
+
+  test('set() writes through to disk', () => {
+    store.set('a', { n: 1 });
+    const raw = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+    expect(raw).toEqual({ a: { n: 1 } });
+  });
+
+  test('set() returns the stored value', () => {
+    expect(store.set('a', { n: 1 })).toEqual({ n: 1 });
+  });
+
+  test('stringifies keys', () => {
+    store.set(123, 'x');
+    expect(store.get('123')).toBe('x');
+    expect(store.get(123)).toBe('x');
+  });
+
+  test('loads existing data from disk', () => {
+    fs.writeFileSync(store.filePath, JSON.stringify({ k: 'v' }), 'utf-8');
+    expect(store.get('k')).toBe('v');
+  });
+
+  test('delete() removes a key and returns true', () => {
+    store.set('a', 1);
+    expect(store.delete('a')).toBe(true);
+    expect(store.get('a')).toBeNull();
+    const raw = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+    expect(raw).toEqual({});
+  });
+
+  test('delete() returns false for unknown keys', () => {
+    expect(store.delete('nope')).toBe(false);
+  });
+
+  test('values() lists all records', () => {
+    store.set('a', 1);
+    store.set('b', 2);
+    expect(store.values()).toEqual([1, 2]);
+  });
+
+  test('data survives a fresh instance (restart)', () => {
+    store.set('a', { keep: true });
+    const reopened = new JsonStore('.test-store.json');
+    reopened.filePath = store.filePath;
+    expect(reopened.get('a')).toEqual({ keep: true });
+  });
+
+  test('corrupt file starts empty and logs an error', () => {
+    fs.writeFileSync(store.filePath, 'NOT JSON', 'utf-8');
+    expect(store.values()).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith('Failed to load store', expect.any(Object));
+  });
+
+  test('write failures are logged, not thrown', () => {
+    store.filePath = path.join(tmpDir, 'missing-dir', 'store.json');
+    expect(() => store.set('a', 1)).not.toThrow();
+    expect(logger.error).toHaveBeenCalledWith('Failed to persist store', expect.any(Object));
+    // In-memory value is still available
+    expect(store.get('a')).toBe(1);
+  });
+});
+
+describe('JsonStore with a per-record backend', () => {
+  let backend;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    backend = recordBackend();
+    getStorage.mockImplementation(() => backend);
+    first = new JsonStore('.test-store.json');
+    second = new JsonStore('.test-store.json');
+  });
+
+  afterEach(() => {
+    getStorage.mockImplementation(jest.requireActual('../../src/services/storage').getStorage);
+    jest.clearAllMocks();
+  });
+
+  test('set() upserts only that record', () => {
+    first.set('a', { n: 1 });
+
+    expect(backend.writeRecords).toHaveBeenCalledWith(first.filePath, { a: { n: 1 } }, []);
+    expect(backend.write).not.toHaveBeenCalled();
+  });
+
+  test('two processes sharing the store keep each other\'s changes', () => {
+    first.values(); // both have read the collection
+    second.values();
+    first.set('a', 1);
+    second.set('b', 2);
+
+    expect(first.values()).toEqual([1, 2]);
+    expect(second.get('a')).toBe(1);
+
+    second.delete('a');
+    expect(first.get('a')).toBeNull();
+    expect(first.values()).toEqual([2]);
+  });
+
+  test('delete() removes only that record and reports unknown keys', () => {
+    first.set('a', 1);
+    expect(first.delete('a')).toBe(true);
+    expect(backend.writeRecords).toHaveBeenLastCalledWith(first.filePath, {}, ['a']);
+    expect(first.delete('a')).toBe(false);
+  });
+
+  test('backend failures are logged, not thrown', () => {
+    backend.writeRecords.mockImplementation(() => { throw new Error('database is locked'); });
+    backend.readRecord.mockImplementation(() => { throw new Error('database is locked'); });
+
+    expect(() => first.set('a', 1)).not.toThrow();
+    expect(first.get('a')).toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Failed to persist store', expect.any(Object));
+    expect(logger.error).toHaveBeenCalledWith('Failed to load store', expect.any(Object));
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for src/services/lifeListStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('LifeListStore', () => {
+  let tmpDir;
+  let store;
+
+  const species = {
+    houspa: { comName: 'House Sparrow', firstSeen: '2021-03-15' },
+    commyn: { comName: 'Common Myna', firstSeen: '2022-01-01' },
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelists-'));
+    store = require('../../src/services/lifeListStore');
+    store.filePath = path.join(tmpDir, '.lifelists.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('speciesCodes() is null before an import', () => {
+    expect(store.speciesCodes(1)).toBeNull();
+  });
+
+  test('replace() stores species with import metadata', () => {
+    const record = store.replace(1, species, 'MyEBirdData.csv');
+    expect(record.species).toEqual(species);
+    expect(record.fileName).toBe('MyEBirdData.csv');
+    expect(record.importedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('speciesCodes() returns a Set of codes', () => {
+    store.replace(1, species);
+    expect(store.speciesCodes(1)).toEqual(new Set(['houspa', 'commyn']));
+  });
+
+  test('a new import replaces the old list', () => {
+    store.replace(1, species);
+    store.replace(1, { houspa: species.houspa });
+    expect(store.speciesCodes(1)).toEqual(new Set(['houspa']));
+  });
+
+  test('remove() deletes the list', () => {
+    store.replace(1, species);
+    expect(store.remove(1)).toBe(true);
+    expect(store.speciesCodes(1)).toBeNull();
+  });
+
+  test('persists across reloads', () => {
+    store.replace(1, species);
+    store._data = null;
+    expect(store.speciesCodes(1).size).toBe(2);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for src/services/profileStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('ProfileStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    store = require('../../src/services/profileStore');
+    store.filePath = path.join(tmpDir, '.profiles.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getProfile()', () => {
+    test('returns defaults for an unknown chat', () => {
+      expect(store.getProfile(1)).toEqual(store.DEFAULTS);
+      expect(store.getProfile(1).dateFormat).toBe('DMY');
+    });
+
+    test('does not create a record just by reading', () => {
+      store.getProfile(1);
+      expect(fs.existsSync(store.filePath)).toBe(false);
+    });
+  });
+
+  describe('update()', () => {
+    test('merges changes over defaults and returns the full profile', () => {
+      const profile = store.update(1, { homeRegion: 'SG', homeRegionName: 'Singapore' });
+      expect(profile).toEqual(expect.objectContaining({
+        homeRegion: 'SG',
+        homeRegionName: 'Singapore',
+        pageSize: null,
+        dateFormat: 'DMY',
+      }));
+      expect(profile.updatedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('keeps earlier preferences', () => {
+      store.update(1, { pageSize: 10 });
+      store.update(1, { dateFormat: 'MDY' });
+      expect(store.getProfile(1)).toEqual(expect.objectContaining({ pageSize: 10, dateFormat: 'MDY' }));
+    });
+
+    test('profiles are per chat', () => {
+      store.update(1, { pageSize: 10 });
+      expect(store.getProfile(2).pageSize).toBeNull();
+    });
+
+    test('persists across reloads', () => {
+      store.update(1, { nearbyRadius: 15 });
+      store._data = null;
+      expect(store.getProfile(1).nearbyRadius).toBe(15);
+    });
+  });
+
+  describe('reset()', () => {
+    test('restores defaults', () => {
+      store.update(1, { pageSize: 10, homeRegion: 'SG' });
+      expect(store.reset(1)).toBe(true);
+      expect(store.getProfile(1)).toEqual(store.DEFAULTS);
+    });
+
+    test('returns false when there was nothing to reset', () => {
+      expect(store.reset(1)).toBe(false);
+    });
+  });
+});
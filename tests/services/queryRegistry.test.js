@@ -0,0 +1,118 @@
+/**
+ * Tests for src/services/queryRegistry.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('QueryRegistry', () => {
+  let tmpDir;
+  let registry;
+  const query = { type: 'sightings', regionCode: 'SG', searchName: 'Singapore', isHotspot: false };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queries-'));
+    registry = require('../../src/services/queryRegistry');
+    registry.filePath = path.join(tmpDir, '.queries.json');
+    registry._data = null;
+  });
+
+  afterEach(() => {
+    registry.stopAutoFlush();
+    jest.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('returns a short hex token that resolves to the query', () => {
+    const token = registry.register(query);
+
+    expect(token).toMatch(/^[0-9a-f]{10}$/);
+    expect(registry.lookup(token)).toEqual(query);
+  });
+
+  test('the same query always gets the same token', () => {
+    expect(registry.register({ ...query })).toBe(registry.register({ ...query }));
+    expect(registry.register({ ...query, regionCode: 'MY' })).not.toBe(registry.register(query));
+  });
+
+  test('tokens survive a restart once flushed', () => {
+    const token = registry.register(query);
+    registry.flush();
+    registry._data = null;
+
+    expect(registry.lookup(token)).toEqual(query);
+  });
+
+  test('unknown tokens resolve to null', () => {
+    expect(registry.lookup('0000000000')).toBeNull();
+  });
+
+  test('new searches are written in batches, not one by one', () => {
+    const storage = require('../../src/services/storage').getStorage();
+    const write = jest.spyOn(storage, 'write');
+    registry.register(query);
+    registry.register({ ...query, regionCode: 'MY' });
+    expect(write).not.toHaveBeenCalled();
+
+    registry.flush();
+    expect(write).toHaveBeenCalledTimes(1);
+    write.mockRestore();
+  });
+
+  test('re-registering a known token does not rewrite storage', () => {
+    const storage = require('../../src/services/storage').getStorage();
+    registry.register(query);
+    registry.flush();
+    const write = jest.spyOn(storage, 'write');
+
+    registry.register({ ...query });
+    registry.flush();
+    expect(write).not.toHaveBeenCalled();
+    write.mockRestore();
+  });
+
+  test('startAutoFlush() saves pending tokens every 30 s', () => {
+    jest.useFakeTimers();
+    registry.startAutoFlush();
+    registry.register(query);
+    expect(fs.existsSync(registry.filePath)).toBe(false);
+
+    jest.advanceTimersByTime(30 * 1000);
+    expect(fs.existsSync(registry.filePath)).toBe(true);
+  });
+
+  test('keeps a token in use alive, refreshing it at most daily', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const token = registry.register(query);
+    registry.flush();
+    jest.setSystemTime(new Date('2026-01-25T00:00:00Z'));
+    registry.register(query);
+    registry.flush();
+    jest.setSystemTime(new Date('2026-02-15T00:00:00Z'));
+    registry.register({ ...query, regionCode: 'MY' });
+    registry.flush(); // prunes
+
+    expect(registry.lookup(token)).toEqual(query);
+  });
+
+  test('forgets queries unused for 30 days', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const old = registry.register(query);
+    registry.flush();
+    jest.setSystemTime(new Date('2026-02-15T00:00:00Z'));
+    const fresh = registry.register({ ...query, regionCode: 'MY' });
+    registry.flush();
+
+    expect(registry.lookup(old)).toBeNull();
+    expect(registry.lookup(fresh)).not.toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for src/services/responseCache.js
+ */
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const ResponseCache = require('../../src/services/responseCache');
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResponseCache({ maxEntries: 3 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('wrap()', () => {
+    test('fetches once and serves repeats from memory', async () => {
+      const fetcher = jest.fn().mockResolvedValue(['a']);
+
+      expect(await cache.wrap('k', 1000, fetcher)).toEqual(['a']);
+      expect(await cache.wrap('k', 1000, fetcher)).toEqual(['a']);
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(cache.getStats()).toEqual(expect.objectContaining({ hits: 1, misses: 1, size: 1 }));
+    });
+
+    test('refetches after the TTL expires', async () => {
+      jest.useFakeTimers();
+      const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+      await cache.wrap('k', 1000, fetcher);
+      jest.advanceTimersByTime(1001);
+
+      expect(await cache.wrap('k', 1000, fetcher)).toBe('new');
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    test('coalesces concurrent identical requests into one fetch', async () => {
+      let resolve;
+      const fetcher = jest.fn(() => new Promise(r => { resolve = r; }));
+
+      const first = cache.wrap('k', 1000, fetcher);
+      const second = cache.wrap('k', 1000, fetcher);
+      expect(cache.getStats().inFlight).toBe(1);
+      resolve('shared');
+
+      expect(await Promise.all([first, second])).toEqual(['shared', 'shared']);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(cache.getStats()).toEqual(expect.objectContaining({ misses: 1, coalesced: 1, inFlight: 0 }));
+    });
+
+    test('does not cache failures and shares them with waiting callers', async () => {
+      const fetcher = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValueOnce('ok');
+
+      const first = cache.wrap('k', 1000, fetcher);
+      const second = cache.wrap('k', 1000, fetcher);
+      await expect(first).rejects.toThrow('boom');
+      await expect(second).rejects.toThrow('boom');
+
+      expect(await cache.wrap('k', 1000, fetcher)).toBe('ok');
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    test('a TTL of 0 coalesces but does not store', async () => {
+      const fetcher = jest.fn().mockResolvedValue('v');
+      await cache.wrap('k', 0, fetcher);
+      await cache.wrap('k', 0, fetcher);
+
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      expect(cache.getStats().size).toBe(0);
+    });
+
+    test('evicts the least recently used entry beyond maxEntries', async () => {
+      const fetcher = jest.fn(async () => 'v');
+      await cache.wrap('a', 1000, fetcher);
+      await cache.wrap('b', 1000, fetcher);
+      await cache.wrap('c', 1000, fetcher);
+      await cache.wrap('a', 1000, fetcher); // touch a so b becomes oldest
+      await cache.wrap('d', 1000, fetcher);
+
+      expect(cache.getStats()).toEqual(expect.objectContaining({ size: 3, evictions: 1 }));
+      fetcher.mockClear();
+      await cache.wrap('a', 1000, fetcher);
+      await cache.wrap('b', 1000, fetcher);
+      expect(fetcher).toHaveBeenCalledTimes(1); // only b was refetched
+    });
+  });
+
+  describe('invalidate() / clear()', () => {
+    test('drops entries by key prefix', async () => {
+      await cache.wrap('recent:SG', 1000, async () => 1);
+      await cache.wrap('hotspots:SG', 1000, async () => 2);
+
+      cache.invalidate('recent:');
+      expect(cache.getStats().size).toBe(1);
+
+      cache.clear();
+      expect(cache.getStats().size).toBe(0);
+    });
+  });
+
+  describe('getStats()', () => {
+    test('reports a hit rate', async () => {
+      expect(cache.getStats().hitRate).toBe(0);
+      await cache.wrap('k', 1000, async () => 1);
+      await cache.wrap('k', 1000, async () => 1);
+      expect(cache.getStats().hitRate).toBe(0.5);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for src/services/sendQueue.js
+ */
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const SendQueue = require('../../src/services/sendQueue');
+const logger = require('../../src/utils/logger');
+
+const tooManyRequests = (retryAfter) => Object.assign(new Error('ETELEGRAM: 429 Too Many Requests'), {
+  response: { statusCode: 429, body: { error_code: 429, parameters: { retry_after: retryAfter } } },
+});
+
+// Let settled sends run their continuations
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+describe('SendQueue', () => {
+  let queue;
+  let sent;
+
+  const send = (label) => jest.fn(async () => {
+    sent.push(label);
+    return label;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    queue = new SendQueue({ globalLimit: 3, chatInterval: 1000 });
+    sent = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('an idle chat sends straight away and resolves with the result', async () => {
+    const result = queue.push(1, send('a'));
+    await flush();
+    expect(sent).toEqual(['a']);
+    await expect(result).resolves.toBe('a');
+  });
+
+  test('sends to one chat go out in order, a second apart', async () => {
+    queue.push(1, send('a'));
+    queue.push(1, send('b'));
+    queue.push(1, send('c'));
+    await flush();
+    expect(sent).toEqual(['a']);
+
+    jest.advanceTimersByTime(999);
+    await flush();
+    expect(sent).toEqual(['a']);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(sent).toEqual(['a', 'b']);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent).toEqual(['a', 'b', 'c']);
+    expect(queue.size).toBe(0);
+  });
+
+  test('edits and deletes keep their place in line but are not spaced out', async () => {
+    queue.push(1, send('status'));
+    queue.push(1, send('delete'), { method: 'deleteMessage' });
+    queue.push(1, send('result'));
+    queue.push(1, send('edit'), { method: 'editMessageText' });
+    await flush();
+    expect(sent).toEqual(['status', 'delete']);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent).toEqual(['status', 'delete', 'result', 'edit']);
+  });
+
+  test('a 429 holds back edits too', async () => {
+    queue.push(1, jest.fn().mockRejectedValueOnce(tooManyRequests(2)).mockImplementation(send('a')));
+    queue.push(1, send('edit'), { method: 'editMessageText' });
+    await flush();
+
+    jest.advanceTimersByTime(1999);
+    await flush();
+    expect(sent).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(sent).toEqual(['a', 'edit']);
+  });
+
+  test('a pending wake-up does not keep the process alive', async () => {
+    jest.useRealTimers();
+    queue.push(1, send('a'));
+    queue.push(1, send('b'));
+    await flush();
+    expect(queue._timer.hasRef()).toBe(false);
+    clearTimeout(queue._timer);
+  });
+
+  test('different chats do not wait for each other', async () => {
+    queue.push(1, send('a'));
+    queue.push(2, send('b'));
+    await flush();
+    expect(sent).toEqual(['a', 'b']);
+  });
+
+  test('caps sends per second across all chats', async () => {
+    for (let chat = 1; chat <= 5; chat++) queue.push(chat, send(chat));
+    await flush();
+    expect(sent).toEqual([1, 2, 3]);
+    expect(queue.size).toBe(2);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('a 429 pauses the chat for retry_after and retries the same send first', async () => {
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(tooManyRequests(5))
+      .mockImplementation(async () => { sent.push('a'); return 'a'; });
+    const result = queue.push(1, flaky);
+    queue.push(1, send('b'));
+    await flush();
+    expect(sent).toEqual([]);
+
+    jest.advanceTimersByTime(4999);
+    await flush();
+    expect(flaky).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(sent).toEqual(['a']);
+    await expect(result).resolves.toBe('a');
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent).toEqual(['a', 'b']);
+  });
+
+  test('gives up after maxRetries rate limits', async () => {
+    queue = new SendQueue({ maxRetries: 1 });
+    const limited = jest.fn().mockRejectedValue(tooManyRequests(1));
+    const result = queue.push(1, limited);
+    result.catch(() => {});
+
+    await flush();
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    await expect(result).rejects.toThrow('429');
+    expect(limited).toHaveBeenCalledTimes(2);
+  });
+
+  test('other errors reject without a retry and the chat carries on', async () => {
+    const result = queue.push(1, jest.fn().mockRejectedValue(new Error('chat not found')));
+    queue.push(1, send('b'));
+
+    await expect(result).rejects.toThrow('chat not found');
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent).toEqual(['b']);
+  });
+
+  describe('dead letters', () => {
+    test('a send that gives up is logged and kept for getStats()', async () => {
+      queue = new SendQueue({ maxRetries: 1 });
+      const result = queue.push(7, jest.fn().mockRejectedValue(tooManyRequests(1)), { method: 'editMessageText' });
+      result.catch(() => {});
+
+      await flush();
+      jest.advanceTimersByTime(1000);
+      await flush();
+
+      const entry = { chatId: 7, method: 'editMessageText', error: 'ETELEGRAM: 429 Too Many Requests', retries: 1 };
+      expect(logger.error).toHaveBeenCalledWith('Telegram send dead-lettered', expect.objectContaining(entry));
+      expect(queue.getStats()).toEqual(expect.objectContaining({ retried: 1, deadLettered: 1 }));
+      expect(queue.getStats().deadLetters).toEqual([expect.objectContaining(entry)]);
+    });
+
+    test('calls that expect failures can opt out', async () => {
+      const result = queue.push(1, jest.fn().mockRejectedValue(new Error('message to delete not found')), { deadLetter: false });
+
+      await expect(result).rejects.toThrow('not found');
+      expect(logger.error).not.toHaveBeenCalled();
+      expect(queue.getStats().deadLettered).toBe(0);
+    });
+
+    test('only the most recent are kept', async () => {
+      for (let chat = 1; chat <= 25; chat++) {
+        queue.push(chat, jest.fn().mockRejectedValue(new Error('chat not found'))).catch(() => {});
+      }
+      await jest.advanceTimersByTimeAsync(10000);
+
+      const { deadLettered, deadLetters } = queue.getStats();
+      expect(deadLettered).toBe(25);
+      expect(deadLetters).toHaveLength(20);
+      expect(deadLetters[19].chatId).toBe(25);
+    });
+  });
+
+  test('getStats() counts sends and what is still queued', async () => {
+    queue.push(1, send('a'));
+    queue.push(1, send('b'));
+    await flush();
+
+    expect(queue.getStats()).toEqual({ queued: 1, sent: 1, retried: 0, deadLettered: 0, deadLetters: [] });
+  });
+});
@@ -191,6 +191,84 @@ describe('SessionStore', () => {
     });
   });
 
+  describe('schema versions', () => {
+    test('save() stamps the current schema version', () => {
+      sessionStore.save({ userStates: new Map(), lastPrompts: new Map() });
+
+      const raw = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf-8'));
+      expect(raw.version).toBe(2);
+    });
+
+    test('migrate() upgrades unversioned payloads', () => {
+      const migrated = sessionStore.migrate({ savedAt: 'x', userStates: {} });
+      expect(migrated).toEqual({ savedAt: 'x', userStates: {}, observationsMeta: {}, version: 2 });
+    });
+
+    test('restores unversioned session files', () => {
+      fs.writeFileSync(SESSION_FILE, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        userStates: { '1': { action: 'a1' } },
+      }));
+      const bot = { userStates: new Map(), lastPrompts: new Map(), expiredResults: new Map() };
+      sessionStore.restore(bot);
+
+      expect(bot.userStates.get('1')).toEqual({ action: 'a1' });
+      expect(bot.expiredResults.size).toBe(0);
+    });
+
+    test('discards files written by a newer schema', () => {
+      const logger = require('../../src/utils/logger');
+      fs.writeFileSync(SESSION_FILE, JSON.stringify({
+        version: 99,
+        savedAt: new Date().toISOString(),
+        userStates: { '1': { action: 'a1' } },
+      }));
+      const bot = { userStates: new Map(), lastPrompts: new Map() };
+      sessionStore.restore(bot);
+
+      expect(bot.userStates.size).toBe(0);
+      expect(fs.existsSync(SESSION_FILE)).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Discarded session file from a newer release', expect.objectContaining({ version: 99 }));
+    });
+  });
+
+  describe('observationsCache metadata', () => {
+    test('saves cache entries without their result arrays', () => {
+      const bot = {
+        userStates: new Map(),
+        lastPrompts: new Map(),
+        observationsCache: new Map([
+          ['sightings_1', { observations: [{ speciesCode: 'x' }], displayName: 'Singapore', regionCode: 'SG', type: 'sightings' }],
+          ['checklist_1', { observations: [], checklist: { subId: 'S1' }, displayName: 'S1', type: 'checklist' }],
+        ]),
+      };
+      sessionStore.save(bot);
+
+      const raw = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf-8'));
+      expect(raw.observationsMeta).toEqual({
+        sightings_1: { displayName: 'Singapore', regionCode: 'SG', type: 'sightings' },
+        checklist_1: { displayName: 'S1', type: 'checklist' },
+      });
+    });
+
+    test('restores metadata into expiredResults and keeps it on the next save', () => {
+      sessionStore.save({
+        userStates: new Map(),
+        lastPrompts: new Map(),
+        observationsCache: new Map([['notable_1', { observations: [], displayName: 'NY', type: 'notable' }]]),
+      });
+
+      const bot = { userStates: new Map(), lastPrompts: new Map(), observationsCache: new Map(), expiredResults: new Map() };
+      sessionStore.restore(bot);
+      expect(bot.expiredResults.get('notable_1')).toEqual({ displayName: 'NY', type: 'notable' });
+      expect(bot.observationsCache.size).toBe(0);
+
+      sessionStore.save(bot);
+      const raw = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf-8'));
+      expect(raw.observationsMeta).toHaveProperty('notable_1');
+    });
+  });
+
   describe('restore — partial session data', () => {
     test('restores gracefully when session file has no userStates', () => {
       const data = {
@@ -0,0 +1,73 @@
+/**
+ * Tests for src/services/storage/fileStorage.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStorage = require('../../../src/services/storage/fileStorage');
+
+describe('FileStorage', () => {
+  let tmpDir;
+  let storage;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestorage-'));
+    storage = new FileStorage(tmpDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('read() returns null for missing documents', () => {
+    expect(storage.read('.missing.json')).toBeNull();
+  });
+
+  test('write() then read() round-trips a document', () => {
+    storage.write('.doc.json', { a: 1 });
+
+    expect(storage.read('.doc.json')).toEqual({ a: 1 });
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, '.doc.json'), 'utf-8'))).toEqual({ a: 1 });
+  });
+
+  test('absolute names are used as-is', () => {
+    const file = path.join(tmpDir, 'nested.json');
+    storage = new FileStorage('/nonexistent');
+    storage.write(file, { b: 2 });
+
+    expect(fs.existsSync(file)).toBe(true);
+  });
+
+  test('writes through a temp file and leaves none behind', () => {
+    const rename = jest.spyOn(fs, 'renameSync');
+    storage.write('.doc.json', { a: 1 });
+
+    expect(rename).toHaveBeenCalledWith(expect.stringMatching(/\.doc\.json\.\d+\.tmp$/), path.join(tmpDir, '.doc.json'));
+    expect(fs.readdirSync(tmpDir)).toEqual(['.doc.json']);
+  });
+
+  test('a failed write keeps the previous contents', () => {
+    storage.write('.doc.json', { version: 1 });
+    jest.spyOn(fs, 'renameSync').mockImplementation(() => { throw new Error('disk full'); });
+
+    expect(() => storage.write('.doc.json', { version: 2 })).toThrow('disk full');
+    expect(storage.read('.doc.json')).toEqual({ version: 1 });
+    expect(fs.readdirSync(tmpDir)).toEqual(['.doc.json']);
+  });
+
+  test('read() throws on corrupt files', () => {
+    fs.writeFileSync(path.join(tmpDir, '.bad.json'), '{not json');
+    expect(() => storage.read('.bad.json')).toThrow();
+  });
+
+  test('remove() deletes the file and ignores missing ones', () => {
+    storage.write('.doc.json', {});
+    storage.remove('.doc.json');
+
+    expect(fs.existsSync(path.join(tmpDir, '.doc.json'))).toBe(false);
+    expect(() => storage.remove('.doc.json')).not.toThrow();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for src/services/storage/index.js — backend selection.
+ */
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { createStorage, getStorage } = require('../../../src/services/storage');
+const FileStorage = require('../../../src/services/storage/fileStorage');
+const SqliteStorage = require('../../../src/services/storage/sqliteStorage');
+const logger = require('../../../src/utils/logger');
+
+describe('storage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('defaults to file storage', () => {
+    expect(createStorage({})).toBeInstanceOf(FileStorage);
+  });
+
+  test('STORAGE_BACKEND=sqlite selects SQLite at SQLITE_PATH', () => {
+    jest.spyOn(SqliteStorage, 'isAvailable').mockReturnValue(true);
+    const storage = createStorage({ STORAGE_BACKEND: 'SQLite', SQLITE_PATH: '/tmp/bot.db' });
+
+    expect(storage).toBeInstanceOf(SqliteStorage);
+    expect(storage.file).toBe('/tmp/bot.db');
+  });
+
+  test('falls back to files when node:sqlite is unavailable', () => {
+    jest.spyOn(SqliteStorage, 'isAvailable').mockReturnValue(false);
+
+    expect(createStorage({ STORAGE_BACKEND: 'sqlite' })).toBeInstanceOf(FileStorage);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Node.js 22.5+'));
+  });
+
+  test('warns about unknown backends', () => {
+    expect(createStorage({ STORAGE_BACKEND: 'redis' })).toBeInstanceOf(FileStorage);
+    expect(logger.warn).toHaveBeenCalledWith('Unknown STORAGE_BACKEND, using file storage', { backend: 'redis' });
+  });
+
+  test('getStorage() returns one shared backend', () => {
+    expect(getStorage()).toBe(getStorage());
+  });
+});
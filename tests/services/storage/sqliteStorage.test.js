@@ -0,0 +1,151 @@
+/**
+ * Tests for src/services/storage/sqliteStorage.js
+ * Runs against a minimal in-memory stand-in for node:sqlite's DatabaseSync,
+ * so the suite also passes on Node versions without node:sqlite.
+ */
+const SqliteStorage = require('../../../src/services/storage/sqliteStorage');
+
+class FakeDatabase {
+  constructor(file) {
+    this.file = file;
+    this.rows = new Map();    // documents: name → { data, updated_at }
+    this.records = new Map(); // records: "collection/key" → { collection, key, data, updated_at }
+    this.exec = jest.fn();
+    this.close = jest.fn();
+  }
+
+  prepare(sql) {
+    const { rows, records } = this;
+    const id = (collection, key) => `${collection}/${key}`;
+    if (sql.includes('FROM records')) {
+      if (sql.startsWith('SELECT key')) {
+        return { all: (collection) => [...records.values()].filter(r => r.collection === collection) };
+      }
+      if (sql.startsWith('SELECT')) return { get: (collection, key) => records.get(id(collection, key)) };
+      return { run: (collection, key) => records.delete(id(collection, key)) };
+    }
+    if (sql.startsWith('INSERT INTO records')) {
+      return {
+        run: (collection, key, data, updatedAt) => {
+          if (sql.includes('DO NOTHING') && records.has(id(collection, key))) return;
+          records.set(id(collection, key), { collection, key, data, updated_at: updatedAt });
+        },
+      };
+    }
+    if (sql.startsWith('SELECT')) {
+      return { get: (name) => rows.get(name) };
+    }
+    if (sql.startsWith('INSERT')) {
+      return { run: (name, data, updatedAt) => rows.set(name, { data, updated_at: updatedAt }) };
+    }
+    return { run: (name) => rows.delete(name) };
+  }
+}
+
+describe('SqliteStorage', () => {
+  let storage;
+  let db;
+
+  beforeEach(() => {
+    const DatabaseSync = jest.fn((file) => {
+      db = new FakeDatabase(file);
+      return db;
+    });
+    storage = new SqliteStorage('/data/birdbot.db', { DatabaseSync });
+  });
+
+  test('opens the database and creates the table on first use', () => {
+    storage.read('.doc.json');
+
+    expect(db.file).toBe('/data/birdbot.db');
+    expect(db.exec).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS documents'));
+    expect(db.exec).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS records'));
+    expect(db.exec).toHaveBeenCalledWith(expect.stringContaining('busy_timeout'));
+  });
+
+  test('read() returns null for missing documents', () => {
+    expect(storage.read('.missing.json')).toBeNull();
+  });
+
+  test('write() then read() round-trips a document', () => {
+    storage.write('.doc.json', { a: 1 });
+    expect(storage.read('.doc.json')).toEqual({ a: 1 });
+  });
+
+  test('keys rows by file name so paths from any DATA_DIR match', () => {
+    storage.write('/srv/a/.profiles.json', { x: 1 });
+
+    expect(db.rows.has('.profiles.json')).toBe(true);
+    expect(storage.read('/srv/b/.profiles.json')).toEqual({ x: 1 });
+  });
+
+  test('write() replaces existing documents', () => {
+    storage.write('.doc.json', { a: 1 });
+    storage.write('.doc.json', { a: 2 });
+
+    expect(storage.read('.doc.json')).toEqual({ a: 2 });
+    expect(db.rows.size).toBe(1);
+  });
+
+  test('remove() deletes the row', () => {
+    storage.write('.doc.json', { a: 1 });
+    storage.remove('.doc.json');
+
+    expect(storage.read('.doc.json')).toBeNull();
+  });
+
+  describe('records', () => {
+    test('writeRecords() upserts rows that readRecord() and readRecords() return', () => {
+      storage.writeRecords('/data/.profiles.json', { 1: { pageSize: 5 }, 2: { pageSize: 10 } });
+      storage.writeRecords('/data/.profiles.json', { 2: { pageSize: 15 } });
+
+      expect(storage.readRecord('.profiles.json', '2')).toEqual({ pageSize: 15 });
+      expect(storage.readRecord('.profiles.json', '3')).toBeNull();
+      expect(storage.readRecords('.profiles.json')).toEqual({ 1: { pageSize: 5 }, 2: { pageSize: 15 } });
+      expect(db.records.size).toBe(2);
+    });
+
+    test('changes only touch their own rows, so two processes can share a collection', () => {
+      const other = new SqliteStorage('/data/birdbot.db', { DatabaseSync: jest.fn(() => db) });
+      storage.writeRecords('.subscriptions.json', { a: { regionCode: 'SG' } });
+      other.writeRecords('.subscriptions.json', { b: { regionCode: 'MY' } });
+      storage.writeRecords('.subscriptions.json', {}, ['a']);
+
+      expect(other.readRecords('.subscriptions.json')).toEqual({ b: { regionCode: 'MY' } });
+    });
+
+    test('collections are kept apart', () => {
+      storage.writeRecords('.profiles.json', { 1: { pageSize: 5 } });
+      expect(storage.readRecords('.digests.json')).toEqual({});
+    });
+
+    test('writes run in a transaction and roll back on failure', () => {
+      storage.readRecords('.profiles.json');
+      db.exec.mockClear();
+      const cyclic = {};
+      cyclic.self = cyclic;
+
+      expect(() => storage.writeRecords('.profiles.json', { 1: cyclic })).toThrow();
+      expect(db.exec.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN IMMEDIATE', 'ROLLBACK']);
+
+      storage.writeRecords('.profiles.json', { 1: {} });
+      expect(db.exec).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('moves a collection saved as one document into rows on first use', () => {
+      storage.write('.profiles.json', { 1: { pageSize: 5 }, 2: { pageSize: 10 } });
+      db.records.set('.profiles.json/2', { collection: '.profiles.json', key: '2', data: '{"pageSize":15}' });
+
+      expect(storage.readRecords('.profiles.json')).toEqual({ 1: { pageSize: 5 }, 2: { pageSize: 15 } });
+      expect(storage.read('.profiles.json')).toBeNull();
+    });
+  });
+
+  test('close() closes the database once', () => {
+    storage.read('.doc.json');
+    storage.close();
+    storage.close();
+
+    expect(db.close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for src/services/subscriptionStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('SubscriptionStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subs-'));
+    store = require('../../src/services/subscriptionStore');
+    store.filePath = path.join(tmpDir, '.subscriptions.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const base = { chatId: 1, kind: 'species', speciesCode: 'orphor1', comName: 'Oriental Pied Hornbill', regionCode: 'SG', regionName: 'Singapore' };
+
+  describe('add()', () => {
+    test('assigns an id, createdAt and empty seen list', () => {
+      const sub = store.add(base);
+      expect(sub.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(sub.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+      expect(sub.seen).toEqual([]);
+      expect(sub.comName).toBe('Oriental Pied Hornbill');
+    });
+
+    test('keeps a provided seen list', () => {
+      const sub = store.add({ ...base, seen: ['S1|2026-01-01 08:00'] });
+      expect(sub.seen).toEqual(['S1|2026-01-01 08:00']);
+    });
+
+    test('persists to disk', () => {
+      const sub = store.add(base);
+      const raw = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+      expect(raw[sub.id]).toEqual(expect.objectContaining({ speciesCode: 'orphor1' }));
+    });
+  });
+
+  describe('listForChat()', () => {
+    test('returns only subscriptions for that chat', () => {
+      store.add(base);
+      store.add({ ...base, chatId: 2 });
+      expect(store.listForChat(1)).toHaveLength(1);
+      expect(store.listForChat('2')).toHaveLength(1);
+    });
+
+    test('sorts oldest first', () => {
+      const a = store.add(base);
+      const b = store.add({ ...base, speciesCode: 'x' });
+      a.createdAt = '2026-01-02T00:00:00.000Z';
+      b.createdAt = '2026-01-01T00:00:00.000Z';
+      expect(store.listForChat(1).map(s => s.id)).toEqual([b.id, a.id]);
+    });
+  });
+
+  describe('findForChat()', () => {
+    test('finds a subscription matching all fields', () => {
+      const sub = store.add(base);
+      expect(store.findForChat(1, { speciesCode: 'orphor1', regionCode: 'SG' })).toEqual(sub);
+    });
+
+    test('returns null when nothing matches', () => {
+      store.add(base);
+      expect(store.findForChat(1, { speciesCode: 'orphor1', regionCode: 'MY' })).toBeNull();
+    });
+  });
+
+  describe('remove() / all()', () => {
+    test('removes a subscription', () => {
+      const sub = store.add(base);
+      expect(store.remove(sub.id)).toBe(true);
+      expect(store.all()).toEqual([]);
+    });
+  });
+
+  describe('markSeen()', () => {
+    test('appends new keys without duplicates', () => {
+      const sub = store.add({ ...base, seen: ['a'] });
+      store.markSeen(sub.id, ['a', 'b']);
+      expect(store.get(sub.id).seen).toEqual(['a', 'b']);
+    });
+
+    test('trims to the newest 500 keys', () => {
+      const sub = store.add(base);
+      const keys = Array.from({ length: 510 }, (_, i) => `k${i}`);
+      store.markSeen(sub.id, keys);
+      const seen = store.get(sub.id).seen;
+      expect(seen).toHaveLength(500);
+      expect(seen[0]).toBe('k10');
+      expect(seen[499]).toBe('k509');
+    });
+
+    test('ignores unknown ids and empty key lists', () => {
+      const sub = store.add(base);
+      expect(() => store.markSeen('nope', ['a'])).not.toThrow();
+      store.markSeen(sub.id, []);
+      expect(store.get(sub.id).seen).toEqual([]);
+    });
+  });
+});
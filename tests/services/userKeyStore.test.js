@@ -0,0 +1,79 @@
+/**
+ * Tests for src/services/userKeyStore.js
+ * Uses real file system with a temp directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('UserKeyStore', () => {
+  let tmpDir;
+  let store;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.KEY_ENCRYPTION_SECRET = 'test-secret';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'userkeys-'));
+    store = require('../../src/services/userKeyStore');
+    store.filePath = path.join(tmpDir, '.userkeys.json');
+    store._data = null;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('round-trips a key', () => {
+    store.setKey(1, 'abc123xyz');
+    expect(store.getKey(1)).toBe('abc123xyz');
+    expect(store.hasKey(1)).toBe(true);
+  });
+
+  test('stores the key encrypted', () => {
+    store.setKey(1, 'abc123xyz');
+    const raw = fs.readFileSync(store.filePath, 'utf-8');
+
+    expect(raw).not.toContain('abc123xyz');
+    expect(JSON.parse(raw)['1']).toEqual(expect.objectContaining({ last4: '3xyz', iv: expect.any(String), tag: expect.any(String) }));
+  });
+
+  test('returns null for chats without a key', () => {
+    expect(store.getKey(2)).toBeNull();
+    expect(store.hasKey(2)).toBe(false);
+  });
+
+  test('returns null when the secret changed', () => {
+    store.setKey(1, 'abc123xyz');
+    process.env.KEY_ENCRYPTION_SECRET = 'another-secret';
+    expect(store.getKey(1)).toBeNull();
+  });
+
+  test('falls back to the bot token as secret', () => {
+    delete process.env.KEY_ENCRYPTION_SECRET;
+    process.env.TELEGRAM_BOT_TOKEN = 'bot-token';
+    store.setKey(1, 'abc123xyz');
+    expect(store.getKey(1)).toBe('abc123xyz');
+  });
+
+  test('refuses to store without any secret', () => {
+    delete process.env.KEY_ENCRYPTION_SECRET;
+    delete process.env.TELEGRAM_BOT_TOKEN;
+    expect(() => store.setKey(1, 'abc123xyz')).toThrow('KEY_ENCRYPTION_SECRET is not configured');
+  });
+
+  test('removeKey() deletes the key', () => {
+    store.setKey(1, 'abc123xyz');
+    expect(store.removeKey(1)).toBe(true);
+    expect(store.getKey(1)).toBeNull();
+    expect(store.removeKey(1)).toBe(false);
+  });
+});
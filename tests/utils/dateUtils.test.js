@@ -3,7 +3,8 @@
  * Covers: resolveTimezone, getTimezoneAbbr, parseDate, formatDateDDMMYYYY,
  *         getStartOfDay, getEndOfDay, isDateInRange, parseEBirdDate,
  *         filterObservationsByDateRange, daysBetween, daysBackFromToday,
- *         getDatePreset, getDateRangeDescription, getRegionTime, formatLocalTime
+ *         getDatePreset, getDateRangeDescription, getRegionTime, formatLocalTime,
+ *         parseTimeRange
  */
 const {
   resolveTimezone,
@@ -20,8 +21,10 @@ const {
   getDatePreset,
   getDateRangeDescription,
   getRegionTime,
+  getRegionDate,
   formatLocalTime,
-  getLocalNow
+  getLocalNow,
+  parseTimeRange
 } = require('../../src/utils/dateUtils');
 
 describe('dateUtils', () => {
@@ -438,6 +441,38 @@ describe('dateUtils', () => {
     });
   });
 
+  // ─── getRegionDate ─────────────────────────────────────
+
+  describe('getRegionDate()', () => {
+    test('uses the region timezone to pick the calendar date', () => {
+      // 20:00 UTC on 14 Jun is already 15 Jun in Singapore (UTC+8)
+      const instant = new Date(Date.UTC(2025, 5, 14, 20, 0));
+      expect(getRegionDate('SG', instant)).toEqual({ year: 2025, month: 6, day: 15, iso: '2025-06-15' });
+      expect(getRegionDate('US-NY', instant)).toEqual({ year: 2025, month: 6, day: 14, iso: '2025-06-14' });
+    });
+
+    test('defaults to now', () => {
+      expect(getRegionDate('SG').iso).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+  });
+
+  // ─── parseTimeRange ────────────────────────────────────
+
+  describe('parseTimeRange()', () => {
+    test.each([
+      ['22:00-07:00', '22:00-07:00'],
+      ['22:30 - 6:30', '22:30-06:30'],
+      ['22:00 – 07:00', '22:00-07:00'],
+      ['9:00 to 17:30', '09:00-17:30'],
+    ])('reads "%s"', (text, expected) => {
+      expect(parseTimeRange(text)).toBe(expected);
+    });
+
+    test.each([['22:00'], ['25:00-07:00'], ['07:00-07:00'], ['late']])('rejects "%s"', (text) => {
+      expect(parseTimeRange(text)).toBeNull();
+    });
+  });
+
   // ─── formatLocalTime ───────────────────────────────────
 
   describe('formatLocalTime()', () => {
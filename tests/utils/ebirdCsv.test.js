@@ -0,0 +1,134 @@
+/**
+ * Tests for src/utils/ebirdCsv.js
+ * Covers: parseCsv, isCountableName, isNeeded, parseMyEBirdData
+ */
+const {
+  parseCsv,
+  isCountableName,
+  isNeeded,
+  parseMyEBirdData,
+} = require('../../src/utils/ebirdCsv');
+
+const HEADER = 'Submission ID,Common Name,Scientific Name,Taxonomic Order,Count,State/Province,County,Location ID,Location,Latitude,Longitude,Date,Time';
+
+const taxonomy = [
+  { speciesCode: 'houspa', comName: 'House Sparrow', sciName: 'Passer domesticus' },
+  { speciesCode: 'yerwar', comName: 'Yellow-rumped Warbler', sciName: 'Setophaga coronata' },
+  { speciesCode: 'commyn', comName: 'Common Myna', sciName: 'Acridotheres tristis' },
+  { speciesCode: 'mallar3', comName: 'Mallard', sciName: 'Anas platyrhynchos' },
+];
+
+describe('ebirdCsv utilities', () => {
+  // ─── parseCsv ───────────────────────────────────────────
+
+  describe('parseCsv()', () => {
+    test('splits rows and fields', () => {
+      expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    test('handles quoted commas, escaped quotes and embedded newlines', () => {
+      const csv = 'id,comment\n1,"Seen at ""the pond"", east side\nflying"\n';
+      expect(parseCsv(csv)).toEqual([
+        ['id', 'comment'],
+        ['1', 'Seen at "the pond", east side\nflying'],
+      ]);
+    });
+
+    test('handles CRLF endings, a BOM and no trailing newline', () => {
+      expect(parseCsv('\uFEFFa,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('keeps empty fields and drops blank lines', () => {
+      expect(parseCsv('a,,c\n\n1,2,\n')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+    });
+  });
+
+  // ─── isCountableName ────────────────────────────────────
+
+  describe('isCountableName()', () => {
+    test.each([
+      ['House Sparrow', true],
+      ['Yellow-rumped Warbler (Myrtle)', true],
+      ['gull sp.', false],
+      ['Greater/Lesser Scaup', false],
+      ['Mallard x American Black Duck (hybrid)', false],
+      ['Mallard (Domestic type)', false],
+      ['', false],
+    ])('%p → %p', (name, expected) => {
+      expect(isCountableName(name)).toBe(expected);
+    });
+  });
+
+  // ─── isNeeded ───────────────────────────────────────────
+
+  describe('isNeeded()', () => {
+    const lifeList = new Set(['houspa']);
+
+    test('true for a species not on the list', () => {
+      expect(isNeeded({ speciesCode: 'commyn', comName: 'Common Myna' }, lifeList)).toBe(true);
+    });
+
+    test('false for a species already seen', () => {
+      expect(isNeeded({ speciesCode: 'houspa', comName: 'House Sparrow' }, lifeList)).toBe(false);
+    });
+
+    test('false for spuhs and without a life list', () => {
+      expect(isNeeded({ speciesCode: 'gull1', comName: 'gull sp.' }, lifeList)).toBe(false);
+      expect(isNeeded({ speciesCode: 'commyn', comName: 'Common Myna' }, null)).toBe(false);
+    });
+  });
+
+  // ─── parseMyEBirdData ───────────────────────────────────
+
+  describe('parseMyEBirdData()', () => {
+    function csv(...rows) {
+      return [HEADER, ...rows].join('\n');
+    }
+
+    test('keys species by code with the earliest date', () => {
+      const result = parseMyEBirdData(csv(
+        'S2,House Sparrow,Passer domesticus,1,2,SG,,L1,Park,1.3,103.8,2024-05-01,08:00 AM',
+        'S1,House Sparrow,Passer domesticus,1,1,SG,,L1,Park,1.3,103.8,2021-03-15,07:00 AM',
+        'S3,Common Myna,Acridotheres tristis,2,4,SG,,L1,Park,1.3,103.8,2022-01-01,'
+      ), taxonomy);
+
+      expect(result.rows).toBe(3);
+      expect(result.species).toEqual({
+        houspa: { comName: 'House Sparrow', firstSeen: '2021-03-15' },
+        commyn: { comName: 'Common Myna', firstSeen: '2022-01-01' },
+      });
+      expect(result.unmatched).toEqual([]);
+    });
+
+    test('maps subspecies groups to the species via the binomial', () => {
+      const result = parseMyEBirdData(csv(
+        'S1,Yellow-rumped Warbler (Myrtle),Setophaga coronata coronata,1,1,US-NY,,L1,Park,40,-73,2023-05-01,'
+      ), taxonomy);
+      expect(Object.keys(result.species)).toEqual(['yerwar']);
+    });
+
+    test('falls back to the common name after a taxonomic split', () => {
+      const result = parseMyEBirdData(csv(
+        'S1,Common Myna,Acridotheres tristis,1,1,SG,,L1,Park,1.3,103.8,2023-05-01,'
+      ), [{ speciesCode: 'commyn', comName: 'Common Myna', sciName: 'Sturnus tristis' }]);
+      expect(Object.keys(result.species)).toEqual(['commyn']);
+    });
+
+    test('skips spuhs and reports unmatched names', () => {
+      const result = parseMyEBirdData(csv(
+        'S1,gull sp.,Larinae sp.,1,1,SG,,L1,Beach,1.3,103.8,2023-05-01,',
+        'S1,Imaginary Bird,Fictus avis,1,1,SG,,L1,Beach,1.3,103.8,2023-05-01,'
+      ), taxonomy);
+      expect(result.species).toEqual({});
+      expect(result.unmatched).toEqual(['Imaginary Bird']);
+    });
+
+    test('returns null when the name columns are missing', () => {
+      expect(parseMyEBirdData('name,count\nHouse Sparrow,2', taxonomy)).toBeNull();
+    });
+
+    test('returns null for an empty file', () => {
+      expect(parseMyEBirdData('', taxonomy)).toBeNull();
+    });
+  });
+});
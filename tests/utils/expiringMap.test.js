@@ -0,0 +1,88 @@
+/**
+ * Tests for src/utils/expiringMap.js
+ */
+const ExpiringMap = require('../../src/utils/expiringMap');
+
+describe('ExpiringMap', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('behaves like a Map', () => {
+    const map = new ExpiringMap();
+    map.set('a', 1).set('b', 2);
+
+    expect(map).toBeInstanceOf(Map);
+    expect(map.get('a')).toBe(1);
+    expect(map.has('b')).toBe(true);
+    expect([...map.keys()]).toEqual(['a', 'b']);
+    expect(map.delete('a')).toBe(true);
+    expect(map.size).toBe(1);
+    map.clear();
+    expect(map.size).toBe(0);
+  });
+
+  test('evicts the least recently used entry past maxEntries', () => {
+    const onEvict = jest.fn();
+    const map = new ExpiringMap({ maxEntries: 2, onEvict });
+    map.set('a', 1);
+    map.set('b', 2);
+    map.get('a'); // 'b' is now the least recently used
+    map.set('c', 3);
+
+    expect([...map.keys()].sort()).toEqual(['a', 'c']);
+    expect(onEvict).toHaveBeenCalledWith('b', 2, 'lru');
+    expect(map.evictions).toBe(1);
+  });
+
+  test('entries expire after the idle TTL', () => {
+    jest.useFakeTimers();
+    const onEvict = jest.fn();
+    const map = new ExpiringMap({ ttl: 1000, onEvict });
+    map.set('a', 1);
+
+    jest.advanceTimersByTime(1001);
+
+    expect(map.has('a')).toBe(false);
+    expect(map.get('a')).toBeUndefined();
+    expect(onEvict).toHaveBeenCalledWith('a', 1, 'expired');
+  });
+
+  test('get() refreshes the idle timer, has() does not', () => {
+    jest.useFakeTimers();
+    const map = new ExpiringMap({ ttl: 1000 });
+    map.set('a', 1);
+    map.set('b', 2);
+
+    jest.advanceTimersByTime(800);
+    map.get('a');
+    map.has('b');
+    jest.advanceTimersByTime(800);
+
+    expect(map.get('a')).toBe(1);
+    expect(map.has('b')).toBe(false);
+  });
+
+  test('sweep() drops expired entries and reports how many', () => {
+    jest.useFakeTimers();
+    const map = new ExpiringMap({ ttl: 1000 });
+    map.set('old1', 1);
+    map.set('old2', 2);
+    jest.advanceTimersByTime(600);
+    map.set('fresh', 3);
+    jest.advanceTimersByTime(600);
+
+    expect(map.sweep()).toBe(2);
+    expect([...map.keys()]).toEqual(['fresh']);
+  });
+
+  test('delete() does not count as an eviction', () => {
+    const onEvict = jest.fn();
+    const map = new ExpiringMap({ onEvict });
+    map.set('a', 1);
+    map.delete('a');
+
+    expect(onEvict).not.toHaveBeenCalled();
+    expect(map.evictions).toBe(0);
+  });
+});
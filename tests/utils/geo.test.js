@@ -0,0 +1,98 @@
+/**
+ * Tests for src/utils/geo.js
+ * Covers: distanceKm, bearingDeg, compassPoint, formatDistance, describeOffset
+ */
+const {
+  distanceKm,
+  bearingDeg,
+  compassPoint,
+  formatDistance,
+  describeOffset,
+} = require('../../src/utils/geo');
+
+describe('geo utilities', () => {
+  // ─── distanceKm ─────────────────────────────────────────
+
+  describe('distanceKm()', () => {
+    test('returns 0 for identical points', () => {
+      expect(distanceKm(1.35, 103.82, 1.35, 103.82)).toBe(0);
+    });
+
+    test('one degree of latitude is about 111 km', () => {
+      expect(distanceKm(0, 0, 1, 0)).toBeCloseTo(111.2, 1);
+    });
+
+    test('Singapore to Kuala Lumpur is roughly 316 km', () => {
+      const km = distanceKm(1.3521, 103.8198, 3.139, 101.6869);
+      expect(km).toBeGreaterThan(305);
+      expect(km).toBeLessThan(325);
+    });
+  });
+
+  // ─── bearingDeg / compassPoint ──────────────────────────
+
+  describe('bearingDeg()', () => {
+    test('due north is 0°', () => {
+      expect(bearingDeg(0, 0, 1, 0)).toBeCloseTo(0);
+    });
+
+    test('due east is 90°', () => {
+      expect(bearingDeg(0, 0, 0, 1)).toBeCloseTo(90);
+    });
+
+    test('due south is 180°', () => {
+      expect(bearingDeg(1, 0, 0, 0)).toBeCloseTo(180);
+    });
+
+    test('due west is 270°', () => {
+      expect(bearingDeg(0, 1, 0, 0)).toBeCloseTo(270);
+    });
+  });
+
+  describe('compassPoint()', () => {
+    test.each([
+      [0, 'N'], [44, 'NE'], [90, 'E'], [135, 'SE'],
+      [180, 'S'], [225, 'SW'], [270, 'W'], [315, 'NW'], [359, 'N'],
+    ])('%p° → %s', (deg, point) => {
+      expect(compassPoint(deg)).toBe(point);
+    });
+  });
+
+  // ─── formatDistance ─────────────────────────────────────
+
+  describe('formatDistance()', () => {
+    test('uses metres under 1 km', () => {
+      expect(formatDistance(0.42)).toBe('420 m');
+    });
+
+    test('uses one decimal under 10 km', () => {
+      expect(formatDistance(3.27)).toBe('3.3 km');
+    });
+
+    test('rounds to whole kilometres from 10 km', () => {
+      expect(formatDistance(12.6)).toBe('13 km');
+    });
+  });
+
+  // ─── describeOffset ─────────────────────────────────────
+
+  describe('describeOffset()', () => {
+    const origin = { lat: 1.35, lng: 103.82 };
+
+    test('combines distance and direction', () => {
+      expect(describeOffset(origin, { lat: 1.38, lng: 103.85 })).toMatch(/^4\.7 km NE$/);
+    });
+
+    test('returns null without an origin', () => {
+      expect(describeOffset(null, { lat: 1.38, lng: 103.85 })).toBeNull();
+    });
+
+    test('returns null when the observation has no coordinates', () => {
+      expect(describeOffset(origin, { comName: 'House Sparrow' })).toBeNull();
+    });
+
+    test('handles coordinates of 0', () => {
+      expect(describeOffset({ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 })).toBe('1.1 km E');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for speciesSummary — species → location → date grouping.
+ */
+const { groupBySpecies, formatLocations, rememberSpecies } = require('../../src/utils/speciesSummary');
+
+const obs = (overrides = {}) => ({
+  speciesCode: 'houspa',
+  comName: 'House Sparrow',
+  locName: 'Bishan Park',
+  obsDt: '2026-02-15 08:30',
+  howMany: 2,
+  ...overrides,
+});
+
+describe('groupBySpecies()', () => {
+  test('adds up counts per species and location', () => {
+    const map = groupBySpecies([
+      obs(),
+      obs({ howMany: 3 }),
+      obs({ locName: 'Jurong Lake', howMany: undefined }),
+    ]);
+
+    const sparrow = map.get('houspa');
+    expect(sparrow.count).toBe(6);
+    expect(sparrow.locations.get('Bishan Park').count).toBe(5);
+    expect(sparrow.locations.get('Jurong Lake').count).toBe(1);
+  });
+
+  test('groups times under each date in the chosen format', () => {
+    const map = groupBySpecies([obs(), obs({ obsDt: '2026-02-15 07:10' }), obs({ obsDt: '2026-02-16' })], 'MDY');
+    const dates = map.get('houspa').locations.get('Bishan Park').dates;
+
+    expect([...dates.keys()]).toEqual(['02/15/2026', '02/16/2026']);
+    expect([...dates.get('02/15/2026')]).toEqual(['08:30', '07:10']);
+    expect(dates.get('02/16/2026').size).toBe(0);
+  });
+
+  test('falls back to the common name when there is no species code', () => {
+    const map = groupBySpecies([obs({ speciesCode: undefined })]);
+    expect(map.has('House Sparrow')).toBe(true);
+  });
+});
+
+describe('formatLocations()', () => {
+  test('lists locations with sorted times and the timezone label', () => {
+    const [entry] = groupBySpecies([obs(), obs({ obsDt: '2026-02-15 07:10' })]).values();
+    const text = formatLocations(entry, 'SGT');
+
+    expect(text).toContain('📍 Bishan Park (x4)');
+    expect(text).toContain('📅 15/02/2026 07:10, 08:30 SGT');
+  });
+
+  test('omits times for date-only reports', () => {
+    const [entry] = groupBySpecies([obs({ obsDt: '2026-02-15' })]).values();
+    expect(formatLocations(entry, 'SGT')).toContain('📅 15/02/2026 SGT\n');
+  });
+});
+
+describe('rememberSpecies()', () => {
+  test('records species with the date and keeps recent ones', () => {
+    const seen = rememberSpecies({ houspa: '2026-10-10' }, ['colkin1'], '2026-10-20', 30);
+    expect(seen).toEqual({ houspa: '2026-10-10', colkin1: '2026-10-20' });
+  });
+
+  test('drops species older than the memory', () => {
+    expect(rememberSpecies({ houspa: '2026-09-01' }, [], '2026-10-20', 30)).toEqual({});
+  });
+
+  test('does not modify the previous record', () => {
+    const previous = { houspa: '2026-10-10' };
+    rememberSpecies(previous, ['colkin1'], '2026-10-20', 30);
+    expect(previous).toEqual({ houspa: '2026-10-10' });
+  });
+});